@@ -42,6 +42,13 @@ class DL11 extends Device {
         this.sDataReceived = "";
         this.connection = this.sendData = this.updateStatus = null;
 
+        /*
+         * If the 'bridge' config property is set (eg, "telnet:2311"), onPower() attaches a SerialBridge to the port,
+         * which precludes any other connection; bridges are available only in Node.
+         */
+        this.bridge = null;
+        this.sBridge = this.config['bridge'] || "";
+
         /*
          * Export all functions required by initConnection().
          */
@@ -161,6 +168,12 @@ class DL11 extends Device {
             this.cpu = /** @type {PDP11} */ (this.findDeviceByClass("CPU"));
             this.irqReceiver = this.cpu.addIRQ(this.iAdapter? -1 : PDP11.DL11.RVEC, PDP11.DL11.PRI, MESSAGE.SERIAL);
             this.irqTransmitter = this.cpu.addIRQ(this.iAdapter? -1 : PDP11.DL11.XVEC, PDP11.DL11.PRI, MESSAGE.SERIAL);
+            if (this.sBridge) {
+                this.bridge = new SerialBridge(this, this.sBridge, (s) => this.printf("%s\n", s));
+                this.setConnection(this.bridge, this.bridge.receiveData);
+                this.updateStatus = this.bridge.receiveStatus;
+                this.fNullModem = false;
+            }
         }
     }
 
@@ -242,7 +255,13 @@ class DL11 extends Device {
             if (typeof data != "number") {
                 this.sDataReceived = data;
             } else {
+                /*
+                 * If earlier data is still being clocked in, leave the new byte to timerReceiveNext, too;
+                 * otherwise, a connection that delivers one byte at a time (eg, a SerialBridge) would overrun RBUF.
+                 */
+                let fPending = !!this.sDataReceived;
                 this.sDataReceived += String.fromCharCode(data);
+                if (fPending) return true;
             }
         }
         if (this.sDataReceived) {
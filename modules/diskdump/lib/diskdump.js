@@ -364,7 +364,7 @@ BufferPF.prototype.toString = function(format)
  * to prevent random enumeration of other server resources.
  *
  * @constructor
- * @param {string|Array} sDiskPath
+ * @param {string|Array} sDiskPath (an array of directories builds a hard disk image with one volume per directory)
  * @param {Array|null} [asExclude] contains filename exclusions, if any
  * @param {string} [sFormat] is the output format, one of "json"|"data"|"hex"|"bytes"|"img"
  * @param {boolean|string} [fComments] enables comments and other readability enhancements in the JSON output
@@ -398,6 +398,25 @@ function DiskDump(sDiskPath, asExclude, sFormat, fComments, sSize, sServerRoot,
      */
     this.sLabel = this.argv['label'];
     this.forceBPB = this.argv['forceBPB'];
+    /*
+     * nFATBits is the size of the FAT entries that buildFATEntry() is currently building, and nFATTarget is the
+     * FAT size requested with "--fat" (eg, "--fat=16"), if any; otherwise, buildDriveImage() chooses a FAT size for
+     * each volume the way FORMAT would, based on the size of the volume.
+     */
+    this.nFATBits = 12;
+    this.nFATTarget = +this.argv['fat'] || 0;
+    /*
+     * aDriveCHS is the geometry requested with "--chs" (eg, "--chs=615:4:17"), if any, which calcDriveGeometry()
+     * uses instead of choosing one; it also supplies a target size if none was specified.
+     */
+    this.aDriveCHS = null;
+    if (this.argv['chs']) {
+        let aCHS = this.argv['chs'].toString().split(':').map(function(s) { return s|0; });
+        if (aCHS.length == 3 && aCHS[0] && aCHS[1] && aCHS[2]) {
+            this.aDriveCHS = aCHS;
+            if (!this.kbTarget) this.kbTarget = (aCHS[0] * aCHS[1] * aCHS[2]) >> 1;
+        }
+    }
     this.fNormalize = fNormalize || this.argv['normalize'];
 
     /*
@@ -458,7 +477,7 @@ DiskDump.setLogFile = function(file) {
 DiskDump.sAPIURL = "http://www.pcjs.org" + DumpAPI.ENDPOINT;
 DiskDump.sCopyright = COPYRIGHT;
 DiskDump.sNotice = DiskDump.sAPIURL + " " + DiskDump.sCopyright;
-DiskDump.sUsage = "Usage: " + DiskDump.sAPIURL + "?" + DumpAPI.QUERY.PATH + "={url}&amp;" + DumpAPI.QUERY.FORMAT + "=json|data|hex|bytes|img";
+DiskDump.sUsage = "Usage: " + DiskDump.sAPIURL + "?" + DumpAPI.QUERY.PATH + "={url}&amp;" + DumpAPI.QUERY.FORMAT + "=json|data|hex|bytes|img|imd|td0";
 
 /*
  * PCJS_LABEL is our default label, used whenever a more suitable label (eg, the disk image's folder name)
@@ -467,6 +486,42 @@ DiskDump.sUsage = "Usage: " + DiskDump.sAPIURL + "?" + DumpAPI.QUERY.PATH + "={u
 DiskDump.PCJS_LABEL = "PCJS";
 DiskDump.PCJS_OEM   = "PCJS.ORG";
 
+/*
+ * ARCHIVE values identify the archival disk image formats that we convert to JSON on load (see getArchiveFormat()),
+ * and DATAMARK values are the data address marks that we record in a sector's 'dataMark' property (DELETED is the only
+ * one that archival readers normally record, since NORMAL is the default).  TD0_POLY is the polynomial that Teledisk
+ * uses for all of its CRCs.
+ */
+DiskDump.ARCHIVE = {
+    IMD:        "imd",          // ImageDisk
+    TD0:        "td0",          // Teledisk
+    DSK:        "dsk",          // CPCEMU (standard or extended)
+    F86:        "86f"           // 86Box
+};
+
+DiskDump.DATAMARK = {
+    DELETED:    0xF8,
+    NORMAL:     0xFB
+};
+
+DiskDump.TD0_POLY = 0xA097;
+
+/*
+ * KB_XT_DRIVE is the size (in Kb) of the 10Mb PC XT drive described by our largest default BPB; buildImageFromFiles()
+ * passes any larger target size to buildDriveImage().
+ *
+ * aClusterSecs lists the default sectors/cluster for FAT16 and FAT32 volumes, as [maximum volume sectors, sectors/cluster]
+ * pairs, using the same thresholds as the FORMAT utilities in MS-DOS and Windows; FAT12 volumes simply use the smallest
+ * cluster size that keeps the number of clusters within FAT12 limits.
+ */
+DiskDump.KB_XT_DRIVE = 10404;
+
+DiskDump.aClusterSecs = {
+    12: [[0xFFFFFFFF, 1]],
+    16: [[32680, 2], [262144, 4], [524288, 8], [1048576, 16], [2097152, 32], [0xFFFFFFFF, 64]],
+    32: [[532480, 1], [16777216, 8], [33554432, 16], [67108864, 32], [0xFFFFFFFF, 64]]
+};
+
 /**
  * The BPBs that buildImage() currently supports; these BPBs should be in order of smallest to largest capacity,
  * to help ensure we don't select a disk format larger than necessary.
@@ -687,9 +742,9 @@ DiskDump.asTextFileExts = [".MD", ".ME", ".BAS", ".BAT", ".ASM", ".LRF", ".MAK",
  *
  * Usage:
  *
- *      diskdump --dir={directory} [--format=json|data|hex|bytes|img] [--comments] [--output={file}]
- *      diskdump --disk={disk image} [--format=json|data|hex|bytes|img] [--comments] [--output={file}]
- *      diskdump --path={file[;file]...} [--format=json|data|hex|bytes|img] [--comments] [--output={file}]
+ *      diskdump --dir={directory} [--format=json|data|hex|bytes|img|imd|td0] [--comments] [--output={file}]
+ *      diskdump --disk={disk image} [--format=json|data|hex|bytes|img|imd|td0] [--comments] [--output={file}]
+ *      diskdump --path={file[;file]...} [--format=json|data|hex|bytes|img|imd|td0] [--comments] [--output={file}]
  *
  *      NOTE: --img is permitted as an alias for --disk
  *
@@ -698,6 +753,10 @@ DiskDump.asTextFileExts = [".MD", ".ME", ".BAS", ".BAT", ".ASM", ".LRF", ".MAK",
  *      The default format is "json", which generates an array of signed 32-bit decimal values; "hex" is an older
  *      text format that consists entirely of 2-character hex values (deprecated), and "bytes" is a JSON-like format
  *      that also uses hex values (but with "0x" prefixes) and is normally used only when comments are enabled.
+ *      The "imd" and "td0" formats generate ImageDisk and (uncompressed) Teledisk images, which preserve sector IDs,
+ *      deleted data marks, and CRC errors.
+ *
+ *      ImageDisk (.IMD), Teledisk (.TD0), CPC (.DSK), and 86Box (.86F) images are recognized automatically by --disk.
  *
  *      Note that command-line arguments, if any, are not validated.  For example, argv['comments'] may be any of
  *      boolean, string, or undefined, since the user may have typed "--comments" or "--comments=foo" or nothing at all.
@@ -705,7 +764,15 @@ DiskDump.asTextFileExts = [".MD", ".ME", ".BAS", ".BAT", ".ASM", ".LRF", ".MAK",
  *      Additional command-line arguments include:
  *
  *          --mbhd={number}: requests a hard drive image with the given number of megabytes (DEPRECATED)
- *          --size={number}: requests a target disk size with the given number of kilobytes (eg, 360, 720, 1200, 1440, 10000)
+ *          --size={number}: requests a target disk size with the given number of kilobytes (eg, 360, 720, 1200, 1440, 10000);
+ *          sizes larger than the 10Mb PC XT drive produce partitioned hard disk images with FAT12, FAT16, or FAT32 volumes
+ *          --fat={12|16|32}: requests a particular FAT size for the volumes of a partitioned hard disk image
+ *          --chs={cylinders}:{heads}:{sectors}: requests a particular geometry for a partitioned hard disk image (eg, 615:4:17)
+ *          --list: lists the files in a --disk image, with their sizes, dates, and attributes
+ *          --extract[={path}]: extracts the specified files or folders (default is all) from a --disk image to the --output folder
+ *          --add={file}, --replace={file}: adds (or replaces) a host file in the --folder (default is "\") of a --disk image
+ *          --delete={path}: deletes a file (or a folder and its contents) from a --disk image
+ *          --volume={number}: selects the volume of a partitioned --disk image to use with the above options (default is 1)
  *          --exclude={filename}: specifies a filename that should be excluded from the image; repeat as often as needed
  *          --overwrite: allows the --output option to overwrite an existing file; default is to NOT overwrite
  *          --manifest[={filename}]: update the specified manifest.xml file with details about the disk image
@@ -715,6 +782,8 @@ DiskDump.asTextFileExts = [".MD", ".ME", ".BAS", ".BAT", ".ASM", ".LRF", ".MAK",
  *
  *      node modules/diskdump/bin/diskdump --disk=../pcjs/disks/pcx86/games/infocom/zork1/zork1.dsk
  *      node modules/diskdump/bin/diskdump --dir=./apps/pcx86/1981/visicalc/ --format=img --output=./apps/pcx86/1981/visicalc/disk.img
+ *      node modules/diskdump/bin/diskdump --dir=./c --dir=./d --size=200000 --format=img --output=./hd.img
+ *      node modules/diskdump/bin/diskdump --disk=./hd.img --volume=2 --add=./autoexec.bat --folder=/ --list
  *      node modules/diskdump/bin/diskdump --path=./apps/pcx86/1981/visicalc/bin/vc.com;../README.md --format=json --output=./apps/pcx86/1981/visicalc/disk.json
  */
 DiskDump.CLI = function()
@@ -740,7 +809,11 @@ DiskDump.CLI = function()
         sServerRoot = i > 0? sServerRoot.substr(0, i+5) : undefined;
         let sDir = argv['dir'], sDisk = (argv['disk'] || argv['img']), sPath = argv['path'];
 
-        if (typeof sDir == "string") {
+        /*
+         * Multiple --dir options request a hard disk image with a primary partition for the first directory and an
+         * extended partition containing a logical drive for each of the others.
+         */
+        if (typeof sDir == "string" || Array.isArray(sDir)) {
             sDiskPath = sDir;
         }
         else if (typeof sDisk == "string") {
@@ -771,7 +844,7 @@ DiskDump.CLI = function()
         }
         if (typeof sOutputFile == "boolean") {
             if (sDir || sDisk) {
-                sOutput = path.join(sOutput, path.basename(sDir || sDisk));
+                sOutput = path.join(sOutput, path.basename(Array.isArray(sDir)? sDir[0] : (sDir || sDisk)));
                 let i = sOutput.lastIndexOf('.');
                 if (i > 0) sOutput = sOutput.substr(0, i);
             } else {
@@ -794,11 +867,15 @@ DiskDump.CLI = function()
             let disk = new DiskDump(sDiskPath, asExclude, argv['format'], argv['comments'], sSize, sServerRoot, sManifestFile, argv);
             if (sDir) {
                 disk.buildImage(true, function(err) {
-                    DiskDump.outputDisk(err, disk, sDiskPath, sOutputFile, fOverwrite, sManifestTitle);
+                    DiskDump.outputDisk(err, disk, Array.isArray(sDiskPath)? sDiskPath[0] : sDiskPath, sOutputFile, fOverwrite, sManifestTitle);
                 });
             }
             else if (sDisk) {
                 disk.loadFile(function(err) {
+                    if (argv['list'] || argv['extract'] || argv['add'] || argv['replace'] || argv['delete']) {
+                        DiskDump.processFiles(err, disk, sDiskPath, argv);
+                        return;
+                    }
                     DiskDump.outputDisk(err, disk, sDiskPath, sOutputFile, fOverwrite, sManifestTitle);
                 });
             }
@@ -812,7 +889,8 @@ DiskDump.CLI = function()
         }
     }
     else {
-        DiskDump.logConsole("usage: diskdump --dir={dir}|--disk={disk}|--path={file}[;{file}...] [--format=json|data|hex|bytes|img] [--comments] [--output={file}] [--manifest={file}] [--xdf]");
+        DiskDump.logConsole("usage: diskdump --dir={dir}|--disk={disk}|--path={file}[;{file}...] [--format=json|data|hex|bytes|img|imd|td0] [--comments] [--output={file}] [--manifest={file}] [--size={kb}] [--fat=12|16|32] [--chs=c:h:s] [--xdf]");
+        DiskDump.logConsole("       diskdump --disk={disk} [--volume={n}] [--delete={path}] [--replace={file}] [--add={file}] [--folder={path}] [--extract[={path}]] [--output={dir}] [--list]");
     }
 
     if (err) {
@@ -888,16 +966,23 @@ DiskDump.outputDisk = function(err, disk, sDiskPath, sOutputFile, fOverwrite, sM
          * bufDisk will be set (otherwise, jsonDisk will be set).  We then look for pending
          * conversions: if a disk image was built/loaded, but the requested format was not,
          * call convertToJSON().  Similarly, if bufDisk is not set and a raw image was
-         * requested, call convertToIMG().
+         * requested, call convertToIMG().  Archival images (eg, IMD files) are already JSON by
+         * now, so those are the only JSON images we'll also output as JSON.
          */
         let data = disk.bufDisk;
-        if (data) {
+        if (disk.sFormat == DumpAPI.FORMAT.IMD) {
+            data = disk.convertToIMD();
+        } else if (disk.sFormat == DumpAPI.FORMAT.TD0) {
+            data = disk.convertToTD0();
+        } else if (data) {
             if (disk.sFormat != DumpAPI.FORMAT.IMG) {
                 data = disk.convertToJSON();
             }
         } else {
             if (disk.sFormat == DumpAPI.FORMAT.IMG) {
                 data = disk.convertToIMG();
+            } else if (disk.hashDisk) {
+                data = disk.convertToJSON();
             }
         }
         if (data) {
@@ -963,6 +1048,105 @@ DiskDump.outputDisk = function(err, disk, sDiskPath, sOutputFile, fOverwrite, sM
     }
 };
 
+/**
+ * processFiles(err, disk, sDiskPath, argv)
+ *
+ * Performs the file operations requested with --delete, --replace, --add, --extract, and --list (in that order)
+ * on a volume of the loaded disk image, and if any files were changed, saves the image, either to the --output file
+ * or back to sDiskPath, in the same format (JSON or IMG).  If any operation fails, nothing is saved.
+ *
+ * @param {Error} err
+ * @param {DiskDump} disk
+ * @param {string} sDiskPath
+ * @param {Object} argv
+ */
+DiskDump.processFiles = function(err, disk, sDiskPath, argv)
+{
+    let getPaths = function(value) {
+        if (!value || value === true) return [];
+        return [].concat(value).join(';').split(';').filter(function(s) { return !!s && s !== "true"; });
+    };
+
+    let dir = null, iVolume = (+argv['volume'] || 1) - 1;
+    let fArchive = !!disk.jsonDisk && path.extname(sDiskPath).toLowerCase() != ".json";
+    if (!err) {
+        if (!disk.bufDisk) disk.convertToIMG();
+        let aVolumes = disk.bufDisk? disk.getVolumes() : [];
+        dir = aVolumes[iVolume];
+        if (!dir) err = new Error(aVolumes.length? "volume " + (iVolume + 1) + " not found (" + aVolumes.length + " volume(s) available)" : "no FAT volumes found in " + sDiskPath);
+    }
+
+    let sOutput = (typeof argv['output'] == "string"? argv['output'] : "");
+    if (sOutput && sOutput.charAt(0) != '/') sOutput = path.join(process.cwd(), sOutput);
+
+    let fModified = false;
+    let sFolder = (typeof argv['folder'] == "string"? argv['folder'] : "\\");
+    let asPaths = getPaths(argv['delete']), i;
+    for (i = 0; i < asPaths.length && !err; i++) {
+        let entry = disk.findVolumeEntry(dir, asPaths[i]);
+        if (!entry || entry.off < 0) {
+            err = new Error(asPaths[i] + " not found");
+        } else {
+            disk.deleteVolumeEntry(dir, entry);
+            DiskDump.logConsole(asPaths[i] + " deleted");
+            fModified = true;
+        }
+    }
+    asPaths = getPaths(argv['replace']);
+    for (i = 0; i < asPaths.length && !err; i++) {
+        err = disk.addVolumeFile(dir, asPaths[i], sFolder, true);
+        if (!err) DiskDump.logConsole(asPaths[i] + " replaced");
+        fModified = true;
+    }
+    asPaths = getPaths(argv['add']);
+    for (i = 0; i < asPaths.length && !err; i++) {
+        err = disk.addVolumeFile(dir, asPaths[i], sFolder, false);
+        if (!err) DiskDump.logConsole(asPaths[i] + " added to " + sFolder);
+        fModified = true;
+    }
+
+    if (!err && argv['extract']) {
+        let sOutputDir = sOutput || path.join(process.cwd(), path.basename(sDiskPath, path.extname(sDiskPath)));
+        try {
+            let cFiles = disk.extractVolumeFiles(dir, getPaths(argv['extract']), sOutputDir);
+            DiskDump.logConsole(cFiles + " file(s) extracted to " + sOutputDir);
+        } catch(e) {
+            err = e;
+        }
+        sOutput = "";
+    }
+    if (!err && argv['list']) {
+        disk.listVolumeFiles(dir, iVolume);
+    }
+
+    if (!err && fModified) {
+        let sOutputFile = sOutput || sDiskPath;
+        if (!sOutput && fArchive) {
+            err = new Error("unable to update " + sDiskPath + " in place; use --output={file} to save the updated image");
+        } else {
+            /*
+             * JSON images are rebuilt from the updated IMG data, so any sector metadata (eg, CRC errors) is not preserved.
+             */
+            let data = disk.bufDisk;
+            if (path.extname(sOutputFile).toLowerCase() == ".json") {
+                disk.jsonDisk = disk.dataDisk = null;
+                data = disk.convertToJSON();
+            }
+            try {
+                fs.writeFileSync(sOutputFile, data.buf || data);
+                DiskDump.logConsole(disk.bufDisk.length + "-byte disk image saved as " + sOutputFile);
+            } catch(e) {
+                err = e;
+            }
+        }
+    }
+
+    if (err) {
+        DiskDump.logError(err);
+        process.exit(1);
+    }
+};
+
 /**
  * getManifestAttr(sID, sTag)
  *
@@ -1008,7 +1192,7 @@ DiskDump.updateManifest = function(disk, sManifestFile, sDiskPath, sOutputFile,
     } catch(e) {
         let sPrefix = "";
         if (!sTitle) {
-            sTitle = str.getBaseName(disk.sDiskPath);
+            sTitle = str.getBaseName(Array.isArray(disk.sDiskPath)? disk.sDiskPath[0] : disk.sDiskPath);
             if (sTitle) {
                 sTitle = sTitle.charAt(0).toUpperCase() + sTitle.substr(1);
             }
@@ -1360,7 +1544,23 @@ DiskDump.prototype.setData = function(err, buf, done)
             }
         }
     } else {
-        this.bufDisk = buf;
+        /*
+         * Archival formats (eg, ImageDisk and Teledisk) are converted to JSON immediately, since only JSON can represent
+         * all their sector metadata; from that point on, we treat the disk exactly as if a JSON disk image had been loaded.
+         */
+        let sFormat = this.getArchiveFormat(buf);
+        if (sFormat) {
+            this.hashDisk = crypto.createHash('md5').update(buf.buf || buf).digest('hex');
+            this.jsonDisk = this.convertArchiveToJSON(buf, sFormat);
+            if (!this.jsonDisk) {
+                err = new Error("unable to convert " + sFormat.toUpperCase() + " image " + this.sDiskPath);
+                DiskDump.logError(err);
+                done(err);
+                return;
+            }
+        } else {
+            this.bufDisk = buf;
+        }
     }
     done(null);
 };
@@ -1635,6 +1835,22 @@ DiskDump.prototype.buildData = function(cb, abInit)
     return ab;
 };
 
+/**
+ * buildValue(ab, off, v, cb)
+ *
+ * @this {DiskDump}
+ * @param {Array.<number>} ab
+ * @param {number} off
+ * @param {number} v
+ * @param {number} cb (number of bytes to store, least significant byte first)
+ */
+DiskDump.prototype.buildValue = function(ab, off, v, cb)
+{
+    for (let i = 0; i < cb; i++) {
+        ab[off + i] = (v >>> (i * 8)) & 0xff;
+    }
+};
+
 /**
  * copyData(ab)
  *
@@ -1679,6 +1895,23 @@ DiskDump.prototype.buildManifestInfo = function(sImage)
             } catch(err) {
                 console.log(err.message);
             }
+            /*
+             * If there's no such folder, then we list the files in the image itself, starting with the root directory
+             * of the image's first FAT volume.
+             */
+            if (!asFiles || !asFiles.length) {
+                let aVolumes = this.getVolumes();
+                if (aVolumes.length) {
+                    let aFiles = [];
+                    this.readVolumeDir(aVolumes[0], 0, sDir, aFiles);
+                    for (let i = 0; i < aFiles.length; i++) {
+                        this.validateTime(aFiles[i].FILE_TIME);
+                        this.addManifestInfo(aFiles[i]);
+                    }
+                    return;
+                }
+                asFiles = [];
+            }
             for (let i = 0; i < asFiles.length; i++) {
                 let sFile = asFiles[i];
                 if (!sFile.substr(sDir.length)) continue;
@@ -1810,6 +2043,7 @@ DiskDump.prototype.readDir = function(sDir, fRoot, done)
 
     let obj = this;
     let cCallbacks = 0;
+    let asNames = [];
     fs.readdir(sDir, function doneReadDir(err, asFiles) {
         let iFile;
         if (err) {
@@ -1842,12 +2076,12 @@ DiskDump.prototype.readDir = function(sDir, fRoot, done)
             /** @type {FileInfo} */
             fileInfo = {};
             /*
-             * TODO: Verify that buildShortName() didn't change the name into one that already exists in this directory.
              * In the normal case, the directory being read already contains files named according to DOS conventions,
-             * and therefore they will automatically be unique.
+             * and therefore they will automatically be unique; otherwise, buildUniqueName() makes them unique.
              */
             if (obj.isExcluded(sFileName)) continue;
-            fileInfo.FILE_NAME = obj.buildShortName(sFileName);
+            fileInfo.FILE_NAME = obj.buildUniqueName(obj.buildShortName(sFileName), asNames);
+            asNames.push(fileInfo.FILE_NAME);
             fileInfo.FILE_PATH = sFilePath;
             aFiles.push(fileInfo);
 
@@ -2081,6 +2315,30 @@ DiskDump.prototype.buildShortName = function(sFile, fLabel)
     return sName;
 };
 
+/**
+ * buildUniqueName(sName, asNames)
+ *
+ * buildShortName() can map different host file names to the same FAT name (eg, "makefile.dos" and "makefile.dos2"),
+ * so if the given FAT name is already in asNames, we replace the end of the name with a tilde and a number, much like
+ * Windows 95 does (eg, "MAKEFI~1.DOS").
+ *
+ * @this {DiskDump}
+ * @param {string} sName (a FAT "8.3" name)
+ * @param {Array.<string>} asNames (the FAT names already used in the same directory)
+ * @return {string}
+ */
+DiskDump.prototype.buildUniqueName = function(sName, asNames)
+{
+    let iExt = sName.indexOf('.');
+    let sBase = (iExt < 0? sName : sName.substr(0, iExt));
+    let sExt = (iExt < 0? "" : sName.substr(iExt));
+    for (let n = 1; asNames.indexOf(sName) >= 0; n++) {
+        let sSuffix = '~' + n;
+        sName = sBase.substr(0, 8 - sSuffix.length) + sSuffix + sExt;
+    }
+    return sName;
+};
+
 /**
  * buildVolLabel(sDir)
  *
@@ -2155,6 +2413,7 @@ DiskDump.prototype.buildFAT = function(abFAT, aFiles, iCluster, cbCluster)
 {
     let cb;
     let cSubDirs = 0;
+    let iClusterEOC = (this.nFATBits == 32? 0x0FFFFFFF : (1 << this.nFATBits) - 1);
     for (let iFile = 0; iFile < aFiles.length; iFile++) {
         cb = aFiles[iFile].FILE_SIZE;
         if (cb < 0) {
@@ -2168,7 +2427,7 @@ DiskDump.prototype.buildFAT = function(abFAT, aFiles, iCluster, cbCluster)
             aFiles[iFile].FILE_CLUS = iCluster;
             while (cFileClusters-- > 0) {
                 let iNextCluster = iCluster + 1;
-                if (!cFileClusters) iNextCluster = 0xFFF;
+                if (!cFileClusters) iNextCluster = iClusterEOC;
                 // if (fDebug) DiskDump.logConsole(aFiles[iFile].FILE_NAME + ": setting cluster entry " + iCluster + " to " + str.toHexWord(iNextCluster));
                 this.buildFATEntry(abFAT, iCluster++, iNextCluster);
             }
@@ -2188,6 +2447,8 @@ DiskDump.prototype.buildFAT = function(abFAT, aFiles, iCluster, cbCluster)
 /**
  * buildFATEntry(abFat, iFat, v)
  *
+ * Entries are 12, 16, or 32 bits, depending on nFATBits.
+ *
  * @this {DiskDump}
  * @param {Array.<number>} abFAT
  * @param {number} iFAT
@@ -2195,6 +2456,10 @@ DiskDump.prototype.buildFAT = function(abFAT, aFiles, iCluster, cbCluster)
  */
 DiskDump.prototype.buildFATEntry = function(abFAT, iFAT, v)
 {
+    if (this.nFATBits > 12) {
+        this.buildValue(abFAT, iFAT * (this.nFATBits >> 3), v, this.nFATBits >> 3);
+        return;
+    }
     let iBit = iFAT * 12;
     let iByte = (iBit >> 3);
     if ((iBit % 8) === 0) {
@@ -2310,8 +2575,11 @@ DiskDump.prototype.buildDirEntry = function(ab, off, sFile, cbFile, bAttr, dateM
 
     /*
      * Skip 10 bytes, bringing us to offset 0x16: 2 bytes for modification time, plus 2 bytes for modification date.
+     * The last 2 of the skipped bytes (at offset 0x14) hold the high word of the starting cluster in FAT32 volumes.
      */
-    off += 10;
+    off += 8;
+    ab[off++] = (iCluster >> 16) & 0xff;
+    ab[off++] = (iCluster >> 24) & 0xff;
     if (dateMod) {
         let dateTime = this.buildDateTime(dateMod);
         ab[off++] = dateTime & 0xff;
@@ -2448,7 +2716,23 @@ DiskDump.prototype.buildClusters = function(aFiles, offDisk, cbCluster, iParentC
 DiskDump.prototype.buildImage = function(fDir, done)
 {
     let obj = this;
-    if ((this.fDir = fDir)) {
+    if ((this.fDir = fDir) && Array.isArray(this.sDiskPath)) {
+        let asDirs = this.sDiskPath;
+        let aVolumes = [];
+        let readNextDir = function(err, aFiles) {
+            if (err) {
+                done(err);
+                return;
+            }
+            if (aFiles) aVolumes.push(aFiles);
+            if (aVolumes.length < asDirs.length) {
+                obj.readDir(asDirs[aVolumes.length], true, readNextDir);
+                return;
+            }
+            obj.buildDriveImage(aVolumes, done);
+        };
+        readNextDir(null, null);
+    } else if (fDir) {
         this.readDir(this.sDiskPath, true, function doneReadDir(err, aFiles) {
             if (err) {
                 done(err);
@@ -2563,6 +2847,363 @@ DiskDump.prototype.buildMBR = function(cHeads, cSectorsPerTrack, cbSector, cTota
     return abSector;
 };
 
+/**
+ * calcDriveGeometry(cSectors)
+ *
+ * A geometry specified with "--chs" always wins, and drive sizes that match one of our hard drive GEOMETRIES use that
+ * geometry; otherwise, we use 63 sectors/track and the smallest number of heads (16, 32, 64, 128, or 255) that keeps the
+ * number of cylinders at or below 1024, which is the same "LBA-assisted" translation that BIOSes use for large drives.
+ *
+ * @this {DiskDump}
+ * @param {number} cSectors (total sectors requested)
+ * @return {Array.<number>} [# cylinders, # heads, # sectors/track]
+ */
+DiskDump.prototype.calcDriveGeometry = function(cSectors)
+{
+    if (this.aDriveCHS) return this.aDriveCHS;
+    let geometry = DiskAPI.GEOMETRIES[cSectors * 512];
+    if (geometry && !geometry[3] && !geometry[4]) {
+        return [geometry[0], geometry[1], geometry[2]];
+    }
+    let cHeads = 16, cSectorsPerTrack = 63;
+    while (cHeads < 255 && cSectors > 1024 * cHeads * cSectorsPerTrack) {
+        cHeads = Math.min(cHeads * 2, 255);
+    }
+    return [(cSectors / (cHeads * cSectorsPerTrack)) | 0, cHeads, cSectorsPerTrack];
+};
+
+/**
+ * calcVolumeLayout(cSectors, nFATBits)
+ *
+ * Starting with the default cluster size for the volume (see aClusterSecs), we look for a cluster size that puts the
+ * number of clusters within the limits of the FAT size, which is what actually determines the FAT type of the volume.
+ *
+ * @this {DiskDump}
+ * @param {number} cSectors (total sectors in the volume)
+ * @param {number} nFATBits (12, 16, or 32)
+ * @return {Object|null} describing the volume, or null if the FAT size won't work for a volume of this size
+ */
+DiskDump.prototype.calcVolumeLayout = function(cSectors, nFATBits)
+{
+    let cbSector = 512;
+    let aClusterSecs = DiskDump.aClusterSecs[nFATBits];
+    let nMinClusters = (nFATBits == 12? 1 : (nFATBits == 16? DiskAPI.FAT12.MAX_CLUSTERS : DiskAPI.FAT16.MAX_CLUSTERS) + 1);
+    let nMaxClusters = (nFATBits == 12? DiskAPI.FAT12.MAX_CLUSTERS : (nFATBits == 16? DiskAPI.FAT16.MAX_CLUSTERS : DiskAPI.FAT32.MAX_CLUSTERS));
+    if (!aClusterSecs) return null;
+
+    let layout = {
+        nFATBits:           nFATBits,
+        cReservedSectors:   (nFATBits == 32? 32 : 1),
+        cRootEntries:       (nFATBits == 32? 0 : 512),
+        cTotalSectors:      cSectors
+    };
+    layout.cRootSectors = (layout.cRootEntries * DiskAPI.DIRENT.LENGTH / cbSector) | 0;
+
+    let i = 0;
+    while (cSectors > aClusterSecs[i][0]) i++;
+    let cSectorsPerCluster = aClusterSecs[i][1];
+    let fGrown = false;
+    while (cSectorsPerCluster >= 1 && cSectorsPerCluster <= 64) {
+        let cAvailSectors = cSectors - layout.cReservedSectors - layout.cRootSectors;
+        let cFATSectors = Math.ceil(((((cAvailSectors / cSectorsPerCluster) | 0) + 2) * nFATBits / 8) / cbSector);
+        let cClusters = ((cAvailSectors - cFATSectors * 2) / cSectorsPerCluster) | 0;
+        if (cClusters > nMaxClusters) {
+            cSectorsPerCluster *= 2;
+            fGrown = true;
+            continue;
+        }
+        if (cClusters < nMinClusters) {
+            if (fGrown || cSectorsPerCluster == 1) break;
+            cSectorsPerCluster /= 2;
+            continue;
+        }
+        layout.cSectorsPerCluster = cSectorsPerCluster;
+        layout.cFATSectors = cFATSectors;
+        layout.cClusters = cClusters;
+        return layout;
+    }
+    return null;
+};
+
+/**
+ * buildCHS(ab, off, lba, cHeads, cSectorsPerTrack)
+ *
+ * Stores the 3-byte CHS form of an LBA in a partition table entry; LBAs beyond the reach of CHS addressing are stored
+ * as the largest possible CHS value (1023:cHeads-1:cSectorsPerTrack), which is what FDISK does, too.
+ *
+ * @this {DiskDump}
+ * @param {Array.<number>} ab
+ * @param {number} off
+ * @param {number} lba
+ * @param {number} cHeads
+ * @param {number} cSectorsPerTrack
+ */
+DiskDump.prototype.buildCHS = function(ab, off, lba, cHeads, cSectorsPerTrack)
+{
+    let iCylinder = (lba / (cHeads * cSectorsPerTrack)) | 0;
+    let iHead = ((lba / cSectorsPerTrack) | 0) % cHeads;
+    let iSector = (lba % cSectorsPerTrack) + 1;
+    if (iCylinder > 1023) {
+        iCylinder = 1023;
+        iHead = cHeads - 1;
+        iSector = cSectorsPerTrack;
+    }
+    ab[off] = iHead;
+    ab[off + 1] = iSector | ((iCylinder >> 2) & 0xC0);
+    ab[off + 2] = iCylinder & 0xff;
+};
+
+/**
+ * buildPartitionEntry(ab, iEntry, bType, fActive, lbaBase, lbaFirst, cSectors, cHeads, cSectorsPerTrack)
+ *
+ * @this {DiskDump}
+ * @param {Array.<number>} ab (an MBR or EBR sector)
+ * @param {number} iEntry (0-3)
+ * @param {number} bType (see DiskAPI.MBR.PARTITIONS.TYPE)
+ * @param {boolean} fActive
+ * @param {number} lbaBase (the LBA that lbaFirst is stored relative to)
+ * @param {number} lbaFirst (the first sector of the partition, relative to the start of the disk)
+ * @param {number} cSectors (total sectors in the partition)
+ * @param {number} cHeads
+ * @param {number} cSectorsPerTrack
+ */
+DiskDump.prototype.buildPartitionEntry = function(ab, iEntry, bType, fActive, lbaBase, lbaFirst, cSectors, cHeads, cSectorsPerTrack)
+{
+    let off = DiskAPI.MBR.PARTITIONS.OFFSET + iEntry * DiskAPI.MBR.PARTITIONS.ENTRY_LENGTH;
+    ab[off + DiskAPI.MBR.PARTITIONS.ENTRY.STATUS] = (fActive? DiskAPI.MBR.PARTITIONS.STATUS.ACTIVE : 0);
+    this.buildCHS(ab, off + DiskAPI.MBR.PARTITIONS.ENTRY.CHS_FIRST, lbaFirst, cHeads, cSectorsPerTrack);
+    ab[off + DiskAPI.MBR.PARTITIONS.ENTRY.TYPE] = bType;
+    this.buildCHS(ab, off + DiskAPI.MBR.PARTITIONS.ENTRY.CHS_LAST, lbaFirst + cSectors - 1, cHeads, cSectorsPerTrack);
+    this.buildValue(ab, off + DiskAPI.MBR.PARTITIONS.ENTRY.LBA_FIRST, lbaFirst - lbaBase, 4);
+    this.buildValue(ab, off + DiskAPI.MBR.PARTITIONS.ENTRY.LBA_TOTAL, cSectors, 4);
+    ab[DiskAPI.MBR.SIG_OFFSET] = DiskAPI.MBR.SIGNATURE & 0xff;
+    ab[DiskAPI.MBR.SIG_OFFSET + 1] = (DiskAPI.MBR.SIGNATURE >> 8) & 0xff;
+};
+
+/**
+ * buildDriveImage(aVolumes, done)
+ *
+ * Builds a hard disk image of kbTarget Kb, containing one FAT volume for each entry in aVolumes.  The drive is divided
+ * into equal numbers of cylinders: the first volume goes in a primary (active) partition, and the rest go in an extended
+ * partition, as logical drives, each preceded by its own Extended Boot Record (EBR).  As with FDISK, every partition
+ * begins on a track boundary, leaving the first track of each region for the MBR or EBR.
+ *
+ * Each volume's FAT size is chosen as FORMAT would choose it (FAT12 below 32680 sectors, FAT16 up to 2Gb, and FAT32
+ * beyond that) unless nFATTarget is set, and 16-bit FAT volumes with 65536 or more sectors get BIGDOS partitions.
+ *
+ * @this {DiskDump}
+ * @param {Array.<Array>} aVolumes (an aFiles array for each volume)
+ * @param {function(Error)} done
+ * @return {boolean} true if disk allocation successful, false if not
+ */
+DiskDump.prototype.buildDriveImage = function(aVolumes, done)
+{
+    let obj = this;
+    let cbSector = 512;
+    let geometry = this.calcDriveGeometry(this.kbTarget * 2);
+    let cCylinders = geometry[0], cHeads = geometry[1], cSectorsPerTrack = geometry[2];
+    let cCylinderSectors = cHeads * cSectorsPerTrack;
+    let cVolumeCylinders = (cCylinders / aVolumes.length) | 0;
+    let lbaExtended = cVolumeCylinders * cCylinderSectors;
+
+    if (!aVolumes.length || cVolumeCylinders < 1) {
+        done(new Error("disk too small for " + aVolumes.length + " volume(s) (" + this.kbTarget + "Kb)"));
+        return false;
+    }
+
+    let aParts = [], iVolume;
+    for (iVolume = 0; iVolume < aVolumes.length; iVolume++) {
+        let iCylinder = iVolume * cVolumeCylinders;
+        let cRegionCylinders = (iVolume < aVolumes.length - 1? cVolumeCylinders : cCylinders - iCylinder);
+        let part = {
+            lbaRegion:  iCylinder * cCylinderSectors,
+            cSectors:   cRegionCylinders * cCylinderSectors - cSectorsPerTrack
+        };
+        part.lbaVolume = part.lbaRegion + cSectorsPerTrack;
+        part.layout = this.calcVolumeLayout(part.cSectors, this.nFATTarget || (part.cSectors < 32680? 12 : (part.cSectors <= 4194304? 16 : 32)));
+        if (!part.layout) {
+            done(new Error("volume " + (iVolume + 1) + " (" + part.cSectors + " sectors) cannot be formatted as FAT" + (this.nFATTarget || 16)));
+            return false;
+        }
+        let fLBA = (part.lbaVolume + part.cSectors > 1024 * cCylinderSectors);
+        switch(part.layout.nFATBits) {
+        case 12:
+            part.bType = DiskAPI.MBR.PARTITIONS.TYPE.FAT12_PRIMARY;
+            break;
+        case 16:
+            part.bType = (fLBA? DiskAPI.MBR.PARTITIONS.TYPE.FAT16_LBA : (part.cSectors < 65536? DiskAPI.MBR.PARTITIONS.TYPE.FAT16_PRIMARY : DiskAPI.MBR.PARTITIONS.TYPE.FAT16_BIGDOS));
+            break;
+        default:
+            part.bType = (fLBA? DiskAPI.MBR.PARTITIONS.TYPE.FAT32_LBA : DiskAPI.MBR.PARTITIONS.TYPE.FAT32);
+            break;
+        }
+        aParts.push(part);
+    }
+
+    this.bufDisk = new BufferPF(cCylinders * cCylinderSectors * cbSector);
+    this.bufDisk.fill(0);
+
+    /*
+     * The MBR contains the primary partition and (if there are any logical drives) the extended partition; each EBR
+     * contains a logical drive, relative to the EBR, and a link to the next EBR, relative to the extended partition.
+     */
+    let abMBR = this.buildData(cbSector);
+    this.buildPartitionEntry(abMBR, 0, aParts[0].bType, true, 0, aParts[0].lbaVolume, aParts[0].cSectors, cHeads, cSectorsPerTrack);
+    if (aParts.length > 1) {
+        let cExtendedSectors = (cCylinders - cVolumeCylinders) * cCylinderSectors;
+        let bType = (lbaExtended + cExtendedSectors > 1024 * cCylinderSectors? DiskAPI.MBR.PARTITIONS.TYPE.EXTENDED_LBA : DiskAPI.MBR.PARTITIONS.TYPE.EXTENDED);
+        this.buildPartitionEntry(abMBR, 1, bType, false, 0, lbaExtended, cExtendedSectors, cHeads, cSectorsPerTrack);
+    }
+    this.copyData(0, abMBR);
+    for (iVolume = 1; iVolume < aParts.length; iVolume++) {
+        let part = aParts[iVolume];
+        let abEBR = this.buildData(cbSector);
+        this.buildPartitionEntry(abEBR, 0, part.bType, false, part.lbaRegion, part.lbaVolume, part.cSectors, cHeads, cSectorsPerTrack);
+        let partNext = aParts[iVolume + 1];
+        if (partNext) {
+            this.buildPartitionEntry(abEBR, 1, DiskAPI.MBR.PARTITIONS.TYPE.EXTENDED, false, lbaExtended, partNext.lbaRegion, partNext.cSectors + cSectorsPerTrack, cHeads, cSectorsPerTrack);
+        }
+        this.copyData(part.lbaRegion * cbSector, abEBR);
+    }
+
+    /*
+     * Each volume's clusters may depend on asynchronous reads, so we don't start building the next volume until
+     * buildVolume() reports that the previous volume is done.
+     */
+    iVolume = 0;
+    let buildNextVolume = function(err) {
+        if (!err && iVolume < aParts.length) {
+            let part = aParts[iVolume];
+            /*
+             * Like DOS, the hidden sectors of a logical drive are relative to its EBR.
+             */
+            err = obj.buildVolume(aVolumes[iVolume++], part.layout, part.lbaVolume, iVolume > 1? cSectorsPerTrack : part.lbaVolume, cHeads, cSectorsPerTrack, buildNextVolume);
+            if (!err) return;
+        }
+        done(err);
+    };
+    buildNextVolume(null);
+    return true;
+};
+
+/**
+ * buildVolume(aFiles, layout, lbaVolume, cHiddenSectors, cHeads, cSectorsPerTrack, done)
+ *
+ * Builds a volume (see calcVolumeLayout()) at the given LBA of bufDisk; the boot sector contains the BPB for the volume
+ * and an extended BPB, and FAT32 volumes also get an FSINFO sector and backup copies of both sectors.  The root directory
+ * of a FAT32 volume is stored in the first cluster(s) of the data area, rather than in a fixed area of its own.
+ *
+ * If the volume can't be built, the error is returned; otherwise, done() is called once all the clusters have been
+ * written.
+ *
+ * @this {DiskDump}
+ * @param {Array} aFiles
+ * @param {Object} layout
+ * @param {number} lbaVolume
+ * @param {number} cHiddenSectors
+ * @param {number} cHeads
+ * @param {number} cSectorsPerTrack
+ * @param {function(Error)} done
+ * @return {Error|null}
+ */
+DiskDump.prototype.buildVolume = function(aFiles, layout, lbaVolume, cHiddenSectors, cHeads, cSectorsPerTrack, done)
+{
+    let cbSector = 512;
+    let nFATBits = this.nFATBits = layout.nFATBits;
+    let cbCluster = layout.cSectorsPerCluster * cbSector;
+    let offVolume = lbaVolume * cbSector;
+    let sLabel = "NO NAME";
+    if (aFiles.length && (aFiles[0].FILE_ATTR & DiskAPI.ATTR.LABEL)) sLabel = aFiles[0].FILE_NAME;
+
+    if (layout.cRootEntries && aFiles.length > layout.cRootEntries) {
+        return new Error("too many file(s) for root directory (" + aFiles.length + " files, " + layout.cRootEntries + " maximum)");
+    }
+    let cRootClusters = (layout.cRootEntries? 0 : Math.max(1, Math.ceil(aFiles.length * DiskAPI.DIRENT.LENGTH / cbCluster)));
+    let cClusters = cRootClusters + this.calcFileSizes(aFiles, layout.cSectorsPerCluster) / cbCluster;
+    if (cClusters > layout.cClusters) {
+        return new Error("too much data for volume (" + cClusters + " clusters required, " + layout.cClusters + " available)");
+    }
+
+    /*
+     * Build the boot sector, starting with the same JMP and OEM string that our default BPBs use.
+     */
+    let abBoot = this.buildData(cbSector, DiskDump.aDefaultBPBs[0].slice(0, DiskAPI.BPB.SECTOR_BYTES));
+    let cTotalSectors = layout.cTotalSectors;
+    this.buildValue(abBoot, DiskAPI.BPB.SECTOR_BYTES, cbSector, 2);
+    abBoot[DiskAPI.BPB.CLUSTER_SECS] = layout.cSectorsPerCluster;
+    this.buildValue(abBoot, DiskAPI.BPB.RESERVED_SECS, layout.cReservedSectors, 2);
+    abBoot[DiskAPI.BPB.TOTAL_FATS] = 2;
+    this.buildValue(abBoot, DiskAPI.BPB.ROOT_DIRENTS, layout.cRootEntries, 2);
+    this.buildValue(abBoot, DiskAPI.BPB.TOTAL_SECS, cTotalSectors < 65536 && nFATBits < 32? cTotalSectors : 0, 2);
+    abBoot[DiskAPI.BPB.MEDIA_ID] = DiskAPI.FAT.MEDIA_FIXED;
+    this.buildValue(abBoot, DiskAPI.BPB.FAT_SECS, nFATBits < 32? layout.cFATSectors : 0, 2);
+    this.buildValue(abBoot, DiskAPI.BPB.TRACK_SECS, cSectorsPerTrack, 2);
+    this.buildValue(abBoot, DiskAPI.BPB.TOTAL_HEADS, cHeads, 2);
+    this.buildValue(abBoot, DiskAPI.BPB.HIDDEN_SECS, cHiddenSectors, 4);
+    this.buildValue(abBoot, DiskAPI.BPB.LARGE_SECS, cTotalSectors < 65536 && nFATBits < 32? 0 : cTotalSectors, 4);
+    let offEBPB = DiskAPI.EBPB.OFFSET;
+    if (nFATBits == 32) {
+        this.buildValue(abBoot, DiskAPI.BPB.FAT32_SECS, layout.cFATSectors, 4);
+        this.buildValue(abBoot, DiskAPI.BPB.ROOT_CLUSTER, DiskAPI.FAT32.CLUSNUM_MIN, 4);
+        this.buildValue(abBoot, DiskAPI.BPB.FSINFO_SEC, 1, 2);
+        this.buildValue(abBoot, DiskAPI.BPB.BACKUP_SEC, 6, 2);
+        offEBPB = DiskAPI.EBPB.OFFSET_FAT32;
+    }
+    abBoot[offEBPB + DiskAPI.EBPB.DRIVE_NUM] = 0x80;
+    abBoot[offEBPB + DiskAPI.EBPB.EXT_SIG] = DiskAPI.EBPB.SIGNATURE;
+    this.buildValue(abBoot, offEBPB + DiskAPI.EBPB.VOL_ID, this.buildDateTime(new Date()) + lbaVolume, 4);
+    let abLabel = [];
+    this.buildDirEntry(abLabel, 0, sLabel, 0, DiskAPI.ATTR.LABEL, null, 0);
+    let sType = "FAT" + nFATBits + "   ";
+    for (let i = 0; i < 11; i++) {
+        abBoot[offEBPB + DiskAPI.EBPB.VOL_LABEL + i] = abLabel[i];
+        if (i < 8) abBoot[offEBPB + DiskAPI.EBPB.FS_TYPE + i] = sType.charCodeAt(i);
+    }
+    abBoot[DiskAPI.BOOT.SIG_OFFSET] = DiskAPI.BOOT.SIGNATURE & 0xff;
+    abBoot[DiskAPI.BOOT.SIG_OFFSET + 1] = (DiskAPI.BOOT.SIGNATURE >> 8) & 0xff;
+    this.copyData(offVolume, abBoot);
+
+    if (nFATBits == 32) {
+        let abInfo = this.buildData(cbSector);
+        this.buildValue(abInfo, DiskAPI.FSINFO.LEAD_SIG, DiskAPI.FSINFO.LEAD_SIGNATURE, 4);
+        this.buildValue(abInfo, DiskAPI.FSINFO.STRUC_SIG, DiskAPI.FSINFO.STRUC_SIGNATURE, 4);
+        this.buildValue(abInfo, DiskAPI.FSINFO.FREE_COUNT, layout.cClusters - cClusters, 4);
+        this.buildValue(abInfo, DiskAPI.FSINFO.NEXT_FREE, DiskAPI.FAT32.CLUSNUM_MIN + cClusters, 4);
+        abInfo[DiskAPI.BOOT.SIG_OFFSET] = DiskAPI.BOOT.SIGNATURE & 0xff;
+        abInfo[DiskAPI.BOOT.SIG_OFFSET + 1] = (DiskAPI.BOOT.SIGNATURE >> 8) & 0xff;
+        this.copyData(offVolume + cbSector, abInfo);
+        this.copyData(offVolume + 6 * cbSector, abBoot);
+        this.copyData(offVolume + 7 * cbSector, abInfo);
+    }
+
+    /*
+     * Build the FAT, starting with the media ID and end-of-chain entries, followed by the root directory's clusters
+     * (FAT32 only), and then the clusters of every file and subdirectory, in the order that buildClusters() writes them.
+     */
+    let abFAT = [];
+    let iClusterEOC = (nFATBits == 32? 0x0FFFFFFF : (1 << nFATBits) - 1);
+    this.buildFATEntry(abFAT, 0, (iClusterEOC & ~0xFF) | DiskAPI.FAT.MEDIA_FIXED);
+    this.buildFATEntry(abFAT, 1, iClusterEOC);
+    let iCluster = DiskAPI.FAT32.CLUSNUM_MIN;
+    for (let i = 1; i <= cRootClusters; i++, iCluster++) {
+        this.buildFATEntry(abFAT, iCluster, i < cRootClusters? iCluster + 1 : iClusterEOC);
+    }
+    this.buildFAT(abFAT, aFiles, iCluster, cbCluster);
+
+    let offDisk = offVolume + layout.cReservedSectors * cbSector;
+    let abSector = this.buildData(layout.cFATSectors * cbSector, abFAT);
+    offDisk += this.copyData(offDisk, abSector);
+    offDisk += this.copyData(offDisk, abSector);
+
+    let abRoot = [];
+    this.buildDir(abRoot, aFiles);
+    abSector = this.buildData(layout.cRootEntries? layout.cRootSectors * cbSector : cRootClusters * cbCluster, abRoot);
+    offDisk += this.copyData(offDisk, abSector);
+
+    this.buildClusters(aFiles, offDisk, cbCluster, 0, 0, done);
+    return null;
+};
+
 /**
  * buildImageFromFiles(aFiles)
  *
@@ -2582,6 +3223,15 @@ DiskDump.prototype.buildImageFromFiles = function(aFiles, done)
         return false;
     }
 
+    /*
+     * None of our default BPBs describe a drive larger than the 10Mb PC XT drive, so larger targets get a partitioned
+     * hard disk image instead.
+     */
+    if (this.kbTarget > DiskDump.KB_XT_DRIVE) {
+        return this.buildDriveImage([aFiles], done);
+    }
+    this.nFATBits = 12;
+
     /*
      * Put reasonable upper limits on both individual file sizes and the total size of all files.
      */
@@ -2828,138 +3478,829 @@ DiskDump.prototype.readSuppData = function()
 };
 
 /**
- * convertToJSON()
+ * getPartitions()
  *
- * Converts the disk image data to JSON.
+ * Returns an array of the FAT partitions described by the MBR of bufDisk, in order, including any logical drives
+ * in the chain of Extended Boot Records (EBRs) inside an extended partition.  Each entry contains bType, fActive,
+ * fLogical, pbaFirst and nSectors.  The LBAs of the MBR's entries are absolute; within an EBR, the LBA of the logical
+ * drive is relative to the EBR, and the LBA of the next EBR is relative to the start of the extended partition.
  *
  * @this {DiskDump}
- * @return {string|null} containing a JSON representation of the disk image, or null if unrecognized/malformed
+ * @return {Array.<Object>}
  */
-DiskDump.prototype.convertToJSON = function()
+DiskDump.prototype.getPartitions = function()
 {
-    if (this.jsonDisk) {
-        return this.jsonDisk;
+    let aPartitions = [];
+    let buf = this.bufDisk, cbSector = 512;
+    let cSectorsDisk = (buf.length / cbSector) | 0;
+    let TYPE = DiskAPI.MBR.PARTITIONS.TYPE;
+    let aFATTypes = [TYPE.FAT12_PRIMARY, TYPE.FAT16_PRIMARY, TYPE.FAT16_BIGDOS, TYPE.FAT32, TYPE.FAT32_LBA, TYPE.FAT16_LBA];
+
+    let readEntry = function(pbaTable, iEntry) {
+        let off = pbaTable * cbSector + DiskAPI.MBR.PARTITIONS.OFFSET + iEntry * DiskAPI.MBR.PARTITIONS.ENTRY_LENGTH;
+        let bStatus = buf.readUInt8(off + DiskAPI.MBR.PARTITIONS.ENTRY.STATUS);
+        return {
+            bType:      buf.readUInt8(off + DiskAPI.MBR.PARTITIONS.ENTRY.TYPE),
+            fActive:    bStatus == DiskAPI.MBR.PARTITIONS.STATUS.ACTIVE,
+            fValid:     !(bStatus & ~DiskAPI.MBR.PARTITIONS.STATUS.ACTIVE),
+            lbaFirst:   buf.readUInt32LE(off + DiskAPI.MBR.PARTITIONS.ENTRY.LBA_FIRST),
+            nSectors:   buf.readUInt32LE(off + DiskAPI.MBR.PARTITIONS.ENTRY.LBA_TOTAL)
+        };
+    };
+    let isSigned = function(pbaTable) {
+        return pbaTable < cSectorsDisk && buf.readUInt16LE(pbaTable * cbSector + DiskAPI.MBR.SIG_OFFSET) == DiskAPI.MBR.SIGNATURE;
+    };
+    let isExtended = function(entry) {
+        return entry.bType == TYPE.EXTENDED || entry.bType == TYPE.EXTENDED_LBA;
+    };
+
+    if (!isSigned(0)) return aPartitions;
+
+    let pbaExtended = 0, iEntry, entry;
+    for (iEntry = 0; iEntry < 4; iEntry++) {
+        entry = readEntry(0, iEntry);
+        if (!entry.fValid) return [];
+        if (!entry.lbaFirst || entry.lbaFirst >= cSectorsDisk) continue;
+        if (isExtended(entry)) {
+            if (!pbaExtended) pbaExtended = entry.lbaFirst;
+        } else if (aFATTypes.indexOf(entry.bType) >= 0) {
+            aPartitions.push({bType: entry.bType, fActive: entry.fActive, fLogical: false, pbaFirst: entry.lbaFirst, nSectors: entry.nSectors});
+        }
     }
 
     /*
-     * TODO: Decide if we want to retain this usage info:
+     * We limit the number of EBRs we'll follow, in case a damaged (or malicious) image contains a loop.
      */
-    if (!this.bufDisk) {
-        // DiskDump.logConsole("no data available in disk image");
-        // this.jsonDisk = "[ /* no data */ ]";
-        this.jsonDisk = "[\n  /**\n   * " + DiskDump.sNotice + "\n   * " + DiskDump.sUsage + "\n   */\n]";
-        return this.jsonDisk;
+    let pbaEBR = pbaExtended, cEBRs = 0;
+    while (pbaEBR && isSigned(pbaEBR) && cEBRs++ < 64) {
+        entry = readEntry(pbaEBR, 0);
+        if (entry.lbaFirst && aFATTypes.indexOf(entry.bType) >= 0 && pbaEBR + entry.lbaFirst < cSectorsDisk) {
+            aPartitions.push({bType: entry.bType, fActive: false, fLogical: true, pbaFirst: pbaEBR + entry.lbaFirst, nSectors: entry.nSectors});
+        }
+        entry = readEntry(pbaEBR, 1);
+        pbaEBR = (isExtended(entry) && entry.lbaFirst? pbaExtended + entry.lbaFirst : 0);
     }
+    return aPartitions;
+};
+
+/**
+ * getVolume(pbaVolume)
+ *
+ * Returns an object describing the FAT volume whose boot sector is at pbaVolume, using the same properties as
+ * the getVolumeInfo() function in the PCx86 Disk component (plus iRootCluster for FAT32 volumes), or null if the
+ * sector doesn't contain a plausible BPB.
+ *
+ * @this {DiskDump}
+ * @param {number} pbaVolume
+ * @return {Object|null}
+ */
+DiskDump.prototype.getVolume = function(pbaVolume)
+{
+    let buf = this.bufDisk;
+    let off = pbaVolume * 512;
+    if (off + 512 > buf.length) return null;
+
+    let bOpcode = buf.readUInt8(off + DiskAPI.BOOT.JMP_OPCODE);
+    if (bOpcode != X86.OPCODE.JMP && bOpcode != X86.OPCODE.JMPS) return null;
+
+    let dir = {pbaVolume: pbaVolume};
+    dir.cbSector = buf.readUInt16LE(off + DiskAPI.BPB.SECTOR_BYTES);
+    dir.nClusterSecs = buf.readUInt8(off + DiskAPI.BPB.CLUSTER_SECS);
+    dir.lbaFAT = buf.readUInt16LE(off + DiskAPI.BPB.RESERVED_SECS);
+    dir.nFATs = buf.readUInt8(off + DiskAPI.BPB.TOTAL_FATS);
+    dir.nEntries = buf.readUInt16LE(off + DiskAPI.BPB.ROOT_DIRENTS);
+    dir.lbaTotal = buf.readUInt16LE(off + DiskAPI.BPB.TOTAL_SECS) || buf.readUInt32LE(off + DiskAPI.BPB.LARGE_SECS);
+    dir.nFATSecs = buf.readUInt16LE(off + DiskAPI.BPB.FAT_SECS) || buf.readUInt32LE(off + DiskAPI.BPB.FAT32_SECS);
+
+    if (dir.cbSector < 128 || dir.cbSector > 4096 || (dir.cbSector & (dir.cbSector - 1))) return null;
+    if (!dir.nClusterSecs || (dir.nClusterSecs & (dir.nClusterSecs - 1))) return null;
+    if (!dir.lbaFAT || !dir.nFATs || !dir.nFATSecs || !dir.lbaTotal) return null;
 
     /*
-     * Save the original disk hash (ie, before we insert a missing BPB or modify an existing one)
+     * BPB values are in units of cbSector, which we convert to 512-byte units, since that's what all our PBAs are.
      */
-    let buf = this.bufDisk.buf || this.bufDisk;
-    this.hashDisk = crypto.createHash('md5').update(buf).digest('hex');
+    let nScale = dir.cbSector / 512;
+    dir.lbaRoot = dir.lbaFAT + dir.nFATs * dir.nFATSecs;
+    dir.lbaData = dir.lbaRoot + (((dir.nEntries * DiskAPI.DIRENT.LENGTH + (dir.cbSector - 1)) / dir.cbSector) | 0);
+    if (dir.lbaData >= dir.lbaTotal) return null;
+    dir.nClusters = (((dir.lbaTotal - dir.lbaData) / dir.nClusterSecs) | 0);
 
     /*
-     * Originally, all we dealt with here were basically IMG files, but now we want to support PSI files, too.
+     * As always, the FAT type is determined solely by the number of clusters.
      */
-    let sExt = path.extname(this.sDiskPath).toLowerCase();
-    if (sExt == ".psi") {
-        return this.convertPSItoJSON();
+    dir.nFATBits = (dir.nClusters <= DiskAPI.FAT12.MAX_CLUSTERS? 12 : (dir.nClusters <= DiskAPI.FAT16.MAX_CLUSTERS? 16 : 32));
+    dir.iClusterMax = (dir.nFATBits == 12? DiskAPI.FAT12.CLUSNUM_MAX : (dir.nFATBits == 16? DiskAPI.FAT16.CLUSNUM_MAX : DiskAPI.FAT32.CLUSNUM_MAX));
+    dir.iRootCluster = (dir.nFATBits == 32? buf.readUInt32LE(off + DiskAPI.BPB.ROOT_CLUSTER) : 0);
+    dir.lbaFSInfo = (dir.nFATBits == 32? buf.readUInt16LE(off + DiskAPI.BPB.FSINFO_SEC) : 0);
+    dir.nScale = nScale;
+    return dir;
+};
+
+/**
+ * getVolumes()
+ *
+ * Returns an array of all the FAT volumes in bufDisk: either the single volume of an unpartitioned disk, or the
+ * volumes of every FAT partition (see getPartitions()).
+ *
+ * @this {DiskDump}
+ * @return {Array.<Object>}
+ */
+DiskDump.prototype.getVolumes = function()
+{
+    let aVolumes = [];
+    if (!this.bufDisk) return aVolumes;
+    let dir = this.getVolume(0);
+    if (dir) {
+        aVolumes.push(dir);
+    } else {
+        let aPartitions = this.getPartitions();
+        for (let i = 0; i < aPartitions.length; i++) {
+            dir = this.getVolume(aPartitions[i].pbaFirst);
+            if (dir) {
+                dir.partition = aPartitions[i];
+                aVolumes.push(dir);
+            }
+        }
     }
+    return aVolumes;
+};
 
-    let suppData = this.readSuppData();
+/**
+ * getClusterEntry(dir, iCluster)
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster
+ * @return {number} the value of the (first) FAT entry for the cluster
+ */
+DiskDump.prototype.getClusterEntry = function(dir, iCluster)
+{
+    let off = (dir.pbaVolume + dir.lbaFAT * dir.nScale) * 512 + ((iCluster * dir.nFATBits) >> 3);
+    if (off + 4 > this.bufDisk.length) return 0;
+    if (dir.nFATBits == 12) {
+        let w = this.bufDisk.readUInt16LE(off);
+        return (iCluster & 1)? (w >> 4) : (w & 0xfff);
+    }
+    if (dir.nFATBits == 16) {
+        return this.bufDisk.readUInt16LE(off);
+    }
+    return this.bufDisk.readUInt32LE(off) & 0x0FFFFFFF;
+};
 
-    let json = null;
-    let fOptimize = !this.fJSONComments;    // if true, leave out any properties that are defaults
-    try {
-        let nHeads = 0;
-        let nCylinders = 0;
-        let nSectorsPerTrack = 0;
-        let aTracks = [];                   // track array (used only for disk images with track tables)
-        let iTrack, cbTrack, offTrack, bufTrack, offSector, bufSector;
-        let cbSector = 512;                 // default sector size
-        let bMediaID = 0;
-        let offBootSector = 0;
-        let cbDiskData = this.bufDisk.length, cbPartition = cbDiskData;
+/**
+ * getClusterChain(dir, iCluster)
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster
+ * @return {Array.<number>} of the clusters in the chain that starts with iCluster
+ */
+DiskDump.prototype.getClusterChain = function(dir, iCluster)
+{
+    let aClusters = [];
+    while (iCluster >= DiskAPI.FAT12.CLUSNUM_MIN && iCluster <= dir.iClusterMax && aClusters.length < dir.nClusters) {
+        aClusters.push(iCluster);
+        iCluster = this.getClusterEntry(dir, iCluster);
+    }
+    return aClusters;
+};
 
-        if (cbDiskData >= 3000000) {        // arbitrary threshold between diskette image sizes and hard drive image sizes
-            let wSig = this.bufDisk.readUInt16LE(DiskAPI.BOOT.SIG_OFFSET);
-            if (wSig == DiskAPI.BOOT.SIGNATURE) {
-                /*
-                 * In this case, the first sector should be an MBR; find the active partition entry,
-                 * then read the LBA of the first partition sector to calculate the boot sector offset.
-                 */
-                for (let offEntry = 0x1BE; offEntry <= 0x1EE; offEntry += 0x10) {
-                    if (this.bufDisk.readUInt8(offEntry) >= 0x80) {
-                        offBootSector = this.bufDisk.readUInt32LE(offEntry + 0x08) * cbSector;
-                        cbPartition = this.bufDisk.readUInt32LE(offEntry + 0x0C) * cbSector;
-                        break;
-                    }
-                }
+/**
+ * getClusterOffset(dir, iCluster)
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster
+ * @return {number} offset of the cluster within bufDisk
+ */
+DiskDump.prototype.getClusterOffset = function(dir, iCluster)
+{
+    return (dir.pbaVolume + (dir.lbaData + (iCluster - DiskAPI.FAT12.CLUSNUM_MIN) * dir.nClusterSecs) * dir.nScale) * 512;
+};
+
+/**
+ * getVolumeSegments(dir, iCluster)
+ *
+ * Returns the locations within bufDisk of the data stored in the cluster chain that starts with iCluster; a zero
+ * cluster refers to the root directory, which is a single fixed segment in FAT12 and FAT16 volumes.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster
+ * @return {Array.<Array.<number>>} of [offset, length] pairs
+ */
+DiskDump.prototype.getVolumeSegments = function(dir, iCluster)
+{
+    let aSegments = [];
+    if (!iCluster && dir.nFATBits < 32) {
+        aSegments.push([(dir.pbaVolume + dir.lbaRoot * dir.nScale) * 512, (dir.lbaData - dir.lbaRoot) * dir.cbSector]);
+    } else {
+        let aClusters = this.getClusterChain(dir, iCluster || dir.iRootCluster);
+        for (let i = 0; i < aClusters.length; i++) {
+            aSegments.push([this.getClusterOffset(dir, aClusters[i]), dir.nClusterSecs * dir.cbSector]);
+        }
+    }
+    return aSegments;
+};
+
+/**
+ * readVolumeData(dir, iCluster, cb)
+ *
+ * Returns the data stored in the cluster chain that starts with iCluster (see getVolumeSegments()), truncated to
+ * cb bytes, if specified.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster
+ * @param {number} [cb]
+ * @return {Buffer}
+ */
+DiskDump.prototype.readVolumeData = function(dir, iCluster, cb)
+{
+    let buf = this.bufDisk.buf || this.bufDisk;
+    let aBuffers = this.getVolumeSegments(dir, iCluster).map(function(segment) {
+        return buf.slice(segment[0], segment[0] + segment[1]);
+    });
+    let bufData = Buffer.concat(aBuffers);
+    return (cb !== undefined && cb < bufData.length? bufData.slice(0, cb) : bufData);
+};
+
+/**
+ * getDirEntries(dir, iCluster)
+ *
+ * Returns an object for every entry in the specified directory, other than deleted entries and long filename
+ * entries; each object contains the entry's offset within bufDisk (off), along with sName, bAttr, iCluster, cbSize
+ * and dateMod.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster (zero for the root directory)
+ * @return {Array.<Object>}
+ */
+DiskDump.prototype.getDirEntries = function(dir, iCluster)
+{
+    let aEntries = [];
+    let buf = this.bufDisk.buf || this.bufDisk;
+    let aSegments = this.getVolumeSegments(dir, iCluster);
+    for (let iSegment = 0; iSegment < aSegments.length; iSegment++) {
+        let offEnd = aSegments[iSegment][0] + aSegments[iSegment][1];
+        for (let off = aSegments[iSegment][0]; off + DiskAPI.DIRENT.LENGTH <= offEnd; off += DiskAPI.DIRENT.LENGTH) {
+            let b = buf.readUInt8(off + DiskAPI.DIRENT.NAME);
+            if (b == DiskAPI.DIRENT.UNUSED) return aEntries;
+            let bAttr = buf.readUInt8(off + DiskAPI.DIRENT.ATTR);
+            if (b == DiskAPI.DIRENT.INVALID || bAttr == DiskAPI.ATTR.LFN) continue;
+            let sName = buf.toString("latin1", off + DiskAPI.DIRENT.NAME, off + DiskAPI.DIRENT.NAME + 8).trim();
+            let sExt = buf.toString("latin1", off + DiskAPI.DIRENT.EXT, off + DiskAPI.DIRENT.EXT + 3).trim();
+            if (b == 0x05) sName = String.fromCharCode(DiskAPI.DIRENT.INVALID) + sName.substr(1);
+            let iFileCluster = buf.readUInt16LE(off + DiskAPI.DIRENT.CLUSTER);
+            if (dir.nFATBits == 32) iFileCluster |= buf.readUInt16LE(off + DiskAPI.DIRENT.CLUSTER_HI) << 16;
+            let wTime = buf.readUInt16LE(off + DiskAPI.DIRENT.MODTIME);
+            let wDate = buf.readUInt16LE(off + DiskAPI.DIRENT.MODDATE);
+            aEntries.push({
+                off:        off,
+                sName:      (bAttr & DiskAPI.ATTR.LABEL)? sName + sExt : sName + (sExt? '.' + sExt : ""),
+                bAttr:      bAttr,
+                iCluster:   iFileCluster,
+                cbSize:     buf.readUInt32LE(off + DiskAPI.DIRENT.SIZE),
+                dateMod:    new Date((wDate >> 9) + 1980, ((wDate >> 5) & 0xf) - 1, wDate & 0x1f, wTime >> 11, (wTime >> 5) & 0x3f, (wTime & 0x1f) * 2)
+            });
+        }
+    }
+    return aEntries;
+};
+
+/**
+ * readVolumeDir(dir, iCluster, sDir, aFiles, iLevel)
+ *
+ * Adds a FileInfo object to aFiles for every file and subdirectory in the specified directory (and all its
+ * subdirectories), using sDir as the base for each FILE_PATH.  Subdirectories are recorded with a FILE_SIZE of -1,
+ * and if we're building a manifest, the MD5 of every file is recorded as well.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster (zero for the root directory)
+ * @param {string} sDir
+ * @param {Array.<FileInfo>} aFiles
+ * @param {number} [iLevel]
+ */
+DiskDump.prototype.readVolumeDir = function(dir, iCluster, sDir, aFiles, iLevel)
+{
+    iLevel = iLevel || 0;
+    if (iLevel > 16) return;
+    let aEntries = this.getDirEntries(dir, iCluster);
+    for (let i = 0; i < aEntries.length; i++) {
+        let entry = aEntries[i];
+        if ((entry.bAttr & DiskAPI.ATTR.LABEL) || entry.sName == "." || entry.sName == "..") continue;
+
+        /** @type {FileInfo} */
+        let fileInfo = {};
+        fileInfo.FILE_NAME = entry.sName;
+        fileInfo.FILE_PATH = sDir + entry.sName;
+        fileInfo.FILE_ATTR = entry.bAttr;
+        fileInfo.FILE_TIME = entry.dateMod;
+        fileInfo.FILE_CLUS = entry.iCluster;
+        if (entry.bAttr & DiskAPI.ATTR.SUBDIR) {
+            fileInfo.FILE_SIZE = -1;
+            aFiles.push(fileInfo);
+            if (entry.iCluster) this.readVolumeDir(dir, entry.iCluster, fileInfo.FILE_PATH + path.sep, aFiles, iLevel + 1);
+        } else {
+            fileInfo.FILE_SIZE = entry.cbSize;
+            if (this.sManifestFile) {
+                let bufData = entry.iCluster? this.readVolumeData(dir, entry.iCluster, entry.cbSize) : Buffer.alloc(0);
+                fileInfo.FILE_MD5 = crypto.createHash('md5').update(bufData).digest('hex');
             }
-            /*
-             * If we failed to find an active entry, we'll fall into the BPB detection code, which
-             * should fail if the first sector really was an MBR.  Otherwise, the BPB should give us
-             * the geometry info we need to dump the entire disk image, including the MBR and any
-             * other reserved sectors.
-             */
+            aFiles.push(fileInfo);
         }
+    }
+};
 
-        let bByte0 = this.bufDisk.readUInt8(offBootSector + DiskAPI.BOOT.JMP_OPCODE);
-        let bByte1 = this.bufDisk.readUInt8(offBootSector + DiskAPI.BOOT.JMP_OPCODE + 1);
-        let cbSectorBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.SECTOR_BYTES);
+/**
+ * findVolumeEntry(dir, sPath)
+ *
+ * Returns the directory entry (see getDirEntries()) for the given path (eg, "\DOS\COMMAND.COM"), or null if not found;
+ * an empty path (or "\") returns a pseudo-entry for the root directory, whose offset is -1.  The entry is also given an
+ * iParent property, containing the first cluster of the directory containing the entry.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {string} sPath
+ * @return {Object|null}
+ */
+DiskDump.prototype.findVolumeEntry = function(dir, sPath)
+{
+    let entry = {off: -1, sName: "", bAttr: DiskAPI.ATTR.SUBDIR, iCluster: 0, cbSize: 0, dateMod: null};
+    let iParent = 0;
+    let asNames = sPath.toUpperCase().split(/[\\/]+/);
+    for (let i = 0; i < asNames.length; i++) {
+        let sName = asNames[i];
+        if (!sName) continue;
+        if (!(entry.bAttr & DiskAPI.ATTR.SUBDIR)) return null;
+        let aEntries = this.getDirEntries(dir, entry.iCluster);
+        let entryNext = null;
+        for (let j = 0; j < aEntries.length; j++) {
+            if (aEntries[j].sName == sName && !(aEntries[j].bAttr & DiskAPI.ATTR.LABEL)) {
+                entryNext = aEntries[j];
+                break;
+            }
+        }
+        if (!entryNext) return null;
+        iParent = entry.iCluster;
+        entry = entryNext;
+    }
+    entry.iParent = iParent;
+    return entry;
+};
+
+/**
+ * getVolumeLabel(dir)
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @return {string} the volume label from the root directory, if any
+ */
+DiskDump.prototype.getVolumeLabel = function(dir)
+{
+    let aEntries = this.getDirEntries(dir, 0);
+    for (let i = 0; i < aEntries.length; i++) {
+        if (aEntries[i].bAttr & DiskAPI.ATTR.LABEL) return aEntries[i].sName;
+    }
+    return "";
+};
+
+/**
+ * getFreeClusters(dir)
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @return {number} of free clusters in the volume
+ */
+DiskDump.prototype.getFreeClusters = function(dir)
+{
+    let cFree = 0;
+    for (let iCluster = DiskAPI.FAT12.CLUSNUM_MIN; iCluster < dir.nClusters + DiskAPI.FAT12.CLUSNUM_MIN; iCluster++) {
+        if (this.getClusterEntry(dir, iCluster) == DiskAPI.FAT12.CLUSNUM_FREE) cFree++;
+    }
+    return cFree;
+};
 
+/**
+ * setClusterEntry(dir, iCluster, v)
+ *
+ * Updates the FAT entry for the cluster in every copy of the FAT.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster
+ * @param {number} v
+ */
+DiskDump.prototype.setClusterEntry = function(dir, iCluster, v)
+{
+    let buf = this.bufDisk.buf || this.bufDisk;
+    for (let iFAT = 0; iFAT < dir.nFATs; iFAT++) {
+        let off = (dir.pbaVolume + (dir.lbaFAT + iFAT * dir.nFATSecs) * dir.nScale) * 512 + ((iCluster * dir.nFATBits) >> 3);
+        if (dir.nFATBits == 12) {
+            let w = buf.readUInt16LE(off);
+            w = (iCluster & 1)? ((w & 0x000F) | (v << 4)) : ((w & 0xF000) | v);
+            buf.writeUInt16LE(w & 0xffff, off);
+        } else if (dir.nFATBits == 16) {
+            buf.writeUInt16LE(v, off);
+        } else {
+            /*
+             * The upper 4 bits of a FAT32 entry are reserved, so we must preserve them.
+             */
+            buf.writeUInt32LE(((buf.readUInt32LE(off) & 0xF0000000) | v) >>> 0, off);
+        }
+    }
+    if (dir.lbaFSInfo) {
         /*
-         * These checks are not only necessary for DOS 1.x diskette images (and other pre-BPB images),
-         * but also non-DOS diskette images (eg, CPM-86 diskettes).
-         *
-         * And we must perform these tests BEFORE checking for a BPB, because we want the PHYSICAL geometry
-         * of the disk, whereas any values in the BPB may only be LOGICAL. For example, DOS may only be using
-         * 8 sectors per track on diskette that's actually formatted with 9 sectors per track.
-         *
-         * Checking these common sizes insures we get the proper physical geometry for common disk formats,
-         * but at some point, we'll need to perform more general calculations to properly deal with ANY disk
-         * image whose logical format doesn't agree with its physical structure.
+         * Rather than maintain the free cluster count and next free cluster hints in the FSINFO sector, we mark
+         * them unknown (0xFFFFFFFF), which tells the operating system to recalculate them.
          */
-        let fXDFOutput = false;
-        let diskFormat = DiskAPI.GEOMETRIES[cbDiskData];
-        if (diskFormat) {
-            nCylinders = diskFormat[0];
-            nHeads = diskFormat[1];
-            nSectorsPerTrack = diskFormat[2];
-            cbSector = diskFormat[3] || cbSector;
-            bMediaID = diskFormat[4] || bMediaID;
+        let off = (dir.pbaVolume + dir.lbaFSInfo * dir.nScale) * 512;
+        if (buf.readUInt32LE(off + DiskAPI.FSINFO.LEAD_SIG) == DiskAPI.FSINFO.LEAD_SIGNATURE) {
+            buf.writeUInt32LE(0xFFFFFFFF, off + DiskAPI.FSINFO.FREE_COUNT);
+            buf.writeUInt32LE(0xFFFFFFFF, off + DiskAPI.FSINFO.NEXT_FREE);
         }
+    }
+};
 
-        /*
-         * I used to do these BPB tests only if diskFormat was undefined, but now I always do them, because I
-         * want to make sure they're in agreement (and if not, then figure out why not).
-         *
-         * See if the first sector of the image contains a valid DOS BPB.  That begs the question: what IS a valid
-         * DOS BPB?  For starters, the first word (at offset 0x0B) is invariably 0x0200, indicating a 512-byte sector
-         * size.  I also check the first byte for an Intel JMP opcode (0xEB is JMP with a 1-byte displacement, and
-         * 0xE9 is JMP with a 2-byte displacement).  What else?
-         */
-        let fBPBExists = false, bMediaIDBPB = 0;
+/**
+ * allocClusters(dir, cClusters)
+ *
+ * Allocates the requested number of free clusters and links them into a chain, zeroing their contents.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} cClusters
+ * @return {Array.<number>|null} of the clusters allocated, or null if there aren't enough free clusters
+ */
+DiskDump.prototype.allocClusters = function(dir, cClusters)
+{
+    let aClusters = [];
+    let iClusterLimit = Math.min(dir.nClusters + DiskAPI.FAT12.CLUSNUM_MIN - 1, dir.iClusterMax);
+    for (let iCluster = DiskAPI.FAT12.CLUSNUM_MIN; iCluster <= iClusterLimit && aClusters.length < cClusters; iCluster++) {
+        if (this.getClusterEntry(dir, iCluster) == DiskAPI.FAT12.CLUSNUM_FREE) aClusters.push(iCluster);
+    }
+    if (aClusters.length < cClusters) return null;
+    let iClusterEOC = (dir.nFATBits == 32? 0x0FFFFFFF : (1 << dir.nFATBits) - 1);
+    let buf = this.bufDisk.buf || this.bufDisk;
+    let cbCluster = dir.nClusterSecs * dir.cbSector;
+    for (let i = 0; i < aClusters.length; i++) {
+        this.setClusterEntry(dir, aClusters[i], i < aClusters.length - 1? aClusters[i + 1] : iClusterEOC);
+        let off = this.getClusterOffset(dir, aClusters[i]);
+        buf.fill(0, off, off + cbCluster);
+    }
+    return aClusters;
+};
 
-        if ((bByte0 == X86.OPCODE.JMP || bByte0 == X86.OPCODE.JMPS) && cbSectorBPB == cbSector) {
+/**
+ * freeClusters(dir, iCluster)
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster (the first cluster of the chain to free)
+ */
+DiskDump.prototype.freeClusters = function(dir, iCluster)
+{
+    let aClusters = this.getClusterChain(dir, iCluster);
+    for (let i = 0; i < aClusters.length; i++) {
+        this.setClusterEntry(dir, aClusters[i], DiskAPI.FAT12.CLUSNUM_FREE);
+    }
+};
 
-            let nHeadsBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.TOTAL_HEADS);
-            let nSectorsPerTrackBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.TRACK_SECS);
+/**
+ * findDirSlot(dir, iCluster)
+ *
+ * Returns the offset of the first available entry in the specified directory, adding a cluster to the directory if
+ * necessary (and possible, which it isn't for the root directory of a FAT12 or FAT16 volume).
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iCluster (zero for the root directory)
+ * @return {number} offset of the entry within bufDisk, or -1 if the directory is full
+ */
+DiskDump.prototype.findDirSlot = function(dir, iCluster)
+{
+    let buf = this.bufDisk.buf || this.bufDisk;
+    let aSegments = this.getVolumeSegments(dir, iCluster);
+    for (let iSegment = 0; iSegment < aSegments.length; iSegment++) {
+        let offEnd = aSegments[iSegment][0] + aSegments[iSegment][1];
+        for (let off = aSegments[iSegment][0]; off + DiskAPI.DIRENT.LENGTH <= offEnd; off += DiskAPI.DIRENT.LENGTH) {
+            let b = buf.readUInt8(off + DiskAPI.DIRENT.NAME);
+            if (b == DiskAPI.DIRENT.UNUSED || b == DiskAPI.DIRENT.INVALID) return off;
+        }
+    }
+    if (!iCluster && dir.nFATBits < 32) return -1;
+    let aClusters = this.allocClusters(dir, 1);
+    if (!aClusters) return -1;
+    let aChain = this.getClusterChain(dir, iCluster || dir.iRootCluster);
+    this.setClusterEntry(dir, aChain[aChain.length - 1], aClusters[0]);
+    return this.getClusterOffset(dir, aClusters[0]);
+};
 
-            if (nHeadsBPB && nSectorsPerTrackBPB) {
+/**
+ * addVolumeFile(dir, sFile, sFolder, fReplace)
+ *
+ * Copies a host file into the specified folder of the volume, using its "8.3" name (see buildShortName()) and its
+ * modification time.  A replaced file keeps its directory entry (and therefore its attributes).
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {string} sFile
+ * @param {string} sFolder (eg, "\" or "\DOS")
+ * @param {boolean} [fReplace] (true to replace an existing file, false to add a new file)
+ * @return {Error|null}
+ */
+DiskDump.prototype.addVolumeFile = function(dir, sFile, sFolder, fReplace)
+{
+    let stats, bufData;
+    try {
+        stats = fs.statSync(sFile);
+        if (stats.isFile()) bufData = fs.readFileSync(sFile);
+    } catch(err) {
+        return err;
+    }
+    if (!bufData) return new Error(sFile + " is not a file");
 
-                fBPBExists = true;
-                bMediaIDBPB = this.bufDisk.readUInt8(offBootSector + DiskAPI.BPB.MEDIA_ID);
+    let folder = this.findVolumeEntry(dir, sFolder);
+    if (!folder || !(folder.bAttr & DiskAPI.ATTR.SUBDIR)) return new Error("folder " + sFolder + " not found");
 
-                let nSectorsTotalBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.TOTAL_SECS);
-                let nSectorsPerCylinderBPB = nSectorsPerTrackBPB * nHeadsBPB;
-                let nSectorsHiddenBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.HIDDEN_SECS);
-                let nCylindersBPB = (nSectorsHiddenBPB + nSectorsTotalBPB) / nSectorsPerCylinderBPB;
+    let sName = this.buildShortName(path.basename(sFile));
+    let entry = null;
+    let aEntries = this.getDirEntries(dir, folder.iCluster);
+    for (let i = 0; i < aEntries.length; i++) {
+        if (aEntries[i].sName == sName && !(aEntries[i].bAttr & DiskAPI.ATTR.LABEL)) {
+            entry = aEntries[i];
+            break;
+        }
+    }
+    if (entry && !fReplace) return new Error(sName + " already exists");
+    if (!entry && fReplace) return new Error(sName + " not found");
+    if (entry && (entry.bAttr & DiskAPI.ATTR.SUBDIR)) return new Error(sName + " is a folder");
+
+    let cbCluster = dir.nClusterSecs * dir.cbSector;
+    let cClusters = Math.ceil(bufData.length / cbCluster);
+    if (entry) this.freeClusters(dir, entry.iCluster);
+    let off = (entry? entry.off : this.findDirSlot(dir, folder.iCluster));
+    if (off < 0) return new Error("no room in folder " + sFolder + " for " + sName);
+    let aClusters = (cClusters? this.allocClusters(dir, cClusters) : []);
+    if (!aClusters) return new Error("not enough free space for " + sName + " (" + bufData.length + " bytes)");
 
-                if (diskFormat) {
-                    if (bMediaID && bMediaID != bMediaIDBPB) {
-                        DiskDump.logWarning("BPB media ID (" + str.toHexByte(bMediaIDBPB) + ") does not match physical media ID (" + str.toHexByte(bMediaID) + ")");
-                    }
-                    if (nCylinders != nCylindersBPB) {
+    let buf = this.bufDisk.buf || this.bufDisk;
+    for (let i = 0; i < aClusters.length; i++) {
+        bufData.copy(buf, this.getClusterOffset(dir, aClusters[i]), i * cbCluster, Math.min((i + 1) * cbCluster, bufData.length));
+    }
+    let dateMod = this.getDSTAdjustedTime(stats.mtime);
+    this.validateTime(dateMod);
+    let ab = [];
+    this.buildDirEntry(ab, 0, sName, bufData.length, entry? entry.bAttr : (this.sLabel == "none"? 0 : DiskAPI.ATTR.ARCHIVE), dateMod, aClusters[0] || 0);
+    Buffer.from(ab).copy(buf, off);
+    return null;
+};
+
+/**
+ * deleteVolumeEntry(dir, entry)
+ *
+ * Deletes a file (or a folder and all its contents), freeing all its clusters.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {Object} entry (see getDirEntries())
+ */
+DiskDump.prototype.deleteVolumeEntry = function(dir, entry)
+{
+    if ((entry.bAttr & DiskAPI.ATTR.SUBDIR) && entry.iCluster) {
+        let aEntries = this.getDirEntries(dir, entry.iCluster);
+        for (let i = 0; i < aEntries.length; i++) {
+            if (aEntries[i].sName == "." || aEntries[i].sName == "..") continue;
+            this.deleteVolumeEntry(dir, aEntries[i]);
+        }
+    }
+    this.freeClusters(dir, entry.iCluster);
+    let buf = this.bufDisk.buf || this.bufDisk;
+    buf.writeUInt8(DiskAPI.DIRENT.INVALID, entry.off + DiskAPI.DIRENT.NAME);
+};
+
+/**
+ * extractVolumeFiles(dir, asPaths, sOutputDir)
+ *
+ * Copies the specified files and folders (or all of them, if asPaths is empty) to the host, restoring the
+ * modification time of every file and folder.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {Array.<string>} asPaths (eg, ["\DOS", "\AUTOEXEC.BAT"])
+ * @param {string} sOutputDir
+ * @return {number} of files extracted
+ */
+DiskDump.prototype.extractVolumeFiles = function(dir, asPaths, sOutputDir)
+{
+    let aFiles = [];
+    this.readVolumeDir(dir, 0, "", aFiles);
+    asPaths = asPaths.map(function(sPath) {
+        return sPath.toUpperCase().split(/[\\/]+/).filter(function(s) { return !!s; }).join(path.sep);
+    });
+    let cFiles = 0, aDirs = [];
+    for (let i = 0; i < aFiles.length; i++) {
+        let file = aFiles[i];
+        let fMatch = !asPaths.length;
+        for (let j = 0; j < asPaths.length && !fMatch; j++) {
+            fMatch = (!asPaths[j] || file.FILE_PATH == asPaths[j] || !file.FILE_PATH.indexOf(asPaths[j] + path.sep));
+        }
+        if (!fMatch) continue;
+        let sFile = path.join(sOutputDir, file.FILE_PATH);
+        if (file.FILE_SIZE < 0) {
+            mkdirp.sync(sFile);
+            aDirs.push(file);
+            continue;
+        }
+        mkdirp.sync(path.dirname(sFile));
+        fs.writeFileSync(sFile, file.FILE_CLUS? this.readVolumeData(dir, file.FILE_CLUS, file.FILE_SIZE) : Buffer.alloc(0));
+        fs.utimesSync(sFile, file.FILE_TIME, file.FILE_TIME);
+        cFiles++;
+    }
+    /*
+     * Folder times must be restored last (and innermost first), since creating files in a folder updates its time.
+     */
+    for (let i = aDirs.length - 1; i >= 0; i--) {
+        let sFile = path.join(sOutputDir, aDirs[i].FILE_PATH);
+        fs.utimesSync(sFile, aDirs[i].FILE_TIME, aDirs[i].FILE_TIME);
+    }
+    return cFiles;
+};
+
+/**
+ * listVolumeFiles(dir, iVolume)
+ *
+ * Lists every file and folder in the volume, along with its size, modification time, and attributes.
+ *
+ * @this {DiskDump}
+ * @param {Object} dir (see getVolume())
+ * @param {number} iVolume
+ */
+DiskDump.prototype.listVolumeFiles = function(dir, iVolume)
+{
+    let sLabel = this.getVolumeLabel(dir);
+    DiskDump.logConsole("volume " + (iVolume + 1) + ": FAT" + dir.nFATBits + (sLabel? ", label " + sLabel : ", no label"));
+    let aFiles = [];
+    this.readVolumeDir(dir, 0, "", aFiles);
+    let cFiles = 0, cbFiles = 0;
+    for (let i = 0; i < aFiles.length; i++) {
+        let file = aFiles[i];
+        let sAttr = "";
+        sAttr += (file.FILE_ATTR & DiskAPI.ATTR.READONLY)? 'R' : '-';
+        sAttr += (file.FILE_ATTR & DiskAPI.ATTR.HIDDEN)? 'H' : '-';
+        sAttr += (file.FILE_ATTR & DiskAPI.ATTR.SYSTEM)? 'S' : '-';
+        sAttr += (file.FILE_ATTR & DiskAPI.ATTR.ARCHIVE)? 'A' : '-';
+        let sPath = '\\' + file.FILE_PATH.split(path.sep).join('\\');
+        DiskDump.logConsole(str.sprintf("%-40s %10s  %T  %s", sPath, file.FILE_SIZE < 0? "<DIR>" : file.FILE_SIZE.toString(), file.FILE_TIME, sAttr));
+        if (file.FILE_SIZE >= 0) {
+            cFiles++;
+            cbFiles += file.FILE_SIZE;
+        }
+    }
+    DiskDump.logConsole(cFiles + " file(s), " + cbFiles + " bytes, " + this.getFreeClusters(dir) * dir.nClusterSecs * dir.cbSector + " bytes free");
+};
+
+/**
+ * convertToJSON()
+ *
+ * Converts the disk image data to JSON.
+ *
+ * @this {DiskDump}
+ * @return {string|null} containing a JSON representation of the disk image, or null if unrecognized/malformed
+ */
+DiskDump.prototype.convertToJSON = function()
+{
+    if (this.jsonDisk) {
+        return this.jsonDisk;
+    }
+
+    /*
+     * TODO: Decide if we want to retain this usage info:
+     */
+    if (!this.bufDisk) {
+        // DiskDump.logConsole("no data available in disk image");
+        // this.jsonDisk = "[ /* no data */ ]";
+        this.jsonDisk = "[\n  /**\n   * " + DiskDump.sNotice + "\n   * " + DiskDump.sUsage + "\n   */\n]";
+        return this.jsonDisk;
+    }
+
+    /*
+     * Save the original disk hash (ie, before we insert a missing BPB or modify an existing one)
+     */
+    let buf = this.bufDisk.buf || this.bufDisk;
+    this.hashDisk = crypto.createHash('md5').update(buf).digest('hex');
+
+    /*
+     * Originally, all we dealt with here were basically IMG files, but now we want to support PSI files, too.
+     */
+    let sExt = path.extname(this.sDiskPath).toLowerCase();
+    if (sExt == ".psi") {
+        return this.convertPSItoJSON();
+    }
+
+    let suppData = this.readSuppData();
+
+    let json = null;
+    let fOptimize = !this.fJSONComments;    // if true, leave out any properties that are defaults
+    try {
+        let nHeads = 0;
+        let nCylinders = 0;
+        let nSectorsPerTrack = 0;
+        let aTracks = [];                   // track array (used only for disk images with track tables)
+        let iTrack, cbTrack, offTrack, bufTrack, offSector, bufSector;
+        let cbSector = 512;                 // default sector size
+        let bMediaID = 0;
+        let offBootSector = 0;
+        let cbDiskData = this.bufDisk.length;
+
+        if (cbDiskData >= 3000000) {        // arbitrary threshold between diskette image sizes and hard drive image sizes
+            /*
+             * In this case, the first sector should be an MBR; we look for the active partition (or, failing that,
+             * the first FAT partition, which may be a logical drive in an extended partition), and use the LBA of
+             * its first sector to calculate the boot sector offset.
+             */
+            let aPartitions = this.getPartitions();
+            for (let i = 0; i < aPartitions.length; i++) {
+                if (aPartitions[i].fActive || !offBootSector) {
+                    offBootSector = aPartitions[i].pbaFirst * cbSector;
+                    if (aPartitions[i].fActive) break;
+                }
+            }
+            /*
+             * If we failed to find a partition, we'll fall into the BPB detection code, which
+             * should fail if the first sector really was an MBR.  Otherwise, the BPB should give us
+             * the geometry info we need to dump the entire disk image, including the MBR and any
+             * other reserved sectors.
+             */
+        }
+
+        let bByte0 = this.bufDisk.readUInt8(offBootSector + DiskAPI.BOOT.JMP_OPCODE);
+        let bByte1 = this.bufDisk.readUInt8(offBootSector + DiskAPI.BOOT.JMP_OPCODE + 1);
+        let cbSectorBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.SECTOR_BYTES);
+
+        /*
+         * These checks are not only necessary for DOS 1.x diskette images (and other pre-BPB images),
+         * but also non-DOS diskette images (eg, CPM-86 diskettes).
+         *
+         * And we must perform these tests BEFORE checking for a BPB, because we want the PHYSICAL geometry
+         * of the disk, whereas any values in the BPB may only be LOGICAL. For example, DOS may only be using
+         * 8 sectors per track on diskette that's actually formatted with 9 sectors per track.
+         *
+         * Checking these common sizes insures we get the proper physical geometry for common disk formats,
+         * but at some point, we'll need to perform more general calculations to properly deal with ANY disk
+         * image whose logical format doesn't agree with its physical structure.
+         */
+        let fXDFOutput = false;
+        let diskFormat = DiskAPI.GEOMETRIES[cbDiskData];
+        if (diskFormat) {
+            nCylinders = diskFormat[0];
+            nHeads = diskFormat[1];
+            nSectorsPerTrack = diskFormat[2];
+            cbSector = diskFormat[3] || cbSector;
+            bMediaID = diskFormat[4] || bMediaID;
+        }
+
+        /*
+         * I used to do these BPB tests only if diskFormat was undefined, but now I always do them, because I
+         * want to make sure they're in agreement (and if not, then figure out why not).
+         *
+         * See if the first sector of the image contains a valid DOS BPB.  That begs the question: what IS a valid
+         * DOS BPB?  For starters, the first word (at offset 0x0B) is invariably 0x0200, indicating a 512-byte sector
+         * size.  I also check the first byte for an Intel JMP opcode (0xEB is JMP with a 1-byte displacement, and
+         * 0xE9 is JMP with a 2-byte displacement).  What else?
+         */
+        let fBPBExists = false, bMediaIDBPB = 0;
+
+        if ((bByte0 == X86.OPCODE.JMP || bByte0 == X86.OPCODE.JMPS) && cbSectorBPB == cbSector) {
+
+            let nHeadsBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.TOTAL_HEADS);
+            let nSectorsPerTrackBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.TRACK_SECS);
+
+            if (nHeadsBPB && nSectorsPerTrackBPB) {
+
+                fBPBExists = true;
+                bMediaIDBPB = this.bufDisk.readUInt8(offBootSector + DiskAPI.BPB.MEDIA_ID);
+
+                /*
+                 * Volumes with 65536 or more sectors (eg, BIGDOS and FAT32 volumes) have a zero TOTAL_SECS, and
+                 * the total is in LARGE_SECS instead; such volumes also come from DOS versions with 32-bit HIDDEN_SECS.
+                 */
+                let nSectorsTotalBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.TOTAL_SECS);
+                let nSectorsPerCylinderBPB = nSectorsPerTrackBPB * nHeadsBPB;
+                let nSectorsHiddenBPB = this.bufDisk.readUInt16LE(offBootSector + DiskAPI.BPB.HIDDEN_SECS);
+                if (!nSectorsTotalBPB) {
+                    nSectorsTotalBPB = this.bufDisk.readUInt32LE(offBootSector + DiskAPI.BPB.LARGE_SECS);
+                    nSectorsHiddenBPB = this.bufDisk.readUInt32LE(offBootSector + DiskAPI.BPB.HIDDEN_SECS);
+                }
+                let nCylindersBPB = (nSectorsHiddenBPB + nSectorsTotalBPB) / nSectorsPerCylinderBPB;
+
+                if (diskFormat) {
+                    if (bMediaID && bMediaID != bMediaIDBPB) {
+                        DiskDump.logWarning("BPB media ID (" + str.toHexByte(bMediaIDBPB) + ") does not match physical media ID (" + str.toHexByte(bMediaID) + ")");
+                    }
+                    if (nCylinders != nCylindersBPB) {
                         DiskDump.logWarning("BPB cylinders (" + nCylindersBPB + ") do not match physical cylinders (" + nCylinders + ")");
                         if (nCylinders - nCylindersBPB == 1) {
                             DiskDump.logWarning("the BIOS may have reserved the last cylinder for diagnostics");
@@ -3408,130 +4749,943 @@ DiskDump.prototype.convertToJSON = function()
             if (this.fJSONNative) {
                 json = JSON.stringify(this.dataDisk);
             } else {
-                json += this.dumpLine(-2, "]");
+                json += this.dumpLine(-2, "]");
+            }
+            this.jsonDisk = json;
+        }
+        else if (this.bufDisk.readUInt16BE(0x900) == 0x4357) {
+            this.jsonDisk = this.convertOSIDiskToJSON();
+        }
+    } catch(err) {
+        DiskDump.logError(err);
+    }
+    return this.jsonDisk;
+};
+
+/**
+ * convertPSItoJSON()
+ *
+ * Converts PSI image data to JSON.
+ *
+ * PSI files are PCE Sector Image files; see https://github.com/jeffpar/pce/blob/master/doc/psi-format.txt for details.
+ *
+ * @this {DiskDump}
+ * @return {string|null} containing a JSON representation of the disk image, or null if unrecognized/malformed
+ */
+DiskDump.prototype.convertPSItoJSON = function()
+{
+    let data = [];
+    let chunkOffset = 0;
+    let buf = this.bufDisk;
+    let chunkEnd = buf.length;
+    let chunkID, chunkSize = 0, chunkData;
+    let CHUNK_PSI = 0x50534920;
+    let CHUNK_END = 0x454e4420;
+    let CHUNK_SECT = 0x53454354;
+    let CHUNK_DATA = 0x44415441;
+    let getCRC = function(bufData, start, end) {
+		let crc = 0;
+		for (let i = start; i < end; i++) {
+			crc ^= bufData.readUInt8(i) << 24;
+			for (let j = 0; j < 8; j++) {
+				if (crc & 0x80000000) {
+                    crc = (crc << 1) ^ 0x1edc6f41;
+                } else {
+                    crc = crc << 1;
+                }
+			}
+		}
+		return crc|0;
+    };
+    let getNextChunk = function() {
+        if (chunkSize) chunkOffset += chunkSize + 12;
+        chunkID = buf.readUInt32BE(chunkOffset);
+        chunkSize = buf.readUInt32BE(chunkOffset + 4);
+        let chunkCRC = buf.readInt32BE(chunkOffset + 8 + chunkSize);
+        let myCRC = getCRC(buf, chunkOffset, chunkOffset + 8 + chunkSize);
+        if (chunkCRC == myCRC) {
+            chunkData = buf.slice(chunkOffset + 8, chunkOffset + 8 + chunkSize);
+        } else {
+            DiskDump.logConsole(str.sprintf("chunk 0x%x at 0x%x: CRC 0x%x != calculated CRC 0x%x", chunkID, chunkOffset, chunkCRC, myCRC));
+            chunkID = CHUNK_END;
+        }
+    };
+    getNextChunk();
+    if (chunkID != CHUNK_PSI) {
+        DiskDump.logConsole("missing PSI header");
+        chunkEnd = 0;
+    }
+    let fileFormat = chunkData.readUInt16BE(0);
+    let sectorFormat = chunkData.readUInt16BE(2);
+    // DiskDump.logConsole(str.sprintf("file format: 0x%04x\nsector format: 0x%02x 0x%02x", fileFormat, sectorFormat >> 8, sectorFormat & 0xff));
+    while (chunkOffset < chunkEnd) {
+        let cylinder, head, sectorID, size, flags, pattern, sector, sectorIndex;
+        getNextChunk();
+        switch(chunkID) {
+        case CHUNK_SECT:
+            cylinder = chunkData.readUInt16BE(0);
+            head = chunkData.readUInt8(2);
+            sectorID = chunkData.readUInt8(3);
+            size = chunkData.readUInt16BE(4);
+            flags = chunkData.readUInt8(6);
+            pattern = chunkData.readUInt8(7);
+            sector = {'cylinder': cylinder, 'head': head, 'sector': sectorID, 'length': size};
+            sectorIndex = 0;
+            // DiskDump.logConsole(str.sprintf("SECT: %d:%d:%d %d bytes, flags 0x%x, pattern 0x%02x", cylinder, head, sectorID, size, flags, pattern));
+            while (data.length < cylinder + 1) {
+                data.push([]);
+            }
+            while (data[cylinder].length < head + 1) {
+                data[cylinder].push([]);
+            }
+            data[cylinder][head].push(sector);
+            if (flags & 0x1) {
+                sector['pattern'] = pattern | (pattern << 8) | (pattern << 16) | (pattern << 24);
+            }
+            if (flags & 0x4) {
+                sector['dataError'] = -1;
+            }
+            if (flags & ~(0x1 | 0x4)) {
+                DiskDump.logConsole(str.sprintf("unsupported flags: 0x%x", flags));
+            }
+            break;
+        case CHUNK_DATA:
+            // DiskDump.logConsole(str.sprintf("DATA: %d bytes", chunkData.length));
+            sector['data'] = new Array(size >> 2);
+            for (let off = 0; off < chunkData.length; off += 4) {
+                if (sectorIndex >= sector['data'].length) {
+                    DiskDump.logConsole(str.sprintf("warning: data for sector offset %d exceeds sector length", sectorIndex * 4, sector['data'].length));
+                }
+                sector['data'][sectorIndex++] = chunkData.readUInt8(off) | (chunkData.readUInt8(off+1) << 8) | (chunkData.readUInt8(off+2) << 16) | (chunkData.readUInt8(off+3) << 24);
+            }
+            if (sectorIndex < sector['data'].length) {
+                DiskDump.logConsole(str.sprintf("warning: sector data stops at offset %d instead of %d", sectorIndex * 4, sector['data'].length));
+            }
+            break;
+        case CHUNK_END:
+            chunkID = 0;
+            break;
+        default:
+            DiskDump.logConsole(str.sprintf("unrecognized chunk at 0x%x: 0x%08x", chunkOffset, chunkID));
+            chunkID = 0;
+        }
+        if (!chunkID) break;
+    }
+    return data.length && JSON.stringify(data) || null;
+}
+
+/**
+ * getArchiveFormat(buf)
+ *
+ * Checks the given buffer for one of the archival disk image formats that setData() converts to JSON as
+ * soon as they're loaded.  These formats are identified by signature rather than by extension, since ".dsk"
+ * is used not only by CPC images but also by countless raw images (including many of our own).
+ *
+ * @this {DiskDump}
+ * @param {Buffer|BufferPF} buf
+ * @return {string|null} (one of the DiskDump.ARCHIVE values, or null if not an archival format)
+ */
+DiskDump.prototype.getArchiveFormat = function(buf)
+{
+    if (buf.length >= 16) {
+        let sSig = this.readASCII(buf, 0, 8);
+        if (sSig.indexOf("IMD ") == 0) {
+            return DiskDump.ARCHIVE.IMD;
+        }
+        if ((sSig.indexOf("TD") == 0 || sSig.indexOf("td") == 0) && !buf.readUInt8(2) && buf.readUInt16LE(10) == DiskDump.getCRC16(buf, 0, 10, DiskDump.TD0_POLY, 0)) {
+            return DiskDump.ARCHIVE.TD0;
+        }
+        if (sSig == "MV - CPC" || sSig == "EXTENDED") {
+            return DiskDump.ARCHIVE.DSK;
+        }
+        if (sSig.indexOf("86BF") == 0) {
+            return DiskDump.ARCHIVE.F86;
+        }
+    }
+    return null;
+};
+
+/**
+ * convertArchiveToJSON(buf, sFormat)
+ *
+ * All the archival readers produce the same array of cylinders, each containing an array of heads (ie, tracks),
+ * each containing an array of sectors in physical order; we make sure every cylinder has the same number of heads,
+ * since that's what the Disk component expects, and then stringify the result.
+ *
+ * @this {DiskDump}
+ * @param {Buffer|BufferPF} buf
+ * @param {string} sFormat (one of the DiskDump.ARCHIVE values)
+ * @return {string|null} containing a JSON representation of the disk image, or null if unrecognized/malformed
+ */
+DiskDump.prototype.convertArchiveToJSON = function(buf, sFormat)
+{
+    let aCylinders = null;
+    try {
+        switch(sFormat) {
+        case DiskDump.ARCHIVE.IMD:
+            aCylinders = this.convertIMDtoJSON(buf);
+            break;
+        case DiskDump.ARCHIVE.TD0:
+            aCylinders = this.convertTD0toJSON(buf);
+            break;
+        case DiskDump.ARCHIVE.DSK:
+            aCylinders = this.convertDSKtoJSON(buf);
+            break;
+        case DiskDump.ARCHIVE.F86:
+            aCylinders = this.convert86FtoJSON(buf);
+            break;
+        }
+    } catch(err) {
+        /*
+         * Most malformed images will simply trigger an out-of-range read somewhere.
+         */
+        DiskDump.logError(err);
+        aCylinders = null;
+    }
+    if (!aCylinders || !aCylinders.length) {
+        return null;
+    }
+    let nHeads = 0, iCylinder;
+    for (iCylinder = 0; iCylinder < aCylinders.length; iCylinder++) {
+        nHeads = Math.max(nHeads, aCylinders[iCylinder].length);
+    }
+    for (iCylinder = 0; iCylinder < aCylinders.length; iCylinder++) {
+        while (aCylinders[iCylinder].length < nHeads) aCylinders[iCylinder].push([]);
+    }
+    return JSON.stringify(aCylinders);
+};
+
+/**
+ * readASCII(buf, off, len)
+ *
+ * @this {DiskDump}
+ * @param {Buffer|BufferPF|Array.<number>} buf
+ * @param {number} off
+ * @param {number} len
+ * @return {string}
+ */
+DiskDump.prototype.readASCII = function(buf, off, len)
+{
+    let s = "";
+    for (let i = off; i < off + len && i < buf.length; i++) {
+        s += String.fromCharCode(Array.isArray(buf)? buf[i] : buf.readUInt8(i));
+    }
+    return s;
+};
+
+/**
+ * getCRC16(buf, off, len, poly, crc)
+ *
+ * Floppy controllers use the CCITT polynomial (0x1021) with an initial value of 0xFFFF, whereas Teledisk uses its
+ * own polynomial (0xA097) with an initial value of zero for all of its headers and sector data.
+ *
+ * @param {Buffer|BufferPF|Array.<number>} buf
+ * @param {number} off
+ * @param {number} len
+ * @param {number} poly
+ * @param {number} crc (initial value)
+ * @return {number}
+ */
+DiskDump.getCRC16 = function(buf, off, len, poly, crc)
+{
+    for (let i = off; i < off + len; i++) {
+        crc ^= (Array.isArray(buf)? buf[i] : buf.readUInt8(i)) << 8;
+        for (let j = 0; j < 8; j++) {
+            crc = (crc & 0x8000)? ((crc << 1) ^ poly) : (crc << 1);
+        }
+        crc &= 0xffff;
+    }
+    return crc;
+};
+
+/**
+ * getSizeCode(cbSector)
+ *
+ * @param {number} cbSector
+ * @return {number} (the N value that floppy controllers use to encode a sector size, or -1 if none)
+ */
+DiskDump.getSizeCode = function(cbSector)
+{
+    for (let n = 0; n <= 7; n++) {
+        if ((128 << n) == cbSector) return n;
+    }
+    return -1;
+};
+
+/**
+ * buildSector(iCylinder, iHead, idCylinder, idHead, idSector, cbSector)
+ *
+ * Creates a sector object for one of the archival readers.  The 'cylinder' and 'head' properties are recorded
+ * only when the sector's ID field doesn't match its physical location.
+ *
+ * @this {DiskDump}
+ * @param {number} iCylinder
+ * @param {number} iHead
+ * @param {number} idCylinder
+ * @param {number} idHead
+ * @param {number} idSector
+ * @param {number} cbSector
+ * @return {Object}
+ */
+DiskDump.prototype.buildSector = function(iCylinder, iHead, idCylinder, idHead, idSector, cbSector)
+{
+    let sector = {'sector': idSector, 'length': cbSector};
+    if (idCylinder != iCylinder) sector['cylinder'] = idCylinder;
+    if (idHead != iHead) sector['head'] = idHead;
+    return sector;
+};
+
+/**
+ * addSector(aCylinders, iCylinder, iHead, sector, buf)
+ *
+ * Appends the sector to the specified track, converting the sector contents in buf (if any) to dwords.
+ * Sectors without any data (eg, sectors whose data field was never found) are left without a 'data' array.
+ *
+ * @this {DiskDump}
+ * @param {Array} aCylinders
+ * @param {number} iCylinder
+ * @param {number} iHead
+ * @param {Object} sector
+ * @param {Buffer|BufferPF} [buf]
+ */
+DiskDump.prototype.addSector = function(aCylinders, iCylinder, iHead, sector, buf)
+{
+    while (aCylinders.length <= iCylinder) {
+        aCylinders.push([]);
+    }
+    while (aCylinders[iCylinder].length <= iHead) {
+        aCylinders[iCylinder].push([]);
+    }
+    if (buf) {
+        let cbData = buf.length;
+        let aTrim = this.trimSector(buf, sector['length']);
+        if (aTrim[0] !== null) {
+            cbData = aTrim[1];
+            if (aTrim[0]) sector['pattern'] = aTrim[0];
+        }
+        let adw = [];
+        for (let off = 0; off < cbData; off += 4) {
+            let dw = 0;
+            for (let i = 0; i < 4 && off + i < buf.length; i++) {
+                dw |= buf.readUInt8(off + i) << (i << 3);
+            }
+            adw.push(dw);
+        }
+        sector['data'] = adw;
+    }
+    aCylinders[iCylinder][iHead].push(sector);
+};
+
+/**
+ * convertIMDtoJSON(buf)
+ *
+ * Converts ImageDisk (IMD) image data to JSON.  An IMD file begins with an ASCII header and comment, terminated
+ * by 0x1A, followed by a series of tracks, each of which contains:
+ *
+ *      mode (0-5), cylinder, head (bit 7 set if a cylinder map follows, bit 6 if a head map follows),
+ *      number of sectors, sector size code (0-6), sector ID map, [cylinder map], [head map], sector records
+ *
+ * and each sector record begins with one of the following types:
+ *
+ *      0: data unavailable
+ *      1: normal data                          2: compressed (ie, all bytes the same)
+ *      3: normal data with deleted data mark   4: compressed with deleted data mark
+ *      5: normal data with CRC error           6: compressed with CRC error
+ *      7: deleted data with CRC error          8: compressed deleted data with CRC error
+ *
+ * See http://dunfield.classiccmp.org/img/index.htm for details.
+ *
+ * @this {DiskDump}
+ * @param {Buffer|BufferPF} buf
+ * @return {Array|null}
+ */
+DiskDump.prototype.convertIMDtoJSON = function(buf)
+{
+    let aCylinders = [];
+    let off = 0;
+    while (off < buf.length && buf.readUInt8(off) != 0x1A) off++;
+    if (fDebug) DiskDump.logConsole(this.readASCII(buf, 0, off));
+    off++;
+    while (off < buf.length) {
+        let nMode = buf.readUInt8(off);
+        let iCylinder = buf.readUInt8(off + 1);
+        let bHead = buf.readUInt8(off + 2);
+        let nSectors = buf.readUInt8(off + 3);
+        let nSize = buf.readUInt8(off + 4);
+        let iHead = bHead & 0x3f;
+        off += 5;
+        if (nMode > 5 || nSize > 6) {
+            DiskDump.logError(new Error(str.sprintf("unsupported IMD track %d:%d (mode %d, size %d)", iCylinder, iHead, nMode, nSize)));
+            return null;
+        }
+        let aIDs = [], aCylinderIDs = [], aHeadIDs = [], i;
+        for (i = 0; i < nSectors; i++) aIDs.push(buf.readUInt8(off++));
+        for (i = 0; i < nSectors; i++) aCylinderIDs.push((bHead & 0x80)? buf.readUInt8(off++) : iCylinder);
+        for (i = 0; i < nSectors; i++) aHeadIDs.push((bHead & 0x40)? buf.readUInt8(off++) : iHead);
+        let cbSector = 128 << nSize;
+        for (i = 0; i < nSectors; i++) {
+            let sector = this.buildSector(iCylinder, iHead, aCylinderIDs[i], aHeadIDs[i], aIDs[i], cbSector);
+            let nType = buf.readUInt8(off++);
+            let bufSector = null;
+            if (nType > 8) {
+                DiskDump.logError(new Error(str.sprintf("unsupported IMD sector %d:%d:%d (type %d)", iCylinder, iHead, aIDs[i], nType)));
+                return null;
+            }
+            if (!nType) {
+                sector['dataError'] = -1;
+            } else {
+                if ((nType - 1) & 0x1) {
+                    let b = buf.readUInt8(off++);
+                    sector['pattern'] = b | (b << 8) | (b << 16) | (b << 24);
+                    sector['data'] = [];
+                } else {
+                    bufSector = buf.slice(off, off + cbSector);
+                    off += cbSector;
+                }
+                if ((nType - 1) & 0x2) sector['dataMark'] = DiskDump.DATAMARK.DELETED;
+                if (nType >= 5) sector['dataError'] = -1;
+            }
+            this.addSector(aCylinders, iCylinder, iHead, sector, bufSector);
+        }
+    }
+    return aCylinders;
+};
+
+/**
+ * convertTD0toJSON(buf)
+ *
+ * Converts Teledisk (TD0) image data to JSON.  A TD0 file begins with a 12-byte header:
+ *
+ *      0x00: signature ("TD" for normal images, "td" for images using "advanced" compression)
+ *      0x02: volume sequence (0 for the first volume)
+ *      0x03: check signature (shared by all volumes of a multi-volume set)
+ *      0x04: Teledisk version (eg, 21 for 2.1)
+ *      0x05: data rate (0 = 250Kbps, 1 = 300Kbps, 2 = 500Kbps; bit 7 set if single density)
+ *      0x06: drive type
+ *      0x07: stepping (bit 7 set if a comment block follows the header)
+ *      0x08: DOS allocation flag
+ *      0x09: number of sides
+ *      0x0A: CRC of the preceding 10 bytes
+ *
+ * Everything after the header is compressed when "advanced" compression is used.  Next comes the optional
+ * comment block (CRC, comment length, and a 6-byte timestamp, followed by the comment), and then the tracks,
+ * each with a 4-byte header (number of sectors, cylinder, head, and CRC), followed by its sectors, each with
+ * a 6-byte header (cylinder, head, and sector IDs, size code, flags, and data CRC), followed by a data block
+ * unless flags bit 4 or 5 is set.  A data block consists of a length word and an encoding byte:
+ *
+ *      0: raw data
+ *      1: a count word, followed by a 2-byte pattern to repeat that many times
+ *      2: a series of literal (type 0 and a byte count) and repeat (type N and a repeat count) fragments,
+ *         where each repeated fragment is 2*N bytes
+ *
+ * The sector flags that we care about are:
+ *
+ *      0x02: sector was read with a CRC error
+ *      0x04: sector has a deleted data mark
+ *      0x10: sector was skipped because it was not allocated by DOS (no data block)
+ *      0x20: sector had an ID field but no data field (no data block)
+ *
+ * A track with 0xFF sectors marks the end of the image.  Multi-volume images and the old (pre-2.0) form of
+ * "advanced" compression are not supported.
+ *
+ * @this {DiskDump}
+ * @param {Buffer|BufferPF} buf
+ * @return {Array|null}
+ */
+DiskDump.prototype.convertTD0toJSON = function(buf)
+{
+    let aCylinders = [];
+    let ab, off = 0, i;
+    if (buf.readUInt8(0) == 0x74) {
+        if (buf.readUInt8(4) < 20) {
+            DiskDump.logError(new Error("unsupported TD0 compression (version " + buf.readUInt8(4) + ")"));
+            return null;
+        }
+        ab = DiskDump.expandLZHUF(buf, 12);
+    } else {
+        ab = [];
+        for (i = 12; i < buf.length; i++) ab.push(buf.readUInt8(i));
+    }
+    if (buf.readUInt8(7) & 0x80) {
+        let cbComment = ab[2] | (ab[3] << 8);
+        if (fDebug) DiskDump.logConsole(this.readASCII(ab, 10, cbComment).replace(/\0/g, "\n"));
+        off = 10 + cbComment;
+    }
+    while (off < ab.length && ab[off] != 0xff) {
+        let nSectors = ab[off];
+        let iCylinder = ab[off + 1];
+        let iHead = ab[off + 2] & 0x7f;
+        if ((DiskDump.getCRC16(ab, off, 3, DiskDump.TD0_POLY, 0) & 0xff) != ab[off + 3]) {
+            DiskDump.logWarning(str.sprintf("TD0 track %d:%d header CRC mismatch", iCylinder, iHead));
+        }
+        off += 4;
+        for (i = 0; i < nSectors; i++) {
+            let idCylinder = ab[off], idHead = ab[off + 1], idSector = ab[off + 2];
+            let nSize = ab[off + 3], bFlags = ab[off + 4];
+            let cbSector = 128 << (nSize & 0x7);
+            let sector = this.buildSector(iCylinder, iHead, idCylinder, idHead, idSector, cbSector);
+            let abSector = null;
+            off += 6;
+            if (!(bFlags & 0x30)) {
+                let cbBlock = ab[off] | (ab[off + 1] << 8);
+                let nEncoding = ab[off + 2];
+                let offBlock = off + 3;
+                off += 2 + cbBlock;
+                abSector = [];
+                switch(nEncoding) {
+                case 0:
+                    abSector = ab.slice(offBlock, off);
+                    break;
+                case 1:
+                    for (let n = ab[offBlock] | (ab[offBlock + 1] << 8); n > 0; n--) {
+                        abSector.push(ab[offBlock + 2], ab[offBlock + 3]);
+                    }
+                    break;
+                case 2:
+                    while (offBlock < off && abSector.length < cbSector) {
+                        let nType = ab[offBlock++], n = ab[offBlock++];
+                        if (!nType) {
+                            while (n-- > 0) abSector.push(ab[offBlock++]);
+                        } else {
+                            let abFragment = ab.slice(offBlock, offBlock += nType * 2);
+                            while (n-- > 0) abSector = abSector.concat(abFragment);
+                        }
+                    }
+                    break;
+                default:
+                    DiskDump.logError(new Error(str.sprintf("unsupported TD0 sector %d:%d:%d (encoding %d)", iCylinder, iHead, idSector, nEncoding)));
+                    return null;
+                }
+            }
+            if (bFlags & 0x02) sector['dataError'] = -1;
+            if (bFlags & 0x04) sector['dataMark'] = DiskDump.DATAMARK.DELETED;
+            if (bFlags & 0x20) sector['dataError'] = -1;
+            this.addSector(aCylinders, iCylinder, iHead, sector, abSector && new BufferPF(abSector));
+        }
+    }
+    return aCylinders;
+};
+
+/**
+ * expandLZHUF(buf, off)
+ *
+ * Teledisk's "advanced" compression is Okumura's LZHUF (ie, LZSS with adaptive Huffman coding), using a 4K
+ * window pre-filled with spaces and no length prefix, so we simply decode until the input is exhausted.
+ *
+ * @param {Buffer|BufferPF} buf
+ * @param {number} off
+ * @return {Array.<number>}
+ */
+DiskDump.expandLZHUF = function(buf, off)
+{
+    const N = 4096, F = 60, THRESHOLD = 2, N_CHAR = 256 - THRESHOLD + F;
+    const T = N_CHAR * 2 - 1, R = T - 1, MAX_FREQ = 0x8000;
+    let ab = [];
+    let freq = new Array(T + 1), prnt = new Array(T + N_CHAR), son = new Array(T);
+    let i, j, k, c;
+
+    /*
+     * Build the position decoding tables: each [count, codes, bits] group assigns "count" successive byte
+     * values to each of the next "codes" upper 6-bit position values, which are encoded with "bits" bits.
+     */
+    let d_code = [], d_len = [];
+    let aGroups = [[32, 1, 3], [16, 3, 4], [8, 8, 5], [4, 12, 6], [2, 24, 7], [1, 16, 8]];
+    for (i = 0, c = 0; i < aGroups.length; i++) {
+        for (j = 0; j < aGroups[i][1]; j++, c++) {
+            for (k = 0; k < aGroups[i][0]; k++) {
+                d_code.push(c);
+                d_len.push(aGroups[i][2]);
+            }
+        }
+    }
+
+    let nBits = 0, bits = 0;
+    let getBit = function() {
+        if (!nBits) {
+            bits = (off < buf.length)? buf.readUInt8(off) : 0;
+            off++;
+            nBits = 8;
+        }
+        nBits--;
+        return (bits >> nBits) & 0x1;
+    };
+    let getByte = function() {
+        let b = 0;
+        for (let n = 0; n < 8; n++) b = (b << 1) | getBit();
+        return b;
+    };
+    let reconst = function() {
+        let i, j, k, f;
+        for (i = 0, j = 0; i < T; i++) {
+            if (son[i] >= T) {
+                freq[j] = (freq[i] + 1) >> 1;
+                son[j] = son[i];
+                j++;
+            }
+        }
+        for (i = 0, j = N_CHAR; j < T; i += 2, j++) {
+            f = freq[j] = freq[i] + freq[i + 1];
+            for (k = j - 1; f < freq[k]; k--);
+            k++;
+            freq.splice(j, 1);
+            freq.splice(k, 0, f);
+            son.splice(j, 1);
+            son.splice(k, 0, i);
+        }
+        for (i = 0; i < T; i++) {
+            if ((k = son[i]) >= T) {
+                prnt[k] = i;
+            } else {
+                prnt[k] = prnt[k + 1] = i;
+            }
+        }
+    };
+    let update = function(c) {
+        let i, j, k, l;
+        if (freq[R] == MAX_FREQ) reconst();
+        c = prnt[c + T];
+        do {
+            k = ++freq[c];
+            if (k > freq[l = c + 1]) {
+                while (k > freq[++l]);
+                l--;
+                freq[c] = freq[l];
+                freq[l] = k;
+                i = son[c];
+                prnt[i] = l;
+                if (i < T) prnt[i + 1] = l;
+                j = son[l];
+                son[l] = i;
+                prnt[j] = c;
+                if (j < T) prnt[j + 1] = c;
+                son[c] = j;
+                c = l;
+            }
+        } while ((c = prnt[c]) != 0);
+    };
+
+    for (i = 0; i < N_CHAR; i++) {
+        freq[i] = 1;
+        son[i] = i + T;
+        prnt[i + T] = i;
+    }
+    for (i = 0, j = N_CHAR; j <= R; i += 2, j++) {
+        freq[j] = freq[i] + freq[i + 1];
+        son[j] = i;
+        prnt[i] = prnt[i + 1] = j;
+    }
+    freq[T] = 0xffff;
+    prnt[R] = 0;
+
+    let abText = new Array(N).fill(0x20);
+    let r = N - F;
+    while (off < buf.length || nBits) {
+        c = son[R];
+        while (c < T) c = son[c + getBit()];
+        c -= T;
+        update(c);
+        if (c < 256) {
+            ab.push(c);
+            abText[r++] = c;
+            r &= (N - 1);
+        } else {
+            i = getByte();
+            j = d_len[i] - 2;
+            let pos = d_code[i] << 6;
+            while (j-- > 0) i = (i << 1) | getBit();
+            i = (r - (pos | (i & 0x3f)) - 1) & (N - 1);
+            j = c - 255 + THRESHOLD;
+            for (k = 0; k < j; k++) {
+                c = abText[(i + k) & (N - 1)];
+                ab.push(c);
+                abText[r++] = c;
+                r &= (N - 1);
+            }
+        }
+    }
+    return ab;
+};
+
+/**
+ * convertDSKtoJSON(buf)
+ *
+ * Converts CPC (CPCEMU) image data to JSON; both the original ("MV - CPC") and extended ("EXTENDED CPC DSK")
+ * formats are supported.  The 256-byte disk header contains the number of tracks (0x30) and sides (0x31), plus
+ * either a fixed track size (0x32) or, in the extended format, a table of track sizes in 256-byte units (0x34).
+ * Each track begins with a 256-byte "Track-Info" block containing the sector size code (0x14), the number of
+ * sectors (0x15), and an 8-byte entry for each sector (0x18):
+ *
+ *      cylinder ID, head ID, sector ID, size code, FDC status register 1, FDC status register 2,
+ *      and (extended format only) the number of bytes stored for the sector
+ *
+ * The status registers are how these images record protection: ST1 bit 5 (DE) with ST2 bit 5 (DD) indicates a data
+ * CRC error, DE alone an ID CRC error, ST2 bit 6 (CM) a deleted data mark, and ST1 bit 0 (MA) or ST2 bit 0 (MD) a
+ * missing data field.  Extended images may also store multiple copies of a sector to represent "weak" data, in which
+ * case we keep the first copy and flag the sector as a data error.
+ *
+ * @this {DiskDump}
+ * @param {Buffer|BufferPF} buf
+ * @return {Array|null}
+ */
+DiskDump.prototype.convertDSKtoJSON = function(buf)
+{
+    let aCylinders = [];
+    let fExtended = (this.readASCII(buf, 0, 8) == "EXTENDED");
+    let nTracks = buf.readUInt8(0x30);
+    let nSides = buf.readUInt8(0x31);
+    let cbTrack = buf.readUInt16LE(0x32);
+    let offTrack = 0x100;
+    for (let iTrack = 0; iTrack < nTracks * nSides; iTrack++) {
+        if (fExtended) cbTrack = buf.readUInt8(0x34 + iTrack) << 8;
+        if (!cbTrack) continue;
+        if (offTrack + 0x100 > buf.length) {
+            DiskDump.logWarning("DSK image truncated at track " + iTrack);
+            break;
+        }
+        if (this.readASCII(buf, offTrack, 10) != "Track-Info") {
+            DiskDump.logError(new Error(str.sprintf("DSK track %d missing Track-Info at 0x%x", iTrack, offTrack)));
+            return null;
+        }
+        let iCylinder = (iTrack / nSides) | 0;
+        let iHead = iTrack % nSides;
+        let nSize = buf.readUInt8(offTrack + 0x14);
+        let nSectors = buf.readUInt8(offTrack + 0x15);
+        let offSector = offTrack + 0x100;
+        for (let i = 0; i < nSectors; i++) {
+            let offInfo = offTrack + 0x18 + i * 8;
+            let bST1 = buf.readUInt8(offInfo + 4);
+            let bST2 = buf.readUInt8(offInfo + 5);
+            let cbSector = 128 << (buf.readUInt8(offInfo + 3) & 0x7);
+            let cbStored = fExtended? buf.readUInt16LE(offInfo + 6) : (128 << (nSize & 0x7));
+            let sector = this.buildSector(iCylinder, iHead, buf.readUInt8(offInfo), buf.readUInt8(offInfo + 1), buf.readUInt8(offInfo + 2), cbSector);
+            let bufSector = null;
+            if ((bST1 & 0x01) || (bST2 & 0x01)) {
+                sector['dataError'] = -1;
+            } else {
+                bufSector = buf.slice(offSector, offSector + Math.min(cbStored, cbSector));
+                if (bST1 & 0x20) {
+                    if (bST2 & 0x20) {
+                        sector['dataError'] = -1;
+                    } else {
+                        sector['headError'] = true;
+                    }
+                }
+                if (cbStored > cbSector && !(cbStored % cbSector)) {
+                    sector['dataError'] = -1;
+                }
+                if (bST2 & 0x40) sector['dataMark'] = DiskDump.DATAMARK.DELETED;
             }
-            this.jsonDisk = json;
+            offSector += cbStored;
+            this.addSector(aCylinders, iCylinder, iHead, sector, bufSector);
         }
-        else if (this.bufDisk.readUInt16BE(0x900) == 0x4357) {
-            this.jsonDisk = this.convertOSIDiskToJSON();
+        offTrack += cbTrack;
+    }
+    return aCylinders;
+};
+
+/**
+ * convert86FtoJSON(buf)
+ *
+ * Converts 86Box (86F) image data to JSON.  86F images are bitstreams rather than sector images: the 8-byte header
+ * contains the signature ("86BF"), the version (0x02xx), and disk flags, followed by a table of track offsets (one
+ * per cylinder and side), and each track consists of track flags, an optional extra bitcell count, the index hole
+ * position, and the track's MFM (or FM) encoded bitcells, optionally followed by an equal amount of "surface" data.
+ *
+ * The disk flags we care about are:
+ *
+ *      0x0001: surface data present
+ *      0x0008: two sides
+ *      0x0080: each track header includes an extra bitcell count
+ *      0x0800: bitcells are stored in big-endian words
+ *
+ * and track flags bits 3-4 specify the encoding (0 = FM, 1 = MFM); other encodings (eg, GCR) are skipped.
+ *
+ * We decode every ID and data field we can find on each track, recording CRC errors, deleted data marks, and ID
+ * fields without data fields, as well as flagging as a data error any sector whose data field has any surface bits
+ * set (ie, weak or missing bits).  The exact track length is not used; we simply decode all the bitcells stored
+ * for each track.
+ *
+ * @this {DiskDump}
+ * @param {Buffer|BufferPF} buf
+ * @return {Array|null}
+ */
+DiskDump.prototype.convert86FtoJSON = function(buf)
+{
+    let aCylinders = [];
+    let wFlags = buf.readUInt16LE(6);
+    if (buf.readUInt8(5) != 2) {
+        DiskDump.logError(new Error("unsupported 86F version " + buf.readUInt8(5) + "." + buf.readUInt8(4)));
+        return null;
+    }
+    let nSides = (wFlags & 0x0008)? 2 : 1;
+    let aOffsets = [], i;
+    for (i = 0; i < 256 * nSides; i++) {
+        aOffsets.push(buf.readUInt32LE(8 + i * 4));
+    }
+    let aSorted = aOffsets.filter(function(off) { return off > 0; }).sort(function(a, b) { return a - b; });
+    for (i = 0; i < aOffsets.length; i++) {
+        let offTrack = aOffsets[i];
+        if (!offTrack) continue;
+        let j = aSorted.indexOf(offTrack);
+        let offEnd = (j + 1 < aSorted.length)? aSorted[j + 1] : buf.length;
+        let iCylinder = (i / nSides) | 0;
+        let iHead = i % nSides;
+        let wTrackFlags = buf.readUInt16LE(offTrack);
+        let nEncoding = (wTrackFlags >> 3) & 0x3;
+        let offIndex = offTrack + ((wFlags & 0x0080)? 6 : 2);
+        let offData = offIndex + 4;
+        if (nEncoding > 1) {
+            DiskDump.logWarning(str.sprintf("86F track %d:%d has unsupported encoding %d", iCylinder, iHead, nEncoding));
+            continue;
         }
-    } catch(err) {
-        DiskDump.logError(err);
+        let cbData = offEnd - offData;
+        if (wFlags & 0x0001) cbData >>= 1;
+        cbData &= ~1;
+        let aBits = DiskDump.get86FBits(buf, offData, cbData, !!(wFlags & 0x0800));
+        let aSurface = (wFlags & 0x0001)? DiskDump.get86FBits(buf, offData + cbData, cbData, !!(wFlags & 0x0800)) : null;
+        this.decodeTrackBits(aCylinders, iCylinder, iHead, aBits, aSurface, nEncoding == 1, buf.readUInt32LE(offIndex));
     }
-    return this.jsonDisk;
+    return aCylinders;
 };
 
 /**
- * convertPSItoJSON()
+ * get86FBits(buf, off, cb, fBigEndian)
  *
- * Converts PSI image data to JSON.
+ * 86F bitcells are stored in 16-bit words, most significant bit first.
  *
- * PSI files are PCE Sector Image files; see https://github.com/jeffpar/pce/blob/master/doc/psi-format.txt for details.
+ * @param {Buffer|BufferPF} buf
+ * @param {number} off
+ * @param {number} cb
+ * @param {boolean} fBigEndian
+ * @return {Uint8Array} (one bitcell per element)
+ */
+DiskDump.get86FBits = function(buf, off, cb, fBigEndian)
+{
+    let aBits = new Uint8Array(cb * 8);
+    for (let i = 0; i < cb; i += 2) {
+        let w = fBigEndian? buf.readUInt16BE(off + i) : buf.readUInt16LE(off + i);
+        for (let j = 0; j < 16; j++) {
+            aBits[i * 8 + j] = (w >> (15 - j)) & 0x1;
+        }
+    }
+    return aBits;
+};
+
+/**
+ * decodeTrackBits(aCylinders, iCylinder, iHead, aBits, aSurface, fMFM, posIndex)
+ *
+ * Finds and decodes all the ID and data fields in a track's bitcells.  The track is treated as circular,
+ * starting at the index position, so fields that straddle the index are decoded as well.
+ *
+ * MFM address marks are preceded by three 0xA1 sync bytes with a missing clock bit (0x4489), and FM address
+ * marks use a 0xC7 clock pattern instead of 0xFF; either way, every byte occupies 16 bitcells, alternating
+ * between clock and data, and every field ends with a CCITT CRC that includes the sync bytes (if any) and mark.
  *
  * @this {DiskDump}
- * @return {string|null} containing a JSON representation of the disk image, or null if unrecognized/malformed
+ * @param {Array} aCylinders
+ * @param {number} iCylinder
+ * @param {number} iHead
+ * @param {Uint8Array} aBits
+ * @param {Uint8Array|null} aSurface
+ * @param {boolean} fMFM
+ * @param {number} posIndex
  */
-DiskDump.prototype.convertPSItoJSON = function()
+DiskDump.prototype.decodeTrackBits = function(aCylinders, iCylinder, iHead, aBits, aSurface, fMFM, posIndex)
 {
-    let data = [];
-    let chunkOffset = 0;
-    let buf = this.bufDisk;
-    let chunkEnd = buf.length;
-    let chunkID, chunkSize = 0, chunkData;
-    let CHUNK_PSI = 0x50534920;
-    let CHUNK_END = 0x454e4420;
-    let CHUNK_SECT = 0x53454354;
-    let CHUNK_DATA = 0x44415441;
-    let getCRC = function(bufData, start, end) {
-		let crc = 0;
-		for (let i = start; i < end; i++) {
-			crc ^= bufData.readUInt8(i) << 24;
-			for (let j = 0; j < 8; j++) {
-				if (crc & 0x80000000) {
-                    crc = (crc << 1) ^ 0x1edc6f41;
-                } else {
-                    crc = crc << 1;
-                }
-			}
-		}
-		return crc|0;
+    let n = aBits.length;
+    if (!n) return;
+    let getCells = function(pos) {
+        let w = 0;
+        for (let i = 0; i < 16; i++) w = (w << 1) | aBits[(pos + i) % n];
+        return w;
     };
-    let getNextChunk = function() {
-        if (chunkSize) chunkOffset += chunkSize + 12;
-        chunkID = buf.readUInt32BE(chunkOffset);
-        chunkSize = buf.readUInt32BE(chunkOffset + 4);
-        let chunkCRC = buf.readInt32BE(chunkOffset + 8 + chunkSize);
-        let myCRC = getCRC(buf, chunkOffset, chunkOffset + 8 + chunkSize);
-        if (chunkCRC == myCRC) {
-            chunkData = buf.slice(chunkOffset + 8, chunkOffset + 8 + chunkSize);
-        } else {
-            DiskDump.logConsole(str.sprintf("chunk 0x%x at 0x%x: CRC 0x%x != calculated CRC 0x%x", chunkID, chunkOffset, chunkCRC, myCRC));
-            chunkID = CHUNK_END;
+    let getBytes = function(pos, cb) {
+        let ab = [];
+        for (let i = 0; i < cb; i++, pos += 16) {
+            let b = 0;
+            for (let j = 1; j < 16; j += 2) b = (b << 1) | aBits[(pos + j) % n];
+            ab.push(b);
         }
+        return ab;
     };
-    getNextChunk();
-    if (chunkID != CHUNK_PSI) {
-        DiskDump.logConsole("missing PSI header");
-        chunkEnd = 0;
-    }
-    let fileFormat = chunkData.readUInt16BE(0);
-    let sectorFormat = chunkData.readUInt16BE(2);
-    // DiskDump.logConsole(str.sprintf("file format: 0x%04x\nsector format: 0x%02x 0x%02x", fileFormat, sectorFormat >> 8, sectorFormat & 0xff));
-    while (chunkOffset < chunkEnd) {
-        let cylinder, head, sectorID, size, flags, pattern, sector, sectorIndex;
-        getNextChunk();
-        switch(chunkID) {
-        case CHUNK_SECT:
-            cylinder = chunkData.readUInt16BE(0);
-            head = chunkData.readUInt8(2);
-            sectorID = chunkData.readUInt8(3);
-            size = chunkData.readUInt16BE(4);
-            flags = chunkData.readUInt8(6);
-            pattern = chunkData.readUInt8(7);
-            sector = {'cylinder': cylinder, 'head': head, 'sector': sectorID, 'length': size};
-            sectorIndex = 0;
-            // DiskDump.logConsole(str.sprintf("SECT: %d:%d:%d %d bytes, flags 0x%x, pattern 0x%02x", cylinder, head, sectorID, size, flags, pattern));
-            while (data.length < cylinder + 1) {
-                data.push([]);
-            }
-            while (data[cylinder].length < head + 1) {
-                data[cylinder].push([]);
+    let isWeak = function(pos, cells) {
+        for (let i = 0; aSurface && i < cells; i++) {
+            if (aSurface[(pos + i) % n]) return true;
+        }
+        return false;
+    };
+
+    let sector = null, posID = 0;
+    let obj = this;
+    let flushID = function() {
+        if (sector) {
+            sector['dataError'] = -1;
+            obj.addSector(aCylinders, iCylinder, iHead, sector);
+            sector = null;
+        }
+    };
+    let posStart = posIndex % n;
+    let reg = getCells(posStart + n - 16);
+    for (let p = 0; p < n; p++) {
+        let pos = posStart + p;
+        reg = ((reg << 1) | aBits[pos % n]) & 0xffff;
+        let posMark = -1, abSync = [];
+        if (fMFM) {
+            if (reg == 0x4489) {
+                let posNext = pos + 1;
+                abSync.push(0xA1);
+                while (abSync.length < 3 && getCells(posNext) == 0x4489) {
+                    abSync.push(0xA1);
+                    posNext += 16;
+                }
+                if (abSync.length == 3) posMark = posNext;
             }
-            data[cylinder][head].push(sector);
-            if (flags & 0x1) {
-                sector['pattern'] = pattern | (pattern << 8) | (pattern << 16) | (pattern << 24);
+        } else {
+            if (reg == 0xF57E || (reg >= 0xF56A && reg <= 0xF56F && reg != 0xF56C && reg != 0xF56D)) {
+                posMark = pos - 15;
             }
-            if (flags & 0x4) {
-                sector['dataError'] = -1;
+        }
+        if (posMark < 0) continue;
+        let bMark = getBytes(posMark, 1)[0];
+        if (bMark == 0xFE) {
+            flushID();
+            let abID = getBytes(posMark + 16, 6);
+            let abCRC = abSync.concat([bMark], abID.slice(0, 4));
+            sector = this.buildSector(iCylinder, iHead, abID[0], abID[1], abID[2], 128 << (abID[3] & 0x7));
+            if (DiskDump.getCRC16(abCRC, 0, abCRC.length, 0x1021, 0xffff) != ((abID[4] << 8) | abID[5])) {
+                sector['headError'] = true;
             }
-            if (flags & ~(0x1 | 0x4)) {
-                DiskDump.logConsole(str.sprintf("unsupported flags: 0x%x", flags));
+            posID = pos;
+            p += (posMark - pos) + 16 * 7 - 1;
+            reg = 0;
+        }
+        else if (bMark >= 0xF8 && bMark <= 0xFB) {
+            /*
+             * A data field belongs to the preceding ID field only if it follows within a reasonable distance
+             * (the normal gap is 22 bytes for MFM and 11 bytes for FM, plus 12 or 6 bytes of sync).
+             */
+            if (!sector || pos - posID > 64 * 16) {
+                flushID();
+                continue;
             }
-            break;
-        case CHUNK_DATA:
-            // DiskDump.logConsole(str.sprintf("DATA: %d bytes", chunkData.length));
-            sector['data'] = new Array(size >> 2);
-            for (let off = 0; off < chunkData.length; off += 4) {
-                if (sectorIndex >= sector['data'].length) {
-                    DiskDump.logConsole(str.sprintf("warning: data for sector offset %d exceeds sector length", sectorIndex * 4, sector['data'].length));
-                }
-                sector['data'][sectorIndex++] = chunkData.readUInt8(off) | (chunkData.readUInt8(off+1) << 8) | (chunkData.readUInt8(off+2) << 16) | (chunkData.readUInt8(off+3) << 24);
+            let cbSector = sector['length'];
+            let abData = getBytes(posMark + 16, cbSector + 2);
+            let abCRC = abSync.concat([bMark], abData.slice(0, cbSector));
+            if (DiskDump.getCRC16(abCRC, 0, abCRC.length, 0x1021, 0xffff) != ((abData[cbSector] << 8) | abData[cbSector + 1])) {
+                sector['dataError'] = -1;
             }
-            if (sectorIndex < sector['data'].length) {
-                DiskDump.logConsole(str.sprintf("warning: sector data stops at offset %d instead of %d", sectorIndex * 4, sector['data'].length));
+            else if (isWeak(posMark + 16, cbSector * 16)) {
+                sector['dataError'] = -1;
             }
-            break;
-        case CHUNK_END:
-            chunkID = 0;
-            break;
-        default:
-            DiskDump.logConsole(str.sprintf("unrecognized chunk at 0x%x: 0x%08x", chunkOffset, chunkID));
-            chunkID = 0;
+            if (bMark != DiskDump.DATAMARK.NORMAL) sector['dataMark'] = bMark;
+            this.addSector(aCylinders, iCylinder, iHead, sector, new BufferPF(abData.slice(0, cbSector)));
+            sector = null;
+            p += (posMark - pos) + 16 * (cbSector + 3) - 1;
+            reg = 0;
         }
-        if (!chunkID) break;
     }
-    return data.length && JSON.stringify(data) || null;
-}
+    flushID();
+};
 
 /**
  * convertOSIDiskToJSON()
@@ -3692,43 +5846,8 @@ DiskDump.prototype.convertToIMG = function(fRaw)
 {
     if (!this.bufDisk) {
 
-        if (!this.dataDisk) {
-            if (!this.jsonDisk) {
-                return null;
-            }
-            try {
-                /*
-                 * These replacements provide compatibility with older JSON disk images
-                 * that were generated by convdisk.php and weren't entirely JSON-compatible.
-                 */
-                this.jsonDisk = this.jsonDisk.replace(/(sector|length|bytes|data|pattern):/g, '"$1":');
-                /*
-                 * Comments can appear even when comments weren't requested; the only situation
-                 * where that currently may occur is when a write-protected .DSK file is converted,
-                 * requiring us to output a "write-protected" comment on the first line.
-                 * A better solution requires revamping the disk image format or, better yet, updating
-                 * the FDC component to implement a user-configurable option for write-protecting media.
-                 */
-                this.jsonDisk = this.jsonDisk.replace(/\/\/[^\n]*/g, "");
-                /*
-                 * There are also some old files that also contain hex constants; eg:
-                 *
-                 *      "pattern": 0xe5e5e5e5
-                 *
-                 * which must be converted to decimal before JSON.parse() will be happy.
-                 * While I could sit here and search for all hex patterns and replace them,
-                 * the proper solution is to simply reconvert those disk images.
-                 *
-                 * TODO: Generate a clear warning whenever "this.jsonDisk.indexOf("0x") >= 0".
-                 *
-                 * TODO: Remove the above transformations once we can be sure there are no more
-                 * disk images with those legacy features.
-                 */
-                this.dataDisk = JSON.parse(this.jsonDisk);
-            } catch(err) {
-                DiskDump.logError(err);
-                return null;
-            }
+        if (!this.getDiskData()) {
+            return null;
         }
 
         /*
@@ -3858,6 +5977,243 @@ DiskDump.prototype.convertToIMG = function(fRaw)
     return (fRaw && this.bufDisk instanceof BufferPF)? this.bufDisk.buf : this.bufDisk;
 };
 
+/**
+ * getDiskData()
+ *
+ * Returns the native (ie, parsed) representation of the disk image, converting the image to JSON first if necessary.
+ *
+ * @this {DiskDump}
+ * @return {Array|null}
+ */
+DiskDump.prototype.getDiskData = function()
+{
+    if (!this.dataDisk) {
+        if (!this.jsonDisk && !this.bufDisk) {
+            return null;
+        }
+        if (!this.jsonDisk) {
+            this.jsonDisk = this.convertToJSON();
+            if (!this.jsonDisk) return null;
+        }
+        try {
+            /*
+             * These replacements provide compatibility with older JSON disk images
+             * that were generated by convdisk.php and weren't entirely JSON-compatible.
+             */
+            this.jsonDisk = this.jsonDisk.replace(/(sector|length|bytes|data|pattern):/g, '"$1":');
+            /*
+             * Comments can appear even when comments weren't requested; the only situation
+             * where that currently may occur is when a write-protected .DSK file is converted,
+             * requiring us to output a "write-protected" comment on the first line.
+             * A better solution requires revamping the disk image format or, better yet, updating
+             * the FDC component to implement a user-configurable option for write-protecting media.
+             */
+            this.jsonDisk = this.jsonDisk.replace(/\/\/[^\n]*/g, "");
+            /*
+             * There are also some old files that also contain hex constants; eg:
+             *
+             *      "pattern": 0xe5e5e5e5
+             *
+             * which must be converted to decimal before JSON.parse() will be happy.
+             * While I could sit here and search for all hex patterns and replace them,
+             * the proper solution is to simply reconvert those disk images.
+             *
+             * TODO: Generate a clear warning whenever "this.jsonDisk.indexOf("0x") >= 0".
+             *
+             * TODO: Remove the above transformations once we can be sure there are no more
+             * disk images with those legacy features.
+             */
+            this.dataDisk = JSON.parse(this.jsonDisk);
+        } catch(err) {
+            DiskDump.logError(err);
+            return null;
+        }
+    }
+    return this.dataDisk;
+};
+
+/**
+ * getSectorBytes(sector)
+ *
+ * @this {DiskDump}
+ * @param {Object} sector
+ * @return {Array.<number>} containing all the bytes of the sector, including any pattern-filled bytes
+ */
+DiskDump.prototype.getSectorBytes = function(sector)
+{
+    let cb = sector['length'] || 512;
+    let ab = new Array(cb);
+    let dwPattern = sector['pattern'] || 0;
+    let abOld = sector['bytes'];
+    let adw = sector['data'] || [];
+    for (let ib = 0; ib < cb; ib++) {
+        if (abOld) {
+            ab[ib] = (ib < abOld.length? abOld[ib] : dwPattern) & 0xff;
+        } else {
+            let idw = ib >> 2;
+            ab[ib] = ((idw < adw.length? adw[idw] : dwPattern) >> ((ib & 0x3) << 3)) & 0xff;
+        }
+    }
+    return ab;
+};
+
+/**
+ * getTrackInfo(track, iCylinder, iHead)
+ *
+ * Returns the information common to all the archival writers for the given track, or null if the track
+ * can't be represented, because its sector sizes are either non-standard or (since neither IMD nor TD0 support
+ * it) inconsistent.
+ *
+ * Since our JSON disk images don't record data rates, we infer a high-density (500Kbps) rate for any track
+ * containing more than 6K of data, and 250Kbps otherwise.
+ *
+ * @this {DiskDump}
+ * @param {Array} track
+ * @param {number} iCylinder
+ * @param {number} iHead
+ * @return {Object|null} containing aSectors, nSize, fHighDensity, fCylinderIDs, and fHeadIDs
+ */
+DiskDump.prototype.getTrackInfo = function(track, iCylinder, iHead)
+{
+    let info = {aSectors: [], nSize: -1, fHighDensity: false, fCylinderIDs: false, fHeadIDs: false};
+    let cbTrack = 0;
+    for (let i = 0; i < track.length; i++) {
+        let sector = track[i];
+        if (!sector) continue;          // XDF disk images may contain "unused" (null) sectors
+        let cbSector = sector['length'] || 512;
+        let nSize = DiskDump.getSizeCode(cbSector);
+        if (nSize < 0 || nSize > 6 || info.nSize >= 0 && nSize != info.nSize) {
+            DiskDump.logError(new Error(str.sprintf("unsupported sector size (%d) in track %d:%d", cbSector, iCylinder, iHead)));
+            return null;
+        }
+        info.nSize = nSize;
+        if (sector['cylinder'] !== undefined && sector['cylinder'] != iCylinder) info.fCylinderIDs = true;
+        if (sector['head'] !== undefined && sector['head'] != iHead) info.fHeadIDs = true;
+        if (sector['headError']) {
+            DiskDump.logWarning(str.sprintf("ID error for sector %d:%d:%d not preserved", iCylinder, iHead, sector['sector']));
+        }
+        info.aSectors.push(sector);
+        cbTrack += cbSector;
+    }
+    info.fHighDensity = (cbTrack > 6144);
+    return info;
+};
+
+/**
+ * convertToIMD()
+ *
+ * Converts the disk image to an ImageDisk (IMD) image; see convertIMDtoJSON() for a description of the format.
+ *
+ * @this {DiskDump}
+ * @return {BufferPF|null}
+ */
+DiskDump.prototype.convertToIMD = function()
+{
+    let aCylinders = this.getDiskData();
+    if (!aCylinders) return null;
+    let date = this.fNormalize? new Date(1981, 7, 12, 12) : new Date();
+    let sHeader = "IMD 1.18: " + str.sprintf("%02D/%02M/%Y %02H:%02N:%02S", date) + "\r\n" + path.basename(this.sDiskPath) + "\r\n";
+    let ab = [];
+    for (let i = 0; i < sHeader.length; i++) ab.push(sHeader.charCodeAt(i));
+    ab.push(0x1A);
+    for (let iCylinder = 0; iCylinder < aCylinders.length; iCylinder++) {
+        for (let iHead = 0; iHead < aCylinders[iCylinder].length; iHead++) {
+            let info = this.getTrackInfo(aCylinders[iCylinder][iHead], iCylinder, iHead);
+            if (!info) return null;
+            let aSectors = info.aSectors;
+            if (!aSectors.length) continue;
+            ab.push(info.fHighDensity? 3 : 5, iCylinder, iHead | (info.fCylinderIDs? 0x80 : 0) | (info.fHeadIDs? 0x40 : 0), aSectors.length, info.nSize);
+            let i;
+            for (i = 0; i < aSectors.length; i++) ab.push(aSectors[i]['sector'] & 0xff);
+            for (i = 0; info.fCylinderIDs && i < aSectors.length; i++) ab.push(aSectors[i]['cylinder'] !== undefined? aSectors[i]['cylinder'] : iCylinder);
+            for (i = 0; info.fHeadIDs && i < aSectors.length; i++) ab.push(aSectors[i]['head'] !== undefined? aSectors[i]['head'] : iHead);
+            for (i = 0; i < aSectors.length; i++) {
+                let sector = aSectors[i];
+                if (!sector['data'] && !sector['bytes'] && sector['pattern'] === undefined && sector['dataError']) {
+                    ab.push(0);
+                    continue;
+                }
+                let abSector = this.getSectorBytes(sector);
+                let fCompressed = abSector.every(function(b) { return b == abSector[0]; });
+                ab.push((fCompressed? 2 : 1) + (sector['dataMark'] == DiskDump.DATAMARK.DELETED? 2 : 0) + (sector['dataError']? 4 : 0));
+                if (fCompressed) {
+                    ab.push(abSector[0]);
+                } else {
+                    for (let ib = 0; ib < abSector.length; ib++) ab.push(abSector[ib]);
+                }
+            }
+        }
+    }
+    return new BufferPF(ab);
+};
+
+/**
+ * convertToTD0()
+ *
+ * Converts the disk image to a Teledisk (TD0) image, using normal (ie, uncompressed) mode and no comment block;
+ * see convertTD0toJSON() for a description of the format.
+ *
+ * @this {DiskDump}
+ * @return {BufferPF|null}
+ */
+DiskDump.prototype.convertToTD0 = function()
+{
+    let aCylinders = this.getDiskData();
+    if (!aCylinders) return null;
+    let aTracks = [], fHighDensity = false, nSectorsMax = 0;
+    for (let iCylinder = 0; iCylinder < aCylinders.length; iCylinder++) {
+        for (let iHead = 0; iHead < aCylinders[iCylinder].length; iHead++) {
+            let info = this.getTrackInfo(aCylinders[iCylinder][iHead], iCylinder, iHead);
+            if (!info) return null;
+            if (!info.aSectors.length) continue;
+            info.iCylinder = iCylinder;
+            info.iHead = iHead;
+            aTracks.push(info);
+            if (info.fHighDensity) fHighDensity = true;
+            nSectorsMax = Math.max(nSectorsMax, info.aSectors.length);
+        }
+    }
+    /*
+     * Drive types are 1 (360K), 2 (1.2M), 3 (720K), and 4 (1.44M).
+     */
+    let nDriveType = fHighDensity? (nSectorsMax >= 18? 4 : 2) : (aCylinders.length > 42? 3 : 1);
+    let ab = [0x54, 0x44, 0x00, 0x00, 21, fHighDensity? 2 : 0, nDriveType, 0x00, 0x00, aCylinders[0].length > 1? 2 : 1];
+    let crc = DiskDump.getCRC16(ab, 0, ab.length, DiskDump.TD0_POLY, 0);
+    ab.push(crc & 0xff, crc >> 8);
+    for (let iTrack = 0; iTrack < aTracks.length; iTrack++) {
+        let info = aTracks[iTrack];
+        let aSectors = info.aSectors;
+        let off = ab.length;
+        ab.push(aSectors.length, info.iCylinder, info.iHead);
+        ab.push(DiskDump.getCRC16(ab, off, 3, DiskDump.TD0_POLY, 0) & 0xff);
+        for (let i = 0; i < aSectors.length; i++) {
+            let sector = aSectors[i];
+            let bFlags = 0, abSector = null;
+            if (!sector['data'] && !sector['bytes'] && sector['pattern'] === undefined && sector['dataError']) {
+                bFlags |= 0x20;
+            } else {
+                abSector = this.getSectorBytes(sector);
+                if (sector['dataError']) bFlags |= 0x02;
+            }
+            if (sector['dataMark'] == DiskDump.DATAMARK.DELETED) bFlags |= 0x04;
+            ab.push(sector['cylinder'] !== undefined? sector['cylinder'] : info.iCylinder);
+            ab.push(sector['head'] !== undefined? sector['head'] : info.iHead);
+            ab.push(sector['sector'] & 0xff, info.nSize, bFlags);
+            ab.push(abSector? DiskDump.getCRC16(abSector, 0, abSector.length, DiskDump.TD0_POLY, 0) & 0xff : 0);
+            if (abSector) {
+                if (abSector.every(function(b, i) { return b == abSector[i & 1]; })) {
+                    ab.push(5, 0, 1, (abSector.length >> 1) & 0xff, abSector.length >> 9, abSector[0], abSector[1]);
+                } else {
+                    ab.push((abSector.length + 1) & 0xff, (abSector.length + 1) >> 8, 0);
+                    for (let ib = 0; ib < abSector.length; ib++) ab.push(abSector[ib]);
+                }
+            }
+        }
+    }
+    ab.push(0xff);
+    return new BufferPF(ab);
+};
+
 /**
  * encodeAsBase64(buf)
  *
@@ -792,6 +792,13 @@ HTTPAPI.dumpDisk = function(err, disk, res)
             var i = sAttachment.lastIndexOf('.');
             if (i > 0) sAttachment = sAttachment.substring(0, i+1) + DumpAPI.FORMAT.IMG;
             sResponse = disk.convertToIMG(true);
+        } else if (disk.sFormat == DumpAPI.FORMAT.IMD || disk.sFormat == DumpAPI.FORMAT.TD0) {
+            sMIMEType = "application/x-download";
+            sAttachment = path.basename(disk.sDiskPath);
+            var j = sAttachment.lastIndexOf('.');
+            if (j > 0) sAttachment = sAttachment.substring(0, j+1) + disk.sFormat;
+            var buf = (disk.sFormat == DumpAPI.FORMAT.IMD? disk.convertToIMD() : disk.convertToTD0());
+            sResponse = buf && buf.buf;
         } else {
             // res.charset = "utf-8";
             sMIMEType = "application/json; charset=utf-8";
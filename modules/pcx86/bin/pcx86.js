@@ -192,6 +192,109 @@ function getComponentByType(sType)
     return component;
 }
 
+/**
+ * shutdown()
+ *
+ * Gives every powered component a chance to finish any output in progress (eg, a partially printed page or an
+ * audio capture) before we exit, the same way the browser does when a page is unloaded, minus any state saving.
+ *
+ * Disks mounted after the machine was powered (eg, by a script's "mount" command) are never marked as powered, but
+ * they may still have overlay changes to write, so they're included as well.
+ */
+function shutdown()
+{
+    if (!Component) return;
+    let aComponents = Component.getComponents();
+    for (let i = 0; i < aComponents.length; i++) {
+        let component = aComponents[i];
+        if ((component.flags.powered || component.type == "Disk") && component.powerDown) {
+            component.powerDown(false, true);
+        }
+    }
+}
+
+/**
+ * getBridge(sID, iPort)
+ *
+ * Returns the "--bridge" command-line setting, if any, for the specified serial port.  A setting of the form
+ * "{id}={bridge}" (eg, "com2=tcp:2323") applies to the port with that ID, and any other setting applies to the
+ * first port; see SerialBridge for the supported bridge values.
+ *
+ * @param {string} sID
+ * @param {number} iPort
+ * @return {string|undefined}
+ */
+function getBridge(sID, iPort)
+{
+    let aBridges = argv['bridge'];
+    if (typeof aBridges == "string") aBridges = [aBridges];
+    if (!Array.isArray(aBridges)) return undefined;
+    for (let i = 0; i < aBridges.length; i++) {
+        let sBridge = String(aBridges[i]);
+        let j = sBridge.indexOf('=');
+        if (j < 0) {
+            if (!iPort) return sBridge;
+        } else if (sBridge.substr(0, j) == sID) {
+            return sBridge.substr(j + 1);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * getDisk(sDrive)
+ *
+ * Returns the Disk object, if any, in the specified drive, where drives A: and B: belong to the FDC and drives C:
+ * and up belong to the HDC (using the same simplistic drive mapping that the HDC uses for its messages).
+ *
+ * @param {string} sDrive
+ * @return {Object|null}
+ */
+function getDisk(sDrive)
+{
+    if (!(/^[A-Z]:?$/i).test(sDrive)) return null;
+    let iDrive = sDrive.toUpperCase().charCodeAt(0) - 0x41;
+    let controller = getComponentByType(iDrive < 2? "FDC" : "HDC");
+    if (iDrive >= 2) iDrive -= 2;
+    let drive = controller && controller.aDrives && controller.aDrives[iDrive];
+    return drive && drive.disk || null;
+}
+
+/**
+ * doOverlay(aTokens)
+ *
+ * Implements the "overlay" command, which operates on the overlay file of the disk in the specified drive (see the
+ * "--overlay" option):
+ *
+ *      overlay commit [drive]          writes all changes to the disk image and removes the overlay file
+ *      overlay discard [drive]         removes the overlay file and reloads the disk image
+ *      overlay save [drive] [file]     saves a snapshot of the overlay file (or updates the overlay file)
+ *
+ * @param {Array.<string>} aTokens
+ * @return {string}
+ */
+function doOverlay(aTokens)
+{
+    let disk = getDisk(aTokens[2] || "");
+    if (!disk) return "no disk in drive " + (aTokens[2] || "");
+    if (!disk.sOverlayPath) return "no overlay for " + disk.sDiskPath;
+    let fSuccess;
+    switch(aTokens[1]) {
+    case "commit":
+        fSuccess = disk.commitOverlay();
+        break;
+    case "discard":
+        fSuccess = disk.discardOverlay();
+        break;
+    case "save":
+        fSuccess = disk.saveOverlay(aTokens[3] && path.resolve(aTokens[3]));
+        break;
+    default:
+        return "usage: overlay [commit|discard|save] [drive] [file]";
+    }
+    return fSuccess? "overlay " + aTokens[1] + " complete" : "overlay " + aTokens[1] + " failed";
+}
+
 /**
  * loadMachine(sFile)
  *
@@ -268,6 +371,13 @@ function loadMachine(sFile)
 
                     let obj;
                     let parmsObj = aParms[j];
+                    if (component.name == "serial") {
+                        let sBridge = getBridge(parmsObj['id'], j);
+                        if (sBridge) parmsObj['bridge'] = sBridge;
+                    }
+                    if ((component.name == "fdc" || component.name == "hdc") && argv['overlay']) {
+                        parmsObj['overlay'] = argv['overlay'];
+                    }
                     if (idMachine) parmsObj['id'] = idMachine + '.' + parmsObj['id'];
 
                     if (fDebug) {
@@ -326,7 +436,11 @@ function doCommand(sCmd)
     case "load":
         result = loadMachine(aTokens[1]);
         break;
+    case "overlay":
+        result = doOverlay(aTokens);
+        break;
     case "quit":
+        shutdown();
         process.exit();
         result = true;
         break;
@@ -384,6 +498,319 @@ var onCommand = function (cmd, context, filename, callback)
     callback(null, result);
 };
 
+/**
+ * parseScriptLine(sLine)
+ *
+ * Splits a script line into tokens, where any token enclosed in double-quotes may contain spaces and the usual
+ * JSON escape sequences (eg, "\n" or "\"").  Everything following an unquoted '#' is treated as a comment.
+ *
+ * @param {string} sLine
+ * @return {Array.<string>}
+ */
+function parseScriptLine(sLine)
+{
+    let aTokens = [];
+    let re = /\s*("(?:[^"\\]|\\.)*"|#.*|[^\s"#]+)/g, match;
+    while ((match = re.exec(sLine))) {
+        let sToken = match[1];
+        if (sToken[0] == '#') break;
+        if (sToken[0] == '"') sToken = JSON.parse(sToken);
+        aTokens.push(sToken);
+    }
+    return aTokens;
+}
+
+/**
+ * parseScriptAddr(sAddr)
+ *
+ * Script addresses are hexadecimal, either linear (eg, "b8000") or segmented (eg, "b800:0000").
+ *
+ * @param {string} sAddr
+ * @return {number} (linear address, or NaN if invalid)
+ */
+function parseScriptAddr(sAddr)
+{
+    let match = sAddr.match(/^(?:([0-9a-f]+):)?([0-9a-f]+)$/i);
+    if (!match) return NaN;
+    let addr = parseInt(match[2], 16);
+    if (match[1] !== undefined) addr += parseInt(match[1], 16) << 4;
+    return addr;
+}
+
+/**
+ * runScript(sFile)
+ *
+ * Runs the commands in the specified script file (eg, "test.pcjs"), one line at a time, so that software can be tested
+ * without any user intervention; the supported commands are:
+ *
+ *      load [machine.json]             loads the specified machine and waits for it to power up
+ *      start                           starts the machine (wait and type commands also start it)
+ *      stop                            stops the machine
+ *      type "keys" [ms]                injects keys (see Keyboard.parseKeys()) and waits for them to be consumed
+ *      wait-for-text "text" [ms]       waits for text to appear on the screen
+ *      wait-cycles [n] [ms]            waits for the CPU to execute the specified number of cycles
+ *      mount [drive] [file]            loads a diskette image into a drive (eg, "mount A: dos.img")
+ *      mount [drive] [directory]       loads a host directory into a drive as a live FAT volume (eg, "mount B: src")
+ *      eject [drive]                   unloads the diskette image in a drive
+ *      insert [slot] [file] [addr]     inserts a PCjr cartridge image into slot 1 or 2 (eg, "insert 1 basic.jrc")
+ *      remove [slot]                   removes the PCjr cartridge in slot 1 or 2
+ *      assert-memory [addr] [bytes]    compares memory at a hex address with one or more hex byte values
+ *      screenshot [file.png]           saves the screen as a PNG file
+ *      exit [code]                     exits with the specified exit code (default is 0)
+ *
+ * The type and wait commands time out after 30000ms unless a different timeout is specified, and they fail if the CPU
+ * stops (eg, at a breakpoint) before they're done.
+ *
+ * Relative file names are relative to the script's directory.  Any other command is passed to doCommand(), so Debugger
+ * commands may be used as well.  Reaching the end of the script is equivalent to "exit 0", and any failure (eg, a timeout
+ * or assertion failure) exits with an exit code of 1.
+ *
+ * @param {string} sFile
+ */
+function runScript(sFile)
+{
+    let aLines;
+    let iLine = 0;
+    let sDir = path.dirname(sFile);
+    try {
+        aLines = fs.readFileSync(sFile, {encoding: "utf8"}).split(/\r?\n/);
+    } catch(err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+
+    let exit = function(nCode) {
+        let cpu = getComponentByType("CPU");
+        if (cpu && cpu.isRunning()) cpu.stopCPU();
+        shutdown();
+        process.exit(nCode);
+    };
+
+    let fail = function(sError) {
+        console.log(Str.sprintf("%s(%d): %s", sFile, iLine, sError));
+        exit(1);
+    };
+
+    let getComponent = function(sType) {
+        let component = getComponentByType(sType);
+        if (!component) fail("no " + sType + " component");
+        return component;
+    };
+
+    let getDrive = function(sDrive) {
+        let iDrive = sDrive? sDrive.toUpperCase().charCodeAt(0) - 0x41 : -1;
+        let fdc = getComponent("FDC");
+        if (!fdc.aDrives || !fdc.aDrives[iDrive] || !(/^[A-Z]:?$/i).test(sDrive)) {
+            fail("invalid drive: " + sDrive);
+        }
+        return {fdc, iDrive};
+    };
+
+    let start = function() {
+        let cpu = getComponent("CPU");
+        if (!cpu.isRunning()) cpu.startCPU();
+        return cpu;
+    };
+
+    /*
+     * poll(fnDone, msTimeout, sTimeout, cpu) is used by any command that must wait for the machine; the CPU runs in
+     * bursts scheduled by setTimeout(), so it's sufficient to check on its progress between bursts.  If a cpu is
+     * specified, then it must keep running until the command is done (eg, it hasn't stopped at a breakpoint or on
+     * an error), since otherwise the command would never finish.
+     */
+    let poll = function(fnDone, msTimeout, sTimeout, cpu) {
+        let msStart = Date.now();
+        let check = function() {
+            if (fnDone()) {
+                nextLine();
+                return;
+            }
+            if (cpu && !cpu.isRunning()) {
+                fail("CPU stopped");
+                return;
+            }
+            if (msTimeout && Date.now() - msStart >= msTimeout) {
+                fail(sTimeout);
+                return;
+            }
+            setTimeout(check, 10);
+        };
+        check();
+    };
+
+    /*
+     * Machine resources (eg, ROMs) are loaded asynchronously, so any command following a "load" must wait until
+     * the Computer component has powered the machine.
+     */
+    let waitPower = function() {
+        let computer = getComponentByType("Computer");
+        if (!computer) fail("no machine loaded");
+        poll(function() {
+            return computer.flags.powered;
+        }, 30000, "timeout loading machine");
+    };
+
+    let nextLine = function() {
+        while (iLine < aLines.length) {
+            let aTokens = parseScriptLine(aLines[iLine++]);
+            if (!aTokens.length) continue;
+            if (fDebug) console.log(aTokens);
+            let i, addr, cpu, kbd, video, drive, cart, sPath, sResult, nCycles, nCyclesPrev, msTimeout;
+            let sCmd = aTokens[0].toLowerCase();
+            switch(sCmd) {
+            case "load":
+                if (!aTokens[1] || !loadMachine(path.resolve(sDir, aTokens[1]))) fail("unable to load " + aTokens[1]);
+                waitPower();
+                return;
+            case "start":
+                start();
+                break;
+            case "stop":
+                cpu = getComponent("CPU");
+                if (cpu.isRunning()) cpu.stopCPU();
+                break;
+            case "type":
+                if (aTokens[1] === undefined) fail("missing keys");
+                msTimeout = aTokens[2] !== undefined? +aTokens[2] : 30000;
+                cpu = start();
+                kbd = getComponent("Keyboard");
+                kbd.injectKeys(aTokens[1]);
+                poll(function() {
+                    return !kbd.sInjectBuffer;
+                }, msTimeout, "timeout typing keys", cpu);
+                return;
+            case "wait-for-text":
+                if (!aTokens[1]) fail("missing text");
+                msTimeout = aTokens[2] !== undefined? +aTokens[2] : 30000;
+                video = getComponent("Video");
+                cpu = start();
+                poll(function() {
+                    let screen = video.getTextScreen();
+                    return !!screen && screen.aRows.join("\n").indexOf(aTokens[1]) >= 0;
+                }, msTimeout, "timeout waiting for \"" + aTokens[1] + "\"", cpu);
+                return;
+            case "wait-cycles":
+                nCycles = +aTokens[1];
+                if (!(nCycles > 0)) fail("invalid cycle count: " + aTokens[1]);
+                msTimeout = aTokens[2] !== undefined? +aTokens[2] : 30000;
+                cpu = start();
+                nCyclesPrev = cpu.getCycles();
+                poll(function() {
+                    /*
+                     * The CPU periodically resets its cycle count (see calcSpeed()), so we track the count ourselves.
+                     */
+                    let nCyclesCurrent = cpu.getCycles();
+                    nCycles -= (nCyclesCurrent >= nCyclesPrev? nCyclesCurrent - nCyclesPrev : nCyclesCurrent);
+                    nCyclesPrev = nCyclesCurrent;
+                    return nCycles <= 0;
+                }, msTimeout, "timeout waiting for " + aTokens[1] + " cycles", cpu);
+                return;
+            case "mount":
+                if (!aTokens[2]) fail("missing diskette image");
+                drive = getDrive(aTokens[1]);
+                sPath = path.resolve(sDir, aTokens[2]);
+                if (fs.existsSync(sPath) && fs.statSync(sPath).isDirectory()) {
+                    /*
+                     * Host directories are mounted by the Disk component itself (see HostDir), which builds the
+                     * volume asynchronously, so we must wait for the drive to receive its disk.
+                     */
+                    drive.fdc.loadDrive(drive.iDrive, Str.getBaseName(sPath), sPath);
+                    poll(function() {
+                        return !!drive.fdc.aDrives[drive.iDrive].disk;
+                    }, 30000, "unable to mount " + aTokens[2]);
+                    return;
+                }
+                if (fs.existsSync(sPath)) {
+                    /*
+                     * Local files are passed to the Disk component via the global "resources" object, which
+                     * Web.getResource() checks before making any request; see Disk.load() for how the resource
+                     * is named.
+                     */
+                    let fJSON = (Str.getExtension(sPath) == "json");
+                    let data = fs.readFileSync(sPath, fJSON? {encoding: "utf8"} : null);
+                    if (!fJSON) data = new Uint8Array(data).buffer;
+                    if (!global.resources) global.resources = {};
+                    global.resources[fJSON? encodeURI(sPath) : sPath] = data;
+                } else {
+                    sPath = aTokens[2];
+                }
+                drive.fdc.loadDrive(drive.iDrive, Str.getBaseName(sPath), sPath);
+                if (!drive.fdc.aDrives[drive.iDrive].disk) fail("unable to mount " + aTokens[2]);
+                break;
+            case "eject":
+                drive = getDrive(aTokens[1]);
+                drive.fdc.unloadDrive(drive.iDrive);
+                break;
+            case "insert":
+            case "remove":
+                i = parseInt(aTokens[1], 10) - 1;
+                cart = getComponent("Cartridge");
+                if (!(i >= 0 && i < cart.aSlots.length)) fail("invalid slot: " + aTokens[1]);
+                if (sCmd == "remove") {
+                    cart.removeCartridge(i, true);
+                    break;
+                }
+                if (!aTokens[2]) fail("missing cartridge image");
+                sPath = path.resolve(sDir, aTokens[2]);
+                if (fs.existsSync(sPath)) {
+                    /*
+                     * As with "mount", local files are passed to the Cartridge component via the global "resources" object.
+                     */
+                    let data = fs.readFileSync(sPath, Str.getExtension(sPath) == "json"? {encoding: "utf8"} : null);
+                    if (typeof data != "string") data = new Uint8Array(data).buffer;
+                    if (!global.resources) global.resources = {};
+                    global.resources[sPath] = data;
+                } else {
+                    sPath = aTokens[2];
+                }
+                addr = aTokens[3]? parseScriptAddr(aTokens[3]) : 0;
+                if (isNaN(addr)) fail("invalid address: " + aTokens[3]);
+                cart.loadCartridge(i, Str.getBaseName(sPath, true), sPath, addr, true);
+                if (cart.aSlots[i].sPath != sPath) fail("unable to insert " + aTokens[2]);
+                break;
+            case "assert-memory":
+                addr = parseScriptAddr(aTokens[1] || "");
+                if (isNaN(addr) || aTokens.length < 3) fail("invalid assertion");
+                cpu = getComponent("CPU");
+                for (i = 2; i < aTokens.length; i++) {
+                    let bExpected = parseInt(aTokens[i], 16);
+                    let bActual = cpu.bus.getByteDirect(addr);
+                    if (bActual !== bExpected) {
+                        fail(Str.sprintf("assertion failed at %05X: expected %02X, found %02X", addr, bExpected, bActual));
+                    }
+                    addr++;
+                }
+                break;
+            case "screenshot":
+                if (!aTokens[1]) fail("missing file name");
+                sPath = path.resolve(sDir, aTokens[1]);
+                video = getComponent("Video");
+                sResult = video.saveFrame(sPath);
+                if (sResult.indexOf(sPath + ":")) fail(sResult);
+                console.log(sResult);
+                break;
+            case "exit":
+                exit(aTokens[1] !== undefined? +aTokens[1] : 0);
+                return;
+            default:
+                /*
+                 * Pass the original line (minus any comment) to doCommand(), because the tokens have lost any quoting.
+                 */
+                sResult = doCommand(aLines[iLine - 1].match(/^(?:[^"#]|"(?:[^"\\]|\\.)*(?:"|$))*/)[0].trim());
+                if (sResult !== undefined && typeof sResult != "boolean") console.log(sResult);
+                break;
+            }
+        }
+        exit(0);
+    };
+
+    if (getComponentByType("Computer")) {
+        waitPower();
+    } else {
+        nextLine();
+    }
+}
+
 if (scriptsPCx86) {
     loadComponents(scriptsPCx86);
 }
@@ -400,9 +827,20 @@ if (argv['cmd'] !== undefined) {
     sCmdPrev = "";
 }
 
-repl.start({
-    prompt: "PCx86> ",
-    input: process.stdin,
-    output: process.stdout,
-    eval: onCommand
-});
+/*
+ * If a script (--script) was specified, run it instead of the REPL.
+ */
+if (argv['script'] !== undefined) {
+    if (typeof argv['script'] != "string" || !argv['script']) {
+        console.log("usage: node pcx86.js --script=[script file]");
+        process.exit(1);
+    }
+    runScript(argv['script']);
+} else {
+    repl.start({
+        prompt: "PCx86> ",
+        input: process.stdin,
+        output: process.stdout,
+        eval: onCommand
+    });
+}
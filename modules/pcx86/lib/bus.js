@@ -188,6 +188,11 @@ class BusX86 extends Component {
          *
          * The false case is important if fPortInputBreakAll and/or fPortOutputBreakAll is set, because it allows the
          * Debugger to selectively ignore specific ports.
+         *
+         * Finally, ports registered with addPortInputTable() or addPortOutputTable() also record the component that
+         * registered them, so that checkPorts() can report which component a conflicting port belongs to:
+         *
+         *      [2]: registered component (if any)
          */
         this.aPortInputNotify = [];
         this.aPortOutputNotify = [];
@@ -1261,7 +1266,33 @@ class BusX86 extends Component {
     }
 
     /**
-     * addPortInputNotify(start, end, fn)
+     * checkPorts(component, start, end)
+     *
+     * Components with configurable ports (eg, SerialPort and ParallelPort) call this before registering any
+     * handlers, so that a port range that overlaps another component's ports can be rejected as a whole, rather
+     * than leaving the component with a mix of its own ports and someone else's.
+     *
+     * @this {BusX86}
+     * @param {Component} component
+     * @param {number} start port address
+     * @param {number} end port address
+     * @return {boolean} true if no port in the range has been registered, false if not (after displaying a warning)
+     */
+    checkPorts(component, start, end)
+    {
+        for (let port = start; port <= end; port++) {
+            let aNotify = this.aPortInputNotify[port];
+            if (!aNotify || !aNotify[0]) aNotify = this.aPortOutputNotify[port];
+            if (aNotify && aNotify[0]) {
+                Component.warning(component.type + " port " + Str.toHexWord(port) + " already registered" + (aNotify[2]? " by " + aNotify[2].type + " (" + aNotify[2].id + ")" : ""));
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * addPortInputNotify(start, end, fn, component)
      *
      * Add a port input-notification handler to the list of such handlers.
      *
@@ -1269,8 +1300,9 @@ class BusX86 extends Component {
      * @param {number} start port address
      * @param {number} end port address
      * @param {function(number,number)} fn is called with the port and LIP values at the time of the input
+     * @param {Component} [component] that registered the handler
      */
-    addPortInputNotify(start, end, fn)
+    addPortInputNotify(start, end, fn, component)
     {
         if (fn !== undefined) {
             for (let port = start; port <= end; port++) {
@@ -1278,7 +1310,7 @@ class BusX86 extends Component {
                     Component.warning("Input port " + Str.toHexWord(port) + " already registered");
                     continue;
                 }
-                this.aPortInputNotify[port] = [fn, false];
+                this.aPortInputNotify[port] = [fn, false, component];
                 if (MAXDEBUG) this.log("addPortInputNotify(" + Str.toHexWord(port) + ")");
             }
         }
@@ -1298,7 +1330,7 @@ class BusX86 extends Component {
     {
         if (offset === undefined) offset = 0;
         for (let port in table) {
-            this.addPortInputNotify(+port + offset, +port + offset, table[port].bind(component));
+            this.addPortInputNotify(+port + offset, +port + offset, table[port].bind(component), component);
         }
     }
 
@@ -1403,7 +1435,7 @@ class BusX86 extends Component {
     }
 
     /**
-     * addPortOutputNotify(start, end, fn)
+     * addPortOutputNotify(start, end, fn, component)
      *
      * Add a port output-notification handler to the list of such handlers.
      *
@@ -1411,8 +1443,9 @@ class BusX86 extends Component {
      * @param {number} start port address
      * @param {number} end port address
      * @param {function(number,number)} fn is called with the port and LIP values at the time of the output
+     * @param {Component} [component] that registered the handler
      */
-    addPortOutputNotify(start, end, fn)
+    addPortOutputNotify(start, end, fn, component)
     {
         if (fn !== undefined) {
             for (let port = start; port <= end; port++) {
@@ -1420,7 +1453,7 @@ class BusX86 extends Component {
                     Component.warning("Output port " + Str.toHexWord(port) + " already registered");
                     continue;
                 }
-                this.aPortOutputNotify[port] = [fn, false];
+                this.aPortOutputNotify[port] = [fn, false, component];
                 if (MAXDEBUG) this.log("addPortOutputNotify(" + Str.toHexWord(port) + ")");
             }
         }
@@ -1440,7 +1473,7 @@ class BusX86 extends Component {
     {
         if (offset === undefined) offset = 0;
         for (let port in table) {
-            this.addPortOutputNotify(+port + offset, +port + offset, table[port].bind(component));
+            this.addPortOutputNotify(+port + offset, +port + offset, table[port].bind(component), component);
         }
     }
 
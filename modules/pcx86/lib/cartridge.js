@@ -0,0 +1,639 @@
+/**
+ * @fileoverview Implements the PCx86 Cartridge component (the PCjr's ROM cartridge slots)
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var DumpAPI     = require("../../shared/lib/dumpapi");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var ChipSet     = require("./chipset");
+    var MemoryX86   = require("./memory");
+}
+
+/**
+ * class Cartridge
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ *
+ * The PCjr has two cartridge slots on the front of the system unit.  Each slot provides the chip selects for six
+ * 32Kb windows from 0xD0000 through 0xFFFFF, and the cartridge itself determines which windows it responds to; in
+ * practice, cartridges occupy the 0xD0000-0xEFFFF range, where the ROM BIOS scans for 0x55,0xAA headers (checking
+ * the CRC at the end of each module) during POST.
+ *
+ * Since a raw cartridge image says nothing about where it belongs, every cartridge may specify its own address;
+ * otherwise, the cartridge in slot 1 is mapped at 0xD0000 and the cartridge in slot 2 at 0xE0000.  The exception
+ * is a ".jrc" image, whose 512-byte header includes the cartridge's segment.
+ *
+ * Inserting or removing a cartridge on a real PCjr resets the machine, so we do the same.
+ */
+class Cartridge extends Component {
+    /**
+     * Cartridge(parmsCart)
+     *
+     * The Cartridge component has the following component-specific (parmsCart) properties:
+     *
+     *      slot1: path of the cartridge image to insert in slot 1 (optional)
+     *
+     *      addr1: physical address of the slot 1 cartridge (default is 0xD0000)
+     *
+     *      slot2: path of the cartridge image to insert in slot 2 (optional)
+     *
+     *      addr2: physical address of the slot 2 cartridge (default is 0xE0000)
+     *
+     * Cartridge images may be either raw binary files (including ".jrc" files) or JSON-encoded ROM files, like those
+     * used by the ROM component.
+     *
+     * @this {Cartridge}
+     * @param {Object} parmsCart
+     */
+    constructor(parmsCart)
+    {
+        super("Cartridge", parmsCart);
+
+        this.aSlots = [];
+        this.aSlotParms = [];
+        for (let iSlot = 0; iSlot < Cartridge.SLOTS.length; iSlot++) {
+            this.aSlots.push(this.initSlot());
+            this.aSlotParms.push([parmsCart['slot' + (iSlot + 1)] || "", parmsCart['addr' + (iSlot + 1)] || 0]);
+        }
+        this.nLoading = 0;
+
+        /*
+         * Support for local cartridge images has the same requirements as support for local disk images (see FDC).
+         */
+        this.fLocalCarts = (!Web.isMobile() && window && 'FileReader' in window);
+    }
+
+    /**
+     * setBinding(sHTMLType, sBinding, control, sValue)
+     *
+     * @this {Cartridge}
+     * @param {string} sHTMLType is the type of the HTML control (eg, "button", "list", "text", "submit", "textarea", "canvas")
+     * @param {string} sBinding is the value of the 'binding' parameter stored in the HTML control's "data-value" attribute (eg, "listCarts")
+     * @param {HTMLElement} control is the HTML control DOM object (eg, HTMLButtonElement)
+     * @param {string} [sValue] optional data value
+     * @return {boolean} true if binding was successful, false if unrecognized binding request
+     */
+    setBinding(sHTMLType, sBinding, control, sValue)
+    {
+        let cart = this;
+        let controlForm = /** @type {Object} */ (control);
+        let controlSelect = /** @type {HTMLSelectElement} */ (control);
+
+        switch (sBinding) {
+
+        case "listCarts":
+            this.bindings[sBinding] = controlSelect;
+            return true;
+
+        case "listSlots":
+            this.bindings[sBinding] = controlSelect;
+            if (!controlSelect.options.length) {
+                for (let iSlot = 0; iSlot < Cartridge.SLOTS.length; iSlot++) {
+                    let controlOption = document.createElement("option");
+                    controlOption.value = iSlot.toString();
+                    controlOption.text = "Slot " + (iSlot + 1);
+                    controlSelect.appendChild(controlOption);
+                }
+            }
+            controlSelect.onchange = function onChangeListSlots(event) {
+                cart.displayCartridge();
+            };
+            return true;
+
+        case "loadCart":
+            this.bindings[sBinding] = control;
+            control.onclick = function onClickLoadCart(event) {
+                cart.loadSelectedCart();
+            };
+            return true;
+
+        case "mountCart":
+            if (!this.fLocalCarts) {
+                controlForm.parentNode.removeChild(/** @type {Node} */ (controlForm));
+                return false;
+            }
+            this.bindings[sBinding] = controlForm;
+            controlForm.onchange = function onChangeMountCart() {
+                let fieldset = controlForm.children[0];
+                let files = fieldset.children[0].files;
+                let submit = fieldset.children[1];
+                submit.disabled = !files.length;
+            };
+            controlForm.onsubmit = function onSubmitMountCart(event) {
+                let file = event.currentTarget[1].files[0];
+                if (file) {
+                    cart.loadCartridge(cart.getSelectedSlot(), Str.getBaseName(file.name, true), file.name, 0, true, file);
+                }
+                /*
+                 * Prevent reloading of web page after form submission
+                 */
+                return false;
+            };
+            return true;
+
+        default:
+            break;
+        }
+        return false;
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {Cartridge}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.cmp = cmp;
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+
+        let chipset = cmp.getMachineComponent("ChipSet");
+        if (!chipset || (chipset.model|0) != ChipSet.MODEL_4860) {
+            Component.warning("Cartridge slots require a MODEL_4860 ChipSet");
+            this.setReady();
+            return;
+        }
+
+        this.addCartridge("None", "", true);
+        if (this.fLocalCarts) this.addCartridge("Local Cartridge", "?");
+
+        for (let iSlot = 0; iSlot < this.aSlotParms.length; iSlot++) {
+            let sPath = this.aSlotParms[iSlot][0];
+            if (sPath) {
+                this.loadCartridge(iSlot, this.findCartridgeByPath(sPath) || Str.getBaseName(sPath, true), sPath, this.aSlotParms[iSlot][1], false);
+            }
+        }
+        if (!this.nLoading) this.setReady();
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {Cartridge}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower && data && this.restore) {
+            if (!this.restore(data)) return false;
+        }
+        this.displayCartridge();
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {Cartridge}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the Cartridge component.  Only the name, path, and address of each cartridge
+     * are saved, so cartridges loaded from local files can't be restored.
+     *
+     * @this {Cartridge}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        let aSlots = [];
+        for (let iSlot = 0; iSlot < this.aSlots.length; iSlot++) {
+            let slot = this.aSlots[iSlot];
+            aSlots.push(slot.file? null : [slot.sName, slot.sPath, slot.addr]);
+        }
+        state.set(0, aSlots);
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the Cartridge component.  Any cartridge that differs from the one already
+     * in the slot is reloaded, without resetting the machine.
+     *
+     * @this {Cartridge}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        let aSlots = data[0];
+        for (let iSlot = 0; iSlot < this.aSlots.length; iSlot++) {
+            let a = aSlots[iSlot];
+            let slot = this.aSlots[iSlot];
+            if (!a) {
+                if (slot.sPath) this.removeCartridge(iSlot, false);
+            } else if (a[1] != slot.sPath || a[2] != slot.addr) {
+                this.loadCartridge(iSlot, a[0], a[1], a[2], false);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * initSlot()
+     *
+     * @this {Cartridge}
+     * @return {Object}
+     */
+    initSlot()
+    {
+        return {sName: "", sPath: "", addr: 0, size: 0, file: null};
+    }
+
+    /**
+     * addCartridge(sName, sPath, fTop, addr)
+     *
+     * Cartridges inserted from a server (eg, at power-up, using the slot1 and slot2 properties) are added to the
+     * "listCarts" control along with their address, so that they can be removed and reinserted later.
+     *
+     * @this {Cartridge}
+     * @param {string} sName
+     * @param {string} sPath
+     * @param {boolean} [fTop] (default is bottom)
+     * @param {number} [addr] (zero or undefined for the default address)
+     */
+    addCartridge(sName, sPath, fTop, addr)
+    {
+        let controlCarts = this.bindings["listCarts"];
+        if (controlCarts && controlCarts.options) {
+            for (let i = 0; i < controlCarts.options.length; i++) {
+                if (controlCarts.options[i].value == sPath) return;
+            }
+            let controlOption = document.createElement("option");
+            controlOption.text = sName;
+            controlOption.value = sPath;
+            if (addr) controlOption.setAttribute("data-value", "{addr:" + addr + "}");
+            if (fTop && controlCarts.childNodes[0]) {
+                controlCarts.insertBefore(controlOption, controlCarts.childNodes[0]);
+            } else {
+                controlCarts.appendChild(controlOption);
+            }
+        }
+    }
+
+    /**
+     * findCartridgeByPath(sPath)
+     *
+     * @this {Cartridge}
+     * @param {string} sPath
+     * @return {string|null}
+     */
+    findCartridgeByPath(sPath)
+    {
+        let controlCarts = this.bindings["listCarts"];
+        if (controlCarts && controlCarts.options) {
+            for (let i = 0; i < controlCarts.options.length; i++) {
+                let control = controlCarts.options[i];
+                if (control.value == sPath) return control.text;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * getSelectedSlot()
+     *
+     * @this {Cartridge}
+     * @return {number}
+     */
+    getSelectedSlot()
+    {
+        let controlSlots = this.bindings["listSlots"];
+        let iSlot = controlSlots? Str.parseInt(controlSlots.value, 10) : 0;
+        return (iSlot >= 0 && iSlot < this.aSlots.length)? iSlot : 0;
+    }
+
+    /**
+     * displayCartridge()
+     *
+     * Selects the "listCarts" entry that corresponds to the cartridge in the selected slot.
+     *
+     * @this {Cartridge}
+     */
+    displayCartridge()
+    {
+        let controlCarts = this.bindings["listCarts"];
+        if (controlCarts && controlCarts.options) {
+            let slot = this.aSlots[this.getSelectedSlot()];
+            let sPath = slot.file? "?" : slot.sPath;
+            for (let i = 0; i < controlCarts.options.length; i++) {
+                if (controlCarts.options[i].value == sPath) {
+                    if (controlCarts.selectedIndex != i) controlCarts.selectedIndex = i;
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * loadSelectedCart()
+     *
+     * @this {Cartridge}
+     * @return {boolean}
+     */
+    loadSelectedCart()
+    {
+        let controlCarts = this.bindings["listCarts"];
+        if (!controlCarts || controlCarts.selectedIndex < 0) return false;
+        let iSlot = this.getSelectedSlot();
+        let controlOption = controlCarts.options[controlCarts.selectedIndex];
+        let sName = controlOption.text;
+        let sPath = controlOption.value;
+        if (!sPath) {
+            return this.removeCartridge(iSlot, true);
+        }
+        if (sPath == "?") {
+            this.notice('Use "Choose File" and "Mount" to select and load a local cartridge.');
+            return false;
+        }
+        let dataValue = {};
+        let sValue = controlOption.getAttribute("data-value");
+        if (sValue) {
+            try {
+                dataValue = eval("(" + sValue + ")");
+            } catch (e) {
+                Component.error(this.type + " option error: " + e.message);
+            }
+        }
+        return this.loadCartridge(iSlot, sName, sPath, dataValue['addr'] || 0, true);
+    }
+
+    /**
+     * loadCartridge(iSlot, sName, sPath, addr, fReset, file)
+     *
+     * @this {Cartridge}
+     * @param {number} iSlot
+     * @param {string} sName
+     * @param {string} sPath
+     * @param {number} addr (zero for the default address)
+     * @param {boolean} fReset is true to reset the machine after inserting the cartridge
+     * @param {File} [file] is set if there's an associated File object
+     * @return {boolean} true if the cartridge is loading, false if not
+     */
+    loadCartridge(iSlot, sName, sPath, addr, fReset, file)
+    {
+        let cart = this;
+        this.nLoading++;
+        let done = function(sURL, data, nErrorCode) {
+            cart.doneLoad(iSlot, sName, sPath, addr, fReset, file, data, nErrorCode);
+        };
+        if (file) {
+            let reader = new FileReader();
+            reader.onload = function() {
+                done(sPath, reader.result, 0);
+            };
+            reader.readAsArrayBuffer(file);
+            return true;
+        }
+        let sExt = Str.getExtension(sPath);
+        let sType = (sExt == DumpAPI.FORMAT.JSON || sExt == DumpAPI.FORMAT.HEX)? "text" : "arraybuffer";
+        let sProgress = "Loading " + sPath + "...";
+        Web.getResource(sPath, sType, true, done, function(nState) {
+            cart.println(sProgress, Component.PRINT.PROGRESS);
+        });
+        return true;
+    }
+
+    /**
+     * doneLoad(iSlot, sName, sPath, addr, fReset, file, data, nErrorCode)
+     *
+     * @this {Cartridge}
+     * @param {number} iSlot
+     * @param {string} sName
+     * @param {string} sPath
+     * @param {number} addr (zero for the default address)
+     * @param {boolean} fReset
+     * @param {File|null|undefined} file
+     * @param {string|ArrayBuffer|null} data
+     * @param {number} nErrorCode (response from server if anything other than 200)
+     */
+    doneLoad(iSlot, sName, sPath, addr, fReset, file, data, nErrorCode)
+    {
+        let ab = null;
+        if (nErrorCode || !data) {
+            this.notice("Unable to load cartridge (error " + nErrorCode + ": " + sPath + ")", nErrorCode < 0);
+        }
+        else if (typeof data == "string" && data.charAt(0) != "[" && data.charAt(0) != "{") {
+            /*
+             * Like the ROM component, we assume any other text is in "simplified" hex form (a series of hex byte-values
+             * separated by whitespace).
+             */
+            let asHexData = data.replace(/\n/gm, " ").replace(/ +$/, "").split(" ");
+            ab = new Array(asHexData.length);
+            for (let i = 0; i < asHexData.length; i++) {
+                ab[i] = Str.parseInt(asHexData[i], 16);
+            }
+        }
+        else if (typeof data == "string") {
+            try {
+                let rom = eval("(" + data + ")");
+                ab = rom['bytes'];
+                let adw = rom['longs'] || rom['data'];
+                if (!ab && adw) {
+                    ab = new Array(adw.length * 4);
+                    for (let idw = 0, ib = 0; idw < adw.length; idw++) {
+                        ab[ib++] = adw[idw] & 0xff;
+                        ab[ib++] = (adw[idw] >> 8) & 0xff;
+                        ab[ib++] = (adw[idw] >> 16) & 0xff;
+                        ab[ib++] = (adw[idw] >> 24) & 0xff;
+                    }
+                }
+                if (!ab) ab = rom;
+            } catch(e) {
+                this.notice("Cartridge data error: " + e.message);
+            }
+        }
+        else {
+            ab = new Uint8Array(data);
+            /*
+             * A ".jrc" image begins with a 512-byte header, which contains the cartridge's segment at offset 0x1CE.
+             */
+            if (ab.length > Cartridge.JRC.SIZE && String.fromCharCode.apply(null, ab.subarray(0, Cartridge.JRC.SIG.length)) == Cartridge.JRC.SIG) {
+                if (!addr) addr = (ab[Cartridge.JRC.SEG] | (ab[Cartridge.JRC.SEG + 1] << 8)) << 4;
+                ab = ab.subarray(Cartridge.JRC.SIZE);
+            }
+        }
+        if (ab && ab.length) {
+            this.insertCartridge(iSlot, sName, sPath, addr, ab, fReset, file);
+        }
+        if (!--this.nLoading && !this.isReady()) this.setReady();
+    }
+
+    /**
+     * insertCartridge(iSlot, sName, sPath, addr, ab, fReset, file)
+     *
+     * @this {Cartridge}
+     * @param {number} iSlot
+     * @param {string} sName
+     * @param {string} sPath
+     * @param {number} addr (zero for the default address)
+     * @param {Array|Uint8Array} ab
+     * @param {boolean} fReset
+     * @param {File|null|undefined} file
+     * @return {boolean}
+     */
+    insertCartridge(iSlot, sName, sPath, addr, ab, fReset, file)
+    {
+        this.removeCartridge(iSlot, false);
+
+        let addrCart = addr;
+        if (!addr) addr = Cartridge.SLOTS[iSlot];
+        let size = (ab.length + this.bus.nBlockSize - 1) & ~(this.bus.nBlockSize - 1);
+        if (addr < Cartridge.ADDR_MIN || addr + size > Cartridge.ADDR_MAX || (addr & (this.bus.nBlockSize - 1))) {
+            this.notice(Str.sprintf("Cartridge \"%s\" (%d bytes) does not fit at 0x%05X", sName, ab.length, addr));
+            return false;
+        }
+        for (let i = 0; i < this.aSlots.length; i++) {
+            let slot = this.aSlots[i];
+            if (slot.size && addr < slot.addr + slot.size && addr + size > slot.addr) {
+                this.notice(Str.sprintf("Cartridge \"%s\" conflicts with cartridge \"%s\" at 0x%05X", sName, slot.sName, slot.addr));
+                return false;
+            }
+        }
+        if (!this.bus.addMemory(addr, size, MemoryX86.TYPE.ROM)) return false;
+        for (let off = 0; off < size; off++) {
+            this.bus.setByteDirect(addr + off, off < ab.length? ab[off] : 0xff);
+        }
+
+        let slot = this.aSlots[iSlot];
+        slot.sName = sName;
+        slot.sPath = sPath;
+        slot.addr = addr;
+        slot.size = size;
+        slot.file = file || null;
+        this.printf("Cartridge \"%s\" inserted in slot %d at 0x%05X\n", sName, iSlot + 1, addr);
+
+        if (file) {
+            this.addCartridge("Local Cartridge", "?");
+        } else {
+            this.addCartridge(sName, sPath, false, addrCart);
+        }
+        this.displayCartridge();
+        if (fReset) this.resetMachine();
+        return true;
+    }
+
+    /**
+     * removeCartridge(iSlot, fReset)
+     *
+     * @this {Cartridge}
+     * @param {number} iSlot
+     * @param {boolean} fReset is true to reset the machine after removing the cartridge
+     * @return {boolean} true if a cartridge was removed, false if the slot was already empty
+     */
+    removeCartridge(iSlot, fReset)
+    {
+        let slot = this.aSlots[iSlot];
+        if (!slot || !slot.size) return false;
+        this.bus.removeMemory(slot.addr, slot.size);
+        this.printf("Cartridge \"%s\" removed from slot %d\n", slot.sName, iSlot + 1);
+        this.aSlots[iSlot] = this.initSlot();
+        this.displayCartridge();
+        if (fReset) this.resetMachine();
+        return true;
+    }
+
+    /**
+     * resetMachine()
+     *
+     * @this {Cartridge}
+     */
+    resetMachine()
+    {
+        if (this.cmp && this.cmp.flags.powered) {
+            this.cmp.reset();
+            if (this.cpu) this.cpu.autoStart();
+        }
+    }
+
+    /**
+     * Cartridge.init()
+     *
+     * This function operates on every HTML element of class "cartridge", extracting the
+     * JSON-encoded parameters for the Cartridge constructor from the element's "data-value"
+     * attribute, invoking the constructor to create a Cartridge component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeCart = Component.getElementsByClass(document, PCx86.APPCLASS, "cartridge");
+        for (let iCart = 0; iCart < aeCart.length; iCart++) {
+            let eCart = aeCart[iCart];
+            let parmsCart = Component.getComponentParms(eCart);
+            let cart = new Cartridge(parmsCart);
+            Component.bindComponentControls(cart, eCart, PCx86.APPCLASS);
+        }
+    }
+}
+
+/*
+ * Default address of the cartridge in each slot
+ */
+Cartridge.SLOTS     = [0xD0000, 0xE0000];
+
+Cartridge.ADDR_MIN  = 0xD0000;
+Cartridge.ADDR_MAX  = 0xF0000;
+
+/*
+ * ".jrc" cartridge image header
+ */
+Cartridge.JRC = {
+    SIG:    "PCjr Cartridge image file",
+    SEG:    0x1CE,
+    SIZE:   0x200
+};
+
+/*
+ * Initialize every Cartridge module on the page.
+ */
+Web.onInit(Cartridge.init);
+
+if (typeof module !== "undefined") module.exports = Cartridge;
@@ -29,6 +29,7 @@
 "use strict";
 
 if (typeof module !== "undefined") {
+    var fs          = require("fs");
     var Str         = require("../../shared/lib/strlib");
     var Usr         = require("../../shared/lib/usrlib");
     var Web         = require("../../shared/lib/weblib");
@@ -37,6 +38,7 @@ if (typeof module !== "undefined") {
     var PCx86       = require("./defines");
     var Interrupts  = require("./interrupts");
     var Kbdx86      = require("./keyboard");
+    var MemoryX86   = require("./memory");
     var Messages    = require("./messages");
     var X86         = require("./x86");
 }
@@ -159,6 +161,19 @@ class ChipSet extends Component {
             this.cDMACs = this.cPICs = 2;
         }
 
+        /*
+         * aIRQOwners records the component that raises each IRQ (see addIRQ()), starting with the devices on the
+         * system board itself.
+         */
+        this.aIRQOwners = [];
+        this.addIRQ(ChipSet.IRQ.TIMER0, this);
+        this.addIRQ(ChipSet.IRQ.KBD, this);
+        if (this.cPICs > 1) {
+            this.addIRQ(ChipSet.IRQ.SLAVE, this);
+            this.addIRQ(ChipSet.IRQ.RTC, this);
+            this.addIRQ(ChipSet.IRQ.FPU, this);
+        }
+
         this.fScaleTimers = parmsChipSet['scaleTimers'] || false;
         this.sDateRTC = parmsChipSet['dateRTC'];
 
@@ -184,6 +199,30 @@ class ChipSet extends Component {
                 if (DEBUG) this.log("AudioContext not available");
             }
         }
+
+        /*
+         * Components that generate their own waveforms (eg, the SoundBlaster) register themselves with
+         * addAudioSource(), and then all their samples are mixed by updateAudio() at nAudioRate samples per second,
+         * using the AudioContext's own rate whenever we have one.  See addAudioSource() for details.
+         */
+        this.aAudioSources = [];
+        this.nAudioRate = this.contextAudio && this.contextAudio['sampleRate'] || ChipSet.AUDIO.RATE;
+        this.nCyclesAudio = 0;
+        this.nCyclesPerSample = 0;
+        this.iTimerAudio = -1;
+        this.nodeAudio = null;
+        this.aAudioQueue = [];
+        this.iAudioQueue = this.nAudioQueue = 0;
+        this.captureAudio = null;
+
+        /*
+         * sourceSpeaker is a "capture-only" audio source that renders the speaker's output from a log of the
+         * PIT TIMER2 and PPI_B changes (aSpeakerEvents) that affect it; see startSpeakerCapture() for details.
+         */
+        this.sourceSpeaker = null;
+        this.speakerState = null;
+        this.aSpeakerEvents = [];
+
         /*
          * fSpeakerEnabled indicates whether the speaker is *logically* on, whereas fSpeakerOn indicates
          * whether we have ACTUALLY turned the speaker on.  And finally, fUserSound is set to true only after
@@ -233,6 +272,8 @@ class ChipSet extends Component {
          * This divisor is invariant, so we calculate it as soon as we're able to query the CPU's base speed.
          */
         this.nTicksDivisor = (cpu.getBaseCyclesPerSecond() / ChipSet.TIMER_TICKS_PER_SEC);
+        this.nCyclesPerSample = (cpu.getBaseCyclesPerSecond() / this.nAudioRate);
+        this.nKbdCyclesPerHalf = (cpu.getBaseCyclesPerSecond() * ChipSet.KBD_SERIAL.HALF_CELL / 1000000);
 
         bus.addPortInputTable(this, ChipSet.aPortInput);
         bus.addPortOutputTable(this, ChipSet.aPortOutput);
@@ -353,6 +394,10 @@ class ChipSet extends Component {
      */
     powerDown(fSave, fShutdown)
     {
+        if (fShutdown) {
+            let sResult = this.stopSpeakerCapture();
+            if (sResult) this.println(sResult);
+        }
         return fSave? this.save() : true;
     }
 
@@ -419,6 +464,8 @@ class ChipSet extends Component {
         this.bPPICtrl = null;           // tracks writes to port 0x63 (eg, 0x99); read-only
         this.bNMI = ChipSet.NMI.RESET;  // tracks writes to the NMI Mask Register
         this.bKbdData = 0;              // records last byte received via receiveKbdData(); for machines without an 8042 (eg, PC/PC XT/PCjr)
+        this.wKbdFrame = 0;             // MODEL_4860: the bits of the keyboard frame being transmitted (see receiveKbdData())
+        this.nKbdCyclesStart = -1;      // MODEL_4860: cycle count at the start of that frame (-1 if no frame in progress)
 
         if (this.model == ChipSet.MODEL_ATT_6300) {
             this.b8041Status = 0;       // similar to b8042Status (but apparently only bits 0 and 1 are used)
@@ -981,6 +1028,39 @@ class ChipSet extends Component {
         return false;
     }
 
+    /**
+     * setCMOSDriveParms(iDrive, nCylinders, nHeads, nSectors)
+     *
+     * For use by the HDC component, to record the geometry of a user-defined drive type (see HDC.USER_TYPE) in the
+     * CMOS bytes that later AMI and Award BIOSes reserved for that purpose.  The original IBM and COMPAQ ROMs never look
+     * at these bytes, but SETUP utilities for those later BIOSes do, and since they fall within the checksummed range,
+     * setting them doesn't disturb any other CMOS configuration.
+     *
+     * @this {ChipSet}
+     * @param {number} iDrive (0 or 1)
+     * @param {number} nCylinders
+     * @param {number} nHeads
+     * @param {number} nSectors (per track)
+     * @return {boolean} true if successful, false if not (eg, CMOS not initialized yet, or no CMOS on this machine)
+     */
+    setCMOSDriveParms(iDrive, nCylinders, nHeads, nSectors)
+    {
+        if (this.abCMOSData) {
+            let iCMOS = (iDrive? ChipSet.CMOS.ADDR.HDUSER1 : ChipSet.CMOS.ADDR.HDUSER0);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.CYLS, nCylinders & 0xff);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.CYLS + 1, (nCylinders >> 8) & 0xff);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.HEADS, nHeads);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.WPC, 0xff);        // 0xFFFF means no write precompensation
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.WPC + 1, 0xff);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.CTRL, nHeads > 8? 0x08 : 0x00);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.LZ, nCylinders & 0xff);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.LZ + 1, (nCylinders >> 8) & 0xff);
+            this.setCMOSByte(iCMOS + ChipSet.CMOS.HDUSER.SECTORS, nSectors);
+            return true;
+        }
+        return false;
+    }
+
     /**
      * updateCMOSChecksum()
      *
@@ -1073,6 +1153,7 @@ class ChipSet extends Component {
         this.bPPIC = a[2];
         this.bPPICtrl = a[3];
         this.bNMI  = a[4];
+        this.nKbdCyclesStart = -1;
 
         a = data[5];
         if (a) {
@@ -2316,19 +2397,24 @@ class ChipSet extends Component {
     }
 
     /**
-     * requestDMA(iDMAChannel, done)
+     * requestDMA(iDMAChannel, done, nBytes)
      *
      * @this {ChipSet}
      * @param {number} iDMAChannel
      * @param {function(boolean)} [done]
+     * @param {number} [nBytes] (maximum number of bytes to transfer; otherwise, the entire count is transferred)
      *
      * For DMA_MODE.TYPE_WRITE transfers, fnTransfer(-1) must return bytes as long as we request them (although it may
      * return -1 if it runs out of bytes prematurely).
      *
      * Similarly, for DMA_MODE.TYPE_READ transfers, fnTransfer(b) must accept bytes as long as we deliver them (although
      * it is certainly free to ignore bytes it no longer wants).
+     *
+     * Devices that consume (or produce) data at their own pace, like the SoundBlaster's DSP, use nBytes to transfer
+     * only as many bytes as they currently need; the channel's address and count registers are updated accordingly,
+     * so the next request simply picks up where the previous request left off.
      */
-    requestDMA(iDMAChannel, done)
+    requestDMA(iDMAChannel, done, nBytes)
     {
         let iDMAC = iDMAChannel >> 2;
         let controller = this.aDMACs[iDMAC];
@@ -2350,6 +2436,7 @@ class ChipSet extends Component {
          * However, in an effort to ensure we don't end up with stale done handlers, connectDMA() will reset channel.done.
          */
         if (done) channel.done = done;
+        channel.nLimit = nBytes || 0;
 
         if (channel.masked) {
             if (DEBUG) this.printf(Messages.DMA + Messages.DATA, "requestDMA(%d): channel masked, request queued\n", iDMAChannel);
@@ -2476,6 +2563,7 @@ class ChipSet extends Component {
                 }
             }
             if (fAsyncRequest || this.updateDMA(channel)) break;
+            if (channel.nLimit && !--channel.nLimit) break;
         }
     }
 
@@ -2504,6 +2592,18 @@ class ChipSet extends Component {
                     if (channel.addrCurrent[1] > 0xff) channel.addrCurrent[1] = 0x00;
                 }
             }
+            /*
+             * The current count register is decremented along with the current address register, as on real hardware,
+             * so that a device transferring data in pieces (see the nBytes parameter of requestDMA()) resumes where it
+             * left off.  FDC and HDC requests are unaffected, because their BIOS code reprograms both registers before
+             * every transfer.
+             */
+            channel.countCurrent[0]--;
+            if (channel.countCurrent[0] < 0) {
+                channel.countCurrent[0] = 0xff;
+                channel.countCurrent[1]--;
+                if (channel.countCurrent[1] < 0) channel.countCurrent[1] = 0xff;
+            }
             /*
              * In situations where an HDC DMA operation took too long, the Fixed Disk BIOS would give up, but the DMA operation would continue.
              *
@@ -2517,11 +2617,16 @@ class ChipSet extends Component {
         controller.bStatus = (controller.bStatus & ~(0x10 << channel.iChannel)) | (0x1 << channel.iChannel);
 
         /*
-         * EOP is supposed to automatically (re)mask the channel, unless it's set for auto-initialize.
+         * EOP is supposed to automatically (re)mask the channel, unless it's set for auto-initialize, in which case the
+         * current address and count registers are reloaded from the base registers (the FDC and HDC never use AUTOINIT).
          */
         if (!(channel.mode & ChipSet.DMA_MODE.AUTOINIT)) {
             channel.masked = true;
             channel.component = channel.obj = null;
+        } else {
+            channel.addrCurrent[0] = channel.addrInit[0]; channel.addrCurrent[1] = channel.addrInit[1];
+            channel.countCurrent[0] = channel.countInit[0]; channel.countCurrent[1] = channel.countInit[1];
+            channel.count = (channel.countCurrent[1] << 8) | channel.countCurrent[0];
         }
 
         if (DEBUG && channel.type == ChipSet.DMA_MODE.TYPE_WRITE && channel.sAddrDebug && this.messageEnabled(this.messageBitsDMA(iDMAChannel))) {
@@ -2767,6 +2872,36 @@ class ChipSet extends Component {
         }
     }
 
+    /**
+     * addIRQ(nIRQ, component)
+     *
+     * Records the component that raises the specified IRQ, so that other components configured to use the same IRQ
+     * can be notified.  It's only a notice, because although ISA interrupts are edge-triggered, two devices CAN share an
+     * IRQ as long as they're never active at the same time (eg, COM1 and COM3, or COM2 and COM4, on most machines).
+     *
+     * NOTE: On a MODEL_5170, IRQ 2 is used to cascade the slave PIC, and a card that's been configured for IRQ 2 actually
+     * interrupts on IRQ 9, so a component should be configured for IRQ 9 instead.
+     *
+     * @this {ChipSet}
+     * @param {number} nIRQ
+     * @param {Component} component
+     * @return {boolean} true if the IRQ exists, false if not (after displaying a warning)
+     */
+    addIRQ(nIRQ, component)
+    {
+        let owner = this.aIRQOwners[nIRQ];
+        if (!(nIRQ >= 0 && nIRQ < this.cPICs * 8) || (owner === this && component !== this)) {
+            Component.warning(component.type + " IRQ " + nIRQ + " not available");
+            return false;
+        }
+        if (owner && owner !== component) {
+            component.notice("IRQ " + nIRQ + " shared with " + owner.type + " (" + owner.id + ")", true);
+        } else {
+            this.aIRQOwners[nIRQ] = component;
+        }
+        return true;
+    }
+
     /**
      * checkIMR(nIRQ)
      *
@@ -3105,7 +3240,10 @@ class ChipSet extends Component {
                 }
             }
 
-            if (iPIT == ChipSet.PIT0.INDEX && iPITTimer == ChipSet.PIT0.TIMER2) this.setSpeaker();
+            if (iPIT == ChipSet.PIT0.INDEX && iPITTimer == ChipSet.PIT0.TIMER2) {
+                this.updateSpeaker(true);
+                this.setSpeaker();
+            }
         }
     }
 
@@ -3683,7 +3821,7 @@ class ChipSet extends Component {
      */
     updatePPIB(bOut)
     {
-        let toggled = (bOut ^ this.bPPIB);
+        let toggled = (bOut ^ this.bPPIB), fIRTest = this.isIRTest();
         if (toggled & ChipSet.PPI_B.CLK_TIMER2) {
             /*
              * If TIMER2 is about to be "declocked", then we should update the timer NOW, because any attempt to read
@@ -3725,7 +3863,13 @@ class ChipSet extends Component {
                 this.updateTimer(ChipSet.PIT0.TIMER2);
             }
         }
+        /*
+         * The MODEL_4860 sound multiplexer determines whether sources like the SN76496 are audible, so any samples
+         * still due from them must be rendered before the selection changes.
+         */
+        if ((toggled & ChipSet.PPI_B.SOUND_SELECT) && (this.model|0) == ChipSet.MODEL_4860) this.updateAudio();
         this.bPPIB = bOut;
+        if (toggled & (ChipSet.PPI_B.CLK_TIMER2 | ChipSet.PPI_B.SPK_TIMER2)) this.updateSpeaker();
         if (toggled & ChipSet.PPI_B.SPK_TIMER2) {
             /*
              * Originally, this code didn't catch the "ERROR_BEEP" case @F000:EC34, which first turns both PPI_B.CLK_TIMER2 (0x01)
@@ -3736,7 +3880,15 @@ class ChipSet extends Component {
              */
             this.setSpeaker(bOut & ChipSet.PPI_B.SPK_TIMER2);
         }
-        if (this.kbd) this.kbd.setEnabled(!(bOut & ChipSet.PPI_B.CLEAR_KBD), !!(bOut & ChipSet.PPI_B.CLK_KBD));
+        if ((this.model|0) == ChipSet.MODEL_4860) {
+            /*
+             * The MODEL_4860 has no keyboard clock or data lines on PPI_B, but gating TIMER2 may start an IRTEST signal.
+             */
+            if (!fIRTest && this.isIRTest()) this.setKbdLatch();
+        }
+        else if (this.kbd) {
+            this.kbd.setEnabled(!(bOut & ChipSet.PPI_B.CLEAR_KBD), !!(bOut & ChipSet.PPI_B.CLK_KBD));
+        }
     }
 
     /**
@@ -3758,15 +3910,21 @@ class ChipSet extends Component {
         if ((this.model|0) == ChipSet.MODEL_4860) {
             b |= this.bNMI & ChipSet.NMI.KBD_LATCH;
             /*
-             * We're going to hard-code the rest of the PCjr settings for now, including NOT setting the NO_KBD_CABLE
-             * bit, on the theory that if we don't have to deal with IR hardware emulation, so much the better.
+             * NO_KBD_CABLE reflects the Keyboard's "cable" setting; when it's set, the BIOS also performs its IR
+             * receiver test, which relies on the IRTEST loopback that getKbdSerialData() simulates.
              */
-            b |= ChipSet.PPI_C.NO_MODEM | ChipSet.PPI_C.NO_DISKETTE | ChipSet.PPI_C.NO_MEMEXP;
+            if (!this.isKbdCable()) b |= ChipSet.PPI_C.NO_KBD_CABLE;
             /*
-             * I'm just guessing at how keyboard data is "clocked" into the the KBD_DATA bit; this will be revisited.
+             * We're going to hard-code the rest of the PCjr settings for now.
              */
-            b |= (this.bKbdData & 0x1)? ChipSet.PPI_C.KBD_DATA : 0;
-            this.bKbdData >>>= 1;
+            b |= ChipSet.PPI_C.NO_MODEM | ChipSet.PPI_C.NO_DISKETTE;
+            /*
+             * However, the 64Kb Memory Expansion is reported if RAM was configured above 64Kb, since the BIOS won't
+             * set the PCjr's 32Kb video modes (0x09 and 0x0A) without it.
+             */
+            let aBlocks = this.bus.getMemoryBlocks(0x10000, 1);
+            if (!aBlocks.length || aBlocks[0].type != MemoryX86.TYPE.RAM) b |= ChipSet.PPI_C.NO_MEMEXP;
+            if (this.getKbdSerialData()) b |= ChipSet.PPI_C.KBD_DATA;
         }
         else if ((this.model|0) == ChipSet.MODEL_5150) {
             if (this.bPPIB & ChipSet.PPI_B.ENABLE_SW2) {
@@ -3785,7 +3943,16 @@ class ChipSet extends Component {
         if (this.bPPIB & ChipSet.PPI_B.CLK_TIMER2) {
             let timer = this.updateTimer(ChipSet.PIT0.TIMER2);
             if (timer.fOUT) {
-                if (this.bPPIB & ChipSet.PPI_B.SPK_TIMER2)
+                /*
+                 * On the PCjr, TIMER2_OUT is always visible, whether or not the speaker is connected, but TIMER2 is
+                 * also looped back to CASS_DATA_IN while the speaker is disconnected, which the POST relies on when it
+                 * times the edges of its cassette wrap test.
+                 */
+                if ((this.model|0) == ChipSet.MODEL_4860) {
+                    b |= ChipSet.PPI_C.TIMER2_OUT;
+                    if (!(this.bPPIB & ChipSet.PPI_B.SPK_TIMER2)) b |= ChipSet.PPI_C.CASS_DATA_IN;
+                }
+                else if (this.bPPIB & ChipSet.PPI_B.SPK_TIMER2)
                     b |= ChipSet.PPI_C.TIMER2_OUT;
                 else
                     b |= ChipSet.PPI_C.CASS_DATA_IN;
@@ -4449,12 +4616,20 @@ class ChipSet extends Component {
     {
         if (!COMPILED) this.printf(Messages.KBD + Messages.PORT, "chipset.receiveKbdData(%#04X)\n", b);
         if (this.model == ChipSet.MODEL_4860) {
-            if (!(this.bNMI & ChipSet.NMI.KBD_LATCH)) {
-                this.bNMI |= ChipSet.NMI.KBD_LATCH;
+            /*
+             * The PCjr keyboard transmits every scan code as a serial frame (see getKbdSerialData()), whose leading
+             * edge sets KBD_LATCH and triggers an NMI.  We decline any data while a previous frame is still in progress
+             * or its latch hasn't been cleared yet, and also while NMIs are disabled (eg, during diskette operations),
+             * so that the Keyboard holds onto the data and tries again later; a real keyboard would simply transmit it,
+             * and the keystroke would be lost.
+             */
+            if (b && this.getKbdSerialHalf() < 0 && !(this.bNMI & ChipSet.NMI.KBD_LATCH) && (this.bNMI & ChipSet.NMI.ENABLE)) {
+                let bParity = 1;
+                for (let bData = b; bData; bData >>= 1) bParity ^= (bData & 1);
                 this.bKbdData = b;
-                if (b && (this.bNMI & ChipSet.NMI.ENABLE)) {
-                    X86.helpInterrupt.call(this.cpu, X86.EXCEPTION.NMI);
-                }
+                this.wKbdFrame = 0x1 | (b << 1) | (bParity << 9);
+                this.nKbdCyclesStart = this.cpu.getCycles(this.fScaleTimers);
+                this.setKbdLatch();
                 return true;
             }
             return false;
@@ -4600,6 +4775,90 @@ class ChipSet extends Component {
         }
     }
 
+    /**
+     * isKbdCable()
+     *
+     * @this {ChipSet}
+     * @return {boolean} true if the Keyboard is connected by cable, false if it's using the MODEL_4860 IR link
+     */
+    isKbdCable()
+    {
+        return !!(this.kbd && this.kbd.fCable);
+    }
+
+    /**
+     * isIRTest()
+     *
+     * On the MODEL_4860, NMI.IRTEST routes TIMER2 output to an IR diode on the IR receiver board, so that the BIOS
+     * can test the receiver; we assume the receiver sees the TIMER2 carrier as a steady signal for as long as TIMER2
+     * is gated.  The receiver is disabled whenever the keyboard cable is connected.
+     *
+     * @this {ChipSet}
+     * @return {boolean} true if the IR receiver is currently receiving the IRTEST signal
+     */
+    isIRTest()
+    {
+        return (this.model|0) == ChipSet.MODEL_4860 && !!(this.bNMI & ChipSet.NMI.IRTEST) && !!(this.bPPIB & ChipSet.PPI_B.CLK_TIMER2) && !this.isKbdCable();
+    }
+
+    /**
+     * getKbdSerialHalf()
+     *
+     * @this {ChipSet}
+     * @return {number} index of the current half-cell of the MODEL_4860 keyboard frame in progress, or -1 if none
+     */
+    getKbdSerialHalf()
+    {
+        let nHalf = -1;
+        if (this.nKbdCyclesStart >= 0) {
+            nHalf = Math.floor((this.cpu.getCycles(this.fScaleTimers) - this.nKbdCyclesStart) / this.nKbdCyclesPerHalf);
+            if (nHalf < 0 || nHalf >= ChipSet.KBD_SERIAL.FRAME_CELLS * 2) {
+                this.nKbdCyclesStart = nHalf = -1;
+            }
+        }
+        return nHalf;
+    }
+
+    /**
+     * getKbdSerialData()
+     *
+     * Returns the current state of the MODEL_4860 keyboard data line (PPI_C.KBD_DATA), whether it's coming from the
+     * keyboard cable or the IR receiver.  Every frame begins with a start bit, followed by 8 data bits (LSB first),
+     * an odd parity bit, and then stop bits (no signal).  Each bit cell is 440us long; a 1 is signalled during the
+     * first half of the cell and a 0 during the second half, and since the BIOS NMI handler uses TIMER1 to sample both
+     * halves of every cell, rejecting any bit whose halves match, the line state must be derived from the number of
+     * cycles that have elapsed since the frame began.
+     *
+     * @this {ChipSet}
+     * @return {boolean} true if the data line is high
+     */
+    getKbdSerialData()
+    {
+        let nHalf = this.getKbdSerialHalf();
+        if (nHalf >= 0 && nHalf < ChipSet.KBD_SERIAL.DATA_CELLS * 2) {
+            return !!(((this.wKbdFrame >> (nHalf >> 1)) ^ nHalf) & 1);
+        }
+        return this.isIRTest();
+    }
+
+    /**
+     * setKbdLatch()
+     *
+     * Sets the MODEL_4860 keyboard latch (in response to a rising edge on the keyboard data line), which generates
+     * an NMI if NMIs are enabled.
+     *
+     * @this {ChipSet}
+     */
+    setKbdLatch()
+    {
+        if (!(this.bNMI & ChipSet.NMI.KBD_LATCH)) {
+            this.bNMI |= ChipSet.NMI.KBD_LATCH;
+            if (this.bNMI & ChipSet.NMI.ENABLE) {
+                X86.helpInterrupt.call(this.cpu, X86.EXCEPTION.NMI);
+            }
+        }
+    }
+
     /**
      * inNMI(port, addrFrom)
      *
@@ -4633,6 +4892,21 @@ class ChipSet extends Component {
     outNMI(port, bOut, addrFrom)
     {
         this.printMessageIO(port, bOut, addrFrom, "NMI");
+        if ((this.model|0) == ChipSet.MODEL_4860) {
+            /*
+             * KBD_LATCH can only be cleared by reading this port, and if NMIs are being enabled while it's still set,
+             * an NMI is generated now.  Otherwise, setting IRTEST may be setting the latch.
+             */
+            let bNMI = this.bNMI, fIRTest = this.isIRTest();
+            this.bNMI = (bOut & ~ChipSet.NMI.KBD_LATCH) | (bNMI & ChipSet.NMI.KBD_LATCH);
+            if (!fIRTest && this.isIRTest()) {
+                this.setKbdLatch();
+            }
+            else if ((this.bNMI & ~bNMI & ChipSet.NMI.ENABLE) && (this.bNMI & ChipSet.NMI.KBD_LATCH)) {
+                X86.helpInterrupt.call(this.cpu, X86.EXCEPTION.NMI);
+            }
+            return;
+        }
         this.bNMI = bOut;
     }
 
@@ -4829,6 +5103,370 @@ class ChipSet extends Component {
         return false;
     }
 
+    /**
+     * addAudioSource(component, fnRender, fCaptureOnly)
+     *
+     * Components that generate their own waveforms (eg, the SoundBlaster) call this to register a render function.
+     * Whenever more samples are due, updateAudio() calls fnRender(aSamples, nSamples, nCycles), which must ADD nSamples
+     * samples (nominally from -1.0 to 1.0) to aSamples, where the first sample corresponds to CPU cycle count nCycles,
+     * and every sample represents nCyclesPerSample cycles (ie, nAudioRate samples per second).
+     *
+     * Sources should call updateAudio() themselves BEFORE making any change to their state that affects their output
+     * (eg, a register write), so that all the samples due up to that point are rendered using the previous state;
+     * a periodic timer takes care of everything else.
+     *
+     * A capture-only source is rendered only while a capture is in progress, and it is never mixed with the other
+     * sources (eg, our own speaker, which the AudioContext already plays with an oscillator; see setSpeaker()).
+     *
+     * @this {ChipSet}
+     * @param {Component} component
+     * @param {function(Float32Array,number,number)} fnRender
+     * @param {boolean} [fCaptureOnly]
+     * @return {Object} (the new source, which may also be passed to startAudioCapture() and stopAudioCapture())
+     */
+    addAudioSource(component, fnRender, fCaptureOnly)
+    {
+        let source = {component: component, fnRender: fnRender, capture: null, fCaptureOnly: !!fCaptureOnly};
+        this.aAudioSources.push(source);
+        if (this.iTimerAudio < 0 && this.cpu) {
+            let chipset = this;
+            this.iTimerAudio = this.cpu.addTimer(this.id + ".audio", function onAudioTimer() {
+                chipset.updateAudio();
+            }, ChipSet.AUDIO.MS_UPDATE);
+        }
+        return source;
+    }
+
+    /**
+     * updateAudio()
+     *
+     * Renders and mixes all the samples that have come due since the last call, based on the number of CPU cycles
+     * executed since then, and then passes the mix to the AudioContext (if any) and to any active audio captures.
+     *
+     * @this {ChipSet}
+     */
+    updateAudio()
+    {
+        if (!this.aAudioSources.length || !this.nCyclesPerSample) return;
+
+        let nCycles = this.cpu.getCycles(this.fScaleTimers);
+        if (nCycles < this.nCyclesAudio) {
+            /*
+             * The CPU's cycle counts were reset (see getCycles() for details), so simply start over.
+             */
+            this.nCyclesAudio = nCycles;
+        }
+        let nSamples = ((nCycles - this.nCyclesAudio) / this.nCyclesPerSample)|0;
+        if (nSamples <= 0) return;
+        if (nSamples > this.nAudioRate) {
+            this.nCyclesAudio = nCycles - this.nAudioRate * this.nCyclesPerSample;
+            nSamples = this.nAudioRate;
+        }
+        let nCyclesStart = this.nCyclesAudio;
+        this.nCyclesAudio += nSamples * this.nCyclesPerSample;
+
+        let aMix = new Float32Array(nSamples);
+        for (let i = 0; i < this.aAudioSources.length; i++) {
+            let source = this.aAudioSources[i];
+            if (!source.capture) {
+                if (source.fCaptureOnly) continue;
+                source.fnRender.call(source.component, aMix, nSamples, nCyclesStart);
+                continue;
+            }
+            let aSamples = new Float32Array(nSamples);
+            source.fnRender.call(source.component, aSamples, nSamples, nCyclesStart);
+            this.writeAudioCapture(source.capture, aSamples);
+            if (source.fCaptureOnly) continue;
+            for (let j = 0; j < nSamples; j++) aMix[j] += aSamples[j];
+        }
+        if (this.captureAudio) {
+            this.writeAudioCapture(this.captureAudio, aMix);
+        }
+        if (this.contextAudio && this.volumeInit) {
+            this.queueAudio(aMix);
+        }
+    }
+
+    /**
+     * queueAudio(aSamples)
+     *
+     * Samples are delivered to the AudioContext by a ScriptProcessorNode, which pulls them from aAudioQueue in
+     * playAudio(); if the queue grows beyond ChipSet.AUDIO.MS_QUEUE (eg, because the machine is running faster
+     * than normal), the oldest samples are discarded.
+     *
+     * @this {ChipSet}
+     * @param {Float32Array} aSamples
+     */
+    queueAudio(aSamples)
+    {
+        if (!this.nodeAudio) {
+            try {
+                this.nodeAudio = this.contextAudio['createScriptProcessor'](ChipSet.AUDIO.BUFFER, 0, 1);
+                this.nodeAudio['onaudioprocess'] = this.playAudio.bind(this);
+                this.nodeAudio['connect'](this.contextAudio['destination']);
+            } catch(e) {
+                this.notice("AudioContext exception: " + e.message);
+                this.nodeAudio = this.contextAudio = null;
+                return;
+            }
+            this.aAudioQueue = [];
+            this.iAudioQueue = this.nAudioQueue = 0;
+        }
+        this.aAudioQueue.push(aSamples);
+        this.nAudioQueue += aSamples.length;
+        let nMax = (this.nAudioRate * ChipSet.AUDIO.MS_QUEUE / 1000)|0;
+        while (this.nAudioQueue > nMax && this.aAudioQueue.length > 1) {
+            this.nAudioQueue -= this.aAudioQueue.shift().length - this.iAudioQueue;
+            this.iAudioQueue = 0;
+        }
+    }
+
+    /**
+     * playAudio(event)
+     *
+     * @this {ChipSet}
+     * @param {Object} event (an AudioProcessingEvent)
+     */
+    playAudio(event)
+    {
+        let i = 0;
+        let aOutput = event['outputBuffer']['getChannelData'](0);
+        while (i < aOutput.length && this.aAudioQueue.length) {
+            let aSamples = this.aAudioQueue[0];
+            let n = Math.min(aSamples.length - this.iAudioQueue, aOutput.length - i);
+            for (let j = 0; j < n; j++) {
+                aOutput[i++] = aSamples[this.iAudioQueue++] * this.volumeInit;
+            }
+            this.nAudioQueue -= n;
+            if (this.iAudioQueue >= aSamples.length) {
+                this.aAudioQueue.shift();
+                this.iAudioQueue = 0;
+            }
+        }
+        while (i < aOutput.length) aOutput[i++] = 0;
+    }
+
+    /**
+     * startAudioCapture(source, sFileName)
+     *
+     * Starts capturing the samples of the specified audio source (or the entire mix, if source is null) as 16-bit
+     * mono PCM.  In Node, the samples are written to the specified WAV file as they're rendered (the header is updated
+     * as we go, so the file is always valid); otherwise, they're accumulated until stopAudioCapture() downloads them.
+     *
+     * @this {ChipSet}
+     * @param {Object|null} source (from addAudioSource())
+     * @param {string} sFileName
+     * @return {boolean} true if successful, false if not
+     */
+    startAudioCapture(source, sFileName)
+    {
+        this.stopAudioCapture(source);
+        let capture = {sFileName: sFileName, aChunks: [], nBytes: 0, fd: null};
+        try {
+            if (typeof module !== "undefined") {
+                capture.fd = fs.openSync(sFileName, "w");
+                fs.writeSync(capture.fd, ChipSet.getWAVHeader(this.nAudioRate, 0));
+            }
+        } catch(err) {
+            this.notice("unable to create " + sFileName + ": " + err.message);
+            return false;
+        }
+        if (source) {
+            source.capture = capture;
+        } else {
+            this.captureAudio = capture;
+        }
+        this.updateAudio();
+        return true;
+    }
+
+    /**
+     * stopAudioCapture(source)
+     *
+     * @this {ChipSet}
+     * @param {Object|null} source (from addAudioSource(), or null for the entire mix)
+     * @return {string} (description of the result, or an empty string if there was no capture in progress)
+     */
+    stopAudioCapture(source)
+    {
+        let capture = source? source.capture : this.captureAudio;
+        if (!capture) return "";
+        this.updateAudio();
+        if (source) {
+            source.capture = null;
+        } else {
+            this.captureAudio = null;
+        }
+        if (capture.fd != null) {
+            if (typeof module !== "undefined") {
+                fs.closeSync(capture.fd);
+            }
+            return Str.sprintf("%s: %d samples at %dhz", capture.sFileName, capture.nBytes >> 1, this.nAudioRate);
+        }
+        let abWAV = new Uint8Array(44 + capture.nBytes);
+        abWAV.set(ChipSet.getWAVHeader(this.nAudioRate, capture.nBytes), 0);
+        for (let i = 0, off = 44; i < capture.aChunks.length; i++) {
+            abWAV.set(capture.aChunks[i], off);
+            off += capture.aChunks[i].length;
+        }
+        return Web.downloadFile(abWAV, "octet-stream", false, capture.sFileName);
+    }
+
+    /**
+     * writeAudioCapture(capture, aSamples)
+     *
+     * @this {ChipSet}
+     * @param {Object} capture
+     * @param {Float32Array} aSamples
+     */
+    writeAudioCapture(capture, aSamples)
+    {
+        let abPCM = new Uint8Array(aSamples.length * 2);
+        for (let i = 0, j = 0; i < aSamples.length; i++) {
+            let w = Math.round(aSamples[i] * 0x7fff);
+            if (w > 0x7fff) {
+                w = 0x7fff;
+            } else if (w < -0x8000) {
+                w = -0x8000;
+            }
+            abPCM[j++] = w & 0xff;
+            abPCM[j++] = (w >> 8) & 0xff;
+        }
+        capture.nBytes += abPCM.length;
+        if (capture.fd == null) {
+            capture.aChunks.push(abPCM);
+            return;
+        }
+        if (typeof module !== "undefined") {
+            fs.writeSync(capture.fd, abPCM);
+            fs.writeSync(capture.fd, ChipSet.getWAVHeader(this.nAudioRate, capture.nBytes), 0, 44, 0);
+        }
+    }
+
+    /**
+     * startSpeakerCapture(sFileName)
+     *
+     * Unlike the AudioContext oscillator that setSpeaker() uses, speaker captures are rendered from the actual PIT
+     * TIMER2 and PPI_B state, so they are independent of wall-clock time, and they are the same whether or not we
+     * have an AudioContext (or a browser, for that matter).  Every change to that state is recorded by updateSpeaker(),
+     * along with the CPU cycle count at which it happened, and renderSpeaker() turns those events into samples.
+     *
+     * @this {ChipSet}
+     * @param {string} sFileName
+     * @return {boolean} true if successful, false if not
+     */
+    startSpeakerCapture(sFileName)
+    {
+        if (!this.sourceSpeaker) {
+            this.sourceSpeaker = this.addAudioSource(this, this.renderSpeaker, true);
+        }
+        this.stopSpeakerCapture();
+        this.speakerState = this.getSpeakerState();
+        if (this.speakerState.fGate && this.aTimers[ChipSet.PIT0.TIMER2].fCounting) {
+            this.speakerState.nCyclesOrigin = this.aTimers[ChipSet.PIT0.TIMER2].nCyclesStart;
+        }
+        return this.startAudioCapture(this.sourceSpeaker, sFileName);
+    }
+
+    /**
+     * stopSpeakerCapture()
+     *
+     * @this {ChipSet}
+     * @return {string} (description of the result, or an empty string if there was no capture in progress)
+     */
+    stopSpeakerCapture()
+    {
+        let sResult = "";
+        if (this.sourceSpeaker) {
+            sResult = this.stopAudioCapture(this.sourceSpeaker);
+            this.aSpeakerEvents = [];
+        }
+        return sResult;
+    }
+
+    /**
+     * getSpeakerState(fLoad)
+     *
+     * Returns the state of the speaker as of the current CPU cycle count, along with the cycle count (nCyclesOrigin)
+     * at which TIMER2 started counting in that state; the origin is carried forward from the previous state unless
+     * something has restarted the count: a new count (fLoad), except in MODE3 when the count hasn't changed, a new mode,
+     * or the gate (CLK_TIMER2) going high.
+     *
+     * @this {ChipSet}
+     * @param {boolean} [fLoad] (true if a new count was just loaded into TIMER2)
+     * @return {Object}
+     */
+    getSpeakerState(fLoad)
+    {
+        let timer = this.aTimers[ChipSet.PIT0.TIMER2];
+        let nCycles = this.cpu.getCycles(this.fScaleTimers);
+        let state = {
+            nCycles:        nCycles,
+            fOn:            !!(this.bPPIB & ChipSet.PPI_B.SPK_TIMER2),
+            fGate:          !!(this.bPPIB & ChipSet.PPI_B.CLK_TIMER2),
+            fOUT:           timer.fOUT,
+            mode:           timer.mode,
+            nCyclesPeriod:  this.getTimerInit(ChipSet.PIT0.TIMER2) * this.nTicksDivisor,
+            nCyclesOrigin:  nCycles
+        };
+        let prev = this.aSpeakerEvents.length? this.aSpeakerEvents[this.aSpeakerEvents.length - 1] : this.speakerState;
+        if (prev && (!prev.fGate || state.fGate) && prev.mode == state.mode && prev.nCyclesPeriod == state.nCyclesPeriod) {
+            if (!fLoad || state.mode == ChipSet.PIT_CTRL.MODE3) state.nCyclesOrigin = prev.nCyclesOrigin;
+        }
+        return state;
+    }
+
+    /**
+     * updateSpeaker(fLoad)
+     *
+     * Called whenever anything affecting the speaker changes (ie, a TIMER2 count, or PPI_B's CLK_TIMER2 or SPK_TIMER2
+     * bits), so that a speaker capture, if any, knows exactly when the change occurred.
+     *
+     * @this {ChipSet}
+     * @param {boolean} [fLoad] (true if a new count was just loaded into TIMER2)
+     */
+    updateSpeaker(fLoad)
+    {
+        if (this.sourceSpeaker && this.sourceSpeaker.capture) {
+            this.aSpeakerEvents.push(this.getSpeakerState(fLoad));
+        }
+    }
+
+    /**
+     * renderSpeaker(aSamples, nSamples, nCycles)
+     *
+     * Every sample is the average speaker level over all the cycles that the sample represents, which allows speaker
+     * "tricks" like pulse-width modulation (eg, rapidly toggling SPK_TIMER2 or retriggering TIMER2) to come through
+     * as something other than noise.
+     *
+     * @this {ChipSet}
+     * @param {Float32Array} aSamples
+     * @param {number} nSamples
+     * @param {number} nCycles (the CPU cycle count corresponding to the first sample)
+     */
+    renderSpeaker(aSamples, nSamples, nCycles)
+    {
+        let aEvents = this.aSpeakerEvents;
+        let state = this.speakerState;
+        let nCyclesPerSample = this.nCyclesPerSample;
+        for (let i = 0; i < nSamples; i++) {
+            let nCyclesEnd = nCycles + nCyclesPerSample;
+            while (aEvents.length && aEvents[0].nCycles <= nCycles) {
+                state = aEvents.shift();
+            }
+            let dSum = 0;
+            while (aEvents.length && aEvents[0].nCycles < nCyclesEnd) {
+                dSum += ChipSet.getSpeakerLevel(state, nCycles, aEvents[0].nCycles);
+                nCycles = aEvents[0].nCycles;
+                state = aEvents.shift();
+            }
+            dSum += ChipSet.getSpeakerLevel(state, nCycles, nCyclesEnd);
+            aSamples[i] += dSum / nCyclesPerSample * ChipSet.AUDIO.GAIN_SPEAKER;
+            nCycles = nCyclesEnd;
+        }
+        this.speakerState = state;
+    }
+
     /**
      * messageBitsDMA(iChannel)
      *
@@ -4904,6 +5542,79 @@ class ChipSet extends Component {
      }
      */
 
+    /**
+     * ChipSet.getSpeakerLevel(state, nCyclesFrom, nCyclesTo)
+     *
+     * Returns the sum of the speaker's levels (-1 for low, 1 for high, or 0 if the speaker is off) over the given
+     * range of cycles.  Only MODE3 (square wave) and the "one-shot" modes (MODE0 and MODE1) are modeled when TIMER2
+     * is gated; all other modes keep OUT high, except for a single tick that we ignore.
+     *
+     * @param {Object} state (from getSpeakerState())
+     * @param {number} nCyclesFrom
+     * @param {number} nCyclesTo
+     * @return {number}
+     */
+    static getSpeakerLevel(state, nCyclesFrom, nCyclesTo)
+    {
+        let nCycles = nCyclesTo - nCyclesFrom;
+        if (!state || !state.fOn || nCycles <= 0) return 0;
+        let nPeriod = state.nCyclesPeriod, nHigh;
+        if (state.fGate && state.mode == ChipSet.PIT_CTRL.MODE3 && nPeriod) {
+            /*
+             * OUT is high for the first half of every period (relative to nCyclesOrigin), and low for the second half.
+             */
+            let fnHigh = function(n) {
+                return Math.floor(n / nPeriod) * (nPeriod / 2) + Math.min(n % nPeriod, nPeriod / 2);
+            };
+            nHigh = fnHigh(nCyclesTo - state.nCyclesOrigin) - fnHigh(nCyclesFrom - state.nCyclesOrigin);
+        }
+        else if (state.fGate && (state.mode == ChipSet.PIT_CTRL.MODE0 || state.mode == ChipSet.PIT_CTRL.MODE1)) {
+            /*
+             * OUT is low from nCyclesOrigin until the count expires, and then it remains high.
+             */
+            nHigh = Math.max(0, nCyclesTo - Math.max(nCyclesFrom, state.nCyclesOrigin + nPeriod));
+        }
+        else {
+            let fHigh = state.fOUT || state.mode == ChipSet.PIT_CTRL.MODE2 || state.mode == ChipSet.PIT_CTRL.MODE3;
+            nHigh = fHigh? nCycles : 0;
+        }
+        return nHigh * 2 - nCycles;
+    }
+
+    /**
+     * ChipSet.getWAVHeader(nRate, nBytes)
+     *
+     * Returns the 44-byte header of a WAV file containing nBytes of 16-bit mono PCM data at nRate samples per second.
+     *
+     * @param {number} nRate
+     * @param {number} nBytes
+     * @return {Uint8Array}
+     */
+    static getWAVHeader(nRate, nBytes)
+    {
+        let ab = new Uint8Array(44);
+        let setString = function(off, s) {
+            for (let i = 0; i < s.length; i++) ab[off + i] = s.charCodeAt(i);
+        };
+        let setLong = function(off, l, cb = 4) {
+            for (let i = 0; i < cb; i++, l >>>= 8) ab[off + i] = l & 0xff;
+        };
+        setString(0, "RIFF");
+        setLong(4, 36 + nBytes);
+        setString(8, "WAVE");
+        setString(12, "fmt ");
+        setLong(16, 16);                // size of the "fmt " chunk
+        setLong(20, 1, 2);              // format (1 == PCM)
+        setLong(22, 1, 2);              // number of channels
+        setLong(24, nRate);             // samples per second
+        setLong(28, nRate * 2);         // bytes per second
+        setLong(32, 2, 2);              // bytes per sample (for all channels)
+        setLong(34, 16, 2);             // bits per sample
+        setString(36, "data");
+        setLong(40, nBytes);
+        return ab;
+    }
+
     /**
      * ChipSet.init()
      *
@@ -5027,6 +5738,7 @@ ChipSet.MODEL_COMPAQ_PORTABLE   = 5150.102; // COMPAQ Portable (COMPAQ's first P
 
 ChipSet.MODEL_ATT_6300          = 5160.101; // AT&T Personal Computer 6300/Olivetti M24 ("COPYRIGHT (C) OLIVETTI 1984","04/03/86",v1.43)
 ChipSet.MODEL_ZENITH_Z150       = 5160.150; // Zenith Data Systems Z-150 ("08/11/88 (C)ZDS CORP")
+ChipSet.MODEL_TANDY_1000        = 5160.102; // Tandy 1000 (PCjr-compatible video and sound on an otherwise PC XT-compatible motherboard)
 
 ChipSet.MODEL_COMPAQ_DESKPRO386 = 5180;     // COMPAQ DeskPro 386 (COMPAQ's first 80386-based PC); should be > MODEL_5170
 
@@ -5041,6 +5753,7 @@ ChipSet.MODELS = {
     "att6300":      ChipSet.MODEL_ATT_6300,
     "mpc1600":      ChipSet.MODEL_CDP_MPC1600,
     "z150":         ChipSet.MODEL_ZENITH_Z150,
+    "tandy1000":    ChipSet.MODEL_TANDY_1000,
     "compaq":       ChipSet.MODEL_COMPAQ_PORTABLE,
     "other":        ChipSet.MODEL_5150_OTHER
 };
@@ -5287,6 +6000,7 @@ ChipSet.IRQ = {
     COM1:               0x04,
     XTC:                0x05,   // MODEL_5160 uses IRQ 5 for HDC (XTC version)
     LPT2:               0x05,   // MODEL_5170 uses IRQ 5 for LPT2
+    VRT:                0x05,   // MODEL_4860 uses IRQ 5 for vertical retrace
     FDC:                0x06,
     LPT1:               0x07,
     RTC:                0x08,   // MODEL_5170
@@ -5361,6 +6075,17 @@ ChipSet.PIT_CTRL = {
 
 ChipSet.TIMER_TICKS_PER_SEC = 1193181;
 
+/*
+ * Audio mixing parameters (see addAudioSource() and updateAudio())
+ */
+ChipSet.AUDIO = {
+    RATE:           44100,      // default number of samples per second (whenever there's no AudioContext to ask)
+    MS_UPDATE:      10,         // number of milliseconds between periodic calls to updateAudio()
+    MS_QUEUE:       250,        // maximum number of milliseconds of samples queued for the AudioContext
+    BUFFER:         2048,       // ScriptProcessorNode buffer size (in samples)
+    GAIN_SPEAKER:   0.5         // gain applied to speaker captures (see renderSpeaker())
+};
+
 /*
  * 8255A Programmable Peripheral Interface (PPI) I/O ports, for Cassette/Speaker/Keyboard/SW1/etc
  *
@@ -5385,7 +6110,12 @@ ChipSet.PPI_B = {               // this.bPPIB (port 0x61)
     DISABLE_RW_MEM:     0x10,   // ALL: clear to enable RAM parity check, set to disable
     DISABLE_IO_CHK:     0x20,   // ALL: clear to enable I/O channel check, set to disable
     CLK_KBD:            0x40,   // ALL: clear to force keyboard clock low
-    CLEAR_KBD:          0x80    // ALL: clear to enable keyboard scan codes (MODEL_5150: set to enable SW1 through PPI_A.PORT)
+    CLEAR_KBD:          0x80,   // ALL: clear to enable keyboard scan codes (MODEL_5150: set to enable SW1 through PPI_A.PORT)
+    SOUND_SELECT:       0x60,   // MODEL_4860: sound multiplexer (bits 5-6) selects one of the following sound sources:
+    SOUND_TIMER2:       0x00,   // MODEL_4860: 8253 TIMER2
+    SOUND_CASSETTE:     0x20,   // MODEL_4860: cassette audio input
+    SOUND_IO_CHANNEL:   0x40,   // MODEL_4860: I/O channel audio input
+    SOUND_76496:        0x60    // MODEL_4860: SN76496 Complex Sound Generator (see sn76496.js)
 };
 
 ChipSet.PPI_C = {               // this.bPPIC (port 0x62)
@@ -5867,6 +6597,8 @@ ChipSet.CMOS = {
         EXTMEM_HI:      0x18,   // the EXTMEM values indicate the total Kb of extended memory, up to 0x3C00 (15Mb)
         EXTHDRIVE0:     0x19,   // if bits 4-7 of HDRIVE contains 15, then the type of drive 0 is stored here (16-255)
         EXTHDRIVE1:     0x1A,   // if bits 0-3 of HDRIVE contains 15, then the type of drive 1 is stored here (16-255)
+        HDUSER0:        0x1B,   // user-defined (type 47) parameters for drive 0, if any (AMI/Award convention; see CMOS.HDUSER)
+        HDUSER1:        0x24,   // user-defined (type 47) parameters for drive 1, if any (AMI/Award convention; see CMOS.HDUSER)
         CHKSUM_HI:      0x2E,
         CHKSUM_LO:      0x2F,   // CMOS bytes included in the checksum calculation: 0x10-0x2D
         EXTMEM2_LO:     0x30,
@@ -5937,6 +6669,17 @@ ChipSet.CMOS = {
         D0_MASK:        0xF0,   // Drive 0 type in high nibble
         D1_MASK:        0x0F    // Drive 1 type in lower nibble
     },
+    /*
+     * HDUSER offsets are relative to either CMOS.ADDR.HDUSER0 or CMOS.ADDR.HDUSER1, and are updated by setCMOSDriveParms()
+     */
+    HDUSER: {
+        CYLS:           0x00,   // number of cylinders (word)
+        HEADS:          0x02,   // number of heads
+        WPC:            0x03,   // write precompensation cylinder (word; 0xFFFF if none)
+        CTRL:           0x05,   // control byte
+        LZ:             0x06,   // landing zone cylinder (word)
+        SECTORS:        0x08    // sectors per track
+    },
     /*
      * The CMOS equipment flags use the same format as the older PPI equipment flags
      */
@@ -6015,6 +6758,15 @@ ChipSet.NMI = {                 // this.bNMI
     RESET:              0x00    // default value on reset (TODO: Is NMI really disabled by default on reset?)
 };
 
+/*
+ * MODEL_4860 keyboard frame timing (see getKbdSerialData())
+ */
+ChipSet.KBD_SERIAL = {
+    HALF_CELL:          220,    // microseconds per half-cell
+    DATA_CELLS:         10,     // start bit, 8 data bits, and parity bit
+    FRAME_CELLS:        21      // data cells, plus 11 stop bits
+};
+
 /*
  * FPU Coprocessor Control Registers (MODEL_5170)
  */
@@ -43,6 +43,8 @@ if (DEBUGGER) {
         var Interrupts  = require("./interrupts");
         var Messages    = require("./messages");
         var MemoryX86   = require("./memory");
+        var GDBStub     = require("./gdbstub");
+        var fs          = require("fs");
     }
 }
 
@@ -61,6 +63,15 @@ if (DEBUGGER) {
  * @property {boolean}  [fTempBreak]
  * @property {string}   [sCmd]
  * @property {Array.<string>} [aCmds]
+ * @property {number}   [addrWatch]     (added to DbgAddrX86 objects stored in aBreakWatch; see doWatch())
+ * @property {number}   [nLen]          (ditto)
+ * @property {number}   [nValue]        (ditto)
+ * @property {boolean}  [fAny]          (ditto)
+ * @property {boolean}  [fLog]          (ditto)
+ * @property {number}   [nCount]        (ditto)
+ * @property {number}   [nHits]         (ditto)
+ * @property {number}   [addrFrom]      (ditto)
+ * @property {number}   [addrTo]        (ditto)
  * @property {number}   [nCPUCycles]    (added to DbgAddrX86 objects stored in history buffer)
  * @property {number}   [nDebugCycles]  (added to DbgAddrX86 objects stored in history buffer)
  * @property {number}   [nDebugState]   (added to DbgAddrX86 objects stored in history buffer)
@@ -172,14 +183,15 @@ class DebuggerX86 extends DbgLib {
              * clearBreakpoints() initializes the breakpoints lists: aBreakExec is a list of addresses
              * to halt on whenever attempting to execute an instruction at the corresponding address,
              * and aBreakRead and aBreakWrite are lists of addresses to halt on whenever a read or write,
-             * respectively, occurs at the corresponding address.
+             * respectively, occurs at the corresponding address.  aBreakWatch is a list of watchpoints, which
+             * are like write breakpoints, but cover a range of addresses and support additional conditions.
              *
              * NOTE: Curiously, after upgrading the Google Closure Compiler from v20141215 to v20150609,
              * the resulting compiled code would crash in clearBreakpoints(), because the (renamed) aBreakRead
              * property was already defined.  To eliminate whatever was confusing the Closure Compiler, I've
              * explicitly initialized all the properties that clearBreakpoints() (re)initializes.
              */
-            this.aBreakExec = this.aBreakRead = this.aBreakWrite = [];
+            this.aBreakExec = this.aBreakRead = this.aBreakWrite = this.aBreakWatch = [];
             this.clearBreakpoints();
 
             /*
@@ -188,6 +200,24 @@ class DebuggerX86 extends DbgLib {
              */
             this.nBreakIns = 0;
 
+            /*
+             * The "gdb" command creates a GDBStub, which we must notify whenever the CPU stops.
+             */
+            this.gdbStub = null;
+
+            /*
+             * The "trace on" command allocates a ring buffer of register states (see traceInit()), along with
+             * a parallel array of the memory writes performed by each recorded instruction.
+             */
+            this.aTraceRegs = this.aTraceWrites = null;
+            this.iTrace = this.nTrace = 0;
+
+            /*
+             * The "dos break" command allocates a sparse array of INT 0x21 function breakpoints (see doDOSBreak()).
+             */
+            this.aDOSBreaks = null;
+            this.addrDOSBreak = undefined;
+
             /*
              * Execution history is allocated by historyInit() whenever checksEnabled() conditions change.
              * Execution history is updated whenever the CPU calls checkInstruction(), which will happen
@@ -1695,9 +1725,8 @@ class DebuggerX86 extends DbgLib {
     /**
      * dumpDOS(asArgs)
      *
-     * Dumps DOS MCBs (Memory Control Blocks).
-     *
-     * TODO: Add some code to detect the current version of DOS (if any) and locate the first MCB automatically.
+     * Dumps DOS MCBs (Memory Control Blocks).  If no MCB segment is specified, we use findDOS() to locate
+     * the first MCB automatically.
      *
      * @this {DebuggerX86}
      * @param {Array.<string>} asArgs
@@ -1708,23 +1737,318 @@ class DebuggerX86 extends DbgLib {
         let sMCB = asArgs[0];
         if (sMCB) {
             mcb = this.parseValue(sMCB);
+        } else {
+            let dos = this.findDOS();
+            if (dos) mcb = dos.mcb;
         }
         if (mcb === undefined) {
-            this.println("invalid MCB");
+            this.println(sMCB? "invalid MCB" : "unable to locate DOS");
             return;
         }
         this.println("dumpMCB(" + Str.toHexWord(mcb) + ')');
-        while (mcb) {
+        while (mcb && mcb < 0xffff) {
             let dbgAddr = this.newAddr(0, mcb);
             let bSig = this.getByte(dbgAddr, 1);
             let wPID = this.getShort(dbgAddr, 2);
             let wParas = this.getShort(dbgAddr, 5);
             if (bSig != 0x4D && bSig != 0x5A) break;
-            this.println(this.toHexOffset(0, mcb) + ": '" + String.fromCharCode(bSig) + "' PID=" + Str.toHexWord(wPID) + " LEN=" + Str.toHexWord(wParas) + ' "' + this.getSZ(dbgAddr, 8) + '"');
+            let sOwner = (!wPID? " (free)" : (wPID == DebuggerX86.DOS.MCB.OWNER_DOS? " (DOS)" : ""));
+            this.println(this.toHexOffset(0, mcb) + ": '" + String.fromCharCode(bSig) + "' PID=" + Str.toHexWord(wPID) + " LEN=" + Str.toHexWord(wParas) + ' "' + this.getSZ(dbgAddr, 8) + '"' + sOwner);
             mcb += 1 + wParas;
         }
     }
 
+    /**
+     * findDOS()
+     *
+     * Locates DOS's "List of Lists" (the structure returned by the undocumented INT 0x21 function 0x52)
+     * without issuing any software interrupts.  Every version of DOS since 2.00 embeds the header of the NUL
+     * device driver inside that structure, so we scan low memory for a "NUL" device header and then verify
+     * that the word preceding the corresponding List of Lists refers to a valid MCB.
+     *
+     * @this {DebuggerX86}
+     * @return {Object|null} ({addr, mcb, nVersion}, where addr is the linear address of the List of Lists)
+     */
+    findDOS()
+    {
+        let cpu = this.cpu;
+        let aNUL = DebuggerX86.DOS.LOL.NUL;
+        for (let addr = 0x500; addr < 0x20000; addr++) {
+            if (cpu.getByte(addr) != 0x4E || cpu.getLong(addr) != 0x204C554E || cpu.getLong(addr + 4) != 0x20202020) continue;
+            for (let i = 0; i < aNUL.length; i++) {
+                let addrLoL = addr - aNUL[i][1];
+                let mcb = cpu.getShort(addrLoL + DebuggerX86.DOS.LOL.MCB);
+                if (this.isMCB(mcb)) {
+                    return {addr: addrLoL, mcb: mcb, nVersion: aNUL[i][0]};
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * isMCB(seg)
+     *
+     * @this {DebuggerX86}
+     * @param {number} seg
+     * @return {boolean} true if the paragraph at seg looks like an MCB, false if not
+     */
+    isMCB(seg)
+    {
+        let bSig = this.cpu.getByte(seg << 4);
+        return !!seg && (bSig == 0x4D || bSig == 0x5A);
+    }
+
+    /**
+     * isPSP(seg)
+     *
+     * A valid PSP begins with an "INT 0x20" instruction and is owned by itself.
+     *
+     * @this {DebuggerX86}
+     * @param {number} seg
+     * @return {boolean} true if the paragraph at seg looks like a PSP, false if not
+     */
+    isPSP(seg)
+    {
+        let cpu = this.cpu;
+        return !!seg && cpu.getShort(seg << 4) == 0x20CD && this.isMCB(seg - 1) && cpu.getShort(((seg - 1) << 4) + DebuggerX86.DOS.MCB.OWNER) == seg;
+    }
+
+    /**
+     * getDOSString(addr, cchMax)
+     *
+     * Unlike getSZ(), this doesn't treat '$' as a terminator, since environment strings (eg, "PROMPT=$P$G")
+     * often contain them.
+     *
+     * @this {DebuggerX86}
+     * @param {number} addr (linear)
+     * @param {number} [cchMax]
+     * @return {string}
+     */
+    getDOSString(addr, cchMax = 256)
+    {
+        let s = "";
+        while (s.length < cchMax) {
+            let b = this.cpu.getByte(addr++);
+            if (!b) break;
+            s += (b >= 32 && b < 127? String.fromCharCode(b) : '.');
+        }
+        return s;
+    }
+
+    /**
+     * getDOSPrograms(dos)
+     *
+     * Walks the MCB chain and returns an array of {psp, mcb, nParas} entries, one for every program (ie, every
+     * PSP that owns the memory block immediately following its MCB), with nParas totalling all the blocks it owns.
+     *
+     * @this {DebuggerX86}
+     * @param {Object} dos (from findDOS)
+     * @return {Array.<Object>}
+     */
+    getDOSPrograms(dos)
+    {
+        let cpu = this.cpu;
+        let aPrograms = [], aOwners = [];
+        for (let mcb = dos.mcb; this.isMCB(mcb) && mcb < 0xffff;) {
+            let owner = cpu.getShort((mcb << 4) + DebuggerX86.DOS.MCB.OWNER);
+            let nParas = cpu.getShort((mcb << 4) + DebuggerX86.DOS.MCB.PARAS);
+            if (owner == mcb + 1 && this.isPSP(owner)) {
+                aPrograms.push({psp: owner, mcb: mcb, nParas: 0});
+            }
+            aOwners.push([owner, nParas + 1]);
+            if (cpu.getByte(mcb << 4) == 0x5A) break;
+            mcb += nParas + 1;
+        }
+        for (let i = 0; i < aOwners.length; i++) {
+            for (let j = 0; j < aPrograms.length; j++) {
+                if (aPrograms[j].psp == aOwners[i][0]) aPrograms[j].nParas += aOwners[i][1];
+            }
+        }
+        return aPrograms;
+    }
+
+    /**
+     * getDOSPSP(dos)
+     *
+     * Returns the current PSP.  DOS stores the current DTA address immediately before the current PSP segment
+     * (in DOS 3.x and up, that's inside the Swappable Data Area, which lives in the same segment as the List of
+     * Lists), so we look for a DTA pointer whose segment matches a valid PSP; most programs use the default DTA
+     * at offset 0x80 of their PSP.  If that fails, we fall back to the most recently loaded program.
+     *
+     * @this {DebuggerX86}
+     * @param {Object} dos (from findDOS)
+     * @return {number} (or 0 if no PSP found)
+     */
+    getDOSPSP(dos)
+    {
+        let cpu = this.cpu;
+        for (let addr = dos.addr - 0x100; addr < dos.addr + 0x1000; addr++) {
+            let psp = cpu.getShort(addr + 4);
+            if (cpu.getShort(addr) == 0x80 && cpu.getShort(addr + 2) == psp && this.isPSP(psp)) {
+                return psp;
+            }
+        }
+        let aPrograms = this.getDOSPrograms(dos);
+        return aPrograms.length? aPrograms[aPrograms.length - 1].psp : 0;
+    }
+
+    /**
+     * getDOSProgramName(psp)
+     *
+     * Returns the name of the program that owns the given PSP, using the program path that DOS 3.x and up
+     * store at the end of the environment block, or else the name that DOS 4.x and up store in the MCB.
+     *
+     * @this {DebuggerX86}
+     * @param {number} psp
+     * @return {string}
+     */
+    getDOSProgramName(psp)
+    {
+        let cpu = this.cpu;
+        let sName = "";
+        let env = cpu.getShort((psp << 4) + DebuggerX86.DOS.PSP.ENV);
+        if (this.isMCB(env - 1) && cpu.getShort(((env - 1) << 4) + DebuggerX86.DOS.MCB.OWNER) == psp) {
+            let addr = env << 4;
+            let addrLimit = addr + (cpu.getShort(((env - 1) << 4) + DebuggerX86.DOS.MCB.PARAS) << 4);
+            while (addr < addrLimit && cpu.getByte(addr)) {
+                addr += this.getDOSString(addr, 0x8000).length + 1;
+            }
+            if (addr < addrLimit && cpu.getShort(addr + 1) == 1) {
+                sName = this.getDOSString(addr + 3, 128);
+            }
+        }
+        if (!sName) {
+            sName = this.getDOSString(((psp - 1) << 4) + DebuggerX86.DOS.MCB.NAME, 8);
+        }
+        return sName;
+    }
+
+    /**
+     * getDOSFiles(dos)
+     *
+     * Walks the System File Tables and returns an array of {addr, nHandles, nMode, sName, nSize, nPos, psp}
+     * entries, indexed by SFT number (which is what each program's Job File Table stores for every handle).
+     *
+     * The size of an SFT entry varies with the DOS version, and since the List of Lists doesn't tell us the
+     * version, we pick the entry size that produces a sensible name for the second entry (normally "AUX").
+     *
+     * @this {DebuggerX86}
+     * @param {Object} dos (from findDOS)
+     * @return {Array.<Object>}
+     */
+    getDOSFiles(dos)
+    {
+        let cpu = this.cpu;
+        let aFiles = [];
+        let SFT = DebuggerX86.DOS.SFT.LAYOUTS[dos.nVersion < 0x30? 0 : 1];
+        let off = cpu.getShort(dos.addr + DebuggerX86.DOS.LOL.SFT);
+        let seg = cpu.getShort(dos.addr + DebuggerX86.DOS.LOL.SFT + 2);
+        let nEntrySize = SFT.SIZES[0];
+        let addrFirst = (seg << 4) + off + DebuggerX86.DOS.SFT.ENTRIES;
+        for (let i = 0; i < SFT.SIZES.length; i++) {
+            let sName = this.getDOSString(addrFirst + SFT.SIZES[i] + SFT.NAME, 11);
+            if (sName.length == 11 && sName.indexOf('.') < 0) {
+                nEntrySize = SFT.SIZES[i];
+                break;
+            }
+        }
+        while (off != 0xffff && aFiles.length < 256) {
+            let addr = (seg << 4) + off;
+            let nEntries = cpu.getShort(addr + DebuggerX86.DOS.SFT.COUNT);
+            if (!nEntries || nEntries > 255) break;
+            for (let i = 0; i < nEntries; i++) {
+                let addrEntry = addr + DebuggerX86.DOS.SFT.ENTRIES + i * nEntrySize;
+                aFiles.push({
+                    addr: addrEntry,
+                    nHandles: SFT.HANDLES_BYTE? cpu.getByte(addrEntry + SFT.HANDLES) : cpu.getShort(addrEntry + SFT.HANDLES),
+                    nMode: cpu.getByte(addrEntry + SFT.MODE),
+                    sName: this.getDOSString(addrEntry + SFT.NAME, 11),
+                    nSize: cpu.getLong(addrEntry + SFT.FSIZE),
+                    nPos: SFT.POS? cpu.getLong(addrEntry + SFT.POS) : -1,
+                    psp: SFT.OWNER? cpu.getShort(addrEntry + SFT.OWNER) : 0
+                });
+            }
+            off = cpu.getShort(addr + DebuggerX86.DOS.SFT.NEXT);
+            seg = cpu.getShort(addr + DebuggerX86.DOS.SFT.NEXT + 2);
+        }
+        return aFiles;
+    }
+
+    /**
+     * getDOSFileString(file, i)
+     *
+     * @this {DebuggerX86}
+     * @param {Object} file (from getDOSFiles)
+     * @param {number} i (SFT number)
+     * @return {string}
+     */
+    getDOSFileString(file, i)
+    {
+        let sName = file.sName.substr(0, 8).trim();
+        let sExt = file.sName.substr(8).trim();
+        if (sExt) sName += '.' + sExt;
+        let s = "SFT " + Str.toHex(i, 2) + ": " + Str.pad(sName, 12) + " refs=" + file.nHandles + " mode=" + Str.toHex(file.nMode, 2) + " size=" + Str.toHex(file.nSize);
+        if (file.nPos >= 0) s += " pos=" + Str.toHex(file.nPos);
+        if (file.psp) s += " psp=" + Str.toHex(file.psp, 4);
+        return s;
+    }
+
+    /**
+     * dumpPSP(dos, psp)
+     *
+     * Displays the given PSP, including its command tail, environment, and open file handles.
+     *
+     * @this {DebuggerX86}
+     * @param {Object} dos (from findDOS)
+     * @param {number} psp
+     */
+    dumpPSP(dos, psp)
+    {
+        let cpu = this.cpu;
+        let addr = psp << 4;
+        let PSP = DebuggerX86.DOS.PSP;
+        let env = cpu.getShort(addr + PSP.ENV);
+        this.println("PSP " + Str.toHex(psp, 4) + ": \"" + this.getDOSProgramName(psp) + "\" parent=" + Str.toHex(cpu.getShort(addr + PSP.PARENT), 4) + " env=" + Str.toHex(env, 4) + " top=" + Str.toHex(cpu.getShort(addr + PSP.TOP), 4));
+        let cchTail = Math.min(cpu.getByte(addr + PSP.TAIL), 127);
+        let sTail = "";
+        for (let i = 0; i < cchTail; i++) {
+            let b = cpu.getByte(addr + PSP.TAIL + 1 + i);
+            sTail += (b >= 32 && b < 127? String.fromCharCode(b) : '.');
+        }
+        this.println("command tail: \"" + sTail + '"');
+        if (this.isMCB(env - 1) && cpu.getShort(((env - 1) << 4) + DebuggerX86.DOS.MCB.OWNER) == psp) {
+            this.println("environment:");
+            let addrEnv = env << 4;
+            let addrLimit = addrEnv + (cpu.getShort(((env - 1) << 4) + DebuggerX86.DOS.MCB.PARAS) << 4);
+            while (addrEnv < addrLimit && cpu.getByte(addrEnv)) {
+                let s = this.getDOSString(addrEnv, 0x8000);
+                this.println("\t" + s);
+                addrEnv += s.length + 1;
+            }
+        }
+        /*
+         * DOS 3.30 and up support relocatable Job File Tables, whose size and address are stored at offsets 0x32
+         * and 0x34; earlier versions leave those fields zero, so we fall back to the 20-entry table inside the PSP.
+         */
+        let nHandles = cpu.getShort(addr + PSP.JFT_SIZE);
+        let addrJFT = (cpu.getShort(addr + PSP.JFT_PTR + 2) << 4) + cpu.getShort(addr + PSP.JFT_PTR);
+        if (!nHandles || nHandles > 255 || !addrJFT) {
+            nHandles = 20;
+            addrJFT = addr + PSP.JFT;
+        }
+        let aFiles = this.getDOSFiles(dos);
+        this.println("open handles:");
+        let cHandles = 0;
+        for (let h = 0; h < nHandles; h++) {
+            let iFile = cpu.getByte(addrJFT + h);
+            if (iFile == 0xff) continue;
+            this.println("\t" + Str.toHex(h, 2) + ": " + (aFiles[iFile]? this.getDOSFileString(aFiles[iFile], iFile) : "SFT " + Str.toHex(iFile, 2) + ": invalid"));
+            cHandles++;
+        }
+        if (!cHandles) this.println("\tnone");
+    }
+
     /**
      * dumpIDT(asArgs)
      *
@@ -2715,6 +3039,287 @@ class DebuggerX86 extends DbgLib {
         }
     }
 
+    /**
+     * traceInit(nLimit)
+     *
+     * Allocates (or, if nLimit is zero, frees) the execution trace buffer, a ring buffer that records the registers
+     * (and first 8 opcode bytes) of every instruction executed, along with every memory write each instruction performs.
+     * Since trace recording changes the checksEnabled() criteria, this also calls historyInit().
+     *
+     * To see all memory writes, we give every physical memory block a write "breakpoint" for as long as tracing is
+     * enabled, which forces all writes through checkMemoryWrite(); those breakpoints never stop the CPU, because they
+     * don't appear in aBreakWrite.
+     *
+     * @this {DebuggerX86}
+     * @param {number} nLimit (maximum number of instructions to record)
+     */
+    traceInit(nLimit)
+    {
+        let fEnable = !!nLimit;
+        if (fEnable != !!this.aTraceRegs) {
+            let aBlocks = this.cpu.aBusBlocks;
+            for (let i = 0; i < aBlocks.length; i++) {
+                if (fEnable) {
+                    aBlocks[i].addBreakpoint(0, true);
+                } else {
+                    aBlocks[i].removeBreakpoint(0, true);
+                }
+            }
+            this.cpu.flushPageBlocks();
+        }
+        if (fEnable) {
+            this.aTraceRegs = new Int32Array(nLimit * DebuggerX86.TRACE_FIELDS);
+            this.aTraceWrites = new Array(nLimit);
+        } else {
+            this.aTraceRegs = this.aTraceWrites = null;
+        }
+        this.iTrace = this.nTrace = 0;
+        this.historyInit();
+    }
+
+    /**
+     * traceInstruction()
+     *
+     * Called by checkInstruction() to record the state of the CPU before the next instruction is executed.
+     *
+     * @this {DebuggerX86}
+     */
+    traceInstruction()
+    {
+        let nLimit = this.aTraceWrites.length;
+        if (this.nTrace) this.traceWritesDone(this.getTraceIndex(0));
+        this.getTraceState(this.aTraceRegs, this.iTrace * DebuggerX86.TRACE_FIELDS);
+        this.aTraceWrites[this.iTrace] = null;
+        if (++this.iTrace == nLimit) this.iTrace = 0;
+        if (this.nTrace < nLimit) this.nTrace++;
+    }
+
+    /**
+     * getTraceState(a, off)
+     *
+     * Stores the current CPU registers in the given array, in the order listed by TRACE_REGS, followed by the first
+     * 8 bytes of the next instruction.
+     *
+     * @this {DebuggerX86}
+     * @param {Int32Array} a
+     * @param {number} off
+     */
+    getTraceState(a, off)
+    {
+        let cpu = this.cpu;
+        let fI386 = (I386 && cpu.model >= X86.MODEL_80386);
+        a[off] = cpu.regEAX;
+        a[off + 1] = cpu.regEBX;
+        a[off + 2] = cpu.regECX;
+        a[off + 3] = cpu.regEDX;
+        a[off + 4] = cpu.getSP();
+        a[off + 5] = cpu.regEBP;
+        a[off + 6] = cpu.regESI;
+        a[off + 7] = cpu.regEDI;
+        a[off + 8] = cpu.getIP();
+        a[off + 9] = cpu.getPS();
+        a[off + 10] = cpu.getCS();
+        a[off + 11] = cpu.getDS();
+        a[off + 12] = cpu.getES();
+        a[off + 13] = cpu.getSS();
+        a[off + 14] = fI386? cpu.getFS() : 0;
+        a[off + 15] = fI386? cpu.getGS() : 0;
+        a[off + 16] = cpu.probeAddr(cpu.regLIP, 4) | 0;
+        a[off + 17] = cpu.probeAddr(cpu.regLIP + 4, 4) | 0;
+    }
+
+    /**
+     * traceWrite(addr, nb)
+     *
+     * Called by checkMemoryWrite() BEFORE the write occurs, so we record the original value; the new value is
+     * recorded by traceWritesDone() once the instruction has finished.
+     *
+     * Some memory blocks (eg, video buffers) break a word or dword write into byte writes, which are also checked,
+     * so we ignore any write that's contained within one of the last few writes.
+     *
+     * @this {DebuggerX86}
+     * @param {number} addr (physical)
+     * @param {number} nb (1, 2 or 4)
+     */
+    traceWrite(addr, nb)
+    {
+        if (this.nTrace) {
+            let i = this.getTraceIndex(0);
+            let aWrites = this.aTraceWrites[i] || (this.aTraceWrites[i] = []);
+            for (let j = aWrites.length - 4; j >= 0 && j >= aWrites.length - 16; j -= 4) {
+                if (addr >= aWrites[j] && addr + nb <= aWrites[j] + aWrites[j + 1]) return;
+            }
+            aWrites.push(addr, nb, this.getTraceMemory(addr, nb), 0);
+        }
+    }
+
+    /**
+     * traceWritesDone(i)
+     *
+     * @this {DebuggerX86}
+     * @param {number} i (trace buffer index)
+     */
+    traceWritesDone(i)
+    {
+        let aWrites = this.aTraceWrites[i];
+        if (aWrites) {
+            for (let j = 0; j < aWrites.length; j += 4) {
+                aWrites[j + 3] = this.getTraceMemory(aWrites[j], aWrites[j + 1]);
+            }
+        }
+    }
+
+    /**
+     * getTraceMemory(addr, nb)
+     *
+     * @this {DebuggerX86}
+     * @param {number} addr (physical)
+     * @param {number} nb (1, 2 or 4)
+     * @return {number}
+     */
+    getTraceMemory(addr, nb)
+    {
+        return (nb == 1? this.bus.getByteDirect(addr) : (nb == 2? this.bus.getShortDirect(addr) : this.bus.getLongDirect(addr)));
+    }
+
+    /**
+     * getTraceIndex(n)
+     *
+     * @this {DebuggerX86}
+     * @param {number} n (number of instructions back from the most recent one, which is 0)
+     * @return {number} (trace buffer index)
+     */
+    getTraceIndex(n)
+    {
+        let nLimit = this.aTraceWrites.length;
+        return (this.iTrace - 1 - n + nLimit * 2) % nLimit;
+    }
+
+    /**
+     * getTraceLine(n)
+     *
+     * Returns the instruction recorded n instructions back, followed by a comment listing the registers it changed
+     * (ie, differences from the registers recorded for the next instruction, or from the current registers if it's the
+     * most recent instruction) and the memory it changed; IP is omitted, since the next instruction's address shows it.
+     * If the instruction's bytes no longer match the recorded bytes, the recorded bytes are listed as well.
+     *
+     * @this {DebuggerX86}
+     * @param {number} n
+     * @return {string}
+     */
+    getTraceLine(n)
+    {
+        let aNext, offNext;
+        let a = this.aTraceRegs;
+        let i = this.getTraceIndex(n);
+        let off = i * DebuggerX86.TRACE_FIELDS;
+        if (n) {
+            aNext = a;
+            offNext = this.getTraceIndex(n - 1) * DebuggerX86.TRACE_FIELDS;
+        } else {
+            this.traceWritesDone(i);
+            aNext = new Int32Array(DebuggerX86.TRACE_FIELDS);
+            offNext = 0;
+            this.getTraceState(aNext, offNext);
+        }
+        let sChanges = "";
+        for (let iReg = 0; iReg < DebuggerX86.TRACE_REGS.length; iReg++) {
+            let v = aNext[offNext + iReg];
+            if (a[off + iReg] != v && iReg != 8) {
+                sChanges += (sChanges? ' ' : '') + this.getTraceRegName(iReg) + '=' + Str.toHex(v, iReg < 10? this.cchReg : 4);
+            }
+        }
+        let aWrites = this.aTraceWrites[i];
+        if (aWrites) {
+            for (let j = 0; j < aWrites.length; j += 4) {
+                sChanges += (sChanges? ' ' : '') + '[%' + Str.toHex(aWrites[j], this.cchAddr) + "]=" + Str.toHex(aWrites[j + 3], aWrites[j + 1] * 2);
+            }
+        }
+        let dbgAddr = this.newAddr(a[off + 8], a[off + 10]);
+        let addr = this.getAddr(dbgAddr);
+        if (addr !== X86.ADDR_INVALID && ((this.cpu.probeAddr(addr, 4) | 0) != a[off + 16] || (this.cpu.probeAddr(addr + 4, 4) | 0) != a[off + 17])) {
+            sChanges = "was " + Str.toHex(a[off + 16], 8) + Str.toHex(a[off + 17], 8) + (sChanges? ' ' + sChanges : "");
+        }
+        return this.getInstruction(dbgAddr, sChanges);
+    }
+
+    /**
+     * getTraceRegName(iReg)
+     *
+     * @this {DebuggerX86}
+     * @param {number} iReg
+     * @return {string}
+     */
+    getTraceRegName(iReg)
+    {
+        let sReg = DebuggerX86.TRACE_REGS[iReg];
+        return (this.cchReg > 4 || iReg > 8)? sReg : sReg.substr(1);
+    }
+
+    /**
+     * traceRestore(n)
+     *
+     * Reverses the effects of the most recent n instructions, by restoring all the memory they changed (most recent
+     * first), and then restoring the registers recorded for the earliest of those instructions.  Note that only the CPU
+     * and memory are restored; any other effects (eg, I/O operations, timers, video, etc) are NOT.
+     *
+     * @this {DebuggerX86}
+     * @param {number} n
+     * @return {number} (number of instructions reversed)
+     */
+    traceRestore(n)
+    {
+        let i = 0, cpu = this.cpu;
+        if (n > this.nTrace) n = this.nTrace;
+        for (let j = 0; j < n; j++) {
+            i = this.getTraceIndex(0);
+            let aWrites = this.aTraceWrites[i];
+            if (aWrites) {
+                for (let k = aWrites.length - 4; k >= 0; k -= 4) {
+                    let addr = aWrites[k], nb = aWrites[k + 1], v = aWrites[k + 2];
+                    if (nb == 1) {
+                        this.bus.setByteDirect(addr, v);
+                    } else if (nb == 2) {
+                        this.bus.setShortDirect(addr, v);
+                    } else {
+                        this.bus.setLongDirect(addr, v);
+                    }
+                }
+                this.aTraceWrites[i] = null;
+            }
+            this.iTrace = i;
+            this.nTrace--;
+        }
+        if (n) {
+            let a = this.aTraceRegs;
+            let off = i * DebuggerX86.TRACE_FIELDS;
+            cpu.regEAX = a[off];
+            cpu.regEBX = a[off + 1];
+            cpu.regECX = a[off + 2];
+            cpu.regEDX = a[off + 3];
+            cpu.setSP(a[off + 4]);
+            cpu.regEBP = a[off + 5];
+            cpu.regESI = a[off + 6];
+            cpu.regEDI = a[off + 7];
+            /*
+             * As with the "r" command, reloading segment registers in protected-mode could generate a fault, so we
+             * reload only those that actually changed.
+             */
+            if (a[off + 10] != cpu.getCS()) cpu.setCS(a[off + 10]);
+            cpu.setIP(a[off + 8]);
+            cpu.setPS(a[off + 9]);
+            if (a[off + 11] != cpu.getDS()) cpu.setDS(a[off + 11]);
+            if (a[off + 12] != cpu.getES()) cpu.setES(a[off + 12]);
+            if (a[off + 13] != cpu.getSS()) cpu.setSS(a[off + 13]);
+            if (I386 && cpu.model >= X86.MODEL_80386) {
+                if (a[off + 14] != cpu.getFS()) cpu.setFS(a[off + 14]);
+                if (a[off + 15] != cpu.getGS()) cpu.setGS(a[off + 15]);
+            }
+            cpu.updateCPU(true);
+        }
+        return n;
+    }
+
     /**
      * startCPU(fUpdateFocus, fQuiet)
      *
@@ -2738,9 +3343,10 @@ class DebuggerX86 extends DbgLib {
      * @param {number} nCycles (0 for one instruction without checking breakpoints)
      * @param {boolean} [fRegs] is true to display registers after step (default is false)
      * @param {boolean} [fUpdateCPU] is false to disable calls to updateCPU() (default is true)
+     * @param {boolean} [fQuiet] is true to skip the status update (ie, the register dump or unassembly)
      * @return {boolean}
      */
-    stepCPU(nCycles, fRegs, fUpdateCPU)
+    stepCPU(nCycles, fRegs, fUpdateCPU, fQuiet)
     {
         if (!this.checkCPU()) return false;
 
@@ -2783,7 +3389,11 @@ class DebuggerX86 extends DbgLib {
          */
         if (fUpdateCPU !== false) this.cpu.updateCPU(true);
 
-        this.updateStatus(fRegs || false);
+        if (!fQuiet) {
+            this.updateStatus(fRegs || false);
+        } else {
+            this.dbgAddrNextCode = this.newAddr(this.cpu.getIP(), this.cpu.getCS());
+        }
         return (this.nCycles > 0);
     }
 
@@ -2918,7 +3528,7 @@ class DebuggerX86 extends DbgLib {
         state.set(2, this.packAddr(this.dbgAddrAssemble));
         state.set(3, [this.aPrevCmds, this.fAssemble, this.setBits(this.bitsMessage, Messages.BUFFER)]);
         state.set(4, this.aSymbolTable);
-        state.set(5, [this.aBreakExec, this.aBreakRead, this.aBreakWrite]);
+        state.set(5, [this.aBreakExec, this.aBreakRead, this.aBreakWrite, this.aBreakWatch]);
         return state.data();
     }
 
@@ -2962,6 +3572,7 @@ class DebuggerX86 extends DbgLib {
             this.restoreBreakpoints(this.aBreakExec, data[i][0]);
             this.restoreBreakpoints(this.aBreakRead, data[i][1]);
             this.restoreBreakpoints(this.aBreakWrite, data[i][2]);
+            if (data[i][3]) this.restoreBreakpoints(this.aBreakWatch, data[i][3]);
         }
         return true;
     }
@@ -3053,6 +3664,7 @@ class DebuggerX86 extends DbgLib {
             this.updateStatus(true);
             this.updateFocus();
             this.clearTempBreakpoint(this.cpu.regLIP);
+            if (this.gdbStub) this.gdbStub.stopped();
         }
     }
 
@@ -3072,7 +3684,7 @@ class DebuggerX86 extends DbgLib {
      */
     checksEnabled(fRelease)
     {
-        return ((MAXDEBUG && !fRelease)? true : (this.aBreakExec.length > 1 || !!this.nBreakIns || this.messageEnabled(Messages.INT) /* || this.aBreakRead.length > 1 || this.aBreakWrite.length > 1 */));
+        return ((MAXDEBUG && !fRelease)? true : (this.aBreakExec.length > 1 || !!this.nBreakIns || !!this.aTraceRegs || this.messageEnabled(Messages.INT) /* || this.aBreakRead.length > 1 || this.aBreakWrite.length > 1 */));
     }
 
     /**
@@ -3146,6 +3758,10 @@ class DebuggerX86 extends DbgLib {
                 if (++this.iOpcodeHistory == this.aOpcodeHistory.length) this.iOpcodeHistory = 0;
             }
         }
+
+        if (nState >= 0 && this.aTraceRegs) {
+            this.traceInstruction();
+        }
         return false;
     }
 
@@ -3188,11 +3804,15 @@ class DebuggerX86 extends DbgLib {
      * @this {DebuggerX86}
      * @param {number} addr
      * @param {number} [nb] (# of bytes; default is 1)
+     * @param {number} [data] (the value about to be written, if known)
      * @return {boolean} true if breakpoint hit, false if not
      */
-    checkMemoryWrite(addr, nb)
+    checkMemoryWrite(addr, nb, data)
     {
-        if (this.checkBreakpoint(addr, nb || 1, this.aBreakWrite)) {
+        if (this.aTraceRegs) {
+            this.traceWrite(addr, nb || 1);
+        }
+        if (this.checkBreakpoint(addr, nb || 1, this.aBreakWrite) || this.aBreakWatch.length > 1 && this.checkWatchpoint(addr, nb || 1, data)) {
             this.stopCPU(true);
             return true;
         }
@@ -3264,6 +3884,12 @@ class DebuggerX86 extends DbgLib {
             }
         }
         this.aBreakWrite = ["bw"];
+        if (this.aBreakWatch !== undefined) {
+            for (i = 1; i < this.aBreakWatch.length; i++) {
+                this.setWatchpoint(this.aBreakWatch[i], false);
+            }
+        }
+        this.aBreakWatch = ["bm"];
         /*
          * nSuppressBreaks ensures we can't get into an infinite loop where a breakpoint lookup requires
          * reading a segment descriptor via getSegment(), and that triggers more memory reads, which triggers
@@ -3323,6 +3949,9 @@ class DebuggerX86 extends DbgLib {
             if (addr === X86.ADDR_INVALID) {
                 this.println("invalid address: " + this.toHexAddr(dbgAddr));
                 fSuccess = false;
+            } else if (aBreak == this.aBreakWatch) {
+                dbgAddr.addrWatch = addr;
+                this.setWatchpoint(dbgAddr, true);
             } else {
                 this.cpu.addMemBreak(addr, aBreak == this.aBreakWrite, dbgAddr.type == DebuggerX86.ADDRTYPE.PHYSICAL);
             }
@@ -3378,7 +4007,10 @@ class DebuggerX86 extends DbgLib {
                             this.printBreakpoint(aBreak, i, "cleared");
                         }
                         aBreak.splice(i, 1);
-                        if (aBreak != this.aBreakExec) {
+                        if (aBreak == this.aBreakWatch) {
+                            this.setWatchpoint(dbgAddrBreak, false);
+                        }
+                        else if (aBreak != this.aBreakExec) {
                             this.cpu.removeMemBreak(addr, aBreak == this.aBreakWrite, dbgAddrBreak.type == DebuggerX86.ADDRTYPE.PHYSICAL);
                         }
                         /*
@@ -3426,7 +4058,19 @@ class DebuggerX86 extends DbgLib {
     printBreakpoint(aBreak, i, sAction)
     {
         let dbgAddr = aBreak[i];
-        this.println(aBreak[0] + ' ' + this.toHexAddr(dbgAddr) + (sAction? (' ' + sAction) : (dbgAddr.sCmd? (' "' + dbgAddr.sCmd + '"') : '')));
+        let sWatch = "";
+        if (aBreak == this.aBreakWatch && !sAction) {
+            sWatch = " l" + Str.toHex(dbgAddr.nLen);
+            if (dbgAddr.nValue !== undefined) sWatch += " =" + Str.toHex(dbgAddr.nValue);
+            if (dbgAddr.fAny) sWatch += " any";
+            if (dbgAddr.addrFrom !== undefined) sWatch += " outside %" + Str.toHex(dbgAddr.addrFrom) + " %" + Str.toHex(dbgAddr.addrTo);
+            if (dbgAddr.nCount) sWatch += " count=" + dbgAddr.nCount;
+            if (dbgAddr.fLog) sWatch += " log";
+            sWatch += " hits=" + dbgAddr.nHits;
+        }
+        let aSymbol = this.findSymbol(dbgAddr);
+        let sSymbol = aSymbol[0]? " (" + aSymbol[0] + ")" : "";
+        this.println(aBreak[0] + ' ' + this.toHexAddr(dbgAddr) + sSymbol + sWatch + (sAction? (' ' + sAction) : (dbgAddr.sCmd? (' "' + dbgAddr.sCmd + '"') : '')));
     }
 
     /**
@@ -3479,16 +4123,108 @@ class DebuggerX86 extends DbgLib {
     }
 
     /**
-     * mapBreakpoint(addr)
+     * setWatchpoint(dbgAddr, fAdd)
+     *
+     * Adds (or removes) a write breakpoint to every Memory block covered by the watchpoint, which ensures that
+     * every write to the watched range is passed to checkMemoryWrite().  For linear watchpoints, those blocks are
+     * the current linear (ie, paged) blocks, so as with any other linear memory breakpoint, you should set them
+     * only after paging has been set up.
      *
      * @this {DebuggerX86}
-     * @param {number} addr
-     * @return {number}
+     * @param {DbgAddrX86} dbgAddr
+     * @param {boolean} fAdd
      */
-    mapBreakpoint(addr)
+    setWatchpoint(dbgAddr, fAdd)
     {
-        /*
-         * Map addresses in the top 64Kb at the top of the address space (assuming either a 16Mb or 4Gb
+        let cpu = this.cpu;
+        let fPhysical = (dbgAddr.type == DebuggerX86.ADDRTYPE.PHYSICAL);
+        let addrEnd = dbgAddr.addrWatch + dbgAddr.nLen;
+        for (let addr = dbgAddr.addrWatch & ~cpu.nBlockLimit; addr < addrEnd; addr += cpu.nBlockSize) {
+            if (fAdd) {
+                cpu.addMemBreak(addr, true, fPhysical);
+            } else {
+                cpu.removeMemBreak(addr, true, fPhysical);
+            }
+        }
+    }
+
+    /**
+     * checkWatchpoint(addr, nb, data)
+     *
+     * Called by checkMemoryWrite() BEFORE the write occurs, so we compare the current contents of the watched
+     * bytes to the data about to be written.  Every write that satisfies all the watchpoint's conditions increments
+     * its hit count, but it doesn't halt execution unless the hit count has reached the watchpoint's count (if any)
+     * and the watchpoint isn't log-only.  As with other breakpoints, any attached commands decide whether or not
+     * execution halts (see doBreakCommands()).
+     *
+     * @this {DebuggerX86}
+     * @param {number} addr
+     * @param {number} nb (# of bytes)
+     * @param {number} [data] (the value about to be written, if known)
+     * @return {boolean} true if watchpoint hit, false if not
+     */
+    checkWatchpoint(addr, nb, data)
+    {
+        let fBreak = false;
+        let cpu = this.cpu;
+
+        if (!this.nSuppressBreaks++) {
+
+            for (let i = 1; i < this.aBreakWatch.length; i++) {
+
+                let dbgAddr = this.aBreakWatch[i];
+                let addrStart = Math.max(addr, dbgAddr.addrWatch);
+                let addrEnd = Math.min(addr + nb, dbgAddr.addrWatch + dbgAddr.nLen);
+                if (addrStart >= addrEnd) continue;
+
+                if (dbgAddr.addrFrom !== undefined && cpu.opLIP >= dbgAddr.addrFrom && cpu.opLIP <= dbgAddr.addrTo) continue;
+
+                let fChanged = (data === undefined), fMatched = true;
+                let fPhysical = (dbgAddr.type == DebuggerX86.ADDRTYPE.PHYSICAL);
+                let vOld = 0, vNew = 0;
+                for (let a = addrStart; a < addrEnd; a++) {
+                    let shift = (a - addrStart) << 3;
+                    let bOld = cpu.probeAddr(a, 1, fPhysical);
+                    let bNew = (data >>> ((a - addr) << 3)) & 0xff;
+                    if (bOld !== bNew) fChanged = true;
+                    vOld |= bOld << shift;
+                    vNew |= bNew << shift;
+                    if (dbgAddr.nValue !== undefined) {
+                        let off = a - dbgAddr.addrWatch;
+                        if (bNew != (off < 4? ((dbgAddr.nValue >>> (off << 3)) & 0xff) : 0)) fMatched = false;
+                    }
+                }
+                if (!fMatched || !fChanged && !dbgAddr.fAny && dbgAddr.nValue === undefined) continue;
+
+                if (++dbgAddr.nHits < dbgAddr.nCount) continue;
+
+                let fStop = dbgAddr.aCmds? this.doBreakCommands(dbgAddr.aCmds) : !dbgAddr.fLog;
+                if (fStop || dbgAddr.fLog) {
+                    let cch = (addrEnd - addrStart) << 1;
+                    let sValues = (data === undefined? "" : ' ' + Str.toHex(vOld >>> 0, cch) + "->" + Str.toHex(vNew >>> 0, cch));
+                    this.printBreakpoint(this.aBreakWatch, i, "hit " + dbgAddr.nHits + ": [" + (fPhysical? "%%" : "%") + Str.toHex(addrStart) + "]" + sValues + " by " + this.toHexAddr(this.newAddr(cpu.opLIP - cpu.segCS.base, cpu.getCS())));
+                }
+                if (fStop) {
+                    fBreak = true;
+                    break;
+                }
+            }
+        }
+        this.nSuppressBreaks--;
+        return fBreak;
+    }
+
+    /**
+     * mapBreakpoint(addr)
+     *
+     * @this {DebuggerX86}
+     * @param {number} addr
+     * @return {number}
+     */
+    mapBreakpoint(addr)
+    {
+        /*
+         * Map addresses in the top 64Kb at the top of the address space (assuming either a 16Mb or 4Gb
          * address space) to the top of the 1Mb range.
          *
          * The fact that those two 64Kb regions are aliases of each other on an 80286 is a pain in the BUTT,
@@ -3569,39 +4305,7 @@ class DebuggerX86 extends DbgLib {
                             fTempBreak = true;
                         }
                         if ((a = dbgAddrBreak.aCmds)) {
-                            /*
-                             * When one or more commands are attached to a breakpoint, we don't halt by default.
-                             * Instead, we set fBreak to true only if, at the completion of all the commands, the
-                             * CPU is halted; in other words, you should include "h" as one of the breakpoint commands
-                             * if you want the breakpoint to stop execution.
-                             *
-                             * Another useful command is "if", which will return false if the expression is false,
-                             * at which point we'll jump ahead to the next "else" command, and if there isn't an "else",
-                             * we abort.
-                             */
-                            fBreak = false;
-                            for (let j = 0; j < a.length; j++) {
-                                if (!this.doCommand(a[j], true)) {
-                                    if (a[j].indexOf("if")) {
-                                        fBreak = true;          // the failed command wasn't "if", so abort
-                                        break;
-                                    }
-                                    let k = j + 1;
-                                    for (; k < a.length; k++) {
-                                        if (!a[k].indexOf("else")) break;
-                                        j++;
-                                    }
-                                    if (k == a.length) {        // couldn't find an "else" after the "if", so abort
-                                        fBreak = true;
-                                        break;
-                                    }
-                                    /*
-                                     * If we're still here, we'll execute the "else" command (which is just a no-op),
-                                     * followed by any remaining commands.
-                                     */
-                                }
-                            }
-                            if (!this.cpu.isRunning()) fBreak = true;
+                            fBreak = this.doBreakCommands(a);
                         }
                         if (fBreak) {
                             if (!fTempBreak) this.printBreakpoint(aBreak, i, "hit");
@@ -3615,6 +4319,49 @@ class DebuggerX86 extends DbgLib {
         return fBreak;
     }
 
+    /**
+     * doBreakCommands(aCmds)
+     *
+     * When one or more commands are attached to a breakpoint, we don't halt by default.  Instead, we return true
+     * only if, at the completion of all the commands, the CPU is halted; in other words, you should include "h" as
+     * one of the breakpoint commands if you want the breakpoint to stop execution.
+     *
+     * Another useful command is "if", which will return false if the expression is false, at which point we'll jump
+     * ahead to the next "else" command, and if there isn't an "else", we abort.
+     *
+     * @this {DebuggerX86}
+     * @param {Array.<string>} aCmds
+     * @return {boolean} true if breakpoint should halt execution, false if not
+     */
+    doBreakCommands(aCmds)
+    {
+        let a = aCmds;
+        let fBreak = false;
+        for (let j = 0; j < a.length; j++) {
+            if (!this.doCommand(a[j], true)) {
+                if (a[j].indexOf("if")) {
+                    fBreak = true;          // the failed command wasn't "if", so abort
+                    break;
+                }
+                let k = j + 1;
+                for (; k < a.length; k++) {
+                    if (!a[k].indexOf("else")) break;
+                    j++;
+                }
+                if (k == a.length) {        // couldn't find an "else" after the "if", so abort
+                    fBreak = true;
+                    break;
+                }
+                /*
+                 * If we're still here, we'll execute the "else" command (which is just a no-op),
+                 * followed by any remaining commands.
+                 */
+            }
+        }
+        if (!this.cpu.isRunning()) fBreak = true;
+        return fBreak;
+    }
+
     /**
      * getInstruction(dbgAddr, sComment, nSequence)
      *
@@ -4481,7 +5228,7 @@ class DebuggerX86 extends DbgLib {
      *
      * @this {DebuggerX86}
      * @param {string|null|*} sModule
-     * @param {number} [nSegment] (segment # if sModule set, selector if sModule clear)
+     * @param {number} [nSegment] (segment # if sModule set, selector if sModule clear; if both undefined, any segment of sModule)
      * @return {string|null} name of the module removed, or null if no module was found
      */
     removeSymbols(sModule, nSegment)
@@ -4490,7 +5237,7 @@ class DebuggerX86 extends DbgLib {
         for (let iTable = 0; iTable < this.aSymbolTable.length; iTable++) {
             let symbolTable = this.aSymbolTable[iTable];
             if (sModule && symbolTable.sModule != sModule) continue;
-            if (sModule && nSegment == symbolTable.nSegment || !sModule && nSegment == symbolTable.sel) {
+            if (sModule && (nSegment === undefined || nSegment == symbolTable.nSegment) || !sModule && nSegment == symbolTable.sel) {
                 sModuleRemoved = symbolTable.sModule;
                 this.aSymbolTable.splice(iTable, 1);
                 break;
@@ -4643,6 +5390,248 @@ class DebuggerX86 extends DbgLib {
         aSymbol.push(symbol['c']);
     }
 
+    /**
+     * loadSymbols(sFile, segBase)
+     *
+     * Loads a symbol file and adds its symbols to aSymbolTable, one SymbolTable per segment, using the name of the
+     * file (without extension) as the module name.  Three formats are supported, based on the file's extension:
+     *
+     *      .map:  a Microsoft LINK (or compatible) MAP file; only the "Publics" sections are used
+     *      .sym:  a binary MAPSYM symbol file
+     *      .json: an object whose properties are (hex) segment numbers, each containing a collection of symbols
+     *             in the format described by addSymbols(); eg, {"0000": {"MAIN": 16, "PRINTF": 256}}
+     *
+     * In all three cases, segment numbers are relative to the start of the program's load image, so segBase should
+     * be the segment where the image was loaded (eg, for a DOS EXE, the segment of its PSP + 0x10); rebaseSymbols()
+     * can change it later.
+     *
+     * @this {DebuggerX86}
+     * @param {string} sFile
+     * @param {number} segBase
+     */
+    loadSymbols(sFile, segBase)
+    {
+        let dbg = this;
+        let sModule = sFile.replace(/^.*[\\/]/, "").replace(/\.[^.]*$/, "").toUpperCase();
+        let sType = sFile.replace(/^.*\./, "").toLowerCase();
+        let fnLoaded = function(sURL, resource, nErrorCode) {
+            if (nErrorCode || !resource) {
+                dbg.println("unable to load " + sFile + " (error " + nErrorCode + ')');
+                return;
+            }
+            let ab = new Uint8Array(resource);
+            let aSegments = null;
+            try {
+                if (sType == "sym") {
+                    aSegments = dbg.parseSYM(ab);
+                } else {
+                    let sData = "";
+                    for (let i = 0; i < ab.length; i++) sData += String.fromCharCode(ab[i]);
+                    aSegments = (sType == "json"? dbg.parseSymbolsJSON(sData) : dbg.parseMAP(sData));
+                }
+            } catch(err) {
+                dbg.println(sFile + ": " + err.message);
+                return;
+            }
+            while (dbg.removeSymbols(sModule)) ;
+            let nSymbols = 0, nSegments = 0;
+            for (let sSegment in aSegments) {
+                let nSegment = +sSegment;
+                let aSymbols = aSegments[sSegment];
+                dbg.addSymbols(sModule, nSegment, (nSegment + segBase) & 0xffff, 0, null, 0x10000, aSymbols);
+                nSymbols += Object.keys(aSymbols).length;
+                nSegments++;
+            }
+            dbg.println(sModule + ": " + nSymbols + " symbols in " + nSegments + " segment(s) at " + Str.toHex(segBase, 4));
+        };
+        if (typeof module !== "undefined") {
+            let data = null, nErrorCode = 0;
+            try {
+                data = fs.readFileSync(sFile);
+            } catch(err) {
+                nErrorCode = -1;
+            }
+            fnLoaded(sFile, data, nErrorCode);
+            return;
+        }
+        Web.getResource(sFile, "arraybuffer", true, fnLoaded);
+    }
+
+    /**
+     * rebaseSymbols(sModule, segBase)
+     *
+     * @this {DebuggerX86}
+     * @param {string} sModule
+     * @param {number} segBase
+     * @return {number} (number of segments rebased)
+     */
+    rebaseSymbols(sModule, segBase)
+    {
+        let nSegments = 0;
+        for (let iTable = 0; iTable < this.aSymbolTable.length; iTable++) {
+            let symbolTable = this.aSymbolTable[iTable];
+            if (symbolTable.sModule != sModule) continue;
+            symbolTable.sel = (symbolTable.nSegment + segBase) & 0xffff;
+            nSegments++;
+        }
+        return nSegments;
+    }
+
+    /**
+     * parseMAP(sData)
+     *
+     * Parses the "Publics by Name" and/or "Publics by Value" sections of a MAP file, which contain lines like:
+     *
+     *       0000:0010       _main
+     *       0000:0000  Abs  __acrtused
+     *
+     * Absolute ("Abs") and imported ("Imp") symbols are ignored, since they aren't addresses in the program.
+     *
+     * @this {DebuggerX86}
+     * @param {string} sData
+     * @return {Object} (collection of symbol collections, indexed by segment)
+     */
+    parseMAP(sData)
+    {
+        let aSegments = {};
+        let fPublics = false, nSymbols = 0;
+        let asLines = sData.split(/\r?\n/);
+        for (let i = 0; i < asLines.length; i++) {
+            let sLine = asLines[i];
+            if (sLine.match(/^\s*Address\s+Publics by/i)) {
+                fPublics = true;
+                continue;
+            }
+            if (sLine.match(/^\s*(Line numbers|Program entry point)/i)) {
+                fPublics = false;
+                continue;
+            }
+            if (!fPublics) continue;
+            let match = sLine.match(/^\s*([0-9A-F]{4}):([0-9A-F]{4,8})\s+(Abs\s+|Imp\s+)?(\S+)/i);
+            if (!match || match[3]) continue;
+            let nSegment = parseInt(match[1], 16);
+            this.addSymbol(aSegments[nSegment] || (aSegments[nSegment] = {}), match[4], parseInt(match[2], 16));
+            nSymbols++;
+        }
+        if (!nSymbols) throw new Error("no public symbols found");
+        return aSegments;
+    }
+
+    /**
+     * parseSYM(ab)
+     *
+     * Parses a MAPSYM file, which begins with a MAPDEF structure:
+     *
+     *      0x00: paragraph ptr to next MAPDEF (0 if none)
+     *      0x06: number of constants
+     *      0x0A: number of segments
+     *      0x0C: paragraph ptr to first SEGDEF
+     *      0x0F: length of module name, followed by the name
+     *
+     * and each SEGDEF structure looks like:
+     *
+     *      0x00: paragraph ptr to next SEGDEF
+     *      0x02: number of symbols
+     *      0x04: offset of symbol pointer array (relative to the SEGDEF; a paragraph ptr if the "big" flag is set)
+     *      0x06: load segment
+     *      0x0E: flags (0x01 for 32-bit symbol values, 0x04 for "big" SEGDEFs with 24-bit symbol pointers)
+     *      0x14: length of segment name, followed by the name
+     *
+     * where each symbol pointer refers to a SYMDEF (relative to the SEGDEF) containing a 16-bit (or 32-bit) value,
+     * followed by a length byte and the symbol name.  We ignore constants, line number information, and any
+     * additional MAPDEFs.
+     *
+     * @this {DebuggerX86}
+     * @param {Uint8Array} ab
+     * @return {Object} (collection of symbol collections, indexed by segment)
+     */
+    parseSYM(ab)
+    {
+        let aSegments = {};
+        let dv = new DataView(ab.buffer, ab.byteOffset, ab.length);
+        let getName = function(off) {
+            let cb = dv.getUint8(off), s = "";
+            for (let i = 1; i <= cb; i++) s += String.fromCharCode(dv.getUint8(off + i));
+            return s;
+        };
+        try {
+            let nSegments = dv.getUint16(0x0A, true);
+            let offSeg = dv.getUint16(0x0C, true) << 4;
+            if (!nSegments || !offSeg) throw new Error();
+            for (let iSeg = 0; iSeg < nSegments; iSeg++) {
+                let nSymbols = dv.getUint16(offSeg + 0x02, true);
+                let offPtrs = dv.getUint16(offSeg + 0x04, true);
+                let nSegment = dv.getUint16(offSeg + 0x06, true);
+                let bFlags = dv.getUint8(offSeg + 0x0E);
+                let aSymbols = aSegments[nSegment] || (aSegments[nSegment] = {});
+                let cbPtr = 2;
+                if (bFlags & 0x04) {
+                    offPtrs <<= 4;
+                    cbPtr = 3;
+                }
+                for (let iSym = 0; iSym < nSymbols; iSym++) {
+                    let offPtr = offSeg + offPtrs + iSym * cbPtr;
+                    let offSym = offSeg + dv.getUint16(offPtr, true) + (cbPtr > 2? dv.getUint8(offPtr + 2) << 16 : 0);
+                    if (bFlags & 0x01) {
+                        this.addSymbol(aSymbols, getName(offSym + 4), dv.getUint32(offSym, true));
+                    } else {
+                        this.addSymbol(aSymbols, getName(offSym + 2), dv.getUint16(offSym, true));
+                    }
+                }
+                offSeg = dv.getUint16(offSeg, true) << 4;
+            }
+        } catch(err) {
+            throw new Error("invalid SYM file");
+        }
+        return aSegments;
+    }
+
+    /**
+     * parseSymbolsJSON(sData)
+     *
+     * @this {DebuggerX86}
+     * @param {string} sData
+     * @return {Object} (collection of symbol collections, indexed by segment)
+     */
+    parseSymbolsJSON(sData)
+    {
+        let aSegments = {};
+        let data = JSON.parse(sData);
+        for (let sSegment in data) {
+            if (!sSegment.match(/^[0-9A-F]+$/i) || typeof data[sSegment] != "object") {
+                throw new Error("invalid segment: " + sSegment);
+            }
+            let aSymbols = aSegments[parseInt(sSegment, 16)] = {};
+            for (let sSymbol in data[sSegment]) {
+                let symbol = data[sSegment][sSymbol];
+                if (typeof symbol == "number") {
+                    this.addSymbol(aSymbols, sSymbol, symbol);
+                } else {
+                    let sUpperCase = sSymbol.toUpperCase();
+                    if (sUpperCase != sSymbol && symbol['l'] === undefined) symbol['l'] = sSymbol;
+                    aSymbols[sUpperCase] = symbol;
+                }
+            }
+        }
+        return aSegments;
+    }
+
+    /**
+     * addSymbol(aSymbols, sSymbol, off)
+     *
+     * Adds a symbol to a collection of symbols in the format described by addSymbols().
+     *
+     * @this {DebuggerX86}
+     * @param {Object} aSymbols
+     * @param {string} sSymbol
+     * @param {number} off
+     */
+    addSymbol(aSymbols, sSymbol, off)
+    {
+        let sUpperCase = sSymbol.toUpperCase();
+        aSymbols[sUpperCase] = (sUpperCase == sSymbol? off : {'o': off, 'l': sSymbol});
+    }
+
     /**
      * doHelp()
      *
@@ -4734,6 +5723,10 @@ class DebuggerX86 extends DbgLib {
      *
      *      bn [n]  break after [n] instructions
      *
+     * and memory watchpoints, which are described in parseWatchOptions():
+     *
+     *      bm [a] [l#] [options]
+     *
      * TODO: Update the "bl" command to include any/all I/O breakpoints, and the "bc" command to
      * clear them.  Because "bi" and "bo" commands are piggy-backing on Bus functions, those breakpoints
      * are currently outside the realm of what the "bl" and "bc" commands are aware of.
@@ -4752,6 +5745,7 @@ class DebuggerX86 extends DbgLib {
             this.println("\tbp [a]\tset exec breakpoint at addr [a]");
             this.println("\tbr [a]\tset read breakpoint at addr [a]");
             this.println("\tbw [a]\tset write breakpoint at addr [a]");
+            this.println("\tbm [a] [l#]\tset watchpoint on # bytes at addr [a]");
             this.println("\tbc [a]\tclear breakpoint at addr [a]");
             this.println("\tbl\tlist all breakpoints");
             this.println("\tbn [n]\tbreak after [n] instruction(s)");
@@ -4763,6 +5757,7 @@ class DebuggerX86 extends DbgLib {
             cBreaks += this.listBreakpoints(this.aBreakExec);
             cBreaks += this.listBreakpoints(this.aBreakRead);
             cBreaks += this.listBreakpoints(this.aBreakWrite);
+            cBreaks += this.listBreakpoints(this.aBreakWatch);
             if (!cBreaks) this.println("no breakpoints");
             return;
         }
@@ -4795,6 +5790,8 @@ class DebuggerX86 extends DbgLib {
                 return;
             if (this.findBreakpoint(this.aBreakWrite, dbgAddr, true))
                 return;
+            if (this.findBreakpoint(this.aBreakWatch, dbgAddr, true))
+                return;
             this.println("breakpoint missing: " + this.toHexAddr(dbgAddr));
             return;
         }
@@ -4825,9 +5822,67 @@ class DebuggerX86 extends DbgLib {
             this.addBreakpoint(this.aBreakWrite, dbgAddr);
             return;
         }
+        if (sParm == 'm') {
+            if (this.parseWatchOptions(dbgAddr, sOptions)) {
+                this.addBreakpoint(this.aBreakWatch, dbgAddr);
+            }
+            return;
+        }
         this.println("unknown breakpoint command: " + sParm);
     }
 
+    /**
+     * parseWatchOptions(dbgAddr, sOptions)
+     *
+     * Parses the options that follow the address of a "bm" command:
+     *
+     *      l#          watch # bytes (default is 1); eg, "l2" for a word, "l4" for a dword, "l20" for a structure
+     *      =#          break only when the bytes written match the corresponding bytes of #
+     *      any         break on any write, even if it doesn't change the value
+     *      outside a b break only on writes from instructions outside the code range a through b (inclusive)
+     *      count=#     break only after # hits
+     *      log         display hits but don't break
+     *
+     * By default, a watchpoint breaks whenever any watched byte is about to change value.  Any quoted commands
+     * are handled by parseAddrOptions().
+     *
+     * @this {DebuggerX86}
+     * @param {DbgAddrX86} dbgAddr
+     * @param {string} [sOptions] (the entire breakpoint command-line)
+     * @return {boolean} true if valid options, false if not
+     */
+    parseWatchOptions(dbgAddr, sOptions)
+    {
+        let v;
+        dbgAddr.nLen = 1;
+        dbgAddr.nHits = dbgAddr.nCount = 0;
+        let asOptions = (sOptions || "").replace(/(['"])(.*?)\1/, "").trim().split(/\s+/).slice(2);
+        for (let i = 0; i < asOptions.length; i++) {
+            let sOption = asOptions[i].toLowerCase();
+            if (sOption.charAt(0) == 'l' && (v = this.parseValue(sOption.substr(1), undefined, true)) !== undefined && v > 0) {
+                dbgAddr.nLen = v;
+            } else if (sOption.charAt(0) == '=' && (v = this.parseValue(sOption.substr(1))) !== undefined) {
+                dbgAddr.nValue = v;
+            } else if (sOption == "any") {
+                dbgAddr.fAny = true;
+            } else if (sOption == "log") {
+                dbgAddr.fLog = true;
+            } else if (!sOption.indexOf("count=") && (v = +sOption.substr(6)) > 0) {
+                dbgAddr.nCount = v;
+            } else if (sOption == "outside") {
+                let dbgAddrFrom = this.parseAddr(asOptions[++i], true);
+                let dbgAddrTo = this.parseAddr(asOptions[++i], true);
+                if (!dbgAddrFrom || !dbgAddrTo) return false;
+                dbgAddr.addrFrom = this.getAddr(dbgAddrFrom);
+                dbgAddr.addrTo = this.getAddr(dbgAddrTo);
+            } else {
+                this.println("invalid watchpoint option: " + asOptions[i]);
+                return false;
+            }
+        }
+        return true;
+    }
+
     /**
      * doClear(sCmd)
      *
@@ -4839,6 +5894,195 @@ class DebuggerX86 extends DbgLib {
         this.cmp.clearPanel();
     }
 
+    /**
+     * doDOS(asArgs)
+     *
+     * Implements the "dos" commands, which inspect DOS data structures (see findDOS()):
+     *
+     *      dos mcb [seg]           walk the MCB chain (starting at MCB seg, if specified)
+     *      dos psp [seg]           display the current PSP (or the PSP at seg), including open handles
+     *      dos progs               list all loaded programs, including TSRs
+     *      dos files               list all open SFT entries
+     *      dos break [fn] [log]    break (or just log, if "log") on INT 0x21 function fn (or list all functions)
+     *      dos break clear [fn]    clear the break on INT 0x21 function fn (or all functions)
+     *
+     * @this {DebuggerX86}
+     * @param {Array.<string>} asArgs
+     */
+    doDOS(asArgs)
+    {
+        let sCmd = asArgs[1];
+
+        if (sCmd === undefined || sCmd == '?') {
+            this.println("dos commands:");
+            this.println("\tdos mcb [seg]\t\twalk MCB chain");
+            this.println("\tdos psp [seg]\t\tdisplay PSP, environment and handles");
+            this.println("\tdos progs\t\tlist programs and TSRs");
+            this.println("\tdos files\t\tlist open files");
+            this.println("\tdos break [fn] [log]\tbreak on INT 0x21 function fn");
+            this.println("\tdos break clear [fn]\tclear break on INT 0x21 function fn");
+            return;
+        }
+
+        if (sCmd == "break") {
+            this.doDOSBreak(asArgs);
+            return;
+        }
+
+        if (sCmd == "mcb") {
+            this.dumpDOS(asArgs.slice(2));
+            return;
+        }
+
+        let dos = this.findDOS();
+        if (!dos) {
+            this.println("unable to locate DOS");
+            return;
+        }
+
+        let psp;
+        if (sCmd == "psp") {
+            if (asArgs[2] !== undefined) {
+                psp = this.parseValue(asArgs[2], "segment");
+                if (psp === undefined) return;
+            } else {
+                psp = this.getDOSPSP(dos);
+            }
+            if (!this.isPSP(psp)) {
+                this.println("invalid PSP: " + Str.toHex(psp, 4));
+                return;
+            }
+            this.dumpPSP(dos, psp);
+            return;
+        }
+
+        if (sCmd == "progs") {
+            /*
+             * A program is "active" if it's the current program or one of its parents (which are waiting for their
+             * children to exit); any other program with a PSP must have terminated and stayed resident.
+             */
+            let aActive = [];
+            psp = this.getDOSPSP(dos);
+            while (this.isPSP(psp) && aActive.indexOf(psp) < 0) {
+                aActive.push(psp);
+                psp = this.cpu.getShort((psp << 4) + DebuggerX86.DOS.PSP.PARENT);
+            }
+            let aPrograms = this.getDOSPrograms(dos);
+            for (let i = 0; i < aPrograms.length; i++) {
+                let program = aPrograms[i];
+                let sStatus = (program.psp == aActive[0]? "current" : (aActive.indexOf(program.psp) >= 0? "active" : "resident"));
+                this.println("PSP " + Str.toHex(program.psp, 4) + ": " + Str.pad('"' + this.getDOSProgramName(program.psp) + '"', 24) + " size=" + Str.toHex(program.nParas << 4, 5) + ' ' + sStatus);
+            }
+            if (!aPrograms.length) this.println("no programs");
+            return;
+        }
+
+        if (sCmd == "files") {
+            let cFiles = 0;
+            let aFiles = this.getDOSFiles(dos);
+            for (let i = 0; i < aFiles.length; i++) {
+                if (!aFiles[i].nHandles) continue;
+                this.println(this.getDOSFileString(aFiles[i], i));
+                cFiles++;
+            }
+            if (!cFiles) this.println("no open files");
+            return;
+        }
+
+        this.println("unknown dos command: " + sCmd);
+    }
+
+    /**
+     * doDOSBreak(asArgs)
+     *
+     * Manages INT 0x21 function breakpoints; aDOSBreaks is a sparse array, indexed by function number, whose
+     * values are true for logging-only breakpoints and false for breakpoints that halt the CPU.  We don't register
+     * our INT 0x21 notification handler until the first breakpoint is set.
+     *
+     * @this {DebuggerX86}
+     * @param {Array.<string>} asArgs
+     */
+    doDOSBreak(asArgs)
+    {
+        let fn;
+        if (!this.aDOSBreaks) {
+            this.aDOSBreaks = [];
+            this.cpu.addIntNotify(Interrupts.DOS, this.intDOSBreak.bind(this));
+        }
+        if (asArgs[2] === undefined) {
+            let cBreaks = 0;
+            for (fn = 0; fn < 256; fn++) {
+                if (this.aDOSBreaks[fn] === undefined) continue;
+                let sFunc = Interrupts.FUNCS[Interrupts.DOS][fn];
+                this.println("INT 0x21 AH=" + Str.toHexByte(fn) + (this.aDOSBreaks[fn]? " (log)" : "") + (sFunc? ": " + sFunc : ""));
+                cBreaks++;
+            }
+            if (!cBreaks) this.println("no dos breakpoints");
+            return;
+        }
+        if (asArgs[2] == "clear") {
+            if (asArgs[3] === undefined || asArgs[3] == '*') {
+                this.aDOSBreaks = [];
+                this.println("all dos breakpoints cleared");
+                return;
+            }
+            fn = this.parseValue(asArgs[3], "function");
+            if (fn === undefined) return;
+            if (this.aDOSBreaks[fn] === undefined) {
+                this.println("dos breakpoint missing: " + Str.toHexByte(fn));
+                return;
+            }
+            delete this.aDOSBreaks[fn];
+            this.println("dos breakpoint cleared: " + Str.toHexByte(fn));
+            return;
+        }
+        let fLog = (asArgs[asArgs.length - 1] == "log");
+        for (let i = 2; i < asArgs.length - (fLog? 1 : 0); i++) {
+            fn = this.parseValue(asArgs[i], "function");
+            if (fn === undefined) return;
+            if (fn < 0 || fn > 255) {
+                this.println("invalid function: " + asArgs[i]);
+                return;
+            }
+            this.aDOSBreaks[fn] = fLog;
+            this.println("dos breakpoint " + (fLog? "logging" : "enabled") + ": " + Str.toHexByte(fn));
+        }
+    }
+
+    /**
+     * intDOSBreak(addr)
+     *
+     * This intercepts INT 0x21 calls whenever any INT 0x21 function breakpoints have been set (see doDOSBreak()).
+     * We display the call using messageInt(), which decodes the function's arguments (see Interrupts.FUNCS), and then,
+     * unless the breakpoint is logging-only, we rewind to the "INT 0x21" instruction, skip it, and halt the CPU.
+     * addrDOSBreak records where we stopped, so that the next attempt to execute the same instruction will proceed.
+     *
+     * @this {DebuggerX86}
+     * @param {number} addr
+     * @return {boolean} true to proceed with the INT 0x21 software interrupt, false to skip
+     */
+    intDOSBreak(addr)
+    {
+        let AH = (this.cpu.regEAX >> 8) & 0xff;
+        let fLog = this.aDOSBreaks[AH];
+        if (addr === this.addrDOSBreak) {
+            this.addrDOSBreak = undefined;
+            return true;
+        }
+        if (fLog !== undefined) {
+            if (!this.messageInt(Interrupts.DOS, addr, true)) {
+                this.printf("INT %#04X: AH=%#04X\n", Interrupts.DOS, AH);
+            }
+            if (!fLog) {
+                this.addrDOSBreak = addr;
+                this.cpu.resetIP();
+                this.stopCPU();
+                return false;
+            }
+        }
+        return true;
+    }
+
     /**
      * doDump(asArgs)
      *
@@ -5198,6 +6442,37 @@ class DebuggerX86 extends DbgLib {
         }
     }
 
+    /**
+     * doGDB(sPort)
+     *
+     * Starts (or with "off", stops) a GDB remote serial protocol server on the specified local TCP port
+     * (see GDBStub for details); this requires Node.
+     *
+     * @this {DebuggerX86}
+     * @param {string|undefined} sPort
+     */
+    doGDB(sPort)
+    {
+        if (typeof module === "undefined") {
+            this.println("gdb server requires Node");
+            return;
+        }
+        if (this.gdbStub) {
+            this.gdbStub.close();
+            this.gdbStub = null;
+            this.println("gdb server stopped");
+        }
+        if (sPort != "off") {
+            let port = sPort? +sPort : GDBStub.DEFAULT_PORT;
+            if (!(port > 0 && port < 65536)) {
+                this.println("invalid port: " + sPort);
+                return;
+            }
+            this.gdbStub = new GDBStub(this);
+            this.gdbStub.listen(port);
+        }
+    }
+
     /**
      * doHalt(fQuiet)
      *
@@ -5631,6 +6906,93 @@ class DebuggerX86 extends DbgLib {
         this.println("no mouse");
     }
 
+    /**
+     * doScreenshot(sFile)
+     *
+     * Saves the screen of the machine's (first) Video component as a PNG file (see Videox86.saveFrame() for details).
+     *
+     * @this {DebuggerX86}
+     * @param {string|undefined} sFile
+     */
+    doScreenshot(sFile)
+    {
+        let video = this.cmp && this.cmp.getMachineComponent("Video");
+        if (video) {
+            this.println(video.saveFrame(sFile? sFile.replace(/^(['"])(.*)\1$/, "$2") : "screen.png"));
+            return;
+        }
+        this.println("no video");
+    }
+
+    /**
+     * doSound(sAction, sFile)
+     *
+     * Starts or stops capturing the output of the machine's SoundBlaster or SN76496 to a WAV file (see startCapture()
+     * in either component).
+     *
+     * @this {DebuggerX86}
+     * @param {string|undefined} sAction
+     * @param {string|undefined} sFile
+     */
+    doSound(sAction, sFile)
+    {
+        let sound = this.cmp && (this.cmp.getMachineComponent("SoundBlaster") || this.cmp.getMachineComponent("SN76496"));
+        if (sound) {
+            switch(sAction) {
+            case "on":
+                sFile = sFile? sFile.replace(/^(['"])(.*)\1$/, "$2") : "sound.wav";
+                if (sound.startCapture(sFile)) {
+                    this.println("capturing sound to " + sFile);
+                }
+                break;
+            case "off":
+                this.println(sound.stopCapture() || "no sound capture in progress");
+                break;
+            default:
+                this.println("sound commands:");
+                this.println("\tsound on [file]\t\tcapture sound hardware output to WAV file (default is sound.wav)");
+                this.println("\tsound off\t\tstop capturing sound hardware output");
+                break;
+            }
+            return;
+        }
+        this.println("no sound hardware");
+    }
+
+    /**
+     * doSpeaker(sAction, sFile)
+     *
+     * Starts or stops capturing the speaker's output to a WAV file (see ChipSet.startSpeakerCapture() for details).
+     *
+     * @this {DebuggerX86}
+     * @param {string|undefined} sAction
+     * @param {string|undefined} sFile
+     */
+    doSpeaker(sAction, sFile)
+    {
+        let chipset = this.cmp && this.cmp.getMachineComponent("ChipSet");
+        if (chipset) {
+            switch(sAction) {
+            case "on":
+                sFile = sFile? sFile.replace(/^(['"])(.*)\1$/, "$2") : "speaker.wav";
+                if (chipset.startSpeakerCapture(sFile)) {
+                    this.println("capturing speaker to " + sFile);
+                }
+                break;
+            case "off":
+                this.println(chipset.stopSpeakerCapture() || "no speaker capture in progress");
+                break;
+            default:
+                this.println("speaker commands:");
+                this.println("\tspeaker on [file]\tcapture speaker output to WAV file (default is speaker.wav)");
+                this.println("\tspeaker off\t\tstop capturing speaker output");
+                break;
+            }
+            return;
+        }
+        this.println("no chipset");
+    }
+
     /**
      * doExecOptions(asArgs)
      *
@@ -6272,7 +7634,7 @@ class DebuggerX86 extends DbgLib {
             if (!sCall || sCall == sCallPrev) break;
             let sSymbol = null;
             if (sCmd == "ks") {
-                let a = sCall.match(/[0-9A-F]+$/);
+                let a = sCall.match(/([0-9A-F]+:)?[0-9A-F]+$/);
                 if (a) sSymbol = this.doList(a[0]);
             }
             sCall = Str.pad(sCall, dbgAddrCall.fAddr32? 74 : 62) + ';' + (sSymbol || "stack=" + this.toHexAddr(dbgAddrStack)); // + " return=" + this.toHexAddr(dbgAddrCall));
@@ -6283,6 +7645,81 @@ class DebuggerX86 extends DbgLib {
         if (!cFrames) this.println("no return addresses found");
     }
 
+    /**
+     * doSymbols(asArgs)
+     *
+     * Implements the "sym" commands, which manage symbol tables loaded from symbol files (see loadSymbols()):
+     *
+     *      sym                     list all symbol tables
+     *      sym load [file] [seg]   load symbols from file for a program loaded at segment seg (default is 0)
+     *      sym rebase [mod] [seg]  move symbols for module mod to a program loaded at segment seg
+     *      sym clear [mod]         remove symbols for module mod (or all symbol tables, if "*")
+     *
+     * Since command arguments are converted to lower-case, quote any file name that contains upper-case characters.
+     *
+     * @this {DebuggerX86}
+     * @param {Array.<string>} asArgs
+     */
+    doSymbols(asArgs)
+    {
+        let seg;
+        let sCmd = asArgs[1];
+        let sParm = asArgs[2] && asArgs[2].replace(/^(['"])(.*)\1$/, "$2");
+
+        if (sCmd == '?') {
+            this.println("symbol commands:");
+            this.println("\tsym\t\t\tlist symbol tables");
+            this.println("\tsym load [file] [seg]\tload MAP, SYM or JSON file for segment seg");
+            this.println("\tsym rebase [mod] [seg]\tmove symbols for module mod to segment seg");
+            this.println("\tsym clear [mod]\t\tremove symbols for module mod");
+            return;
+        }
+        if (sCmd === undefined || sCmd == "list") {
+            if (!this.aSymbolTable.length) {
+                this.println("no symbol tables");
+                return;
+            }
+            for (let iTable = 0; iTable < this.aSymbolTable.length; iTable++) {
+                let symbolTable = this.aSymbolTable[iTable];
+                this.println((symbolTable.sModule || "(none)") + ' ' + Str.toHex(symbolTable.sel, 4) + ':' + Str.toHex(symbolTable.off) + " len " + Str.toHex(symbolTable.len) + ": " + symbolTable.aOffsets.length + " symbols");
+            }
+            return;
+        }
+        if (sParm === undefined) {
+            this.println("missing symbol " + (sCmd == "load"? "file" : "module"));
+            return;
+        }
+        if (sCmd == "load" || sCmd == "rebase") {
+            seg = 0;
+            if (asArgs[3] !== undefined) {
+                seg = this.parseValue(asArgs[3], "segment");
+                if (seg === undefined) return;
+            }
+        }
+        if (sCmd == "load") {
+            this.loadSymbols(sParm, seg);
+            return;
+        }
+        let sModule = sParm.toUpperCase();
+        if (sCmd == "rebase") {
+            let nSegments = this.rebaseSymbols(sModule, seg);
+            this.println(nSegments? (sModule + ": " + nSegments + " segment(s) moved to " + Str.toHex(seg, 4)) : ("unknown module: " + sModule));
+            return;
+        }
+        if (sCmd == "clear") {
+            let nTables = 0;
+            if (sModule == '*') {
+                nTables = this.aSymbolTable.length;
+                this.aSymbolTable = [];
+            } else {
+                while (this.removeSymbols(sModule)) nTables++;
+            }
+            this.println(nTables + " symbol table(s) removed");
+            return;
+        }
+        this.println("unknown symbol command: " + sCmd);
+    }
+
     /**
      * doTrace(sCmd, sCount)
      *
@@ -6330,6 +7767,159 @@ class DebuggerX86 extends DbgLib {
         );
     }
 
+    /**
+     * doTraceBuffer(asArgs)
+     *
+     * Implements the "trace" commands, which control the execution trace buffer (see traceInit()):
+     *
+     *      trace on [n]            start recording the last n instructions (default is TRACE_LIMIT)
+     *      trace off               stop recording (and free the trace buffer)
+     *      trace [n]               list the last n recorded instructions (default is 10)
+     *      trace back [n]          step backwards n instructions (default is 1)
+     *      trace find [reg=value]  list recorded instructions that began with the given register value
+     *      trace find [addr]       list recorded instructions that wrote to the given address
+     *      trace save [file]       save all recorded instructions to a file (default is "trace.txt")
+     *
+     * Instruction counts are decimal.  Each instruction is listed with the registers and memory that it changed, and
+     * since listings don't contain any instruction numbers, saved traces from two different runs can be easily diffed.
+     *
+     * @this {DebuggerX86}
+     * @param {Array.<string>} asArgs
+     */
+    doTraceBuffer(asArgs)
+    {
+        let n, sLines;
+        let sCmd = asArgs[1];
+
+        if (sCmd == '?') {
+            this.println("trace commands:");
+            this.println("\ttrace on [#]\tstart recording last # instructions");
+            this.println("\ttrace off\tstop recording");
+            this.println("\ttrace [#]\tlist last # instructions");
+            this.println("\ttrace back [#]\tstep back # instructions");
+            this.println("\ttrace find [r=#]\tfind instructions where register r was #");
+            this.println("\ttrace find [addr]\tfind instructions that wrote to addr");
+            this.println("\ttrace save [file]\tsave recorded instructions");
+            return;
+        }
+        if (sCmd == "on") {
+            n = +asArgs[2] || DebuggerX86.TRACE_LIMIT;
+            this.traceInit(n);
+            this.println("trace recording on (" + n + " instructions)");
+            return;
+        }
+        if (sCmd == "off") {
+            this.traceInit(0);
+            this.println("trace recording off");
+            return;
+        }
+        if (!this.aTraceRegs) {
+            this.println("trace recording is off");
+            return;
+        }
+        if (sCmd == "back") {
+            if (!this.checkCPU()) return;
+            n = this.traceRestore(+asArgs[2] || 1);
+            this.println(n + " instruction(s) reversed");
+            this.updateStatus(true);
+            return;
+        }
+        if (sCmd == "find") {
+            let aMatches = this.findTrace(asArgs[2]);
+            if (aMatches) {
+                for (let j = aMatches.length - 1; j >= 0; j--) {
+                    this.println(Str.pad('-' + aMatches[j], 8) + this.getTraceLine(aMatches[j]));
+                }
+                if (!aMatches.length) this.println("no matches");
+            }
+            return;
+        }
+        if (sCmd == "save") {
+            let sFile = asArgs[2] || "trace.txt";
+            sLines = "";
+            for (n = this.nTrace - 1; n >= 0; n--) {
+                sLines += this.getTraceLine(n) + '\n';
+            }
+            if (typeof module !== "undefined") {
+                try {
+                    fs.writeFileSync(sFile, sLines);
+                    this.println(sFile + ": " + this.nTrace + " instructions");
+                } catch(err) {
+                    this.println("unable to create " + sFile + ": " + err.message);
+                }
+                return;
+            }
+            this.println(Web.downloadFile(sLines, "octet-stream", false, sFile));
+            return;
+        }
+        if (sCmd !== undefined && isNaN(+sCmd)) {
+            this.println("unknown trace command: " + sCmd);
+            return;
+        }
+        n = Math.min(+sCmd || 10, this.nTrace);
+        if (!n) {
+            this.println("no trace available");
+            return;
+        }
+        sLines = "";
+        for (n--; n >= 0; n--) {
+            sLines += (sLines? '\n' : '') + this.getTraceLine(n);
+        }
+        this.println(sLines);
+    }
+
+    /**
+     * findTrace(sTarget)
+     *
+     * @this {DebuggerX86}
+     * @param {string|undefined} sTarget ("reg=value" or an address)
+     * @return {Array.<number>|null} (instruction numbers of up to 10 matches, most recent first, or null if error)
+     */
+    findTrace(sTarget)
+    {
+        let aMatches = [];
+        let match = sTarget && sTarget.match(/^([a-z]+)=(.*)$/i);
+        if (match) {
+            let iReg = -1, mask = -1;
+            let sReg = match[1].toUpperCase();
+            for (let i = 0; i < DebuggerX86.TRACE_REGS.length; i++) {
+                let sRegTrace = DebuggerX86.TRACE_REGS[i];
+                if (sReg == sRegTrace || sReg == "FL" && sRegTrace == "PS") {
+                    iReg = i;
+                    break;
+                }
+                if (sRegTrace.charAt(0) == 'E' && sReg == sRegTrace.substr(1)) {
+                    iReg = i;
+                    mask = 0xffff;
+                    break;
+                }
+            }
+            let value = this.parseValue(match[2]);
+            if (iReg < 0 || value === undefined) {
+                this.println("invalid register value: " + sTarget);
+                return null;
+            }
+            for (let n = 0; n < this.nTrace && aMatches.length < 10; n++) {
+                if (((this.aTraceRegs[this.getTraceIndex(n) * DebuggerX86.TRACE_FIELDS + iReg] ^ value) & mask) == 0) aMatches.push(n);
+            }
+            return aMatches;
+        }
+        let dbgAddr = this.parseAddr(sTarget);
+        if (!dbgAddr) return null;
+        let addr = this.getAddr(dbgAddr);
+        for (let n = 0; n < this.nTrace && aMatches.length < 10; n++) {
+            let aWrites = this.aTraceWrites[this.getTraceIndex(n)];
+            if (!aWrites) continue;
+            for (let j = 0; j < aWrites.length; j += 4) {
+                if (addr >= aWrites[j] && addr < aWrites[j] + aWrites[j + 1]) {
+                    aMatches.push(n);
+                    break;
+                }
+            }
+        }
+        return aMatches;
+    }
+
     /**
      * initAddrSize(dbgAddr, fComplete, cOverrides)
      *
@@ -6609,6 +8199,10 @@ class DebuggerX86 extends DbgLib {
                         this.println("DEBUG checks on");
                         break;
                     }
+                    if (asArgs[0] == "dos") {
+                        this.doDOS(asArgs);
+                        break;
+                    }
                     this.doDump(asArgs);
                     break;
                 case 'e':
@@ -6619,6 +8213,10 @@ class DebuggerX86 extends DbgLib {
                     this.doFreqs(asArgs[1]);
                     break;
                 case 'g':
+                    if (asArgs[0] == "gdb") {
+                        this.doGDB(asArgs[1]);
+                        break;
+                    }
                     this.doRun(asArgs[0], asArgs[1], sCmd, fQuiet);
                     break;
                 case 'h':
@@ -6673,7 +8271,31 @@ class DebuggerX86 extends DbgLib {
                     }
                     this.doRegisters(asArgs);
                     break;
+                case 's':
+                    if (asArgs[0] == "screenshot") {
+                        this.doScreenshot(asArgs[1]);
+                        break;
+                    }
+                    if (asArgs[0] == "sound") {
+                        this.doSound(asArgs[1], asArgs[2]);
+                        break;
+                    }
+                    if (asArgs[0] == "speaker") {
+                        this.doSpeaker(asArgs[1], asArgs[2]);
+                        break;
+                    }
+                    if (asArgs[0] == "sym") {
+                        this.doSymbols(asArgs);
+                        break;
+                    }
+                    this.println("unknown command: " + sCmd);
+                    result = false;
+                    break;
                 case 't':
+                    if (asArgs[0] == "trace") {
+                        this.doTraceBuffer(asArgs);
+                        break;
+                    }
                     this.doTrace(asArgs[0], asArgs[1]);
                     break;
                 case 'u':
@@ -6793,15 +8415,56 @@ if (DEBUGGER) {
      */
     DebuggerX86.INT_ANNOYING = [Interrupts.TIMER, Interrupts.TMR_BREAK, Interrupts.DOS_IDLE, Interrupts.DOS_NETBIOS, Interrupts.ALT_VIDEO];
 
+    /*
+     * Offsets of DOS data structures used by the "dos" commands (see findDOS()).
+     *
+     * LOL.NUL lists, for each DOS version that moved it, the offset of the NUL device name within the List of Lists,
+     * and SFT.LAYOUTS lists a System File Table entry layout for DOS 2.x and for DOS 3.x and up, along with candidate entry
+     * sizes (0x3B for DOS 4.x and up, 0x35 for DOS 3.10 through 3.30, and 0x38 for DOS 3.00).
+     */
+    DebuggerX86.DOS = {
+        LOL: {
+            MCB:        -0x02,          // segment of first MCB
+            SFT:        0x04,           // far pointer to first System File Table
+            NUL:        [[0x31, 0x2C], [0x30, 0x32], [0x20, 0x21]]
+        },
+        MCB: {
+            OWNER:      0x01,           // PSP of owner (0 if free)
+            PARAS:      0x03,           // size of block in paragraphs
+            NAME:       0x08,           // name of owner (DOS 4.00 and up)
+            OWNER_DOS:  0x0008
+        },
+        PSP: {
+            TOP:        0x02,           // segment of first paragraph beyond program memory
+            PARENT:     0x16,           // PSP of parent
+            JFT:        0x18,           // default Job File Table (20 handles)
+            ENV:        0x2C,           // segment of environment
+            JFT_SIZE:   0x32,           // number of handles (DOS 3.30 and up)
+            JFT_PTR:    0x34,           // far pointer to Job File Table (DOS 3.30 and up)
+            TAIL:       0x80            // command tail (length byte, followed by characters)
+        },
+        SFT: {
+            NEXT:       0x00,           // far pointer to next System File Table (offset 0xFFFF if none)
+            COUNT:      0x04,           // number of entries in this table
+            ENTRIES:    0x06,
+            LAYOUTS: [
+                {HANDLES: 0x00, HANDLES_BYTE: true, MODE: 0x01, NAME: 0x04, FSIZE: 0x13, POS: 0, OWNER: 0, SIZES: [0x28]},
+                {HANDLES: 0x00, HANDLES_BYTE: false, MODE: 0x02, NAME: 0x20, FSIZE: 0x11, POS: 0x15, OWNER: 0x31, SIZES: [0x3B, 0x35, 0x38]}
+            ]
+        }
+    };
+
     DebuggerX86.COMMANDS = {
         '?':     "help/print",
         'a [#]': "assemble",            // TODO: Implement this command someday
         'b [#]': "breakpoint",          // multiple variations (use b? to list them)
         'c':     "clear output",
         'd [#]': "dump memory",         // additional syntax: d [#] [l#], where l# is a number of bytes to dump
+        'dos':   "DOS structures",      // syntax: dos mcb [seg], dos psp [seg], dos progs, dos files, dos break [fn]
         'e [#]': "edit memory",
         'f':     "frequencies",
         'g [#]': "go [to #]",
+        'gdb [#]': "gdb server",        // syntax: gdb [port], gdb off
         'h':     "halt",
         'i [#]': "input port #",
         'if':    "eval expression",
@@ -6815,7 +8478,12 @@ if (DEBUGGER) {
         'print': "print expression",
         'r':     "dump/set registers",
         'reset': "reset machine",
+        'screenshot': "save screen as PNG",  // syntax: screenshot [file]
+        'sound': "sound capture",       // syntax: sound on [file], sound off
+        'speaker': "speaker capture",   // syntax: speaker on [file], speaker off
+        'sym':   "symbol tables",       // syntax: sym load [file] [seg], sym rebase [module] [seg], sym clear [module]
         't [#]': "trace",               // other variations: tr (trace and dump registers)
+        'trace': "trace buffer",        // syntax: trace on [#], off, [#], back [#], find [r=#|addr], save [file]
         'u [#]': "unassemble",
         'x':     "execution options",
         'v':     "print version",
@@ -7155,6 +8823,14 @@ if (DEBUGGER) {
 
     DebuggerX86.HISTORY_LIMIT = DEBUG? 100000 : 1000;
 
+    /*
+     * Default size of the execution trace buffer (see traceInit()), and the names of the registers recorded in
+     * every trace buffer entry, which are followed by two longs containing the first 8 bytes of the instruction.
+     */
+    DebuggerX86.TRACE_LIMIT = 100000;
+    DebuggerX86.TRACE_REGS = ["EAX", "EBX", "ECX", "EDX", "ESP", "EBP", "ESI", "EDI", "EIP", "PS", "CS", "DS", "ES", "SS", "FS", "GS"];
+    DebuggerX86.TRACE_FIELDS = DebuggerX86.TRACE_REGS.length + 2;
+
     /*
      * Opcode 0x0F has a distinguished history:
      *
@@ -29,6 +29,7 @@
 "use strict";
 
 if (typeof module !== "undefined") {
+    var fs          = require("fs");
     var Str         = require("../../shared/lib/strlib");
     var Usr         = require("../../shared/lib/usrlib");
     var Web         = require("../../shared/lib/weblib");
@@ -36,6 +37,7 @@ if (typeof module !== "undefined") {
     var DumpAPI     = require("../../shared/lib/dumpapi");
     var Component   = require("../../shared/lib/component");
     var Messages    = require("./messages");
+    var HostDir     = require("./hostdir");
 }
 
 /*
@@ -50,6 +52,8 @@ if (typeof module !== "undefined") {
  *      7) save disk deltas: save()
  *      8) restore disk deltas: restore()
  *      9) converting disk contents: convertToJSON()
+ *     10) recording writes in a host overlay file: openOverlay(), commitOverlay(), discardOverlay(), saveOverlay()
+ *     11) describing the disk's FAT volume: getVolumeInfo()
  *
  *  More functionality may be factored out of the FDC and HDC components later and moved here, to
  *  further reduce some of the duplication between them, but the above functionality is a good start.
@@ -279,6 +283,20 @@ class Disk extends Component {
         this.msTimerWrite = 0;              // the time that the write timer, if any, is set to fire
         this.fWriteInProgress = false;
 
+        /*
+         * If the controller has an 'overlay' setting, then once a local disk image has been loaded, all writes
+         * are recorded in an overlay file on the host (sOverlayPath) instead; see openOverlay().
+         */
+        this.overlay = controller.overlay;
+        this.sOverlayPath = null;
+        this.timerOverlay = null;           // OVERLAY_WRITE_DELAY timer in effect, if any
+
+        /*
+         * If load() is given the path of a host directory instead of a disk image (Node only), then hostDir
+         * manages the FAT volume built from that directory and keeps the two in sync; see HostDir.
+         */
+        this.hostDir = null;
+
         this.setReady();
     }
 
@@ -360,8 +378,9 @@ class Disk extends Component {
     /**
      * powerDown(fSave, fShutdown)
      *
-     * Our sole concern here is for REMOTE disks, making sure any unwritten changes get flushed to
-     * the server during a shutdown.  No local state is ever returned, so fSave is ignored.
+     * Our main concern here is for REMOTE disks, making sure any unwritten changes get flushed to
+     * the server during a shutdown.  No local state is ever returned, so fSave is ignored.  Similarly,
+     * any pending changes to an overlay file are written (see saveOverlay()).
      *
      * Local disks are managed by the controller (ie, FDC or HDC) that mounted them; the controller's
      * powerDown() handler will take care of calling save() as needed.
@@ -409,6 +428,8 @@ class Disk extends Component {
              */
             if (!nErrorCode && fSave) this.notice(this.sDiskName + " saved");
         }
+        if (this.sOverlayPath) this.saveOverlay();
+        if (this.hostDir) this.hostDir.sync();
         return true;
     }
 
@@ -517,6 +538,23 @@ class Disk extends Component {
         this.fnNotify = fnNotify;
         this.controllerNotify = controller || this.controller;
 
+        if (this.hostDir) {
+            this.hostDir.close();
+            this.hostDir = null;
+        }
+
+        /*
+         * In Node, the path of a host directory mounts the directory itself, as a FAT volume that HostDir builds
+         * with DiskDump and then keeps in sync with the directory.
+         */
+        if (HostDir && HostDir.isDir(sDiskPath)) {
+            this.hostDir = new HostDir(this, sDiskPath);
+            this.hostDir.build(function doneBuild(buffer, nErrorCode) {
+                disk.doneLoad(sDiskPath, buffer, nErrorCode);
+            });
+            return false;
+        }
+
         if (file) {
             let reader = new FileReader();
             reader.onload = function() {
@@ -603,6 +641,18 @@ class Disk extends Component {
         let cbDiskData = buffer? buffer.byteLength : 0;
         let diskFormat = DiskAPI.GEOMETRIES[cbDiskData];
 
+        /*
+         * Raw images of hard disks created by other tools rarely match any of our standard geometries, so if the image
+         * consists of whole cylinders of the drive's own geometry (eg, a user-defined HDC drive type), and it's no larger
+         * than the drive, then use that geometry.
+         */
+        if (!diskFormat && cbDiskData && this.drive.nHeads && this.drive.nSectors) {
+            let cbCylinder = this.drive.nHeads * this.drive.nSectors * (this.drive.cbSector || 512);
+            if (!(cbDiskData % cbCylinder) && cbDiskData / cbCylinder <= this.drive.nCylinders) {
+                diskFormat = [cbDiskData / cbCylinder, this.drive.nHeads, this.drive.nSectors, this.drive.cbSector];
+            }
+        }
+
         if (diskFormat) {
             this.nCylinders = diskFormat[0];
             this.nHeads = diskFormat[1];
@@ -631,6 +681,11 @@ class Disk extends Component {
                 }
             }
             this.dwChecksum = dwChecksum;
+            if (this.hostDir) {
+                this.hostDir.open();
+            } else {
+                this.openOverlay();
+            }
             disk = this;
         } else {
             this.notice("Unrecognized disk format (" + cbDiskData + " bytes)");
@@ -870,6 +925,7 @@ class Disk extends Component {
                     }
                     this.aDiskData = aDiskData;
                     this.dwChecksum = dwChecksum;
+                    this.openOverlay();
                     if (BACKTRACK || SYMBOLS) this.buildFileTable();
                     disk = this;
                 }
@@ -889,6 +945,126 @@ class Disk extends Component {
         }
     }
 
+    /**
+     * getVolumeInfo()
+     *
+     * Returns an object describing the (first) FAT volume found on the current disk, using the same properties
+     * that getDirEntry() and convertClusterToSectors() rely on (see getDirEntry() for details), plus lbaRoot,
+     * lbaTotal, nEntries, nClusters, nFATs and nFATSecs.
+     *
+     * @this {Disk}
+     * @return {Object|null}
+     */
+    getVolumeInfo()
+    {
+        let i, off, dir = {};
+
+        dir.pbaVolume = dir.lbaTotal = 0;
+
+        let cbDisk = this.nCylinders * this.nHeads * this.nSectors * this.cbSector;
+
+        let sectorBoot = this.getSector(0);
+        if (!sectorBoot) {
+            if (DEBUG && this.messageEnabled()) {
+                this.printMessage("getVolumeInfo(): unable to read boot sector");
+            }
+            return null;
+        }
+
+        dir.cbSector = this.getSectorData(sectorBoot, DiskAPI.BPB.SECTOR_BYTES, 2);
+
+        if (dir.cbSector != this.cbSector) {
+            /*
+             * When the first sector doesn't appear to contain a valid BPB, the most likely explanations are:
+             *
+             *      1. The image is from a diskette formatted by DOS 1.xx, which didn't use BPBs
+             *      2. The image is a fixed (partitioned) disk and the first sector is actually an MBR
+             *      3. The image is from a diskette that used a non-standard sector size (ie, not 512)
+             *
+             * To start, if this is an 160Kb disk (circa DOS 1.00) or a 320Kb disk (circa DOS 1.10), then we'll
+             * assume it's a 12-bit FAT, set assorted BPB values accordingly, and see if our assumption holds up.
+             */
+            dir.lbaFAT = 1;
+            dir.nFATBits = 12;
+            dir.nFATs = 2;
+            dir.nFATSecs = 1;
+            dir.lbaRoot = dir.lbaFAT + 2;   // both 160Kb and 320Kb disks contained 2 FATs, each containing 1 sector
+            dir.nClusterSecs = 1;
+            dir.cbSector = this.cbSector;
+
+            if (cbDisk == 160 * 1024 && this.getClusterEntry(dir, 0, 0) == DiskAPI.FAT.MEDIA_160KB) {
+                dir.lbaTotal = 320;
+                dir.nEntries = 64;
+            }
+            else if (cbDisk == 320 * 1024 && this.getClusterEntry(dir, 0, 0) == DiskAPI.FAT.MEDIA_320KB) {
+                dir.lbaTotal = 640;
+                dir.nEntries = 112;
+                this.assert(this.nHeads == 2);
+                dir.nClusterSecs++;         // 320Kb disks use 2 sectors/cluster
+            }
+            else {
+                /*
+                 * So, this is either a fixed (partitioned) disk, or a disk using a non-standard sector size; let's assume
+                 * the former and check for an MBR.  For now, we're only going to process the first active partition we find.
+                 */
+                off = DiskAPI.MBR.PARTITIONS.OFFSET;
+                for (i = 0; i < 4; i++) {
+                    let bStatus = this.getSectorData(sectorBoot, off + DiskAPI.MBR.PARTITIONS.ENTRY.STATUS, 1);
+                    if (bStatus == DiskAPI.MBR.PARTITIONS.STATUS.ACTIVE) {
+                        dir.pbaVolume = this.getSectorData(sectorBoot, off + DiskAPI.MBR.PARTITIONS.ENTRY.LBA_FIRST, 4);
+                        sectorBoot = this.getSector(dir.pbaVolume);
+                        if (sectorBoot && this.getSectorData(sectorBoot, DiskAPI.BPB.SECTOR_BYTES, 2) != this.cbSector) {
+                            sectorBoot = null;
+                        }
+                        break;
+                    }
+                    off += DiskAPI.MBR.PARTITIONS.ENTRY_LENGTH;
+                }
+                if (i == 4) sectorBoot = null;
+            }
+            if (!sectorBoot) {
+                if (DEBUG && this.messageEnabled()) {
+                    this.printMessage("getVolumeInfo(): unrecognized " + cbDisk + "-byte disk image with " + this.cbSector + "-byte sectors");
+                }
+                return null;
+            }
+        }
+
+        if (!dir.lbaTotal) {
+            dir.lbaTotal = this.getSectorData(sectorBoot, DiskAPI.BPB.TOTAL_SECS, 2) || this.getSectorData(sectorBoot, DiskAPI.BPB.LARGE_SECS, 4);
+            dir.lbaFAT = this.getSectorData(sectorBoot, DiskAPI.BPB.RESERVED_SECS, 2);
+            dir.nFATs = this.getSectorData(sectorBoot, DiskAPI.BPB.TOTAL_FATS, 1);
+            dir.nFATSecs = this.getSectorData(sectorBoot, DiskAPI.BPB.FAT_SECS, 2);
+            dir.lbaRoot = dir.lbaFAT + dir.nFATSecs * dir.nFATs;
+            dir.nEntries = this.getSectorData(sectorBoot, DiskAPI.BPB.ROOT_DIRENTS, 2);
+            dir.nClusterSecs = this.getSectorData(sectorBoot, DiskAPI.BPB.CLUSTER_SECS, 1);
+        }
+
+        dir.lbaData = dir.lbaRoot + (((dir.nEntries * DiskAPI.DIRENT.LENGTH + (dir.cbSector - 1)) / dir.cbSector) | 0);
+        dir.nClusters = (((dir.lbaTotal - dir.lbaData) / dir.nClusterSecs) | 0);
+
+        /*
+         * In all FATs, the first valid cluster number is 2, as 0 is used to indicate a free cluster and 1 is reserved.
+         *
+         * In a 12-bit FAT chain, the largest valid cluster number (iClusterMax) is 0xFF6; 0xFF7 is reserved for marking
+         * bad clusters and should NEVER appear in a cluster chain, and 0xFF8-0xFFF are used to indicate the end of a chain.
+         * Reports that cluster numbers 0xFF0-0xFF6 are "reserved" (eg, http://support.microsoft.com/KB/65541) should be
+         * ignored; those numbers may have been considered "reserved" at some early point in FAT's history, but no longer.
+         *
+         * Since 12 bits yield 4096 possible values, and since 11 of the values (0, 1, and 0xFF7-0xFFF) cannot be used to
+         * refer to an actual cluster, that leaves a theoretical maximum of 4085 clusters for a 12-bit FAT.  However, for
+         * reasons that only a small (and shrinking -- RIP AAR) number of people know, the actual cut-off is 4084.
+         *
+         * So, a FAT volume with 4084 or fewer clusters uses a 12-bit FAT, a FAT volume with 4085 to 65524 clusters uses
+         * a 16-bit FAT, and a FAT volume with more than 65524 clusters uses a 32-bit FAT.
+         *
+         * TODO: Eventually add support for FAT32.
+         */
+        dir.nFATBits = (dir.nClusters <= DiskAPI.FAT12.MAX_CLUSTERS? 12 : 16);
+        dir.iClusterMax = (dir.nFATBits == 12? DiskAPI.FAT12.CLUSNUM_MAX : DiskAPI.FAT16.CLUSNUM_MAX);
+        return dir;
+    }
+
     /**
      * buildFileTable()
      *
@@ -915,7 +1091,7 @@ class Disk extends Component {
     {
         if (BACKTRACK || SYMBOLS) {
 
-            let i, off, dir = {}, iSector;
+            let i, off, iSector;
 
             if (this.aFileTable && this.aFileTable.length) {
                 /*
@@ -938,10 +1114,6 @@ class Disk extends Component {
 
             this.aFileTable = [];
 
-            dir.pbaVolume = dir.lbaTotal = 0;
-
-            let cbDisk = this.nCylinders * this.nHeads * this.nSectors * this.cbSector;
-
             /*
              * At this point, if this is a remote disk, you may see some warning messages in your browser's console,
              * like this message from Chrome:
@@ -955,101 +1127,10 @@ class Disk extends Component {
              */
             if (this.fRemote) this.log("ignore any synchronous XMLHttpRequest warnings here (for now)");
 
-            let sectorBoot = this.getSector(0);
-            if (!sectorBoot) {
-                if (DEBUG && this.messageEnabled()) {
-                    this.printMessage("buildFileTable(): unable to read boot sector");
-                }
-                return;
-            }
-
-            dir.cbSector = this.getSectorData(sectorBoot, DiskAPI.BPB.SECTOR_BYTES, 2);
+            let dir = this.getVolumeInfo();
+            if (!dir) return;
 
-            if (dir.cbSector != this.cbSector) {
-                /*
-                 * When the first sector doesn't appear to contain a valid BPB, the most likely explanations are:
-                 *
-                 *      1. The image is from a diskette formatted by DOS 1.xx, which didn't use BPBs
-                 *      2. The image is a fixed (partitioned) disk and the first sector is actually an MBR
-                 *      3. The image is from a diskette that used a non-standard sector size (ie, not 512)
-                 *
-                 * To start, if this is an 160Kb disk (circa DOS 1.00) or a 320Kb disk (circa DOS 1.10), then we'll
-                 * assume it's a 12-bit FAT, set assorted BPB values accordingly, and see if our assumption holds up.
-                 */
-                dir.lbaFAT = 1;
-                dir.nFATBits = 12;
-                dir.lbaRoot = dir.lbaFAT + 2;   // both 160Kb and 320Kb disks contained 2 FATs, each containing 1 sector
-                dir.nClusterSecs = 1;
-                dir.cbSector = this.cbSector;
-
-                if (cbDisk == 160 * 1024 && this.getClusterEntry(dir, 0, 0) == DiskAPI.FAT.MEDIA_160KB) {
-                    dir.lbaTotal = 320;
-                    dir.nEntries = 64;
-                }
-                else if (cbDisk == 320 * 1024 && this.getClusterEntry(dir, 0, 0) == DiskAPI.FAT.MEDIA_320KB) {
-                    dir.lbaTotal = 640;
-                    dir.nEntries = 112;
-                    this.assert(this.nHeads == 2);
-                    dir.nClusterSecs++;         // 320Kb disks use 2 sectors/cluster
-                }
-                else {
-                    /*
-                     * So, this is either a fixed (partitioned) disk, or a disk using a non-standard sector size; let's assume
-                     * the former and check for an MBR.  For now, we're only going to process the first active partition we find.
-                     */
-                    off = DiskAPI.MBR.PARTITIONS.OFFSET;
-                    for (i = 0; i < 4; i++) {
-                        let bStatus = this.getSectorData(sectorBoot, off + DiskAPI.MBR.PARTITIONS.ENTRY.STATUS, 1);
-                        if (bStatus == DiskAPI.MBR.PARTITIONS.STATUS.ACTIVE) {
-                            dir.pbaVolume = this.getSectorData(sectorBoot, off + DiskAPI.MBR.PARTITIONS.ENTRY.LBA_FIRST, 4);
-                            sectorBoot = this.getSector(dir.pbaVolume);
-                            if (sectorBoot && this.getSectorData(sectorBoot, DiskAPI.BPB.SECTOR_BYTES, 2) != this.cbSector) {
-                                sectorBoot = null;
-                            }
-                            break;
-                        }
-                        off += DiskAPI.MBR.PARTITIONS.ENTRY_LENGTH;
-                    }
-                    if (i == 4) sectorBoot = null;
-                }
-                if (!sectorBoot) {
-                    if (DEBUG && this.messageEnabled()) {
-                        this.printMessage("buildFileTable(): unrecognized " + cbDisk + "-byte disk image with " + this.cbSector + "-byte sectors");
-                    }
-                    return;
-                }
-            }
-
-            if (!dir.lbaTotal) {
-                dir.lbaTotal = this.getSectorData(sectorBoot, DiskAPI.BPB.TOTAL_SECS, 2) || this.getSectorData(sectorBoot, DiskAPI.BPB.LARGE_SECS, 4);
-                dir.lbaFAT = this.getSectorData(sectorBoot, DiskAPI.BPB.RESERVED_SECS, 2);
-                dir.lbaRoot = dir.lbaFAT + this.getSectorData(sectorBoot, DiskAPI.BPB.FAT_SECS, 2) * this.getSectorData(sectorBoot, DiskAPI.BPB.TOTAL_FATS, 1);
-                dir.nEntries = this.getSectorData(sectorBoot, DiskAPI.BPB.ROOT_DIRENTS, 2);
-                dir.nClusterSecs = this.getSectorData(sectorBoot, DiskAPI.BPB.CLUSTER_SECS, 1);
-            }
-
-            dir.lbaData = dir.lbaRoot + (((dir.nEntries * DiskAPI.DIRENT.LENGTH + (dir.cbSector - 1)) / dir.cbSector) | 0);
-            dir.nClusters = (((dir.lbaTotal - dir.lbaData) / dir.nClusterSecs) | 0);
-
-            /*
-             * In all FATs, the first valid cluster number is 2, as 0 is used to indicate a free cluster and 1 is reserved.
-             *
-             * In a 12-bit FAT chain, the largest valid cluster number (iClusterMax) is 0xFF6; 0xFF7 is reserved for marking
-             * bad clusters and should NEVER appear in a cluster chain, and 0xFF8-0xFFF are used to indicate the end of a chain.
-             * Reports that cluster numbers 0xFF0-0xFF6 are "reserved" (eg, http://support.microsoft.com/KB/65541) should be
-             * ignored; those numbers may have been considered "reserved" at some early point in FAT's history, but no longer.
-             *
-             * Since 12 bits yield 4096 possible values, and since 11 of the values (0, 1, and 0xFF7-0xFFF) cannot be used to
-             * refer to an actual cluster, that leaves a theoretical maximum of 4085 clusters for a 12-bit FAT.  However, for
-             * reasons that only a small (and shrinking -- RIP AAR) number of people know, the actual cut-off is 4084.
-             *
-             * So, a FAT volume with 4084 or fewer clusters uses a 12-bit FAT, a FAT volume with 4085 to 65524 clusters uses
-             * a 16-bit FAT, and a FAT volume with more than 65524 clusters uses a 32-bit FAT.
-             *
-             * TODO: Eventually add support for FAT32.
-             */
-            dir.nFATBits = (dir.nClusters <= DiskAPI.FAT12.MAX_CLUSTERS? 12 : 16);
-            dir.iClusterMax = (dir.nFATBits == 12? DiskAPI.FAT12.CLUSNUM_MAX : DiskAPI.FAT16.CLUSNUM_MAX);
+            let cbDisk = this.nCylinders * this.nHeads * this.nSectors * this.cbSector;
 
             if (DEBUG && this.messageEnabled()) {
                 this.printMessage("buildFileTable()\n\tlbaFAT: " + dir.lbaFAT + "\n\tlbaRoot: " + dir.lbaRoot + "\n\tlbaData: " + dir.lbaData + "\n\tlbaTotal: " + dir.lbaTotal + "\n\tnClusterSecs: " + dir.nClusterSecs + "\n\tnClusters: " + dir.nClusters);
@@ -1864,6 +1945,7 @@ class Disk extends Component {
     {
         let sector = null;
         let drive = this.drive;
+        if (this.hostDir && !fWrite) this.hostDir.checkHost();
         let cylinder = this.aDiskData[iCylinder];
         if (cylinder) {
             let i;
@@ -2060,7 +2142,13 @@ class Disk extends Component {
                 }
                 adw[idw] = (adw[idw] & ~(0xff << nShift)) | (b << nShift);
 
-                if (this.fRemote) this.queueDirtySector(sector, true);
+                if (this.fRemote) {
+                    this.queueDirtySector(sector, true);
+                } else if (this.sOverlayPath) {
+                    this.queueOverlay();
+                } else if (this.hostDir) {
+                    this.hostDir.queueSync(sector);
+                }
             }
             return true;
         }
@@ -2294,6 +2382,215 @@ class Disk extends Component {
         return nChanges;
     }
 
+    /**
+     * getOverlayPath()
+     *
+     * An 'overlay' setting of true puts the overlay file alongside the disk image (which must then be a local file),
+     * whereas any other setting is the name of a directory to put the overlay file in; either way, the overlay file
+     * has the same name as the disk image, plus Disk.OVERLAY_EXT.
+     *
+     * @this {Disk}
+     * @return {string|null}
+     */
+    getOverlayPath()
+    {
+        if (this.overlay === true) {
+            if (!fs.existsSync(this.sDiskPath)) return null;
+            return this.sDiskPath + Disk.OVERLAY_EXT;
+        }
+        return this.overlay.replace(/\/?$/, '/') + this.sDiskFile + Disk.OVERLAY_EXT;
+    }
+
+    /**
+     * openOverlay()
+     *
+     * Called whenever a local disk image has been loaded.  If the controller asked for an overlay, and the disk
+     * isn't write-protected, then any existing overlay file is applied to the disk, and all subsequent writes are
+     * recorded in the overlay file, leaving the disk image itself untouched.
+     *
+     * An overlay file contains the same deltas that save() returns (and restore() accepts), including the checksum
+     * of the original disk image, so an overlay file that was created for a different version of the disk image
+     * is ignored (and left alone).
+     *
+     * @this {Disk}
+     */
+    openOverlay()
+    {
+        this.sOverlayPath = null;
+        if (!this.overlay || typeof module === "undefined" || this.fOnDemand || this.fWriteProtected) return;
+
+        let sOverlayPath = this.getOverlayPath();
+        if (!sOverlayPath) return;
+
+        if (fs.existsSync(sOverlayPath)) {
+            let nChanges = -1;
+            try {
+                nChanges = this.restore(JSON.parse(fs.readFileSync(sOverlayPath, {encoding: "utf8"})));
+            } catch(err) {
+                this.notice("Unable to read overlay " + sOverlayPath + ": " + err.message);
+            }
+            if (nChanges < 0) {
+                this.notice("Overlay " + sOverlayPath + " does not match disk \"" + this.sDiskName + "\"; ignored");
+                return;
+            }
+            this.notice("Applied " + nChanges + " change(s) from overlay " + sOverlayPath, true);
+        }
+        this.sOverlayPath = sOverlayPath;
+    }
+
+    /**
+     * queueOverlay()
+     *
+     * Since write() is called for every byte, we simply make sure that an OVERLAY_WRITE_DELAY timer is pending,
+     * so that a burst of writes results in a single update of the overlay file.
+     *
+     * @this {Disk}
+     */
+    queueOverlay()
+    {
+        if (!this.timerOverlay) {
+            let disk = this;
+            this.timerOverlay = setTimeout(function() {
+                disk.timerOverlay = null;
+                disk.saveOverlay();
+            }, Disk.OVERLAY_WRITE_DELAY);
+        }
+    }
+
+    /**
+     * saveOverlay(sFile)
+     *
+     * Writes all the disk's modifications to the overlay file (or, if sFile is specified, to a "snapshot" of the
+     * overlay file, which can later be restored by copying it over the overlay file).  The overlay file is first
+     * written under a temporary name and then renamed, so that an interrupted write can't corrupt it.
+     *
+     * @this {Disk}
+     * @param {string} [sFile]
+     * @return {boolean} true if successful, false if not
+     */
+    saveOverlay(sFile)
+    {
+        if (this.timerOverlay) {
+            clearTimeout(this.timerOverlay);
+            this.timerOverlay = null;
+        }
+        if (!this.sOverlayPath) return false;
+        let deltas = this.save();
+        sFile = sFile || this.sOverlayPath;
+        try {
+            if (deltas.length > 1 || sFile != this.sOverlayPath || fs.existsSync(sFile)) {
+                fs.writeFileSync(sFile + ".tmp", JSON.stringify(deltas));
+                fs.renameSync(sFile + ".tmp", sFile);
+            }
+        } catch(err) {
+            this.notice("Unable to save overlay " + sFile + ": " + err.message);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * commitOverlay()
+     *
+     * Writes all the disk's modifications to the disk image itself and then removes the overlay file, so that the
+     * modified disk becomes the new "original".  Raw disk images are updated in place, one modified sector at a time,
+     * whereas JSON disk images must be rewritten in their entirety.
+     *
+     * @this {Disk}
+     * @return {boolean} true if successful, false if not
+     */
+    commitOverlay()
+    {
+        if (!this.sOverlayPath) return false;
+        if (this.timerOverlay) {
+            clearTimeout(this.timerOverlay);
+            this.timerOverlay = null;
+        }
+        let nChanges = 0;
+        let fJSON = (this.sFormat == "json");
+        let aDiskData = this.aDiskData;
+        try {
+            if (fJSON) {
+                fs.writeFileSync(this.sDiskPath, this.convertToJSON());
+            } else {
+                let fd = fs.openSync(this.sDiskPath, "r+");
+                for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+                    for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
+                        for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
+                            let sector = aDiskData[iCylinder][iHead][iSector];
+                            if (sector && sector.cModify) {
+                                let pba = (iCylinder * this.nHeads + iHead) * this.nSectors + iSector;
+                                fs.writeSync(fd, new Uint8Array(this.toBytes(sector)), 0, sector['length'], pba * this.cbSector);
+                            }
+                        }
+                    }
+                }
+                fs.closeSync(fd);
+            }
+            if (fs.existsSync(this.sOverlayPath)) fs.unlinkSync(this.sOverlayPath);
+        } catch(err) {
+            this.notice("Unable to commit overlay " + this.sOverlayPath + ": " + err.message);
+            return false;
+        }
+        /*
+         * Now that the disk image contains all the modifications, we must forget them, and we must also recalculate
+         * the checksum, the same way that doneLoad() or buildDisk() would when loading the updated disk image.
+         */
+        let dwChecksum = 0;
+        for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+            for (let iHead = 0; iHead < aDiskData[iCylinder].length; iHead++) {
+                for (let iSector = 0; iSector < aDiskData[iCylinder][iHead].length; iSector++) {
+                    let sector = aDiskData[iCylinder][iHead][iSector];
+                    if (!sector) continue;
+                    if (sector.cModify) nChanges++;
+                    sector.cModify = 0;
+                    let adw = sector['data'];
+                    let cdw = fJSON? adw.length : (sector['length'] >> 2);
+                    for (let idw = 0; idw < cdw; idw++) {
+                        dwChecksum = (dwChecksum + (idw < adw.length? adw[idw] : sector['pattern'])) & (0xffffffff|0);
+                    }
+                }
+            }
+        }
+        this.dwChecksum = dwChecksum;
+        this.notice("Committed " + nChanges + " change(s) to " + this.sDiskPath, true);
+        return true;
+    }
+
+    /**
+     * discardOverlay()
+     *
+     * Removes the overlay file and reloads the original disk image.  Note that any software still running in the
+     * machine may have cached some of the disk's contents, so it's best to discard an overlay only after the machine
+     * has been stopped (or before the machine is restarted).
+     *
+     * @this {Disk}
+     * @return {boolean} true if successful, false if not
+     */
+    discardOverlay()
+    {
+        if (!this.sOverlayPath) return false;
+        if (this.timerOverlay) {
+            clearTimeout(this.timerOverlay);
+            this.timerOverlay = null;
+        }
+        let diskData, sOverlayPath = this.sOverlayPath;
+        try {
+            if (fs.existsSync(sOverlayPath)) fs.unlinkSync(sOverlayPath);
+            if (this.sFormat == "json") {
+                diskData = fs.readFileSync(this.sDiskPath, {encoding: "utf8"});
+            } else {
+                diskData = new Uint8Array(fs.readFileSync(this.sDiskPath)).buffer;
+            }
+        } catch(err) {
+            this.notice("Unable to discard overlay " + sOverlayPath + ": " + err.message);
+            return false;
+        }
+        this.doneLoad(this.sDiskPath, diskData, 0);
+        this.notice("Discarded overlay " + sOverlayPath, true);
+        return true;
+    }
+
     /**
      * convertToJSON(fFormatted)
      *
@@ -2430,6 +2727,14 @@ class Disk extends Component {
  */
 Disk.REMOTE_WRITE_DELAY = 2000;         // 2-second delay
 
+/**
+ * The number of milliseconds to wait before writing disk modifications to an overlay file, and the overlay file extension
+ *
+ * @const {number}
+ */
+Disk.OVERLAY_WRITE_DELAY = 1000;        // 1-second delay
+Disk.OVERLAY_EXT = ".overlay";
+
 /*
  * A global disk count, used to form unique Disk component IDs (totally optional; for debugging purposes only)
  */
@@ -145,6 +145,7 @@ class FDC extends Component {
      *      autoMount: one or more JSON-encoded objects, each containing 'name' and 'path' properties
      *      drives: an array of DriveType objects, each containing 'heads', 'tracks', and 'boot' properties
      *      sortBy: "name" to sort disks by name, "path" to sort by path, or "none" to leave as-is (default is "name")
+     *      overlay: true (or a directory name) to record all writes in overlay files instead of disk images (Node only)
      *
      * Regarding early diskette drives: the IBM PC Model 5150 originally shipped with single-sided drives,
      * and therefore supported only 160Kb diskettes.  That's the only diskette format PC-DOS 1.00 supported, too.
@@ -190,6 +191,11 @@ class FDC extends Component {
          */
         this.sDriveTypes = parmsFDC['drives'];
 
+        /*
+         * If set, every Disk we load records its writes in an overlay file (see Disk.openOverlay()).
+         */
+        this.overlay = parmsFDC['overlay'];
+
         /*
          * We record any 'autoMount' object now, but we no longer parse it until initBus(), because the Computer's
          * getMachineParm() service may have an override for us.
@@ -482,6 +488,7 @@ class FDC extends Component {
         }
 
         this.chipset = cmp.getMachineComponent("ChipSet");
+        if (this.chipset) this.chipset.addIRQ(ChipSet.IRQ.FDC, this);
         this.parseConfig(this.cmp.getMachineParm('autoMount'), this.configMount);
 
         this.panel = cmp.getMachineComponent("Panel");
@@ -0,0 +1,694 @@
+/**
+ * @fileoverview Implements a GDB remote serial protocol server for the PCx86 Debugger
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var net         = require("net");
+    var X86         = require("./x86");
+}
+
+/**
+ * class GDBStub
+ * @unrestricted
+ *
+ * Implements a server for GDB's Remote Serial Protocol (RSP), so that GDB can debug a PCx86 machine with commands
+ * like:
+ *
+ *      (gdb) target remote localhost:1234
+ *      (gdb) break *0x7c00
+ *
+ * The server is started with the Debugger's "gdb" command, and since it requires a TCP socket, it's available only
+ * in Node.  All requests are mapped onto existing CPU and Debugger facilities: memory is read with probeAddr() and
+ * written with setByte(), just like the Debugger's "d" and "e" commands, breakpoints are added to the Debugger's own
+ * breakpoint lists, and single-stepping is performed by the Debugger's stepCPU().
+ *
+ * GDB knows nothing about segments, so all addresses exchanged with GDB are linear addresses, including the "eip"
+ * register, which is reported as the CS base + EIP (ie, the CPU's regLIP).  In protected mode with a flat code segment,
+ * that's simply EIP, and in real mode, it means that GDB's $pc always refers to the actual address of the next
+ * instruction.  To set a breakpoint at a real-mode address like 07C0:0010, use the linear address (eg, "b *0x7c10").
+ *
+ * Registers are always exchanged using GDB's i386 layout (eax, ecx, edx, ebx, esp, ebp, esi, edi, eip, eflags, cs,
+ * ss, ds, es, fs, gs), but the target description sent to GDB reports an "i8086" architecture if the CPU is in real
+ * mode (or V86 mode, or is older than an 80386), so that GDB disassembles 16-bit code, and "i386" otherwise.  GDB
+ * requests the target description only when it connects, so reconnect after a mode switch.
+ */
+class GDBStub {
+    /**
+     * GDBStub(dbg)
+     *
+     * @this {GDBStub}
+     * @param {DebuggerX86} dbg
+     */
+    constructor(dbg)
+    {
+        this.dbg = dbg;
+        this.cpu = dbg.cpu;
+        this.fI386 = (I386 && this.cpu.model >= X86.MODEL_80386);
+        this.server = this.socket = null;
+        this.sInput = this.sPacketPrev = "";
+        this.fAck = true;
+        this.fRunning = false;          // true whenever GDB is waiting for a stop reply
+        this.fInterrupted = false;      // true if GDB stopped the machine (with a Ctrl-C)
+    }
+
+    /**
+     * listen(port)
+     *
+     * For security reasons, we accept connections from the local machine only.
+     *
+     * @this {GDBStub}
+     * @param {number} port
+     */
+    listen(port)
+    {
+        let stub = this;
+        this.server = net.createServer(function onGDBConnect(socket) {
+            stub.connect(socket);
+        });
+        this.server.on("error", function onGDBError(err) {
+            stub.dbg.println("gdb server error: " + err.message);
+            stub.server = null;
+        });
+        this.server.listen(port, "127.0.0.1", function onGDBListen() {
+            stub.dbg.println("gdb server listening on port " + port);
+        });
+    }
+
+    /**
+     * close()
+     *
+     * @this {GDBStub}
+     */
+    close()
+    {
+        if (this.socket) this.socket.destroy();
+        if (this.server) this.server.close();
+        this.server = this.socket = null;
+    }
+
+    /**
+     * connect(socket)
+     *
+     * Only one GDB connection is allowed at a time, and since GDB expects the machine to be stopped whenever it
+     * connects, we stop the CPU as well.
+     *
+     * @this {GDBStub}
+     * @param {Object} socket
+     */
+    connect(socket)
+    {
+        if (this.socket) {
+            socket.destroy();
+            return;
+        }
+        let stub = this;
+        this.socket = socket;
+        this.sInput = this.sPacketPrev = "";
+        this.fAck = true;
+        this.fRunning = this.fInterrupted = false;
+        socket.setEncoding("latin1");
+        socket.on("data", function onGDBData(data) {
+            stub.receive(data);
+        });
+        socket.on("error", function onGDBSocketError(err) {
+            stub.dbg.println("gdb connection error: " + err.message);
+        });
+        socket.on("close", function onGDBClose() {
+            if (stub.socket === socket) {
+                stub.socket = null;
+                stub.dbg.println("gdb disconnected");
+            }
+        });
+        this.dbg.println("gdb connected");
+        this.dbg.stopCPU();
+    }
+
+    /**
+     * receive(s)
+     *
+     * Processes incoming data, which consists of packets ("$data#checksum"), acknowledgements ('+' or '-'), and
+     * interrupt requests (Ctrl-C).  Incomplete packets remain in sInput until the rest of the packet arrives.
+     *
+     * @this {GDBStub}
+     * @param {string} s
+     */
+    receive(s)
+    {
+        this.sInput += s;
+        while (this.sInput.length && this.socket) {
+            let ch = this.sInput.charAt(0);
+            if (ch == '$') {
+                let i = this.sInput.indexOf('#');
+                if (i < 0 || this.sInput.length < i + 3) break;
+                let sPacket = this.sInput.substring(1, i);
+                let sChecksum = this.sInput.substr(i + 1, 2);
+                this.sInput = this.sInput.substr(i + 3);
+                if (this.fAck) {
+                    if (parseInt(sChecksum, 16) !== GDBStub.getChecksum(sPacket)) {
+                        this.socket.write('-');
+                        continue;
+                    }
+                    this.socket.write('+');
+                }
+                let sReply = this.doPacket(sPacket);
+                if (sReply != null) this.send(sReply);
+                continue;
+            }
+            this.sInput = this.sInput.substr(1);
+            if (ch == '-') {
+                if (this.sPacketPrev) this.socket.write(this.sPacketPrev);
+            }
+            else if (ch == '\x03') {
+                this.interrupt();
+            }
+        }
+    }
+
+    /**
+     * send(sReply)
+     *
+     * @this {GDBStub}
+     * @param {string} sReply
+     */
+    send(sReply)
+    {
+        if (this.socket) {
+            this.sPacketPrev = '$' + sReply + '#' + GDBStub.toHexLE(GDBStub.getChecksum(sReply), 1);
+            this.socket.write(this.sPacketPrev);
+        }
+    }
+
+    /**
+     * doPacket(s)
+     *
+     * @this {GDBStub}
+     * @param {string} s (packet data, without the leading '$' and trailing checksum)
+     * @return {string|null} reply, null if no reply yet (or ever), or "" if the packet is unsupported
+     */
+    doPacket(s)
+    {
+        let i, match;
+
+        switch(s.charAt(0)) {
+        case '?':
+            return this.getStopReply(GDBStub.SIGNAL.TRAP);
+        case 'g':
+            s = "";
+            for (i = 0; i < GDBStub.REGS.length; i++) {
+                s += GDBStub.toHexLE(this.getRegister(i), 4);
+            }
+            return s;
+        case 'G':
+            for (i = 0; i < GDBStub.REGS.length && (i + 1) * 8 < s.length; i++) {
+                this.setRegister(i, GDBStub.parseHexLE(s.substr(1 + i * 8, 8)));
+            }
+            return "OK";
+        case 'p':
+            match = s.match(/^p([0-9a-f]+)$/i);
+            if (!match || (i = parseInt(match[1], 16)) >= GDBStub.REGS.length) return "E00";
+            return GDBStub.toHexLE(this.getRegister(i), 4);
+        case 'P':
+            match = s.match(/^P([0-9a-f]+)=([0-9a-f]+)$/i);
+            if (!match || !this.setRegister(parseInt(match[1], 16), GDBStub.parseHexLE(match[2]))) return "E00";
+            return "OK";
+        case 'm':
+            match = s.match(/^m([0-9a-f]+),([0-9a-f]+)$/i);
+            if (!match) return "E00";
+            return this.readMemory(parseInt(match[1], 16), parseInt(match[2], 16));
+        case 'M':
+            match = s.match(/^M([0-9a-f]+),([0-9a-f]+):([0-9a-f]*)$/i);
+            if (!match) return "E00";
+            return this.writeMemory(parseInt(match[1], 16), match[3]);
+        case 'c':
+        case 's':
+            if (s.length > 1) this.cpu.setLIP(parseInt(s.substr(1), 16)|0);
+            return (s.charAt(0) == 's')? this.step() : this.resume();
+        case 'Z':
+        case 'z':
+            match = s.match(/^[Zz]([0-4]),([0-9a-f]+),([0-9a-f]+)$/i);
+            if (!match) return "E00";
+            return this.setBreakpoint(+match[1], parseInt(match[2], 16), parseInt(match[3], 16), s.charAt(0) == 'Z');
+        case 'q':
+            return this.doQuery(s);
+        case 'Q':
+            if (s == "QStartNoAckMode") {
+                this.send("OK");
+                this.fAck = false;
+                return null;
+            }
+            return "";
+        case 'H':
+        case 'T':
+            return "OK";
+        case 'D':
+            this.send("OK");
+            this.socket.end();
+            this.fRunning = false;
+            this.dbg.startCPU(false, true);
+            return null;
+        case 'k':
+            this.socket.destroy();
+            return null;
+        default:
+            return "";
+        }
+    }
+
+    /**
+     * doQuery(s)
+     *
+     * @this {GDBStub}
+     * @param {string} s
+     * @return {string}
+     */
+    doQuery(s)
+    {
+        let match;
+        if (!s.indexOf("qSupported")) {
+            return "PacketSize=1000;qXfer:features:read+;QStartNoAckMode+";
+        }
+        if (s == "qAttached") {
+            return "1";
+        }
+        if (s == "qfThreadInfo") {
+            return "m1";
+        }
+        if (s == "qsThreadInfo") {
+            return "l";
+        }
+        if (!s.indexOf("qSymbol")) {
+            return "OK";
+        }
+        if ((match = s.match(/^qXfer:features:read:target\.xml:([0-9a-f]+),([0-9a-f]+)$/i))) {
+            let sXML = this.getTargetXML();
+            let off = parseInt(match[1], 16), len = parseInt(match[2], 16);
+            return (off + len < sXML.length? 'm' : 'l') + sXML.substr(off, len);
+        }
+        if ((match = s.match(/^qRcmd,([0-9a-f]*)$/i))) {
+            return this.doMonitor(match[1]);
+        }
+        return "";
+    }
+
+    /**
+     * doMonitor(sHex)
+     *
+     * Runs a GDB "monitor" command as a Debugger command, and returns the Debugger's output (hex-encoded);
+     * for example, "monitor r" displays the CPU registers in the Debugger's format.
+     *
+     * @this {GDBStub}
+     * @param {string} sHex (hex-encoded command)
+     * @return {string}
+     */
+    doMonitor(sHex)
+    {
+        let i, sCmd = "", sOutput = "";
+        for (i = 0; i < sHex.length; i += 2) {
+            sCmd += String.fromCharCode(parseInt(sHex.substr(i, 2), 16));
+        }
+        let dbg = this.dbg;
+        let println = dbg.println;
+        dbg.println = function(s) {
+            sOutput += (s || "") + "\n";
+        };
+        try {
+            dbg.doCommands(sCmd);
+        } finally {
+            dbg.println = println;
+        }
+        if (!sOutput) return "OK";
+        sHex = "";
+        for (i = 0; i < sOutput.length; i++) {
+            sHex += GDBStub.toHexLE(sOutput.charCodeAt(i) & 0xff, 1);
+        }
+        return sHex;
+    }
+
+    /**
+     * getTargetXML()
+     *
+     * @this {GDBStub}
+     * @return {string}
+     */
+    getTargetXML()
+    {
+        let sArch = (this.fI386 && this.dbg.getCPUMode())? "i386" : "i8086";
+        return '<?xml version="1.0"?><!DOCTYPE target SYSTEM "gdb-target.dtd"><target><architecture>' + sArch + '</architecture></target>';
+    }
+
+    /**
+     * getStopReply(nSignal)
+     *
+     * @this {GDBStub}
+     * @param {number} nSignal
+     * @return {string}
+     */
+    getStopReply(nSignal)
+    {
+        return 'S' + GDBStub.toHexLE(nSignal, 1);
+    }
+
+    /**
+     * getRegister(iReg)
+     *
+     * @this {GDBStub}
+     * @param {number} iReg (index into GDBStub.REGS)
+     * @return {number}
+     */
+    getRegister(iReg)
+    {
+        let cpu = this.cpu;
+        let mask = this.fI386? -1 : 0xffff;
+        switch(iReg) {
+        case 0:
+            return cpu.regEAX & mask;
+        case 1:
+            return cpu.regECX & mask;
+        case 2:
+            return cpu.regEDX & mask;
+        case 3:
+            return cpu.regEBX & mask;
+        case 4:
+            return cpu.getSP() & mask;
+        case 5:
+            return cpu.regEBP & mask;
+        case 6:
+            return cpu.regESI & mask;
+        case 7:
+            return cpu.regEDI & mask;
+        case 8:
+            return cpu.regLIP;
+        case 9:
+            return cpu.getPS();
+        case 10:
+            return cpu.getCS();
+        case 11:
+            return cpu.getSS();
+        case 12:
+            return cpu.getDS();
+        case 13:
+            return cpu.getES();
+        case 14:
+            return this.fI386? cpu.getFS() : 0;
+        case 15:
+            return this.fI386? cpu.getGS() : 0;
+        default:
+            return 0;
+        }
+    }
+
+    /**
+     * setRegister(iReg, v)
+     *
+     * Since GDB's "G" packet updates all the registers at once, segment registers are reloaded only if they've
+     * actually changed; as with the Debugger's "r" command, loading a segment register in protected mode runs the
+     * risk of generating a fault in the machine, so be careful.
+     *
+     * @this {GDBStub}
+     * @param {number} iReg (index into GDBStub.REGS)
+     * @param {number} v
+     * @return {boolean} true if successful, false if not
+     */
+    setRegister(iReg, v)
+    {
+        let cpu = this.cpu;
+        if (!this.fI386 && iReg < 8) v &= 0xffff;
+        switch(iReg) {
+        case 0:
+            cpu.regEAX = v;
+            break;
+        case 1:
+            cpu.regECX = v;
+            break;
+        case 2:
+            cpu.regEDX = v;
+            break;
+        case 3:
+            cpu.regEBX = v;
+            break;
+        case 4:
+            cpu.setSP(v);
+            break;
+        case 5:
+            cpu.regEBP = v;
+            break;
+        case 6:
+            cpu.regESI = v;
+            break;
+        case 7:
+            cpu.regEDI = v;
+            break;
+        case 8:
+            if (v != cpu.regLIP) cpu.setLIP(v);
+            break;
+        case 9:
+            cpu.setPS(v);
+            break;
+        case 10:
+            if (v != cpu.getCS()) cpu.setCS(v);
+            break;
+        case 11:
+            if (v != cpu.getSS()) cpu.setSS(v);
+            break;
+        case 12:
+            if (v != cpu.getDS()) cpu.setDS(v);
+            break;
+        case 13:
+            if (v != cpu.getES()) cpu.setES(v);
+            break;
+        case 14:
+            if (this.fI386 && v != cpu.getFS()) cpu.setFS(v);
+            break;
+        case 15:
+            if (this.fI386 && v != cpu.getGS()) cpu.setGS(v);
+            break;
+        default:
+            return false;
+        }
+        cpu.updateCPU();
+        return true;
+    }
+
+    /**
+     * readMemory(addr, len)
+     *
+     * @this {GDBStub}
+     * @param {number} addr (linear)
+     * @param {number} len
+     * @return {string}
+     */
+    readMemory(addr, len)
+    {
+        let s = "";
+        for (let i = 0; i < len; i++) {
+            let b = this.cpu.probeAddr((addr + i)|0, 1);
+            if (b == null) break;
+            s += GDBStub.toHexLE(b, 1);
+        }
+        return s || "E14";
+    }
+
+    /**
+     * writeMemory(addr, sData)
+     *
+     * @this {GDBStub}
+     * @param {number} addr (linear)
+     * @param {string} sData (hex-encoded bytes)
+     * @return {string}
+     */
+    writeMemory(addr, sData)
+    {
+        try {
+            for (let i = 0; i < sData.length; i += 2) {
+                this.cpu.setByte((addr + (i >> 1))|0, parseInt(sData.substr(i, 2), 16));
+            }
+        } catch(e) {
+            return "E14";
+        }
+        this.cpu.updateCPU(true);
+        return "OK";
+    }
+
+    /**
+     * setBreakpoint(type, addr, len, fSet)
+     *
+     * GDB's software (0) and hardware (1) breakpoints both become Debugger execution breakpoints, and its write (2),
+     * read (3) and access (4) watchpoints become Debugger write and/or read breakpoints, all on linear addresses.
+     *
+     * @this {GDBStub}
+     * @param {number} type
+     * @param {number} addr (linear)
+     * @param {number} len (ignored, since the Debugger breakpoints are byte-granular)
+     * @param {boolean} fSet (true to set, false to clear)
+     * @return {string}
+     */
+    setBreakpoint(type, addr, len, fSet)
+    {
+        let dbg = this.dbg;
+        let aBreaks = [];
+        if (type <= 1) aBreaks.push(dbg.aBreakExec);
+        if (type == 2 || type == 4) aBreaks.push(dbg.aBreakWrite);
+        if (type == 3 || type == 4) aBreaks.push(dbg.aBreakRead);
+        for (let i = 0; i < aBreaks.length; i++) {
+            let dbgAddr = dbg.parseAddr('%' + (addr >>> 0).toString(16), false, true, true);
+            if (!dbgAddr) return "E00";
+            if (fSet) {
+                if (!dbg.addBreakpoint(aBreaks[i], dbgAddr)) return "E00";
+            } else {
+                dbg.findBreakpoint(aBreaks[i], dbgAddr, true);
+            }
+        }
+        return "OK";
+    }
+
+    /**
+     * step()
+     *
+     * @this {GDBStub}
+     * @return {string}
+     */
+    step()
+    {
+        this.dbg.stepCPU(0, false, true, true);
+        return this.getStopReply(GDBStub.SIGNAL.TRAP);
+    }
+
+    /**
+     * resume()
+     *
+     * If the CPU is already running, then startCPU() fails, but there's nothing to report yet; the stop reply
+     * will be sent by stopped() whenever the CPU actually stops.  Otherwise, a failure means the CPU couldn't be
+     * started at all (eg, it's in an error state), so we reply immediately.
+     *
+     * @this {GDBStub}
+     * @return {string|null}
+     */
+    resume()
+    {
+        this.fInterrupted = false;
+        this.fRunning = true;
+        if (!this.dbg.startCPU(false, true) && !this.cpu.isRunning()) {
+            this.fRunning = false;
+            return this.getStopReply(GDBStub.SIGNAL.TRAP);
+        }
+        return null;
+    }
+
+    /**
+     * interrupt()
+     *
+     * @this {GDBStub}
+     */
+    interrupt()
+    {
+        this.fInterrupted = true;
+        if (!this.dbg.stopCPU()) this.stopped();
+    }
+
+    /**
+     * stopped()
+     *
+     * Called by the Debugger whenever the CPU stops, so that we can send GDB the stop reply it's waiting for.
+     *
+     * @this {GDBStub}
+     */
+    stopped()
+    {
+        if (this.fRunning) {
+            this.fRunning = false;
+            this.send(this.getStopReply(this.fInterrupted? GDBStub.SIGNAL.INT : GDBStub.SIGNAL.TRAP));
+        }
+    }
+
+    /**
+     * getChecksum(s)
+     *
+     * @param {string} s
+     * @return {number}
+     */
+    static getChecksum(s)
+    {
+        let sum = 0;
+        for (let i = 0; i < s.length; i++) {
+            sum += s.charCodeAt(i);
+        }
+        return sum & 0xff;
+    }
+
+    /**
+     * toHexLE(v, nBytes)
+     *
+     * Returns the specified number of bytes of v, least-significant byte first, as lower-case hex digits
+     * (which is how GDB expects all register values to be encoded).
+     *
+     * @param {number} v
+     * @param {number} nBytes
+     * @return {string}
+     */
+    static toHexLE(v, nBytes)
+    {
+        let s = "";
+        for (let i = 0; i < nBytes; i++) {
+            s += ("0" + ((v >>> (i << 3)) & 0xff).toString(16)).slice(-2);
+        }
+        return s;
+    }
+
+    /**
+     * parseHexLE(s)
+     *
+     * @param {string} s (hex digits, least-significant byte first)
+     * @return {number}
+     */
+    static parseHexLE(s)
+    {
+        let v = 0;
+        for (let i = 0; i < s.length && i < 8; i += 2) {
+            v |= parseInt(s.substr(i, 2), 16) << (i << 2);
+        }
+        return v;
+    }
+}
+
+GDBStub.DEFAULT_PORT = 1234;
+
+/*
+ * The order of registers in GDB's i386 "g" packet
+ */
+GDBStub.REGS = ["eax", "ecx", "edx", "ebx", "esp", "ebp", "esi", "edi", "eip", "eflags", "cs", "ss", "ds", "es", "fs", "gs"];
+
+/*
+ * Signal numbers used in stop replies
+ */
+GDBStub.SIGNAL = {
+    INT:    2,
+    TRAP:   5
+};
+
+if (typeof module !== "undefined") module.exports = GDBStub;
@@ -46,7 +46,10 @@ if (typeof module !== "undefined") {
  * @property {string} name
  * @property {string} path
  * @property {number} type
- * @property {number} size (for custom disk geometries; not yet implemented)
+ * @property {number} size (for custom disk geometries; capacity in Mb, using 16 heads and 63 sectors/track)
+ * @property {number} cylinders (for custom disk geometries; overrides size)
+ * @property {number} heads (for custom disk geometries; overrides size)
+ * @property {number} sectors (for custom disk geometries; sectors/track, overrides size)
  * @property {string} mode (for enabling on-demand disk I/O with special server APIs; not currently used)
  */
 
@@ -72,6 +75,13 @@ if (typeof module !== "undefined") {
  * @property {number} type (from DriveConfig.type)
  * @property {string} sDiskPath (initialized to path, but can change if media removable; eg, ATAPI CD-ROM drive)
  * @property {number} nSectors
+ * @property {Array.<number>|null} aUserType (custom [cylinders, heads, sectors/track] from DriveConfig, if any)
+ * @property {number} nLogicalHeads (ATC only: heads programmed by SETPARMS, aka INITIALIZE DEVICE PARAMETERS)
+ * @property {number} nLogicalSectors (ATC only: sectors/track programmed by SETPARMS)
+ * @property {boolean} fTranslate (ATC only: true if the current command's address must be translated to a physical address)
+ * @property {number} nMultiple (ATC only: sectors per block programmed by SET_MULT; 0 if multiple mode is disabled)
+ * @property {number} nSectorsBlock (ATC only: sectors per interrupt for the current command; 0 if the command is not allowed)
+ * @property {number} iSectorBlock (ATC only: sectors transferred so far in the current block)
  * @property {number} cbSector
  * @property {number} cbTransfer (normally the same as cbSector, except for PACKET commands)
  * @property {Disk|null} disk
@@ -99,7 +109,9 @@ class HDC extends Component {
      * HDC supports the following component-specific properties:
      *
      *      drives: an array of DriveConfig objects, each containing 'name', 'path', 'type' and 'size' properties
+     *      (and optionally, 'cylinders', 'heads' and 'sectors' properties; see getUserType() for details)
      *      type: either "XT" (for the PC XT Xebec controller), or "AT" (for the PC AT Western Digital controller)
+     *      overlay: true (or a directory name) to record all writes in overlay files instead of disk images (Node only)
      *
      * The 'type' parameter defaults to "XT", enabling support for the PC XT controller.  All ports for the
      * PC XT controller are referred to as XTC ports.  We may also say that the XTC implements the XTA interface,
@@ -147,6 +159,11 @@ class HDC extends Component {
          */
         this.sDriveConfigs = parmsHDC['drives'];
 
+        /*
+         * If set, every Disk we load records its writes in an overlay file (see Disk.openOverlay()).
+         */
+        this.overlay = parmsHDC['overlay'];
+
         /*
          * Set fATC (AT Controller flag) according to the 'type' parameter.  This in turn determines other
          * defaults.  For example, the default XT drive type is 3 (for a 10Mb disk drive), whereas the default
@@ -305,6 +322,8 @@ class HDC extends Component {
         this.iDriveTable = 0;
         this.iDriveTypeDefault = 3;
 
+        if (this.chipset) this.chipset.addIRQ(this.fATC? ChipSet.IRQ.ATC1 + this.nInterface : ChipSet.IRQ.XTC, this);
+
         if (!this.fATC) {
             bus.addPortInputTable(this, HDC.aXTCPortInput);
             bus.addPortOutputTable(this, HDC.aXTCPortOutput);
@@ -690,17 +709,27 @@ class HDC extends Component {
         }
 
         drive.type = driveConfig['type'];
-        if (drive.type === undefined || HDC.aDriveTypes[this.iDriveTable][drive.type] === undefined) drive.type = this.iDriveTypeDefault;
+        if (drive.aUserType === undefined) drive.aUserType = this.getUserType(driveConfig);
+        if (drive.aUserType) {
+            drive.type = HDC.USER_TYPE.TYPE;
+        }
+        else if (drive.type === undefined || HDC.aDriveTypes[this.iDriveTable][drive.type] === undefined) {
+            drive.type = this.iDriveTypeDefault;
+        }
 
-        let driveType = HDC.aDriveTypes[this.iDriveTable][drive.type];
+        let driveType = this.getDriveType(drive);
         drive.nSectors = driveType[2] || 17;                        // sectors/track
         drive.cbSector = drive.cbTransfer = driveType[3] || 512;    // bytes/sector (default is 512 if unspecified in the table)
 
         /*
-         * On a full machine reset, pass the current drive type to setCMOSDriveType() (a no-op on pre-CMOS machines).
+         * On a full machine reset, pass the current drive type to setCMOSDriveType() (a no-op on pre-CMOS machines),
+         * along with the geometry of a user-defined drive type, if any.
          */
         if (fHard && this.chipset) {
             this.chipset.setCMOSDriveType(this.nInterface*2+iDrive, drive.type);
+            if (drive.aUserType && !this.nInterface) {
+                this.chipset.setCMOSDriveParms(iDrive, driveType[0], driveType[1], driveType[2]);
+            }
         }
 
         /*
@@ -710,7 +739,7 @@ class HDC extends Component {
          */
         if (drive.disk === undefined) {
             drive.disk = null;
-            this.notice("Type " + drive.type + " \"" + drive.name + "\" is fixed disk " + iDrive, true);
+            this.notice("Type " + drive.type + (drive.aUserType? " (" + driveType.slice(0, 3).join(':') + ")" : "") + " \"" + drive.name + "\" is fixed disk " + iDrive, true);
         }
 
         /*
@@ -730,8 +759,8 @@ class HDC extends Component {
         drive.chunksCached = [];
         drive.chunksMRU = [];
 
+        let deltas = data[i++];
         if (drive.disk) {
-            let deltas = data[i];
             if (deltas !== undefined && drive.disk.restore(deltas) < 0) {
                 fSuccess = false;
             }
@@ -739,6 +768,21 @@ class HDC extends Component {
                 drive.sector = drive.disk.seek(drive.wCylinder, drive.bHead, drive.bSector + drive.bSectorBias);
             }
         }
+
+        /*
+         * The remaining properties are set by ATA-1 commands (ie, SETPARMS and SET_MULT); they were added to the saved
+         * state after the disk deltas, so states saved before then (like a fresh start) simply keep the logical geometry
+         * that verifyDrive() copied from the drive's physical geometry, with multiple mode disabled.
+         */
+        let parms = data[i];
+        if (parms) {
+            drive.nLogicalHeads = parms[0];
+            drive.nLogicalSectors = parms[1];
+        }
+        drive.nMultiple = parms? parms[2] : 0;
+        drive.nSectorsBlock = 1;
+        drive.iSectorBlock = 0;
+        drive.fTranslate = false;
         return fSuccess;
     }
 
@@ -780,7 +824,8 @@ class HDC extends Component {
         data[i++] = drive.bSectorEnd;
         data[i++] = drive.nBytes;
         data[i++] = drive.iByte;
-        data[i] = drive.disk? drive.disk.save() : null;
+        data[i++] = drive.disk? drive.disk.save() : null;
+        data[i] = [drive.nLogicalHeads, drive.nLogicalSectors, drive.nMultiple];
         return data;
     }
 
@@ -804,6 +849,66 @@ class HDC extends Component {
         return driveNew;
     }
 
+    /**
+     * getDriveType(drive)
+     *
+     * Returns the DriveArray (ie, [cylinders, heads, sectors/track, bytes/sector]) for the drive's type, which is
+     * either the custom geometry recorded by getUserType() or an entry from the current drive table.
+     *
+     * @this {HDC}
+     * @param {Drive} drive
+     * @param {number} [type] (default is drive.type)
+     * @return {Array.<number>|undefined}
+     */
+    getDriveType(drive, type = drive.type)
+    {
+        if (drive.aUserType && type == HDC.USER_TYPE.TYPE) return drive.aUserType;
+        return HDC.aDriveTypes[this.iDriveTable][type];
+    }
+
+    /**
+     * getUserType(driveConfig)
+     *
+     * A DriveConfig can specify its own geometry, using any combination of 'cylinders', 'heads' and 'sectors',
+     * or simply a 'size' (in Mb); any unspecified heads or sectors/track default to the largest values that the BIOS
+     * can address (ie, 16 heads and 63 sectors/track), and unspecified cylinders are calculated from 'size'; eg:
+     *
+     *      drives='[{name:"500Mb Hard Drive",cylinders:1015,heads:16,sectors:63,path:"dos6.img"}]'
+     *
+     * The drive is then assigned drive type 47 (HDC.USER_TYPE.TYPE), which the MODEL_5170 ROM reserved for user-defined
+     * drive types, and the geometry is stored both in the CMOS (see ChipSet.setCMOSDriveParms()) and in a parameter table
+     * in low memory, which intBIOSDisk() points the INT 0x41 (or INT 0x46) vector to, as the ROM itself recommended.
+     *
+     * Custom geometries require an ATC, because the XTC identifies its drive types with a pair of DIP switches.
+     *
+     * @this {HDC}
+     * @param {DriveConfig} driveConfig
+     * @return {Array.<number>|null} (DriveArray for the custom geometry, or null if none)
+     */
+    getUserType(driveConfig)
+    {
+        let nCylinders = +driveConfig['cylinders'] || 0;
+        let nHeads = +driveConfig['heads'] || 0;
+        let nSectors = +driveConfig['sectors'] || 0;
+        let size = +driveConfig['size'] || 0;
+        if (!nCylinders && !nHeads && !nSectors && !size) return null;
+        if (!this.fATC) {
+            this.notice("Custom drive geometries require an AT controller");
+            return null;
+        }
+        if (!nHeads) nHeads = 16;
+        if (!nSectors) nSectors = 63;
+        if (!nCylinders) nCylinders = Math.floor(size * 1024 * 1024 / (nHeads * nSectors * 512));
+        if (nCylinders < 1 || nCylinders > 0xffff || nHeads > 16 || nSectors > 255) {
+            this.notice("Invalid drive geometry (" + nCylinders + ':' + nHeads + ':' + nSectors + ")");
+            return null;
+        }
+        if (nCylinders > 1024 || nSectors > 63) {
+            this.notice("Warning: the BIOS can only address 1024 cylinders and 63 sectors/track (" + nCylinders + ':' + nHeads + ':' + nSectors + ")");
+        }
+        return [nCylinders, nHeads, nSectors];
+    }
+
     /**
      * verifyDrive(drive, type)
      *
@@ -838,8 +943,8 @@ class HDC extends Component {
                 }
             }
             if (type != null && !nHeads) {
-                nHeads = HDC.aDriveTypes[this.iDriveTable][type][1];
-                nCylinders = HDC.aDriveTypes[this.iDriveTable][type][0];
+                nHeads = this.getDriveType(drive, type)[1];
+                nCylinders = this.getDriveType(drive, type)[0];
             }
             if (nHeads) {
                 /*
@@ -849,7 +954,7 @@ class HDC extends Component {
                  *
                  * Do these values agree with those for the given drive type?  Even if they don't, all we do is warn.
                  */
-                let driveType = HDC.aDriveTypes[this.iDriveTable][drive.type];
+                let driveType = this.getDriveType(drive);
                 if (driveType) {
                     if (nCylinders != driveType[0] && nHeads != driveType[1]) {
                         this.notice("Warning: drive parameters (" + nCylinders + "," + nHeads + ") do not match drive type " + drive.type + " (" + driveType[0] + "," + driveType[1] + ")");
@@ -857,6 +962,11 @@ class HDC extends Component {
                 }
                 drive.nCylinders = nCylinders;
                 drive.nHeads = nHeads;
+                /*
+                 * Until SETPARMS says otherwise, the logical geometry (ATC only) matches the physical geometry.
+                 */
+                drive.nLogicalHeads = nHeads;
+                drive.nLogicalSectors = drive.nSectors;
                 if (drive.disk == null) {
                     drive.disk = new Disk(this, drive, drive.mode);
                 }
@@ -1279,6 +1389,12 @@ class HDC extends Component {
                      * additional bytes into the inATCByte() stream.  And we must first set DATA_REQ in the STATUS register.
                      */
                     if (drive.nBytes >= drive.cbTransfer) {
+                        /*
+                         * READ_MULT only interrupts at the start of each block, so if we're still inside a block,
+                         * the next sector's data must be available without any further interrupt (or BUSY status).
+                         */
+                        let fInterrupt = (++drive.iSectorBlock >= drive.nSectorsBlock);
+                        if (fInterrupt) drive.iSectorBlock = 0;
                         /*
                          * FYI, with regard to regStatus, I'm simply aping what the ATC.COMMAND.READ_DATA setup code does
                          * for the first sector, which may not strictly be necessary for subsequent sectors....
@@ -1286,6 +1402,10 @@ class HDC extends Component {
                         hdc.regStatus = HDC.ATC.STATUS.BUSY;
                         this.readData(drive, function onATCReadDataNext(b, fAsync) {
                             if (b >= 0) {
+                                if (!fInterrupt) {
+                                    hdc.regStatus = HDC.ATC.STATUS.READY | HDC.ATC.STATUS.SEEK_OK | HDC.ATC.STATUS.DATA_REQ;
+                                    return;
+                                }
                                 hdc.setATCIRR();
                                 /*
                                  * Due to the way I'm immediately triggering an interrupt whenever more data is available,
@@ -1389,6 +1509,11 @@ class HDC extends Component {
                         this.regStatus = HDC.ATC.STATUS.READY | HDC.ATC.STATUS.SEEK_OK;
                         if (drive.nBytes >= drive.cbTransfer) {
                             this.regStatus |= HDC.ATC.STATUS.DATA_REQ;
+                            /*
+                             * WRITE_MULT only interrupts at the end of each block (or at the end of the command).
+                             */
+                            if (++drive.iSectorBlock < drive.nSectorsBlock) return;
+                            drive.iSectorBlock = 0;
                         } else {
                             this.assert(!drive.nBytes);
                             if (drive.useBuffer) {
@@ -1734,7 +1859,6 @@ class HDC extends Component {
 
         let iDrive = (this.regDrvHd & HDC.ATC.DRVHD.DRIVE_MASK? 1 : 0);
         let nHead = this.regDrvHd & HDC.ATC.DRVHD.HEAD_MASK;
-        let nCylinder = this.regCylLo | ((this.regCylHi & HDC.ATC.CYLHI.MASK) << 8);
         let nSector = this.regSecNum;
         let nSectors = this.regSecCnt || 256;
 
@@ -1754,12 +1878,34 @@ class HDC extends Component {
 
         /*
          * Update the Drive object with the new positional information associated with this command.
+         *
+         * The original ATC used only 10 bits of cylinder, and its addresses were always physical.  ATA-1 drives, however,
+         * can be programmed (via SETPARMS) with a logical geometry that differs from the physical geometry, and they also
+         * accept 28-bit LBAs (when DRVHD.LBA is set), so in either of those cases, we convert the address to an LBA and then
+         * to a physical address.  And drives with more than 1024 cylinders (which can only be user-defined types) use all
+         * 16 bits of cylinder.
          */
-        drive.wCylinder = nCylinder;
-        drive.bHead = nHead;
-        drive.bSector = nSector;
+        let fLBA = !!(this.regDrvHd & HDC.ATC.DRVHD.LBA);
+        drive.fTranslate = fLBA || drive.nLogicalHeads != drive.nHeads || drive.nLogicalSectors != drive.nSectors;
+        let nCylinder = this.regCylLo | ((this.regCylHi & (drive.fTranslate || drive.nCylinders > 1024? 0xff : HDC.ATC.CYLHI.MASK)) << 8);
+        if (!drive.fTranslate) {
+            drive.wCylinder = nCylinder;
+            drive.bHead = nHead;
+            drive.bSector = nSector;
+        } else if (fLBA) {
+            this.seekATC(drive, (nHead << 24) | (nCylinder << 8) | nSector);
+        } else {
+            this.seekATC(drive, (nCylinder * drive.nLogicalHeads + nHead) * drive.nLogicalSectors + nSector - 1);
+        }
         drive.nBytes = nSectors * (drive.cbTransfer = drive.cbSector);
 
+        /*
+         * READ_MULT and WRITE_MULT transfer a block of nMultiple sectors per interrupt (and are aborted if SET_MULT
+         * hasn't enabled multiple mode); all other commands transfer one sector per interrupt.
+         */
+        drive.nSectorsBlock = (bCmd == HDC.ATC.COMMAND.READ_MULT || bCmd == HDC.ATC.COMMAND.WRITE_MULT? drive.nMultiple : 1);
+        drive.iSectorBlock = 0;
+
         /*
          * Since the (original) ATC doesn't use DMA, we must now set some additional Drive state for the benefit
          * of any follow-up I/O instructions.  For example, any subsequent inATCByte() and outATCByte() calls need
@@ -1794,7 +1940,9 @@ class HDC extends Component {
             if (!this.processIdentify(drive, bCmd)) break;
             /* falls through */
 
+        case HDC.ATC.COMMAND.READ_MULT:             // 0xC4 (ATA-1)
         case HDC.ATC.COMMAND.READ_DATA:             // 0x20 (ATA)
+            if (!drive.nSectorsBlock) break;
             if (this.messageEnabled(Messages.HDC) && !drive.useBuffer) {
                 this.printMessage(this.idComponent + ".doATCRead(" + iDrive + ',' + drive.wCylinder + ':' + drive.bHead + ':' + drive.bSector + ',' + nSectors + ")", true);
             }
@@ -1834,7 +1982,9 @@ class HDC extends Component {
             this.regSecCnt = HDC.ATC.SECCNT.PACKET_CD;
             /* falls through */
 
+        case HDC.ATC.COMMAND.WRITE_MULT:            // 0xC5 (ATA-1)
         case HDC.ATC.COMMAND.WRITE_DATA:            // 0x30 (ATA)
+            if (!drive.nSectorsBlock) break;
             if (this.messageEnabled(Messages.HDC) && !drive.useBuffer) {
                 this.printMessage(this.idComponent + ".doATCWrite(" + iDrive + ',' + drive.wCylinder + ':' + drive.bHead + ':' + drive.bSector + ',' + nSectors + ")", true);
             }
@@ -1878,14 +2028,48 @@ class HDC extends Component {
              *
              * The importance of SECCNT (nSectors) and DRVHD (nHeads) is controlling how multi-sector operations
              * advance to the next sector; see advanceSector().
+             *
+             * ATA-1 renamed this command INITIALIZE DEVICE PARAMETERS and allowed the host to choose any logical geometry
+             * it liked (eg, for BIOSes that translate large drives), so we no longer assume these values match the physical
+             * geometry; if they don't, subsequent commands will have their addresses translated (see above).
              */
-            this.assert(drive.nHeads == nHead + 1);
-            this.assert(drive.nSectors == nSectors);
-            drive.nHeads = nHead + 1;
-            drive.nSectors = nSectors;
+            drive.nLogicalHeads = nHead + 1;
+            drive.nLogicalSectors = nSectors;
             fInterrupt = fProcessed = true;
             break;
 
+        case HDC.ATC.COMMAND.SET_MULT:              // 0xC6 (ATA-1)
+            /*
+             * SECCNT specifies the number of sectors per block for subsequent READ_MULT and WRITE_MULT commands;
+             * zero disables multiple mode, and anything other than a power of two no larger than HDC.ATC.MAX_MULTIPLE
+             * is rejected.
+             */
+            if (drive.type && this.regSecCnt <= HDC.ATC.MAX_MULTIPLE && !(this.regSecCnt & (this.regSecCnt - 1))) {
+                drive.nMultiple = this.regSecCnt;
+                fInterrupt = fProcessed = true;
+            }
+            break;
+
+        case HDC.ATC.COMMAND.SET_FEATURES:          // 0xEF (ATA-1)
+            /*
+             * None of the features we recognize change our behavior (we have no caches, and PIO timing is irrelevant),
+             * so all we do is accept them; DMA transfer modes are rejected, since we don't support DMA.
+             */
+            switch (this.regWPreC) {
+            case HDC.ATC.FEATURES.XFER_MODE:
+                if (this.regSecCnt & ~HDC.ATC.FEATURES.PIO_MASK) break;
+                /* falls through */
+            case HDC.ATC.FEATURES.WCACHE_ON:
+            case HDC.ATC.FEATURES.WCACHE_OFF:
+            case HDC.ATC.FEATURES.RLA_ON:
+            case HDC.ATC.FEATURES.RLA_OFF:
+            case HDC.ATC.FEATURES.DEFAULTS_ON:
+            case HDC.ATC.FEATURES.DEFAULTS_OFF:
+                fInterrupt = fProcessed = !!drive.type;
+                break;
+            }
+            break;
+
         /*
          * We don't need a 'default' case because any command that declined to set fProcessed will be dealt with below.
          */
@@ -2555,11 +2739,36 @@ class HDC extends Component {
              * ATA Note: It's unclear just from reading specs whether the original PC AT adapter updated
              * the Drive/Head register to reflect the current head at the end of a command.  Since later adapters
              * apparently did, and since the risk of always updating it seems mininal, that's what we'll do.
+             *
+             * However, when the command's address was translated, bHead is a physical head that means nothing to
+             * the host, so we leave the register alone.
              */
-            this.regDrvHd = (this.regDrvHd & ~HDC.ATC.DRVHD.HEAD_MASK) | (drive.bHead & HDC.ATC.DRVHD.HEAD_MASK);
+            if (!drive.fTranslate) {
+                this.regDrvHd = (this.regDrvHd & ~HDC.ATC.DRVHD.HEAD_MASK) | (drive.bHead & HDC.ATC.DRVHD.HEAD_MASK);
+            }
         }
     }
 
+    /**
+     * seekATC(drive, lba)
+     *
+     * Converts an LBA (either supplied by the host or calculated from a logical CHS address) to the physical
+     * CHS address that readData() and writeData() expect.  If the LBA is beyond the end of the drive, the resulting
+     * cylinder will be too, and the subsequent seek() will fail.
+     *
+     * @this {HDC}
+     * @param {Drive} drive
+     * @param {number} lba
+     */
+    seekATC(drive, lba)
+    {
+        let nSectorsPerCylinder = drive.nHeads * drive.nSectors;
+        drive.wCylinder = Math.floor(lba / nSectorsPerCylinder);
+        lba %= nSectorsPerCylinder;
+        drive.bHead = Math.floor(lba / drive.nSectors);
+        drive.bSector = (lba % drive.nSectors) + 1;
+    }
+
     /**
      * writeBuffer(drive, b)
      *
@@ -2625,7 +2834,8 @@ class HDC extends Component {
     /**
      * processIdentify(drive, bCmd)
      *
-     * Worker for the IDDEVICE (ATA-1) and IDPACKET (ATAPI) commands.
+     * Worker for the IDDEVICE (ATA-1) and IDPACKET (ATAPI) commands.  Fixed disks support IDDEVICE on any ATC,
+     * whereas IDPACKET requires an ATAPI controller.
      *
      * @this {HDC}
      * @param {Drive} drive
@@ -2634,7 +2844,7 @@ class HDC extends Component {
      */
     processIdentify(drive, bCmd)
     {
-        if (this.fATAPI) {
+        if (this.fATAPI || drive.type && bCmd == HDC.ATC.COMMAND.IDDEVICE) {
 
             if (drive.type && bCmd == HDC.ATC.COMMAND.IDPACKET) {
                 return false;
@@ -2645,6 +2855,11 @@ class HDC extends Component {
                 return false;
             }
 
+            /*
+             * Fixed disks return exactly one sector of IDENTIFY data, regardless of what SECCNT contains.
+             */
+            if (drive.type) drive.nBytes = drive.cbTransfer = drive.cbSector;
+
             this.initBuffer(drive);
 
             /*
@@ -2674,16 +2889,28 @@ class HDC extends Component {
              */
             setWord(HDC.ATC.IDENTIFY.CONFIG.OFFSET, drive.type? HDC.ATC.IDENTIFY.CONFIG.FIXED : 0x8580);
             if (drive.type) {
+                let nSectorsTotal = drive.nCylinders * drive.nHeads * drive.nSectors;
+                let nLogicalCylinders = Math.min(Math.floor(nSectorsTotal / (drive.nLogicalHeads * drive.nLogicalSectors)), 0xffff);
                 setWord(HDC.ATC.IDENTIFY.CYLS, drive.nCylinders);
                 setWord(HDC.ATC.IDENTIFY.HEADS, drive.nHeads);
                 setWord(HDC.ATC.IDENTIFY.SECTOR_BYTES, drive.cbSector);
                 setWord(HDC.ATC.IDENTIFY.SECTORS, drive.nSectors);
+                setByte(HDC.ATC.IDENTIFY.MAX_MULTISEC, HDC.ATC.MAX_MULTIPLE);
+                setByte(HDC.ATC.IDENTIFY.CAPABILITY, 0x02);
+                setWord(HDC.ATC.IDENTIFY.NEXT5_VALID, 0x0001);
+                setWord(HDC.ATC.IDENTIFY.CUR_CYLS, nLogicalCylinders);
+                setWord(HDC.ATC.IDENTIFY.CUR_HEADS, drive.nLogicalHeads);
+                setWord(HDC.ATC.IDENTIFY.CUR_SECTORS, drive.nLogicalSectors);
+                setLong(HDC.ATC.IDENTIFY.CUR_CAPACITY, nLogicalCylinders * drive.nLogicalHeads * drive.nLogicalSectors);
+                setByte(HDC.ATC.IDENTIFY.MULTISECT, drive.nMultiple);
+                setByte(HDC.ATC.IDENTIFY.MULTISECT_VALID, drive.nMultiple? 0x01 : 0x00);
+                setLong(HDC.ATC.IDENTIFY.LBA_CAPACITY, nSectorsTotal);
             }
             setString(HDC.ATC.IDENTIFY.SERIAL_NUMBER, "PCJS-20190528", 20);
             setWord(HDC.ATC.IDENTIFY.BUFFER_TYPE, 3);
             setWord(HDC.ATC.IDENTIFY.BUFFER_SIZE, 512);
             setString(HDC.ATC.IDENTIFY.FIRMWARE_REV, "0.1", 8);
-            setString(HDC.ATC.IDENTIFY.MODEL_NUMBER, "PCJS CD-ROM", 40);
+            setString(HDC.ATC.IDENTIFY.MODEL_NUMBER, drive.type? "PCJS HARD DRIVE" : "PCJS CD-ROM", 40);
             if (!drive.type) setByte(HDC.ATC.IDENTIFY.CAPABILITY, 0x0B);
             drive.useBuffer = true;
             if (MAXDEBUG) this.dbg.stopCPU();
@@ -3077,6 +3304,9 @@ class HDC extends Component {
      * override flag (iDriveAllowFail) that will allow that command to fail, and in theory, make the the HDC BIOS
      * "DISK_SETUP" code much more efficient.
      *
+     * We also monitor INT 0x13 requests for ATC drives with user-defined types, to make sure their parameter table
+     * vectors point to tables with the correct geometry; see setUserTable() for details.
+     *
      * @this {HDC}
      * @param {number} addr
      * @return {boolean} true to proceed with the INT 0x13 software interrupt, false to skip
@@ -3086,9 +3316,44 @@ class HDC extends Component {
         let AH = this.cpu.regEAX >> 8;
         let DL = this.cpu.regEDX & 0xff;
         if (!AH && DL > 0x80) this.iDriveAllowFail = DL - 0x80;
+        if (this.fATC && !this.nInterface && (DL == 0x80 || DL == 0x81)) {
+            let drive = this.aDrives[DL - 0x80];
+            if (drive && drive.aUserType) this.setUserTable(DL - 0x80, drive);
+        }
         return true;
     }
 
+    /**
+     * setUserTable(iDrive, drive)
+     *
+     * The MODEL_5170 ROM sets the INT 0x41 (drive 0) and INT 0x46 (drive 1) vectors to the drive's entry in its own
+     * "Fixed Disk Parameter Table", and then always uses those vectors to obtain drive parameters, so as long as the
+     * vector still points into ROM, we build a parameter table for the drive's user-defined type in low memory (see
+     * HDC.USER_TYPE) and point the vector there instead.  If anything else has since changed the vector, we leave it alone.
+     *
+     * @this {HDC}
+     * @param {number} iDrive (0 or 1)
+     * @param {Drive} drive
+     */
+    setUserTable(iDrive, drive)
+    {
+        let addrVector = (iDrive? Interrupts.HD1_PARMS : Interrupts.HD0_PARMS) << 2;
+        if (this.bus.getShortDirect(addrVector + 2) >= 0xC000) {
+            let addrTable = HDC.USER_TYPE.TABLE + (iDrive << 4);
+            for (let off = 0; off < 16; off++) {
+                this.bus.setByteDirect(addrTable + off, 0);
+            }
+            this.bus.setShortDirect(addrTable + Interrupts.HD_PARMS.MAX_CYL, drive.aUserType[0]);
+            this.bus.setByteDirect(addrTable + Interrupts.HD_PARMS.MAX_HEADS, drive.aUserType[1]);
+            this.bus.setShortDirect(addrTable + Interrupts.HD_PARMS.WP_CYL, 0xffff);
+            this.bus.setByteDirect(addrTable + Interrupts.HD_PARMS.DRIVE_CTRL, drive.aUserType[1] > 8? 0x08 : 0x00);
+            this.bus.setShortDirect(addrTable + Interrupts.HD_PARMS.PARK_CYL, drive.aUserType[0]);
+            this.bus.setByteDirect(addrTable + Interrupts.HD_PARMS.SEC_TRACK, drive.aUserType[2]);
+            this.bus.setShortDirect(addrVector, addrTable);
+            this.bus.setShortDirect(addrVector + 2, 0);
+        }
+    }
+
     /**
      * intBIOSDiskette(addr)
      *
@@ -3441,6 +3706,21 @@ HDC.aDriveTypes = [
     }
 ];
 
+/*
+ * User-defined drive types (ATC only; see getUserType())
+ *
+ * Drive type 47 was the last entry in the MODEL_5170 drive table, and like the other "RESERVED" entries, it contained
+ * zeros, which is why later BIOSes chose it as their "user-defined" type.  Since the MODEL_5170 ROM validates only the
+ * range of drive 0's type, but checks the ROM table entry for drive 1, only drive 0 can use it with those ROMs.
+ *
+ * The parameter table for drive 0 is stored at 0000:0300 (and for drive 1, at 0000:0310), which is where some later
+ * BIOSes stored theirs as well; those bytes are normally unused interrupt vectors (0xC0-0xC7).
+ */
+HDC.USER_TYPE = {
+    TYPE:       47,
+    TABLE:      0x300
+};
+
 /*
  * ATC (AT Controller) Registers
  *
@@ -3505,6 +3785,16 @@ HDC.ATC = {
         PORT1:      0x1F1,
         PORT2:      0x171
     },
+    FEATURES: {                 // this.regWPreC (ATA-1 drives treat WPREC as a FEATURES register for the SET_FEATURES command)
+        WCACHE_ON:   0x02,      // enable write cache
+        XFER_MODE:   0x03,      // set transfer mode (from SECCNT)
+        RLA_OFF:     0x55,      // disable read look-ahead
+        DEFAULTS_OFF:0x66,      // disable reverting to power-on defaults
+        WCACHE_OFF:  0x82,      // disable write cache
+        RLA_ON:      0xAA,      // enable read look-ahead
+        DEFAULTS_ON: 0xCC,      // enable reverting to power-on defaults
+        PIO_MASK:    0x0F       // transfer modes 0x00-0x0F are PIO modes; anything higher is a DMA mode
+    },
     SECCNT: {                   // this.regSecCnt (read-write; 0 implies a 256-sector request)
         PORT1:      0x1F2,
         PORT2:      0x172,
@@ -3519,7 +3809,7 @@ HDC.ATC = {
         PORT1:      0x1F4,
         PORT2:      0x174
     },
-    CYLHI:  {                   // this.regCylHi (read-write; only bits 0-1 are used, for a total of 10 bits, or 1024 max cylinders)
+    CYLHI:  {                   // this.regCylHi (read-write; only bits 0-1 are used, for a total of 10 bits, or 1024 max cylinders, unless translating; see doATC())
         PORT1:      0x1F5,
         PORT2:      0x175,
         MASK:        0x03
@@ -3529,6 +3819,7 @@ HDC.ATC = {
         PORT2:      0x176,
         HEAD_MASK:   0x0F,      // set this to the max number of heads before issuing a SET PARAMETERS command
         DRIVE_MASK:  0x10,
+        LBA:         0x40,      // if set, SECNUM, CYLLO, CYLHI and HEAD_MASK bits contain bits 0-27 of an LBA (ATA-1)
         SET_MASK:    0xE0,
         SET_BITS:    0xA0       // for whatever reason, these bits must always be set
     },
@@ -3563,7 +3854,7 @@ HDC.ATC = {
         FORMAT_TRK:  0x50,      // TODO
         SEEK:        0x70,      //
         DIAGNOSE:    0x90,      //
-        SETPARMS:    0x91,      //
+        SETPARMS:    0x91,      // aka INITIALIZE DEVICE PARAMETERS (ATA-1)
         /*
          * Additional commands go here.  As for when these commands were introduced, I may try to include
          * that information parenthetically, but I'm not going to pretend this is in any way authoritative.
@@ -3571,7 +3862,11 @@ HDC.ATC = {
         RESET:       0x08,      // Device Reset (ATAPI)
         PACKET:      0xA0,      // Packet Request (ATAPI)
         IDPACKET:    0xA1,      // Identify Packet Device (ATAPI)
-        IDDEVICE:    0xEC       // Identify Device (ATA-1)
+        READ_MULT:   0xC4,      // Read Multiple (ATA-1)
+        WRITE_MULT:  0xC5,      // Write Multiple (ATA-1)
+        SET_MULT:    0xC6,      // Set Multiple Mode (ATA-1)
+        IDDEVICE:    0xEC,      // Identify Device (ATA-1)
+        SET_FEATURES:0xEF       // Set Features (ATA-1)
     },
     FDR: {                      // this.regFDR
         PORT1:      0x3F6,
@@ -3580,7 +3875,8 @@ HDC.ATC = {
         RESET:       0x04,      // a logical 1 enables reset fixed disk function
         HS3:         0x08,      // a logical 1 enables head select 3 (a logical 0 enables reduced write current)
         RESERVED:    0xF1
-    }
+    },
+    MAX_MULTIPLE:   16          // maximum sectors per block for READ_MULT and WRITE_MULT (as reported by IDDEVICE)
 };
 
 /*
@@ -3842,7 +4138,11 @@ HDC.aATACommands = {
     0x91: "Set Parameters",         // ATA
     0xA0: "Packet Request",         // ATAPI
     0xA1: "Identify Packet Device", // ATAPI
-    0xEC: "Identify Device"         // ATA-1
+    0xC4: "Read Multiple",          // ATA-1
+    0xC5: "Write Multiple",         // ATA-1
+    0xC6: "Set Multiple Mode",      // ATA-1
+    0xEC: "Identify Device",        // ATA-1
+    0xEF: "Set Features"            // ATA-1
 };
 
 HDC.aATAPICommands = {
@@ -0,0 +1,1065 @@
+/**
+ * @fileoverview Mounts a host directory as a live FAT volume
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var fs          = require("fs");
+    var path        = require("path");
+    var DiskAPI     = require("../../shared/lib/diskapi");
+    var DumpAPI     = require("../../shared/lib/dumpapi");
+    var DiskDump    = require("../../diskdump/lib/diskdump");
+}
+
+/**
+ * class HostDir
+ * @unrestricted
+ *
+ * Exposes a host directory as a live FAT volume (Node only).  When Disk.load() is given the path of a directory rather
+ * than a disk image, it creates a HostDir, which uses DiskDump to build a FAT volume from the directory, sized to fill
+ * the drive (eg, a 360Kb diskette, or a 10Mb hard disk), and then keeps the volume and the directory in sync:
+ *
+ *      1) Whenever the guest writes to the volume, the modified sectors are queued, and once the guest has stopped
+ *      writing for SYNC_DELAY milliseconds, sync() parses the volume's directories and FAT and turns any differences
+ *      into host file creates, updates, and deletes.
+ *
+ *      2) Whenever the guest reads from the volume (and no guest writes are pending), checkHost() looks for files that
+ *      have been created, updated, or deleted on the host, at most once every CHECK_INTERVAL milliseconds, and refresh()
+ *      synthesizes the corresponding directory entries, FAT entries, and data sectors on the volume.
+ *
+ * Clusters are allocated the way DOS would allocate them, so files that haven't changed never move.  However, DOS
+ * caches some directory and FAT sectors, so it's best to make host changes while the guest isn't writing to the volume.
+ *
+ * The volume-to-host mapping is maintained in aEntries, which is indexed by DOS path (eg, "SRC\MAIN.C") and contains
+ * an entry for every file and directory on the volume, recording both the directory entry fields and the host file's
+ * path, modification time and size.  New host files are given unique 8.3 names (see DiskDump.buildUniqueName()), and
+ * new guest files are created on the host with their DOS names.  File contents are copied as-is in both directions.
+ */
+class HostDir {
+    /**
+     * HostDir(disk, sDir)
+     *
+     * @this {HostDir}
+     * @param {Disk} disk
+     * @param {string} sDir
+     */
+    constructor(disk, sDir)
+    {
+        this.disk = disk;
+        this.sDir = path.resolve(sDir);
+
+        let drive = disk.drive;
+        let kbDrive = (drive.nCylinders * drive.nHeads * drive.nSectors * (drive.cbSector || 512)) >> 10;
+        let sCHS = drive.nCylinders + ':' + drive.nHeads + ':' + drive.nSectors;
+        this.dump = new DiskDump(this.sDir, null, DumpAPI.FORMAT.IMG, false, kbDrive.toString(), null, null, {chs: sCHS});
+
+        this.dir = null;                    // volume information from Disk.getVolumeInfo(), once the volume is open
+        this.aEntries = {};
+        this.aFAT = null;                   // cluster entries, while scanning or updating the volume
+        this.abFAT = null;                  // FAT bytes that aFAT was read from
+        this.iClusterNext = 0;              // next cluster to consider allocating
+        this.aDirtySectors = [];
+        this.timerSync = null;              // SYNC_DELAY timer in effect, if any
+        this.msWrite = 0;                   // time of the most recent guest write
+        this.msChecked = 0;                 // time of the most recent checkHost() refresh
+        this.fUpdating = false;             // true while we're accessing the volume ourselves
+    }
+
+    /**
+     * isDir(sPath)
+     *
+     * @param {string} sPath
+     * @return {boolean} true if sPath is a host directory
+     */
+    static isDir(sPath)
+    {
+        try {
+            return fs.statSync(sPath).isDirectory();
+        } catch(err) {
+            return false;
+        }
+    }
+
+    /**
+     * build(done)
+     *
+     * Builds the initial volume image from the host directory, and passes it to done() as an ArrayBuffer; if the
+     * directory can't be read, or doesn't fit on the drive, done() receives null and a non-zero error code instead.
+     *
+     * @this {HostDir}
+     * @param {function(ArrayBuffer|null,number)} done
+     */
+    build(done)
+    {
+        let hostDir = this;
+        let fDone = false;
+        this.dump.buildImage(true, function doneBuildImage(err) {
+            /*
+             * buildImageFromFiles() can report an error after it has already reported success, so only the first
+             * report counts.
+             */
+            if (fDone) return;
+            fDone = true;
+            let buffer = null;
+            let buf = hostDir.dump.bufDisk;
+            if (!err && !buf) err = new Error("no volume created");
+            if (!err) {
+                buffer = new Uint8Array(buf.buf || buf).buffer;
+            } else {
+                hostDir.disk.notice("Unable to build volume from " + hostDir.sDir + ": " + err.message);
+            }
+            done(buffer, buffer? 0 : -1);
+        });
+    }
+
+    /**
+     * open()
+     *
+     * Called by Disk.buildDisk() once the volume image has been loaded, to map every file and directory on the volume
+     * to the host file or directory that DiskDump built it from.
+     *
+     * @this {HostDir}
+     */
+    open()
+    {
+        this.dir = this.disk.getVolumeInfo();
+        if (!this.dir) return;
+
+        let aPaths = {};
+        aPaths[this.sDir] = "";
+        let aInfo = this.dump.aManifestInfo;
+        for (let i = 0; i < aInfo.length; i++) {
+            let fileInfo = aInfo[i];
+            if (!fileInfo.FILE_PATH) continue;
+            let sParent = aPaths[path.dirname(fileInfo.FILE_PATH)];
+            if (sParent === undefined) continue;
+            aPaths[fileInfo.FILE_PATH] = (sParent? sParent + '\\' : "") + fileInfo.FILE_NAME;
+        }
+
+        let aVolume = this.scanVolume();
+        for (let sHostPath in aPaths) {
+            let entry = aVolume[aPaths[sHostPath]];
+            if (entry && this.statHost(entry, sHostPath)) this.aEntries[entry.sPath] = entry;
+        }
+        this.msChecked = Date.now();
+    }
+
+    /**
+     * close()
+     *
+     * Writes any pending guest changes to the host and detaches us from the volume.
+     *
+     * @this {HostDir}
+     */
+    close()
+    {
+        this.sync();
+        this.dir = null;
+    }
+
+    /**
+     * queueSync(sector)
+     *
+     * Called by Disk.write() for every byte the guest modifies; we note the sector and make sure a SYNC_DELAY timer is
+     * pending, and the timer postpones sync() until the guest has stopped writing.
+     *
+     * @this {HostDir}
+     * @param {Sector} sector
+     */
+    queueSync(sector)
+    {
+        if (this.fUpdating) return;
+        if (!sector.fDirty) {
+            sector.fDirty = true;
+            this.aDirtySectors.push(sector);
+        }
+        this.msWrite = Date.now();
+        if (!this.timerSync) this.setSyncTimer(HostDir.SYNC_DELAY);
+    }
+
+    /**
+     * setSyncTimer(msDelay)
+     *
+     * @this {HostDir}
+     * @param {number} msDelay
+     */
+    setSyncTimer(msDelay)
+    {
+        let hostDir = this;
+        this.timerSync = setTimeout(function() {
+            hostDir.timerSync = null;
+            let msRemaining = hostDir.msWrite + HostDir.SYNC_DELAY - Date.now();
+            if (msRemaining > 0) {
+                hostDir.setSyncTimer(msRemaining);
+            } else {
+                hostDir.sync();
+            }
+        }, msDelay);
+    }
+
+    /**
+     * sync()
+     *
+     * Compares the volume with aEntries and applies any guest changes to the host directory.  Deletions are applied
+     * first (deepest paths first, so that directories are emptied before they're removed), followed by creates and
+     * updates (in directory order, so that directories are created before their contents).  A file is rewritten if
+     * its directory entry changed or if any of its sectors were written.
+     *
+     * @this {HostDir}
+     * @return {number} number of host changes
+     */
+    sync()
+    {
+        if (this.timerSync) {
+            clearTimeout(this.timerSync);
+            this.timerSync = null;
+        }
+        if (!this.dir || !this.aDirtySectors.length) return 0;
+
+        let nChanges = 0, sPath, entry, entryNew;
+        let aVolume = this.scanVolume();
+
+        let asPaths = Object.keys(this.aEntries).sort(function(s1, s2) {
+            return s2.length - s1.length;
+        });
+        for (let i = 0; i < asPaths.length; i++) {
+            sPath = asPaths[i];
+            entry = this.aEntries[sPath];
+            entryNew = aVolume[sPath];
+            if (entryNew && (entryNew.bAttr & DiskAPI.ATTR.SUBDIR) == (entry.bAttr & DiskAPI.ATTR.SUBDIR)) continue;
+            if (this.removeHost(entry)) nChanges++;
+            delete this.aEntries[sPath];
+        }
+
+        for (sPath in aVolume) {
+            entryNew = aVolume[sPath];
+            entry = this.aEntries[sPath];
+            if (!entry) {
+                let sParent = HostDir.getParent(sPath);
+                let entryParent = this.aEntries[sParent];
+                if (sParent && !entryParent) continue;
+                if (this.writeHost(entryNew, path.join(entryParent? entryParent.sHostPath : this.sDir, entryNew.sName))) {
+                    this.aEntries[sPath] = entryNew;
+                    nChanges++;
+                }
+                continue;
+            }
+            entryNew.sHostPath = entry.sHostPath;
+            entryNew.msHost = entry.msHost;
+            entryNew.cbHost = entry.cbHost;
+            this.aEntries[sPath] = entryNew;
+            if (entryNew.bAttr & DiskAPI.ATTR.SUBDIR) continue;
+            if (entryNew.iCluster != entry.iCluster || entryNew.cbSize != entry.cbSize || entryNew.dateTime != entry.dateTime || this.isDirty(entryNew)) {
+                if (this.writeHost(entryNew, entryNew.sHostPath)) nChanges++;
+            }
+        }
+
+        for (let i = 0; i < this.aDirtySectors.length; i++) {
+            this.aDirtySectors[i].fDirty = false;
+        }
+        this.aDirtySectors = [];
+
+        if (nChanges) this.disk.notice("Wrote " + nChanges + " change(s) to " + this.sDir, true);
+        return nChanges;
+    }
+
+    /**
+     * checkHost()
+     *
+     * Called by Disk.seek() for every sector the guest reads, so it's important that we do nothing most of the time.
+     *
+     * @this {HostDir}
+     */
+    checkHost()
+    {
+        if (this.fUpdating || !this.dir || this.aDirtySectors.length) return;
+        let msNow = Date.now();
+        if (msNow - this.msChecked >= HostDir.CHECK_INTERVAL) {
+            this.msChecked = msNow;
+            this.refresh();
+        }
+    }
+
+    /**
+     * refresh()
+     *
+     * Compares the host directory with aEntries and applies any host changes to the volume.  Any pending guest changes
+     * are written to the host first, since otherwise we'd be comparing against a volume that's in flux.
+     *
+     * @this {HostDir}
+     * @return {number} number of volume changes
+     */
+    refresh()
+    {
+        if (!this.dir) return 0;
+        this.sync();
+
+        let aHost = {}, aPaths = {}, sPath, sHostPath, entry, stats;
+        this.readHost(this.sDir, aHost);
+        for (sPath in this.aEntries) {
+            aPaths[this.aEntries[sPath].sHostPath] = sPath;
+        }
+
+        let aRemove = [], aUpdate = [], aAdd = [];
+        for (sPath in this.aEntries) {
+            entry = this.aEntries[sPath];
+            stats = aHost[entry.sHostPath];
+            if (!stats || stats.isDirectory() != !!(entry.bAttr & DiskAPI.ATTR.SUBDIR)) {
+                aRemove.push(entry);
+                delete aPaths[entry.sHostPath];
+            }
+            else if (!stats.isDirectory() && (stats.mtime.getTime() != entry.msHost || stats.size != entry.cbHost)) {
+                aUpdate.push(entry);
+            }
+        }
+        for (sHostPath in aHost) {
+            if (aPaths[sHostPath] === undefined) aAdd.push(sHostPath);
+        }
+        if (!aRemove.length && !aUpdate.length && !aAdd.length) return 0;
+
+        let nChanges = 0, i;
+        this.fUpdating = true;
+        this.readFAT();
+
+        aRemove.sort(function(entry1, entry2) {
+            return entry2.sPath.length - entry1.sPath.length;
+        });
+        for (i = 0; i < aRemove.length; i++) {
+            entry = aRemove[i];
+            this.removeEntry(entry);
+            delete this.aEntries[entry.sPath];
+            nChanges++;
+        }
+        for (i = 0; i < aUpdate.length; i++) {
+            if (this.updateEntry(aUpdate[i])) nChanges++;
+        }
+        aPaths[this.sDir] = "";
+        for (i = 0; i < aAdd.length; i++) {
+            sHostPath = aAdd[i];
+            sPath = aPaths[path.dirname(sHostPath)];
+            if (sPath === undefined) continue;
+            entry = this.addEntry(sPath, sHostPath, aHost[sHostPath]);
+            if (entry) {
+                this.aEntries[entry.sPath] = entry;
+                aPaths[sHostPath] = entry.sPath;
+                nChanges++;
+            }
+        }
+
+        this.writeFAT();
+        this.fUpdating = false;
+
+        if (nChanges) this.disk.notice("Read " + nChanges + " change(s) from " + this.sDir, true);
+        return nChanges;
+    }
+
+    /**
+     * readHost(sDir, aHost)
+     *
+     * Records the stats of every file and directory in the host directory, skipping the same files that DiskDump skips.
+     *
+     * @this {HostDir}
+     * @param {string} sDir
+     * @param {Object} aHost (host path => fs.Stats)
+     */
+    readHost(sDir, aHost)
+    {
+        let asFiles;
+        try {
+            asFiles = fs.readdirSync(sDir);
+        } catch(err) {
+            return;
+        }
+        let asDirs = [];
+        for (let i = 0; i < asFiles.length; i++) {
+            let sFile = asFiles[i];
+            if (sFile.charAt(0) == '.' || this.dump.isExcluded(sFile)) continue;
+            let sPath = path.join(sDir, sFile);
+            try {
+                let stats = fs.statSync(sPath);
+                if (stats.isDirectory()) {
+                    asDirs.push(sPath);
+                } else if (!stats.isFile()) {
+                    continue;
+                }
+                aHost[sPath] = stats;
+            } catch(err) {
+                continue;
+            }
+        }
+        for (let i = 0; i < asDirs.length; i++) {
+            this.readHost(asDirs[i], aHost);
+        }
+    }
+
+    /**
+     * statHost(entry, sHostPath)
+     *
+     * @this {HostDir}
+     * @param {Object} entry
+     * @param {string} sHostPath
+     * @return {boolean} true if the host file exists (and its time and size have been recorded)
+     */
+    statHost(entry, sHostPath)
+    {
+        try {
+            let stats = fs.statSync(sHostPath);
+            entry.sHostPath = sHostPath;
+            entry.msHost = stats.mtime.getTime();
+            entry.cbHost = stats.size;
+            return true;
+        } catch(err) {
+            return false;
+        }
+    }
+
+    /**
+     * writeHost(entry, sHostPath)
+     *
+     * Creates the host directory, or creates/updates the host file, for the given volume entry.
+     *
+     * @this {HostDir}
+     * @param {Object} entry
+     * @param {string} sHostPath
+     * @return {boolean} true if successful
+     */
+    writeHost(entry, sHostPath)
+    {
+        try {
+            if (entry.bAttr & DiskAPI.ATTR.SUBDIR) {
+                if (!HostDir.isDir(sHostPath)) fs.mkdirSync(sHostPath);
+            } else {
+                fs.writeFileSync(sHostPath, this.readFile(entry));
+            }
+        } catch(err) {
+            this.disk.notice("Unable to write " + sHostPath + ": " + err.message, true);
+            return false;
+        }
+        return this.statHost(entry, sHostPath);
+    }
+
+    /**
+     * removeHost(entry)
+     *
+     * Removes the host file or directory for a volume entry that the guest deleted, unless the host file has also
+     * changed, in which case the host file wins (and refresh() will put it back on the volume).
+     *
+     * @this {HostDir}
+     * @param {Object} entry
+     * @return {boolean} true if removed
+     */
+    removeHost(entry)
+    {
+        try {
+            if (entry.bAttr & DiskAPI.ATTR.SUBDIR) {
+                fs.rmdirSync(entry.sHostPath);
+            } else {
+                let stats = fs.statSync(entry.sHostPath);
+                if (stats.mtime.getTime() != entry.msHost || stats.size != entry.cbHost) {
+                    this.disk.notice("Kept " + entry.sHostPath + " (changed on the host)", true);
+                    return false;
+                }
+                fs.unlinkSync(entry.sHostPath);
+            }
+        } catch(err) {
+            if (err.code != "ENOENT") this.disk.notice("Unable to remove " + entry.sHostPath + ": " + err.message, true);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * readHostFile(sHostPath)
+     *
+     * @this {HostDir}
+     * @param {string} sHostPath
+     * @return {Buffer|null}
+     */
+    readHostFile(sHostPath)
+    {
+        try {
+            return fs.readFileSync(sHostPath);
+        } catch(err) {
+            this.disk.notice("Unable to read " + sHostPath + ": " + err.message, true);
+            return null;
+        }
+    }
+
+    /**
+     * scanVolume()
+     *
+     * @this {HostDir}
+     * @return {Object} containing an entry for every file and directory on the volume, indexed by DOS path
+     */
+    scanVolume()
+    {
+        let aVolume = {};
+        let fUpdating = this.fUpdating;
+        this.fUpdating = true;
+        this.readFAT();
+        this.scanDir(aVolume, "", this.getRootSectors());
+        this.fUpdating = fUpdating;
+        return aVolume;
+    }
+
+    /**
+     * scanDir(aVolume, sDir, apba)
+     *
+     * Adds an entry to aVolume for every file and subdirectory in the directory stored in the given sectors, followed
+     * by the contents of every subdirectory.  Volume labels (and long file name entries, which look like labels) are
+     * skipped, and so are any duplicate names.
+     *
+     * @this {HostDir}
+     * @param {Object} aVolume
+     * @param {string} sDir
+     * @param {Array.<number>} apba
+     */
+    scanDir(aVolume, sDir, apba)
+    {
+        let aDirs = [];
+        for (let iSector = 0; iSector < apba.length; iSector++) {
+            let ab = this.readSector(apba[iSector]);
+            for (let off = 0; off < ab.length; off += DiskAPI.DIRENT.LENGTH) {
+                let b = ab[off];
+                if (b == DiskAPI.DIRENT.UNUSED) {
+                    iSector = apba.length;
+                    break;
+                }
+                let bAttr = ab[off + DiskAPI.DIRENT.ATTR];
+                if (b == DiskAPI.DIRENT.INVALID || (bAttr & DiskAPI.ATTR.LABEL)) continue;
+                let sName = HostDir.getName(ab, off);
+                if (sName == "." || sName == "..") continue;
+                let sPath = (sDir? sDir + '\\' : "") + sName;
+                if (aVolume[sPath]) continue;
+                let entry = {
+                    sPath:      sPath,
+                    sName:      sName,
+                    bAttr:      bAttr,
+                    cbSize:     HostDir.getBytes(ab, off + DiskAPI.DIRENT.SIZE, 4),
+                    iCluster:   HostDir.getBytes(ab, off + DiskAPI.DIRENT.CLUSTER, 2),
+                    dateTime:   HostDir.getBytes(ab, off + DiskAPI.DIRENT.MODTIME, 4),
+                    pba:        apba[iSector],
+                    off:        off
+                };
+                aVolume[sPath] = entry;
+                if (bAttr & DiskAPI.ATTR.SUBDIR) aDirs.push(entry);
+            }
+        }
+        for (let i = 0; i < aDirs.length; i++) {
+            this.scanDir(aVolume, aDirs[i].sPath, this.getSectors(this.getChain(aDirs[i].iCluster)));
+        }
+    }
+
+    /**
+     * isDirty(entry)
+     *
+     * @this {HostDir}
+     * @param {Object} entry
+     * @return {boolean} true if the guest wrote any of the entry's sectors
+     */
+    isDirty(entry)
+    {
+        let apba = this.getSectors(this.getChain(entry.iCluster));
+        for (let i = 0; i < apba.length; i++) {
+            let sector = this.disk.getSector(apba[i]);
+            if (sector && sector.fDirty) return true;
+        }
+        return false;
+    }
+
+    /**
+     * readFile(entry)
+     *
+     * @this {HostDir}
+     * @param {Object} entry
+     * @return {Buffer}
+     */
+    readFile(entry)
+    {
+        let buf = Buffer.alloc(entry.cbSize);
+        let apba = this.getSectors(this.getChain(entry.iCluster));
+        let off = 0;
+        for (let i = 0; i < apba.length && off < buf.length; i++) {
+            let ab = this.readSector(apba[i]);
+            for (let j = 0; j < ab.length && off < buf.length; j++) {
+                buf[off++] = ab[j];
+            }
+        }
+        return buf;
+    }
+
+    /**
+     * updateEntry(entry)
+     *
+     * Replaces the contents of a volume file with the contents of its host file, reusing as many of the file's
+     * existing clusters as possible.
+     *
+     * @this {HostDir}
+     * @param {Object} entry
+     * @return {boolean} true if successful
+     */
+    updateEntry(entry)
+    {
+        let data = this.readHostFile(entry.sHostPath);
+        if (!data) return false;
+        let aClusters = this.resizeChain(this.getChain(entry.iCluster), this.getClusterCount(data.length));
+        if (!aClusters) {
+            this.disk.notice("Unable to update " + entry.sPath + " (volume full)", true);
+            return false;
+        }
+        this.writeData(aClusters, data);
+        entry.iCluster = aClusters[0] || 0;
+        entry.cbSize = data.length;
+        this.statHost(entry, entry.sHostPath);
+        entry.dateTime = this.dump.buildDateTime(new Date(entry.msHost));
+        this.writeBytes(entry.pba, entry.off + DiskAPI.DIRENT.MODTIME, HostDir.setBytes([], 0, entry.dateTime, 4));
+        this.writeBytes(entry.pba, entry.off + DiskAPI.DIRENT.CLUSTER, HostDir.setBytes([], 0, entry.iCluster, 2));
+        this.writeBytes(entry.pba, entry.off + DiskAPI.DIRENT.SIZE, HostDir.setBytes([], 0, entry.cbSize, 4));
+        return true;
+    }
+
+    /**
+     * addEntry(sDir, sHostPath, stats)
+     *
+     * Adds a host file or directory to the specified volume directory, giving it a unique 8.3 name.
+     *
+     * @this {HostDir}
+     * @param {string} sDir (DOS path of the volume directory)
+     * @param {string} sHostPath
+     * @param {Object} stats
+     * @return {Object|null} the new entry, or null if there's no room for it
+     */
+    addEntry(sDir, sHostPath, stats)
+    {
+        let data, bAttr, cbSize;
+        if (stats.isDirectory()) {
+            bAttr = DiskAPI.ATTR.SUBDIR;
+            cbSize = -1;
+        } else {
+            data = this.readHostFile(sHostPath);
+            if (!data) return null;
+            bAttr = DiskAPI.ATTR.ARCHIVE;
+            cbSize = data.length;
+        }
+
+        let asNames = [];
+        for (let sPath in this.aEntries) {
+            if (HostDir.getParent(sPath) == sDir) asNames.push(this.aEntries[sPath].sName);
+        }
+        let sName = this.dump.buildUniqueName(this.dump.buildShortName(path.basename(sHostPath)), asNames);
+        let sPath = (sDir? sDir + '\\' : "") + sName;
+
+        let slot = this.findSlot(sDir);
+        let aClusters = slot && this.resizeChain([], cbSize < 0? 1 : this.getClusterCount(cbSize));
+        if (!aClusters) {
+            this.disk.notice("Unable to add " + sPath + " (" + (slot? "volume" : "directory") + " full)", true);
+            return null;
+        }
+        let iCluster = aClusters[0] || 0;
+        if (cbSize < 0) {
+            let entryParent = this.aEntries[sDir];
+            data = this.dump.buildData(this.dir.nClusterSecs * this.dir.cbSector);
+            this.dump.buildDir(data, [], stats.mtime, iCluster, entryParent? entryParent.iCluster : 0);
+        }
+        this.writeData(aClusters, data);
+
+        let abEntry = this.dump.buildData(DiskAPI.DIRENT.LENGTH);
+        this.dump.buildDirEntry(abEntry, 0, sName, cbSize, bAttr, stats.mtime, iCluster);
+        this.writeBytes(slot.pba, slot.off, abEntry);
+
+        let entry = {
+            sPath:      sPath,
+            sName:      sName,
+            bAttr:      bAttr,
+            cbSize:     cbSize < 0? 0 : cbSize,
+            iCluster:   iCluster,
+            dateTime:   HostDir.getBytes(abEntry, DiskAPI.DIRENT.MODTIME, 4),
+            pba:        slot.pba,
+            off:        slot.off
+        };
+        this.statHost(entry, sHostPath);
+        return entry;
+    }
+
+    /**
+     * removeEntry(entry)
+     *
+     * @this {HostDir}
+     * @param {Object} entry
+     */
+    removeEntry(entry)
+    {
+        this.resizeChain(this.getChain(entry.iCluster), 0);
+        this.writeBytes(entry.pba, entry.off, [DiskAPI.DIRENT.INVALID]);
+    }
+
+    /**
+     * findSlot(sDir)
+     *
+     * Finds a free directory entry in the specified volume directory; subdirectories are extended by another cluster
+     * if necessary, but the root directory has a fixed number of entries.
+     *
+     * @this {HostDir}
+     * @param {string} sDir (DOS path of the volume directory)
+     * @return {Object|null} containing the pba and offset of the free entry, if any
+     */
+    findSlot(sDir)
+    {
+        let entryDir = sDir? this.aEntries[sDir] : null;
+        let aClusters = entryDir? this.getChain(entryDir.iCluster) : null;
+        let apba = aClusters? this.getSectors(aClusters) : this.getRootSectors();
+        for (let i = 0; i < apba.length; i++) {
+            let ab = this.readSector(apba[i]);
+            for (let off = 0; off < ab.length; off += DiskAPI.DIRENT.LENGTH) {
+                if (ab[off] == DiskAPI.DIRENT.UNUSED || ab[off] == DiskAPI.DIRENT.INVALID) {
+                    return {pba: apba[i], off: off};
+                }
+            }
+        }
+        if (aClusters && aClusters.length && this.resizeChain(aClusters, aClusters.length + 1)) {
+            let iCluster = aClusters[aClusters.length - 1];
+            this.writeData([iCluster], []);
+            return {pba: this.getSectors([iCluster])[0], off: 0};
+        }
+        return null;
+    }
+
+    /**
+     * readFAT()
+     *
+     * Reads the first FAT into abFAT and decodes all its cluster entries into aFAT.
+     *
+     * @this {HostDir}
+     */
+    readFAT()
+    {
+        let dir = this.dir;
+        let ab = [];
+        for (let i = 0; i < dir.nFATSecs; i++) {
+            ab = ab.concat(this.readSector(dir.pbaVolume + dir.lbaFAT + i));
+        }
+        let aFAT = new Array(dir.nClusters + DiskAPI.FAT12.CLUSNUM_MIN);
+        for (let iCluster = 0; iCluster < aFAT.length; iCluster++) {
+            let w;
+            if (dir.nFATBits == 12) {
+                let off = iCluster + (iCluster >> 1);
+                w = ab[off] | (ab[off + 1] << 8);
+                w = (iCluster & 1)? (w >> 4) : (w & 0xfff);
+            } else {
+                w = HostDir.getBytes(ab, iCluster * 2, 2);
+            }
+            aFAT[iCluster] = w;
+        }
+        this.abFAT = ab;
+        this.aFAT = aFAT;
+    }
+
+    /**
+     * writeFAT()
+     *
+     * Encodes aFAT and writes any modified bytes to every copy of the FAT.
+     *
+     * @this {HostDir}
+     */
+    writeFAT()
+    {
+        let dir = this.dir;
+        let ab = this.abFAT.slice();
+        for (let iCluster = DiskAPI.FAT12.CLUSNUM_MIN; iCluster < this.aFAT.length; iCluster++) {
+            let w = this.aFAT[iCluster];
+            if (dir.nFATBits == 12) {
+                let off = iCluster + (iCluster >> 1);
+                if (iCluster & 1) {
+                    ab[off] = (ab[off] & 0x0f) | ((w << 4) & 0xf0);
+                    ab[off + 1] = (w >> 4) & 0xff;
+                } else {
+                    ab[off] = w & 0xff;
+                    ab[off + 1] = (ab[off + 1] & 0xf0) | ((w >> 8) & 0x0f);
+                }
+            } else {
+                HostDir.setBytes(ab, iCluster * 2, w, 2);
+            }
+        }
+        for (let off = 0; off < ab.length; off++) {
+            if (ab[off] == this.abFAT[off]) continue;
+            for (let iFAT = 0; iFAT < dir.nFATs; iFAT++) {
+                this.writeBytes(dir.pbaVolume + dir.lbaFAT + iFAT * dir.nFATSecs, off, [ab[off]]);
+            }
+        }
+        this.abFAT = ab;
+    }
+
+    /**
+     * getChain(iCluster)
+     *
+     * @this {HostDir}
+     * @param {number} iCluster
+     * @return {Array.<number>} of the clusters in the chain starting with iCluster
+     */
+    getChain(iCluster)
+    {
+        let aClusters = [];
+        while (iCluster >= DiskAPI.FAT12.CLUSNUM_MIN && iCluster < this.aFAT.length && aClusters.length < this.dir.nClusters) {
+            aClusters.push(iCluster);
+            iCluster = this.aFAT[iCluster];
+        }
+        return aClusters;
+    }
+
+    /**
+     * resizeChain(aClusters, nClusters)
+     *
+     * Frees clusters from the end of the chain, or allocates more, as needed.
+     *
+     * @this {HostDir}
+     * @param {Array.<number>} aClusters
+     * @param {number} nClusters
+     * @return {Array.<number>|null} the updated chain, or null if there weren't enough free clusters
+     */
+    resizeChain(aClusters, nClusters)
+    {
+        let nOriginal = aClusters.length;
+        let wEOC = (this.dir.nFATBits == 12? DiskAPI.FAT12.CLUSNUM_EOC : DiskAPI.FAT16.CLUSNUM_EOC);
+        while (aClusters.length > nClusters) {
+            this.aFAT[aClusters.pop()] = DiskAPI.FAT12.CLUSNUM_FREE;
+        }
+        while (aClusters.length < nClusters) {
+            let iCluster = this.allocCluster();
+            if (!iCluster) {
+                while (aClusters.length > nOriginal) {
+                    this.aFAT[aClusters.pop()] = DiskAPI.FAT12.CLUSNUM_FREE;
+                }
+                if (nOriginal) this.aFAT[aClusters[nOriginal - 1]] = wEOC;
+                return null;
+            }
+            if (aClusters.length) this.aFAT[aClusters[aClusters.length - 1]] = iCluster;
+            aClusters.push(iCluster);
+            this.aFAT[iCluster] = wEOC;
+        }
+        if (aClusters.length) this.aFAT[aClusters[aClusters.length - 1]] = wEOC;
+        return aClusters;
+    }
+
+    /**
+     * allocCluster()
+     *
+     * @this {HostDir}
+     * @return {number} a free cluster, or zero if none
+     */
+    allocCluster()
+    {
+        let nClusters = this.aFAT.length - DiskAPI.FAT12.CLUSNUM_MIN;
+        for (let i = 0; i < nClusters; i++) {
+            let iCluster = DiskAPI.FAT12.CLUSNUM_MIN + (this.iClusterNext + i) % nClusters;
+            if (this.aFAT[iCluster] == DiskAPI.FAT12.CLUSNUM_FREE) {
+                this.iClusterNext = iCluster + 1 - DiskAPI.FAT12.CLUSNUM_MIN;
+                return iCluster;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * getClusterCount(cb)
+     *
+     * @this {HostDir}
+     * @param {number} cb
+     * @return {number} of clusters required for cb bytes
+     */
+    getClusterCount(cb)
+    {
+        let cbCluster = this.dir.nClusterSecs * this.dir.cbSector;
+        return Math.ceil(cb / cbCluster);
+    }
+
+    /**
+     * getRootSectors()
+     *
+     * @this {HostDir}
+     * @return {Array.<number>} of root directory PBAs
+     */
+    getRootSectors()
+    {
+        let apba = [];
+        for (let lba = this.dir.lbaRoot; lba < this.dir.lbaData; lba++) {
+            apba.push(this.dir.pbaVolume + lba);
+        }
+        return apba;
+    }
+
+    /**
+     * getSectors(aClusters)
+     *
+     * @this {HostDir}
+     * @param {Array.<number>} aClusters
+     * @return {Array.<number>} of PBAs
+     */
+    getSectors(aClusters)
+    {
+        let apba = [];
+        let dir = this.dir;
+        for (let i = 0; i < aClusters.length; i++) {
+            let pba = dir.pbaVolume + dir.lbaData + (aClusters[i] - DiskAPI.FAT12.CLUSNUM_MIN) * dir.nClusterSecs;
+            for (let j = 0; j < dir.nClusterSecs; j++) apba.push(pba++);
+        }
+        return apba;
+    }
+
+    /**
+     * readSector(pba)
+     *
+     * @this {HostDir}
+     * @param {number} pba
+     * @return {Array.<number>}
+     */
+    readSector(pba)
+    {
+        let sector = this.disk.getSector(pba);
+        return sector? this.disk.toBytes(sector) : this.dump.buildData(this.dir.cbSector);
+    }
+
+    /**
+     * writeData(aClusters, data)
+     *
+     * Writes data to the given clusters, zero-filling the remainder of the last cluster.
+     *
+     * @this {HostDir}
+     * @param {Array.<number>} aClusters
+     * @param {Buffer|Array.<number>} data
+     */
+    writeData(aClusters, data)
+    {
+        let apba = this.getSectors(aClusters);
+        let cbSector = this.dir.cbSector;
+        for (let i = 0, off = 0; i < apba.length; i++) {
+            let ab = new Array(cbSector);
+            for (let j = 0; j < cbSector; j++, off++) {
+                ab[j] = off < data.length? data[off] : 0;
+            }
+            this.writeBytes(apba[i], 0, ab);
+        }
+    }
+
+    /**
+     * writeBytes(pba, off, ab)
+     *
+     * Writes bytes to the volume, starting at the given offset from the given sector; since fUpdating is set, our own
+     * writes are not queued for sync().
+     *
+     * @this {HostDir}
+     * @param {number} pba
+     * @param {number} off
+     * @param {Array.<number>} ab
+     */
+    writeBytes(pba, off, ab)
+    {
+        let fUpdating = this.fUpdating;
+        let cbSector = this.dir.cbSector;
+        let sector = null;
+        this.fUpdating = true;
+        for (let i = 0; i < ab.length; i++, off++) {
+            if (!sector || !(off % cbSector)) sector = this.disk.getSector(pba + ((off / cbSector) | 0));
+            if (sector) this.disk.write(sector, off % cbSector, ab[i]);
+        }
+        this.fUpdating = fUpdating;
+    }
+
+    /**
+     * getName(ab, off)
+     *
+     * @param {Array.<number>} ab
+     * @param {number} off (of a directory entry)
+     * @return {string} the entry's file name, in "8.3" format
+     */
+    static getName(ab, off)
+    {
+        let sName = "", sExt = "";
+        for (let i = 0; i < 11; i++) {
+            let b = ab[off + i];
+            if (!i && b == 0x05) b = DiskAPI.DIRENT.INVALID;    // 0x05 is how an initial 0xE5 character is stored
+            if (i < 8) {
+                sName += String.fromCharCode(b);
+            } else {
+                sExt += String.fromCharCode(b);
+            }
+        }
+        sName = sName.replace(/ +$/, "");
+        sExt = sExt.replace(/ +$/, "");
+        return sExt? sName + '.' + sExt : sName;
+    }
+
+    /**
+     * getParent(sPath)
+     *
+     * @param {string} sPath (DOS path)
+     * @return {string} DOS path of the parent directory ("" for the root)
+     */
+    static getParent(sPath)
+    {
+        let i = sPath.lastIndexOf('\\');
+        return i < 0? "" : sPath.substr(0, i);
+    }
+
+    /**
+     * getBytes(ab, off, len)
+     *
+     * @param {Array.<number>} ab
+     * @param {number} off
+     * @param {number} len
+     * @return {number} the little-endian value of len bytes at off
+     */
+    static getBytes(ab, off, len)
+    {
+        let v = 0;
+        while (len--) v = (v * 256) + ab[off + len];
+        return v;
+    }
+
+    /**
+     * setBytes(ab, off, v, len)
+     *
+     * @param {Array.<number>} ab
+     * @param {number} off
+     * @param {number} v
+     * @param {number} len
+     * @return {Array.<number>} ab
+     */
+    static setBytes(ab, off, v, len)
+    {
+        for (let i = 0; i < len; i++) {
+            ab[off + i] = v & 0xff;
+            v = Math.floor(v / 256);
+        }
+        return ab;
+    }
+}
+
+HostDir.SYNC_DELAY = 1000;              // wait for 1 second of guest inactivity before updating the host
+HostDir.CHECK_INTERVAL = 1000;          // check the host for changes at most once per second
+
+if (typeof module !== "undefined") module.exports = HostDir;
@@ -57,6 +57,10 @@ class Kbdx86 extends Component {
      *          "US83" (default)
      *          "US84"
      *          "US101" (not fully supported yet)
+     *          "US62" (the PCjr's 62-key "Freeboard"; the default for MODEL_4860 machines)
+     *          "US90" (the Tandy 1000's 90-key keyboard; the default for MODEL_TANDY_1000 machines)
+     *
+     *      cable: boolean set to false to use the PCjr's infrared link instead of the keyboard cable (default is true)
      *
      *      autoType: string of keys to automatically inject when the machine is ready (undefined if none)
      *
@@ -79,6 +83,7 @@ class Kbdx86 extends Component {
         super("Keyboard", parmsKbd, Messages.KBD);
 
         this.setModel(parmsKbd['model']);
+        this.fCable = (parmsKbd['cable'] !== false);
 
         this.fMobile = Web.isMobile("!iPad");
         this.printf("mobile keyboard support: %b\n", this.fMobile);
@@ -531,6 +536,13 @@ class Kbdx86 extends Component {
         });
 
         this.chipset = cmp.getMachineComponent("ChipSet");
+
+        /*
+         * ChipSet and Kbdx86 require each other, so in Node, the ChipSet we required above may be an incomplete module
+         * (eg, when ChipSet was loaded first); by now, every module has finished loading, so we can require it again.
+         */
+        if (typeof module !== "undefined") ChipSet = require("./chipset");
+
         this.autoType = cmp.getMachineParm('autoType') || this.autoType;
 
         let softKeys = cmp.getMachineParm('softKeys');
@@ -904,6 +916,12 @@ class Kbdx86 extends Component {
          */
         if (!this.model && this.chipset) {
             switch(this.chipset.model) {
+            case ChipSet.MODEL_4860:
+                this.setModel(Kbdx86.MODELS[3]);
+                break;
+            case ChipSet.MODEL_TANDY_1000:
+                this.setModel(Kbdx86.MODELS[4]);
+                break;
             case ChipSet.MODEL_5150:
             case ChipSet.MODEL_5160:
                 this.setModel(Kbdx86.MODELS[0]);
@@ -2180,7 +2198,7 @@ class Kbdx86 extends Component {
             /*
              * TODO: Update the following restrictions to address 84-key and 101-key keyboard limitations.
              */
-            if (bCode > 83 && this.modelKeys == 83) {
+            if (bCode > 83 && this.modelKeys <= 83) {
                 return false;
             }
 
@@ -2248,6 +2266,11 @@ class Kbdx86 extends Component {
                 }
             }
 
+            if (this.modelKeys == 62 || this.modelKeys == 90) {
+                abScanCodes = this.convertScanCodes(abScanCodes);
+                if (!abScanCodes) return false;
+            }
+
             for (let i = 0; i < abScanCodes.length; i++) {
                 this.addScanCode(abScanCodes[i]);
             }
@@ -2260,6 +2283,52 @@ class Kbdx86 extends Component {
         return fSimulated;
     }
 
+    /**
+     * convertScanCodes(abScanCodes)
+     *
+     * The 62-key keyboard has no function keys, numeric keypad, or a few other keys (see Kbdx86.JRCODES), so we
+     * convert their scan codes into the key combinations that the PCjr ROM BIOS (INT 0x48) translates back into
+     * 83-key scan codes.  Any modifier in a combination (ie, ALT) that's already down is left alone.
+     *
+     * The 90-key keyboard has all those keys, but several of them generate different scan codes, and the keys
+     * that it lacks are typed with ALT and a numeric keypad key instead (see Kbdx86.TANDYCODES); which keypad key
+     * depends on whether a SHIFT key is down, or about to be.
+     *
+     * @this {Kbdx86}
+     * @param {Array.<number>} abScanCodes
+     * @return {Array.<number>|null} converted scan codes, or null if there's no equivalent key combination
+     */
+    convertScanCodes(abScanCodes)
+    {
+        let aCodeMap = Kbdx86.JRCODES, aShiftMap = null;
+        if (this.modelKeys == 90) {
+            aCodeMap = Kbdx86.TANDYCODES;
+            if ((this.bitsStateSim & (Kbdx86.STATE.SHIFT | Kbdx86.STATE.RSHIFT)) || abScanCodes.some(function(bScan) {
+                return (bScan & ~Kbdx86.SCANCODE.BREAK) == Kbdx86.SCANCODE.SHIFT;
+            })) {
+                aShiftMap = Kbdx86.TANDYSHIFTCODES;
+            }
+        }
+        let abConverted = [];
+        for (let i = 0; i < abScanCodes.length; i++) {
+            let bScan = abScanCodes[i];
+            let bBreak = bScan & Kbdx86.SCANCODE.BREAK;
+            let aCodes = aShiftMap && aShiftMap[bScan & ~Kbdx86.SCANCODE.BREAK];
+            if (!aCodes) aCodes = aCodeMap[bScan & ~Kbdx86.SCANCODE.BREAK];
+            if (aCodes === undefined) {
+                abConverted.push(bScan);
+                continue;
+            }
+            if (!aCodes) return null;
+            aCodes = aCodes.filter(function(bCode) {
+                return bCode != Kbdx86.SCANCODE.ALT || !(this.bitsStateSim & (Kbdx86.STATE.ALT | Kbdx86.STATE.RALT));
+            }, this);
+            if (bBreak) aCodes.reverse();
+            for (let j = 0; j < aCodes.length; j++) abConverted.push(aCodes[j] | bBreak);
+        }
+        return abConverted;
+    }
+
     /**
      * checkActiveKeyShift()
      *
@@ -2295,7 +2364,7 @@ class Kbdx86 extends Component {
 /*
  * Supported keyboard models (the first entry is the default if the specified model isn't recognized)
  */
-Kbdx86.MODELS = ["US83", "US84", "US101"];
+Kbdx86.MODELS = ["US83", "US84", "US101", "US62", "US90"];
 
 Kbdx86.SIMCODE = {
     BS:             Keys.KEYCODE.BS          + Keys.KEYCODE.ONDOWN,
@@ -2484,6 +2553,7 @@ Kbdx86.SCANCODE = {
     /* 0x53 */ NUM_DEL:     83,
     /* 0x54 */ SYS_REQ:     84,         // 84-key keyboard only (simulated with 'alt'+'prtsc' on 101-key keyboards)
     /* 0x54 */ PAUSE:       84,         // 101-key keyboard only
+    /* 0x54 */ FN:          84,         // 62-key keyboard only
     /* 0x57 */ F11:         87,
     /* 0x58 */ F12:         88,
     /* 0x5B */ WIN:         91,         // aka CMD
@@ -2495,6 +2565,87 @@ Kbdx86.SCANCODE = {
     /* 0xE1 */ EXTEND2:     225
 };
 
+/**
+ * Keys missing from the 62-key keyboard map to the key combinations (modifiers first) that the PCjr ROM BIOS
+ * translates into the corresponding 83-key scan codes; keys with no equivalent combination map to null.
+ */
+Kbdx86.JRCODES = {
+    [Kbdx86.SCANCODE.BQUOTE]:       [Kbdx86.SCANCODE.ALT, Kbdx86.SCANCODE.QUOTE],
+    [Kbdx86.SCANCODE.BSLASH]:       [Kbdx86.SCANCODE.ALT, Kbdx86.SCANCODE.SLASH],
+    [Kbdx86.SCANCODE.PRTSC]:        [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.P],
+    [Kbdx86.SCANCODE.F1]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.ONE],
+    [Kbdx86.SCANCODE.F2]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.TWO],
+    [Kbdx86.SCANCODE.F3]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.THREE],
+    [Kbdx86.SCANCODE.F4]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.FOUR],
+    [Kbdx86.SCANCODE.F5]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.FIVE],
+    [Kbdx86.SCANCODE.F6]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.SIX],
+    [Kbdx86.SCANCODE.F7]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.SEVEN],
+    [Kbdx86.SCANCODE.F8]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.EIGHT],
+    [Kbdx86.SCANCODE.F9]:           [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.NINE],
+    [Kbdx86.SCANCODE.F10]:          [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.ZERO],
+    [Kbdx86.SCANCODE.NUM_LOCK]:     [Kbdx86.SCANCODE.ALT, Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.N],
+    [Kbdx86.SCANCODE.SCROLL_LOCK]:  [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.S],
+    [Kbdx86.SCANCODE.NUM_HOME]:     [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.NUM_UP],
+    [Kbdx86.SCANCODE.NUM_PGUP]:     [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.NUM_LEFT],
+    [Kbdx86.SCANCODE.NUM_SUB]:      [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.DASH],
+    [Kbdx86.SCANCODE.NUM_CENTER]:   null,
+    [Kbdx86.SCANCODE.NUM_ADD]:      [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.EQUALS],
+    [Kbdx86.SCANCODE.NUM_END]:      [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.NUM_DOWN],
+    [Kbdx86.SCANCODE.NUM_PGDN]:     [Kbdx86.SCANCODE.FN, Kbdx86.SCANCODE.NUM_RIGHT]
+};
+
+/*
+ * Scan codes of 90-key keyboard keys that have no 83-key counterpart, or whose 83-key counterparts generate
+ * different scan codes: the 90-key keyboard has separate cursor keys (and a separate HOME key), so it gives them
+ * new codes, some of which the 83-key keyboard uses for keys that the 90-key keyboard doesn't have.
+ */
+Kbdx86.TANDYSCAN = {
+    UP:             0x29,
+    LEFT:           0x2B,
+    DOWN:           0x4A,
+    RIGHT:          0x4E,
+    HOME:           0x58,
+    F11:            0x59,
+    F12:            0x5A
+};
+
+/**
+ * Keys that generate different scan codes on the Tandy 1000's 90-key keyboard map to those codes, and keys missing
+ * from the 90-key keyboard map to the ALT combinations that the Tandy 1000 ROM BIOS translates into the corresponding
+ * characters (the numeric keypad keys involved have those characters on their legends); keys with no equivalent map
+ * to null.
+ *
+ * Since the 90-key keyboard's cursor keys are separate from its numeric keypad, and we can't tell the two apart,
+ * all 83-key cursor keys are treated as the former.
+ */
+Kbdx86.TANDYCODES = {
+    [Kbdx86.SCANCODE.BQUOTE]:       [Kbdx86.SCANCODE.ALT, Kbdx86.SCANCODE.NUM_DOWN],
+    [Kbdx86.SCANCODE.BSLASH]:       [Kbdx86.SCANCODE.ALT, Kbdx86.SCANCODE.NUM_HOME],
+    [Kbdx86.SCANCODE.NUM_HOME]:     [Kbdx86.TANDYSCAN.HOME],
+    [Kbdx86.SCANCODE.NUM_UP]:       [Kbdx86.TANDYSCAN.UP],
+    [Kbdx86.SCANCODE.NUM_SUB]:      null,
+    [Kbdx86.SCANCODE.NUM_LEFT]:     [Kbdx86.TANDYSCAN.LEFT],
+    [Kbdx86.SCANCODE.NUM_RIGHT]:    [Kbdx86.TANDYSCAN.RIGHT],
+    [Kbdx86.SCANCODE.NUM_ADD]:      null,
+    [Kbdx86.SCANCODE.NUM_DOWN]:     [Kbdx86.TANDYSCAN.DOWN],
+    [Kbdx86.SCANCODE.SYS_REQ]:      null,
+    [Kbdx86.SCANCODE.F11]:          [Kbdx86.TANDYSCAN.F11],
+    [Kbdx86.SCANCODE.F12]:          [Kbdx86.TANDYSCAN.F12],
+    [Kbdx86.SCANCODE.WIN]:          null,
+    [Kbdx86.SCANCODE.RWIN]:         null,
+    [Kbdx86.SCANCODE.MENU]:         null,
+    [Kbdx86.SCANCODE.EXTEND1]:      null,
+    [Kbdx86.SCANCODE.EXTEND2]:      null
+};
+
+/**
+ * Shifted versions of the missing 90-key keyboard keys (ie, '~' and '|') use different numeric keypad keys.
+ */
+Kbdx86.TANDYSHIFTCODES = {
+    [Kbdx86.SCANCODE.BQUOTE]:       [Kbdx86.SCANCODE.ALT, Kbdx86.SCANCODE.NUM_UP],
+    [Kbdx86.SCANCODE.BSLASH]:       [Kbdx86.SCANCODE.ALT, Kbdx86.SCANCODE.NUM_LEFT]
+};
+
 /**
  * These internal "shift key" states are used to indicate BOTH the physical shift-key states (in bitsState)
  * and the simulated shift-key states (in bitsStateSim).  The LOCK keys are problematic in both cases: the
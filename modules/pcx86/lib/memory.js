@@ -957,7 +957,7 @@ class MemoryX86 {
      */
     writeByteChecked(off, b, addr)
     {
-        if (!DEBUGGER || !this.dbg || this.addr == null || !this.dbg.checkMemoryWrite(this.addr + off)) {
+        if (!DEBUGGER || !this.dbg || this.addr == null || !this.dbg.checkMemoryWrite(this.addr + off, 1, b)) {
             if (I386 && this.cpu) this.cpu.checkMemoryException(addr, 1, true);
         }
         if (this.fReadOnly) this.writeNone(off, b, addr); else this.writeByteDirect(off, b, addr);
@@ -973,10 +973,21 @@ class MemoryX86 {
      */
     writeShortChecked(off, w, addr)
     {
-        if (!DEBUGGER || !this.dbg || this.addr == null || !this.dbg.checkMemoryWrite(this.addr + off, 2)) {
+        if (!DEBUGGER || !this.dbg || this.addr == null || !this.dbg.checkMemoryWrite(this.addr + off, 2, w)) {
             if (I386 && this.cpu) this.cpu.checkMemoryException(addr, 2, true);
         }
-        if (this.fReadOnly) this.writeNone(off, w, addr); else this.writeShortDirect(off, w, addr);
+        if (this.fReadOnly) {
+            this.writeNone(off, w, addr);
+        } else if (this.writeShortDirect == this.writeShortDefault) {
+            /*
+             * writeShortDefault() would pass each byte through writeByteChecked(), reporting the same write to the
+             * Debugger again, so we write the bytes directly.
+             */
+            this.writeByteDirect(off, w & 0xff, addr);
+            this.writeByteDirect(off + 1, w >> 8, addr + 1);
+        } else {
+            this.writeShortDirect(off, w, addr);
+        }
     }
 
     /**
@@ -989,10 +1000,22 @@ class MemoryX86 {
      */
     writeLongChecked(off, l, addr)
     {
-        if (!DEBUGGER || !this.dbg || this.addr == null || !this.dbg.checkMemoryWrite(this.addr + off, 4)) {
+        if (!DEBUGGER || !this.dbg || this.addr == null || !this.dbg.checkMemoryWrite(this.addr + off, 4, l)) {
             if (I386 && this.cpu) this.cpu.checkMemoryException(addr, 4, true);
         }
-        if (this.fReadOnly) this.writeNone(off, l, addr); else this.writeLongDirect(off, l, addr);
+        if (this.fReadOnly) {
+            this.writeNone(off, l, addr);
+        } else if (this.writeLongDirect == this.writeLongDefault) {
+            /*
+             * Ditto for writeLongDefault() (see writeShortChecked()).
+             */
+            this.writeByteDirect(off, l & 0xff, addr);
+            this.writeByteDirect(off + 1, (l >> 8) & 0xff, addr + 1);
+            this.writeByteDirect(off + 2, (l >> 16) & 0xff, addr + 2);
+            this.writeByteDirect(off + 3, l >>> 24, addr + 3);
+        } else {
+            this.writeLongDirect(off, l, addr);
+        }
     }
 
     /**
@@ -72,6 +72,7 @@ var Messages = {
     DOS:        0x000100000000,
     EVENT:      0x000200000000,
     KEY:        0x000400000000,
+    AUDIO:      0x000800000000,
     WARN:       0x100000000000,
     HALT:       0x200000000000,
     BUFFER:     0x400000000000,
@@ -127,6 +128,7 @@ Messages.CATEGORIES = {
     "data":     Messages.DATA,
     "event":    Messages.EVENT,
     "key":      Messages.KEY,
+    "audio":    Messages.AUDIO,
     "warn":     Messages.WARN,
     /*
      * Now we turn to message actions rather than message types; for example, setting "halt"
@@ -0,0 +1,603 @@
+/**
+ * @fileoverview Implements a Hayes-compatible modem for the PCx86 SerialPort component
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var net         = require("net");
+    var Str         = require("../../shared/lib/strlib");
+}
+
+/**
+ * class Modem
+ * @unrestricted
+ *
+ * Emulates an external Hayes-compatible modem attached to a SerialPort, which answers the common AT commands
+ * (A, D, E, H, I, O, Q, V, X, Z, S-registers, &C, &D and &F, plus "A/" to repeat the last command), and the
+ * "+++" escape sequence (surrounded by the usual guard times) to return from online mode to command mode.
+ *
+ * In Node, dialing a number of the form "host:port" (eg, "ATDT bbs.example.com:23") opens a TCP connection to that
+ * host and port, and if a 'modemListen' port is configured, incoming TCP connections make the modem ring (and answer,
+ * if S0 is non-zero or software issues "ATA").  Connections are raw TCP, so there's no Telnet option negotiation.
+ * In a browser, there's no way to open TCP connections, so every dial attempt reports NO DIALTONE.
+ *
+ * The modem reports DSR and CTS continuously, DCD whenever a connection exists (or always, with &C0), and RI while
+ * ringing, via the SerialPort's receiveStatus() interface; when software drops DTR, the modem hangs up (&D2, the
+ * default) or returns to command mode (&D1).
+ */
+class Modem {
+    /**
+     * Modem(serial, cpu, nListen)
+     *
+     * @this {Modem}
+     * @param {SerialPort} serial
+     * @param {CPUx86} cpu
+     * @param {number} [nListen] (TCP port on which to listen for incoming calls, if any)
+     */
+    constructor(serial, cpu, nListen)
+    {
+        let modem = this;
+        this.serial = serial;
+        this.cpu = cpu;
+        this.socket = null;         // current connection, if any
+        this.socketDial = null;     // outgoing connection in progress, if any
+        this.socketRing = null;     // incoming connection waiting to be answered, if any
+        this.server = null;
+        this.fOnline = false;       // true if connected and in online (data) mode
+        this.fDTR = false;
+        this.fRing = false;
+        this.nRings = 0;
+        this.nEscapes = 0;          // number of consecutive escape characters received after a guard time
+        this.fGuard = false;        // true if a guard time has elapsed since the last character received online
+        this.sLine = "";
+        this.sLinePrev = "";
+        this.timerGuard = cpu.addTimer(serial.id + ".modemGuard", function onModemGuard() {
+            modem.checkEscape();
+        });
+        this.timerRing = cpu.addTimer(serial.id + ".modemRing", function onModemRing() {
+            modem.ring();
+        });
+        this.timerRingOff = cpu.addTimer(serial.id + ".modemRingOff", function onModemRingOff() {
+            modem.fRing = false;
+            modem.updateStatus();
+        });
+        this.reset();
+        if (nListen && typeof module !== "undefined") {
+            this.server = net.createServer(function onModemCall(socket) {
+                modem.incoming(socket);
+            });
+            this.server.on('error', function onModemError(err) {
+                serial.notice("Modem unable to listen on port " + nListen + ": " + err.message);
+            });
+            this.server.listen(nListen);
+        }
+    }
+
+    /**
+     * reset()
+     *
+     * Restores the factory profile (which is what ATZ and AT&F do), hanging up any connection.
+     *
+     * @this {Modem}
+     */
+    reset()
+    {
+        this.hangup();
+        this.aRegs = Modem.REGS_DEFAULT.slice();
+        this.fEcho = this.fVerbose = true;
+        this.fQuiet = false;
+        this.nExtended = 4;         // X setting
+        this.nDCD = 1;              // &C setting
+        this.nDTR = 2;              // &D setting
+        this.updateStatus();
+    }
+
+    /**
+     * receiveData(b)
+     *
+     * Called by the SerialPort for every byte it transmits.
+     *
+     * @this {Modem}
+     * @param {number} b
+     * @return {boolean} true if received, false if not
+     */
+    receiveData(b)
+    {
+        if (this.fOnline) {
+            this.socket.write(new Uint8Array([b]));
+            if (b == this.aRegs[Modem.REG.ESCAPE] && (this.nEscapes || this.fGuard) && this.nEscapes < 3) {
+                this.nEscapes++;
+            } else {
+                this.nEscapes = 0;
+            }
+            this.fGuard = false;
+            this.cpu.setTimer(this.timerGuard, this.getGuardTime(), true);
+            return true;
+        }
+        if (this.socketDial) {
+            /*
+             * Like a real modem, any character received while dialing aborts the call.
+             */
+            this.hangup();
+            this.sendResult(Modem.RESULT.NO_CARRIER);
+            return true;
+        }
+        b &= 0x7f;
+        if (this.fEcho) this.serial.receiveData(b);
+        if (b == this.aRegs[Modem.REG.CR]) {
+            let sLine = this.sLine.replace(/\s+/g, "");
+            this.sLine = "";
+            if (sLine.substr(0, 2).toUpperCase() == "AT") {
+                this.sLinePrev = sLine;
+                this.doCommand(sLine.substr(2));
+            }
+        }
+        else if (b == this.aRegs[Modem.REG.BS]) {
+            this.sLine = this.sLine.slice(0, -1);
+        }
+        else if (b >= 0x20) {
+            this.sLine += String.fromCharCode(b);
+            if (this.sLine.toUpperCase() == "A/") {
+                this.sLine = "";
+                if (this.fEcho) this.serial.receiveData(this.aRegs[Modem.REG.CR]);
+                if (this.sLinePrev) this.doCommand(this.sLinePrev.substr(2));
+            }
+            if (this.sLine.length > Modem.MAX_LINE) this.sLine = "";
+        }
+        return true;
+    }
+
+    /**
+     * receiveStatus(pins)
+     *
+     * Called by the SerialPort whenever its DTR or RTS outputs change.
+     *
+     * @this {Modem}
+     * @param {number} pins
+     */
+    receiveStatus(pins)
+    {
+        let fDTR = !!(pins & RS232.DTR.MASK);
+        if (this.fDTR && !fDTR) {
+            if (this.nDTR == 2) {
+                this.hangup();
+            } else if (this.nDTR == 1 && this.fOnline) {
+                this.fOnline = false;
+                this.sendResult(Modem.RESULT.OK);
+            }
+        }
+        this.fDTR = fDTR;
+    }
+
+    /**
+     * updateStatus()
+     *
+     * @this {Modem}
+     */
+    updateStatus()
+    {
+        let pins = RS232.CTS.MASK | RS232.DSR.MASK;
+        if (this.socket || !this.nDCD) pins |= RS232.CD.MASK;
+        if (this.fRing) pins |= RS232.RI.MASK;
+        this.serial.receiveStatus(pins);
+    }
+
+    /**
+     * doCommand(sCmd)
+     *
+     * @this {Modem}
+     * @param {string} sCmd (everything following "AT", minus any whitespace)
+     */
+    doCommand(sCmd)
+    {
+        let nResult = Modem.RESULT.OK;
+        let s = sCmd.toUpperCase();
+        let i = 0;
+        let getNumber = function() {
+            let n = 0, iStart = i;
+            while (i < s.length && s[i] >= '0' && s[i] <= '9') n = n * 10 + (s.charCodeAt(i++) - 0x30);
+            return (i > iStart? n : -1);
+        };
+        while (i < s.length && nResult == Modem.RESULT.OK) {
+            let sOp = s[i++];
+            if (sOp == '&') sOp += (s[i++] || "");
+            if (sOp == 'D') {
+                this.dial(sCmd.substr(i));
+                return;
+            }
+            if (sOp == 'S') {
+                let iReg = getNumber();
+                if (iReg < 0 || iReg >= this.aRegs.length) {
+                    nResult = Modem.RESULT.ERROR;
+                } else if (s[i] == '=') {
+                    i++;
+                    let n = getNumber();
+                    if (n < 0 || n > 255) {
+                        nResult = Modem.RESULT.ERROR;
+                    } else {
+                        this.aRegs[iReg] = n;
+                    }
+                } else if (s[i] == '?') {
+                    i++;
+                    this.sendLine(Str.sprintf("%03d", this.aRegs[iReg]));
+                }
+                continue;
+            }
+            let n = getNumber();
+            switch(sOp) {
+            case 'A':
+                this.answer();
+                return;
+            case 'E':
+                this.fEcho = (n > 0);
+                break;
+            case 'H':
+                if (n <= 0) this.hangup();
+                break;
+            case 'I':
+                this.sendLine(n <= 0? "PCjs" : "PCjs Hayes-compatible modem v" + APPVERSION);
+                break;
+            case 'O':
+                if (!this.socket) {
+                    nResult = Modem.RESULT.NO_CARRIER;
+                    break;
+                }
+                this.fOnline = true;
+                nResult = Modem.RESULT.CONNECT;
+                break;
+            case 'Q':
+                this.fQuiet = (n > 0);
+                break;
+            case 'V':
+                this.fVerbose = (n > 0);
+                break;
+            case 'X':
+                this.nExtended = Math.max(n, 0);
+                break;
+            case 'Z':
+            case '&F':
+                this.reset();
+                break;
+            case '&C':
+                this.nDCD = Math.max(n, 0);
+                this.updateStatus();
+                break;
+            case '&D':
+                this.nDTR = Math.max(n, 0);
+                break;
+            case 'B':           // CCITT/Bell modulation
+            case 'L':           // speaker volume
+            case 'M':           // speaker mode
+            case 'N':           // automode
+            case 'P':           // pulse dialing default
+            case 'T':           // tone dialing default
+            case 'W':           // connect message format
+            case 'Y':           // long space disconnect
+            case '&K':          // flow control
+            case '&Q':          // communications mode
+            case '&S':          // DSR override
+            case '&W':          // store profile
+                break;
+            default:
+                nResult = Modem.RESULT.ERROR;
+                break;
+            }
+        }
+        this.sendResult(nResult);
+    }
+
+    /**
+     * dial(sNumber)
+     *
+     * @this {Modem}
+     * @param {string} sNumber (eg, "T127.0.0.1:2323")
+     */
+    dial(sNumber)
+    {
+        let modem = this;
+        this.hangup();
+        let match = sNumber.match(/^[TP]?([^:;,]+)(?::([0-9]+))?/i);
+        if (!match) {
+            this.sendResult(Modem.RESULT.ERROR);
+            return;
+        }
+        if (typeof module === "undefined") {
+            this.sendResult(Modem.RESULT.NO_DIALTONE);
+            return;
+        }
+        let sHost = match[1], nPort = +match[2] || 23;
+        let socket = this.socketDial = net.connect(nPort, sHost);
+        socket.setTimeout(this.aRegs[Modem.REG.WAIT_CARRIER] * 1000, function onDialTimeout() {
+            if (modem.socketDial === socket) {
+                modem.hangup();
+                modem.sendResult(Modem.RESULT.NO_ANSWER);
+            }
+        });
+        socket.on('connect', function onDialConnect() {
+            if (modem.socketDial === socket) {
+                modem.socketDial = null;
+                socket.setTimeout(0);
+                modem.connect(socket);
+            }
+        });
+        socket.on('error', function onDialError(err) {
+            if (modem.socketDial === socket) {
+                modem.socketDial = null;
+                modem.sendResult(err.code == "ECONNREFUSED"? Modem.RESULT.BUSY : Modem.RESULT.NO_CARRIER);
+            }
+        });
+    }
+
+    /**
+     * answer()
+     *
+     * @this {Modem}
+     */
+    answer()
+    {
+        let socket = this.socketRing;
+        if (!socket) {
+            this.sendResult(Modem.RESULT.NO_CARRIER);
+            return;
+        }
+        this.stopRinging();
+        this.connect(socket);
+    }
+
+    /**
+     * connect(socket)
+     *
+     * @this {Modem}
+     * @param {Object} socket
+     */
+    connect(socket)
+    {
+        let modem = this;
+        this.socket = socket;
+        this.fOnline = true;
+        this.nEscapes = 0;
+        this.fGuard = false;
+        socket.on('data', function onModemData(data) {
+            if (modem.socket === socket) modem.serial.receiveData(Array.from(data));
+        });
+        socket.on('close', function onModemClose() {
+            if (modem.socket === socket) {
+                modem.hangup();
+                modem.sendResult(Modem.RESULT.NO_CARRIER);
+            }
+        });
+        socket.on('error', function onModemError() {});
+        this.sendResult(Modem.RESULT.CONNECT);
+        this.updateStatus();
+        this.cpu.setTimer(this.timerGuard, this.getGuardTime(), true);
+    }
+
+    /**
+     * hangup()
+     *
+     * @this {Modem}
+     */
+    hangup()
+    {
+        if (this.socketDial) {
+            this.socketDial.destroy();
+            this.socketDial = null;
+        }
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+            this.updateStatus();
+        }
+        this.fOnline = false;
+        this.nEscapes = 0;
+    }
+
+    /**
+     * incoming(socket)
+     *
+     * Called for every incoming connection; if the line is already in use, the caller gets a busy signal
+     * (ie, the connection is closed immediately).
+     *
+     * @this {Modem}
+     * @param {Object} socket
+     */
+    incoming(socket)
+    {
+        let modem = this;
+        if (this.socket || this.socketDial || this.socketRing) {
+            socket.destroy();
+            return;
+        }
+        this.socketRing = socket;
+        this.nRings = 0;
+        socket.on('close', function onRingClose() {
+            if (modem.socketRing === socket) modem.stopRinging();
+        });
+        socket.on('error', function onRingError() {});
+        this.ring();
+    }
+
+    /**
+     * ring()
+     *
+     * @this {Modem}
+     */
+    ring()
+    {
+        if (!this.socketRing) return;
+        if (this.nRings++ >= Modem.MAX_RINGS) {
+            this.socketRing.destroy();
+            this.stopRinging();
+            return;
+        }
+        this.aRegs[Modem.REG.RINGS] = Math.min(this.aRegs[Modem.REG.RINGS] + 1, 255);
+        this.sendResult(Modem.RESULT.RING);
+        this.fRing = true;
+        this.updateStatus();
+        this.cpu.setTimer(this.timerRingOff, Modem.RING_ON, true);
+        if (this.aRegs[Modem.REG.AUTO_ANSWER] && this.aRegs[Modem.REG.RINGS] >= this.aRegs[Modem.REG.AUTO_ANSWER]) {
+            this.answer();
+            return;
+        }
+        this.cpu.setTimer(this.timerRing, Modem.RING_PERIOD, true);
+    }
+
+    /**
+     * stopRinging()
+     *
+     * @this {Modem}
+     */
+    stopRinging()
+    {
+        this.socketRing = null;
+        this.aRegs[Modem.REG.RINGS] = 0;
+        this.cpu.clearTimer(this.timerRing);
+        if (this.fRing) {
+            this.fRing = false;
+            this.updateStatus();
+        }
+    }
+
+    /**
+     * checkEscape()
+     *
+     * Called whenever a guard time has elapsed since the last character was received in online mode; if that
+     * character completed an escape sequence, then we return to command mode (the connection remains open, and
+     * "ATO" returns to online mode).
+     *
+     * @this {Modem}
+     */
+    checkEscape()
+    {
+        this.fGuard = true;
+        if (this.fOnline && this.nEscapes == 3) {
+            this.fOnline = false;
+            this.nEscapes = 0;
+            this.sendResult(Modem.RESULT.OK);
+        }
+    }
+
+    /**
+     * getGuardTime()
+     *
+     * @this {Modem}
+     * @return {number} (in milliseconds)
+     */
+    getGuardTime()
+    {
+        return this.aRegs[Modem.REG.GUARD_TIME] * 20;
+    }
+
+    /**
+     * sendLine(s)
+     *
+     * @this {Modem}
+     * @param {string} s
+     */
+    sendLine(s)
+    {
+        let sEOL = String.fromCharCode(this.aRegs[Modem.REG.CR], this.aRegs[Modem.REG.LF]);
+        this.serial.receiveData(sEOL + s + sEOL);
+    }
+
+    /**
+     * sendResult(nResult)
+     *
+     * @this {Modem}
+     * @param {number} nResult (one of the Modem.RESULT codes)
+     */
+    sendResult(nResult)
+    {
+        if (this.fQuiet) return;
+        if (!this.fVerbose) {
+            this.serial.receiveData(nResult + String.fromCharCode(this.aRegs[Modem.REG.CR]));
+            return;
+        }
+        let sResult = Modem.RESULT_TEXT[nResult];
+        if (nResult == Modem.RESULT.CONNECT && this.nExtended) {
+            sResult += ' ' + Math.round(115200 / (this.serial.wDL || 1));
+        }
+        this.sendLine(sResult);
+    }
+
+    /**
+     * powerDown()
+     *
+     * Hangs up and stops listening for calls.
+     *
+     * @this {Modem}
+     */
+    powerDown()
+    {
+        this.hangup();
+        if (this.socketRing) {
+            this.socketRing.destroy();
+            this.stopRinging();
+        }
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+}
+
+Modem.MAX_LINE      = 40;       // maximum command line length
+Modem.MAX_RINGS     = 10;       // maximum number of rings before an incoming call is dropped
+Modem.RING_ON       = 2000;     // duration of RI for each ring, in milliseconds
+Modem.RING_PERIOD   = 6000;     // time between rings, in milliseconds
+
+Modem.REG = {
+    AUTO_ANSWER:    0,          // number of rings before answering (0 to disable auto-answer)
+    RINGS:          1,          // number of rings so far
+    ESCAPE:         2,          // escape character
+    CR:             3,          // carriage return character
+    LF:             4,          // line feed character
+    BS:             5,          // backspace character
+    WAIT_DIALTONE:  6,          // seconds to wait for a dial tone
+    WAIT_CARRIER:   7,          // seconds to wait for a carrier
+    PAUSE:          8,          // seconds to pause for a comma
+    CARRIER_LOSS:   10,         // tenths of a second from carrier loss to hang up
+    GUARD_TIME:     12          // escape guard time, in 1/50 seconds
+};
+
+Modem.REGS_DEFAULT = [0, 0, 0x2B, 0x0D, 0x0A, 0x08, 2, 50, 2, 6, 14, 95, 50];
+
+Modem.RESULT = {
+    OK:             0,
+    CONNECT:        1,
+    RING:           2,
+    NO_CARRIER:     3,
+    ERROR:          4,
+    NO_DIALTONE:    6,
+    BUSY:           7,
+    NO_ANSWER:      8
+};
+
+Modem.RESULT_TEXT = ["OK", "CONNECT", "RING", "NO CARRIER", "ERROR", "", "NO DIALTONE", "BUSY", "NO ANSWER"];
+
+if (typeof module !== "undefined") module.exports = Modem;
@@ -36,6 +36,7 @@ if (typeof module !== "undefined") {
     var PCx86       = require("./defines");
     var Messages    = require("./messages");
     var ChipSet     = require("./chipset");
+    var Printer     = require("./printer");
 }
 
 /*
@@ -69,12 +70,21 @@ class ParallelPort extends Component {
      *
      *      binding: name of a control (based on its "binding" attribute) to bind to this port's I/O
      *
-     * In the future, we may support 'port' and 'irq' properties that allow the machine to define a
-     * non-standard parallel port configuration, instead of only our pre-defined 'adapter' configurations.
+     *      printer: one or more comma-separated output files (ending with ".pdf", ".png" or ".txt") for a
+     *      dot-matrix printer attached to this port (see Printer for details)
      *
-     * NOTE: Since the XSL file defines 'adapter' as a number, not a string, there's no need to use
-     * parseInt(), and as an added benefit, we don't need to worry about whether a hex or decimal format
-     * was used.
+     *      printerModel: "epson" (the default, an Epson FX) or "ibm" (an IBM Graphics Printer)
+     *
+     *      port: base port of a non-standard configuration; overrides the adapter's base port, if any
+     *
+     *      irq: IRQ of a non-standard configuration (eg, 5 for the LPT2 of many AT-class machines); overrides the
+     *      adapter's IRQ (if 'port' is set without an 'adapter' or an 'irq', the port doesn't generate interrupts)
+     *
+     * Ports that overlap another component's ports are rejected (see BusX86.checkPorts()), and an IRQ that another
+     * component also uses is reported (see ChipSet.addIRQ()).
+     *
+     * NOTE: Since the XSL file defines 'adapter', 'port' and 'irq' as numbers, not strings, there's no need to use
+     * parseInt(), and as an added benefit, we don't need to worry about whether a hex or decimal format was used.
      *
      * DOS typically names the Primary adapter "LPT1" and the Secondary adapter "LPT2", but I prefer
      * to stick to adapter numbers, since not all operating systems follow those naming conventions.
@@ -102,9 +112,15 @@ class ParallelPort extends Component {
             this.nIRQ = ChipSet.IRQ.LPT2;
             break;
         default:
-            Component.warning("Unrecognized parallel adapter #" + this.iAdapter);
-            return;
+            if (!parmsParallel['port']) {
+                Component.warning("Unrecognized parallel adapter #" + this.iAdapter);
+                return;
+            }
+            break;
         }
+        if (parmsParallel['port']) this.portBase = parmsParallel['port'];
+        if (parmsParallel['irq']) this.nIRQ = parmsParallel['irq'];
+
         /**
          * consoleBuffer becomes a string that records parallel port output if the 'binding' property is set to the
          * reserved name "console".  Nothing is written to the console, however, until a linefeed (0x0A) is output
@@ -121,6 +137,16 @@ class ParallelPort extends Component {
          */
         this.controlBuffer = null;
 
+        /**
+         * printer is a Printer object that receives all parallel port output if the 'printer' property is set
+         * (see outControl()).
+         *
+         * @type {Printer|null}
+         */
+        this.printer = null;
+        let sPrinter = parmsParallel['printer'];
+        if (sPrinter) this.printer = new Printer(this, sPrinter, parmsParallel['printerModel']);
+
         let sBinding = parmsParallel['binding'];
         if (sBinding == "console") {
             this.consoleBuffer = "";
@@ -154,6 +180,18 @@ class ParallelPort extends Component {
      */
     setBinding(sHTMLType, sBinding, control, sValue)
     {
+        let parallel = this;
+        if (sHTMLType == "button" && sBinding == "printout") {
+            /*
+             * A "printout" button ejects the current page and downloads everything the printer has printed.
+             */
+            if (!this.printer) return false;
+            this.bindings[sBinding] = control;
+            control.onclick = function onClickPrintout() {
+                parallel.printer.download();
+            };
+            return true;
+        }
         if (!sHTMLType || sHTMLType == "textarea") {
             this.bindings[sBinding] = this.controlBuffer = control;
             return true;
@@ -176,8 +214,14 @@ class ParallelPort extends Component {
         this.cpu = cpu;
         this.dbg = dbg;
         this.chipset = cmp.getMachineComponent("ChipSet");
-        bus.addPortInputTable(this, ParallelPort.aPortInput, this.portBase);
-        bus.addPortOutputTable(this, ParallelPort.aPortOutput, this.portBase);
+        this.video = cmp.getMachineComponent("Video");
+        if (this.portBase && bus.checkPorts(this, this.portBase, this.portBase + ParallelPort.CONTROL.REG)) {
+            bus.addPortInputTable(this, ParallelPort.aPortInput, this.portBase);
+            bus.addPortOutputTable(this, ParallelPort.aPortOutput, this.portBase);
+        }
+        if (this.nIRQ && !(this.chipset && this.chipset.addIRQ(this.nIRQ, this))) {
+            this.nIRQ = 0;
+        }
         this.setReady();
     }
 
@@ -211,6 +255,7 @@ class ParallelPort extends Component {
      */
     powerDown(fSave, fShutdown)
     {
+        if (fShutdown && this.printer) this.printer.flush();
         return fSave? this.save() : true;
     }
 
@@ -370,6 +415,24 @@ class ParallelPort extends Component {
     outControl(port, bOut, addrFrom)
     {
         this.printMessageIO(port, bOut, addrFrom, "CTRL");
+        /*
+         * INIT is active low, so when software clears it (as the ROM BIOS does for INT 0x17 function 0x01),
+         * the printer returns to its power-on modes.
+         */
+        if (this.printer && (this.bControl & ParallelPort.CONTROL.INIT) && !(bOut & ParallelPort.CONTROL.INIT)) {
+            this.printer.reset();
+        }
+        /*
+         * Unlike a bound control, which simply echoes every byte written to the DATA port (see transmitByte()), a
+         * printer doesn't accept a byte until software asserts STROBE (which, like the ROM BIOS, we expect software to
+         * do only after the printer is no longer busy); the ROM BIOS also writes DATA port test patterns during POST,
+         * which a real printer never sees.
+         */
+        if (this.printer && !(this.bControl & ParallelPort.CONTROL.NSTROBE) && (bOut & ParallelPort.CONTROL.NSTROBE)) {
+            this.printer.printByte(this.bData);
+            this.bStatus |= ParallelPort.STATUS.NERR;
+            this.bStatus &= ~(ParallelPort.STATUS.NACK | ParallelPort.STATUS.NBUSY);
+        }
         this.bControl = bOut | ParallelPort.CONTROL.ALWAYS_SET;
         this.updateIRR();
     }
@@ -0,0 +1,784 @@
+/**
+ * @fileoverview Implements a dot-matrix printer for the PCx86 ParallelPort component
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var fs          = require("fs");
+    var Str         = require("../../shared/lib/strlib");
+    var Img         = require("../../shared/lib/imglib");
+    var Web         = require("../../shared/lib/weblib");
+}
+
+/**
+ * class Printer
+ * @unrestricted
+ *
+ * Emulates a 9-pin dot-matrix printer attached to a ParallelPort, interpreting the escape sequences supported by the
+ * Epson FX series and the IBM Graphics Printer (which was an Epson MX-80 with IBM's character set): emphasized and
+ * double-strike printing, elite, condensed and double-width pitches, underline, italics, super/subscripts, line
+ * spacing, form length, margins, tabs, and 60, 72, 80, 90, 120 and 240 dpi bit-image graphics.
+ *
+ * Every page is rendered into a 240 dpi grayscale bitmap, using the 8x8 character set from the machine's font ROM
+ * (or, if the Video component doesn't have one, the 8x8 character set that every PC BIOS contains at F000:FA6E).  When
+ * a page is ejected (by a form-feed, by printing past the end of the form, or when the machine shuts down), the page
+ * is added to the PDF and/or PNG outputs, and in parallel, a plain text capture records every line of printable
+ * characters, with all control codes and escape sequences removed (except for a form-feed between pages).
+ *
+ * In Node, outputs are written to files as soon as they're updated: the PDF file is rewritten with all the pages
+ * printed so far, each PNG file contains one page (eg, "printout.png" produces "printout-1.png", "printout-2.png",
+ * etc), and lines are appended to the text file.  In a browser, the outputs are downloaded by download().
+ */
+class Printer {
+    /**
+     * Printer(parallel, sOutput, sModel)
+     *
+     * @this {Printer}
+     * @param {ParallelPort} parallel
+     * @param {string} sOutput (one or more comma-separated file names, ending with ".pdf", ".png" or ".txt")
+     * @param {string} [sModel] ("epson", the default, or "ibm")
+     */
+    constructor(parallel, sOutput, sModel)
+    {
+        this.parallel = parallel;
+        this.fIBM = (sModel == "ibm");
+        this.sFilePDF = this.sFilePNG = this.sFileText = "";
+        let asFiles = sOutput.split(',');
+        for (let i = 0; i < asFiles.length; i++) {
+            let sFile = asFiles[i].trim();
+            switch(Str.getExtension(sFile)) {
+            case "pdf":
+                this.sFilePDF = sFile;
+                break;
+            case "png":
+                this.sFilePNG = sFile;
+                break;
+            case "txt":
+                this.sFileText = sFile;
+                break;
+            default:
+                parallel.notice("Unrecognized printer output: " + sFile);
+                break;
+            }
+        }
+        this.aPDFPages = [];        // completed pages, in the form required by Img.getPDF()
+        this.aPNGPages = [];        // completed pages, as PNG files (in a browser only)
+        this.nPages = 0;
+        this.abPage = null;         // grayscale bitmap of the current page (allocated by getPage())
+        this.cyPage = 0;
+        this.fDirty = false;        // true if anything has been printed on the current page
+        this.sText = "";            // text capture (in a browser only; in Node, lines are appended to sFileText)
+        this.aLine = [];            // characters of the current line, indexed by column
+        this.iCol = 0;
+        this.y = 0;                 // vertical position on the current page, in 1/216 inch units
+        this.reset();
+        if (typeof module !== "undefined" && this.sFileText) {
+            try {
+                fs.writeFileSync(this.sFileText, "");
+            } catch(err) {
+                parallel.notice("Unable to create " + this.sFileText + ": " + err.message);
+                this.sFileText = "";
+            }
+        }
+    }
+
+    /**
+     * reset()
+     *
+     * Restores the power-on print modes (which is what ESC @ and the parallel port's INIT signal do); the paper
+     * position is unchanged.
+     *
+     * @this {Printer}
+     */
+    reset()
+    {
+        this.x = 0;                 // horizontal position, in 1/240 inch units, relative to the left edge of the printable area
+        this.xLeft = 0;
+        this.xRight = Printer.WIDTH;
+        this.nPitch = Printer.PITCH.PICA;
+        this.fCondensed = this.fEmphasized = this.fDoubleStrike = this.fUnderline = this.fItalic = false;
+        this.fDoubleWide = false;   // set by ESC W
+        this.fDoubleWideLine = false;   // set by SO (and cleared at the end of the line)
+        this.nScript = 0;           // 1 for superscript, 2 for subscript
+        this.nLineSpacing = this.nLineSpacingIBM = Printer.LINE_SPACING;
+        this.nFormLength = Printer.FORM_LENGTH;
+        this.aTabs = null;          // horizontal tab stops (in columns), if set by ESC D
+        this.aEsc = null;           // escape sequence in progress, if any
+        this.cbGraphics = 0;        // number of bit-image bytes remaining
+        this.dxGraphics = 0;        // width of each bit-image column, in 1/240 inch units
+        this.cbSkip = 0;            // number of bytes to ignore (eg, user-defined character data)
+    }
+
+    /**
+     * printByte(b)
+     *
+     * @this {Printer}
+     * @param {number} b
+     */
+    printByte(b)
+    {
+        if (this.cbSkip) {
+            this.cbSkip--;
+            return;
+        }
+        if (this.cbGraphics) {
+            this.printColumn(b);
+            this.cbGraphics--;
+            return;
+        }
+        if (this.aEsc) {
+            this.addEscape(b);
+            return;
+        }
+        let fItalic = this.fItalic;
+        if (b >= 0x80 && !this.fIBM) {
+            /*
+             * The Epson FX treats 0x80-0x9F as control codes and 0xA0-0xFF as italic versions of 0x20-0x7F.
+             */
+            b &= 0x7f;
+            fItalic = true;
+        }
+        if (b >= 0x20 && b != 0x7f) {
+            this.printChar(b, fItalic);
+            return;
+        }
+        switch(b) {
+        case Printer.CTRL.BS:
+            if (this.x > this.xLeft) this.x = Math.max(this.x - this.getCharWidth(), this.xLeft);
+            if (this.iCol) this.iCol--;
+            break;
+        case Printer.CTRL.HT:
+            this.tab();
+            break;
+        case Printer.CTRL.LF:
+        case Printer.CTRL.VT:
+            this.lineFeed(this.nLineSpacing);
+            break;
+        case Printer.CTRL.FF:
+            this.formFeed();
+            break;
+        case Printer.CTRL.CR:
+            this.x = this.xLeft;
+            this.iCol = 0;
+            break;
+        case Printer.CTRL.SO:
+            this.fDoubleWideLine = true;
+            break;
+        case Printer.CTRL.SI:
+            this.fCondensed = true;
+            break;
+        case Printer.CTRL.DC2:
+            this.fCondensed = false;
+            break;
+        case Printer.CTRL.DC4:
+            this.fDoubleWideLine = false;
+            break;
+        case Printer.CTRL.CAN:
+            this.aLine = [];
+            this.x = this.xLeft;
+            this.iCol = 0;
+            break;
+        case Printer.CTRL.ESC:
+            this.aEsc = [];
+            break;
+        default:
+            break;              // BEL, DC1, DC3, DEL, etc
+        }
+    }
+
+    /**
+     * addEscape(b)
+     *
+     * Adds another byte to the escape sequence in progress, and if the sequence is complete, performs it.
+     *
+     * @this {Printer}
+     * @param {number} b
+     */
+    addEscape(b)
+    {
+        let a = this.aEsc;
+        a.push(b);
+        let bCmd = a[0];
+        let nArgs = Printer.ESC_ARGS[bCmd] || 0;
+        if (bCmd == 0x42 || bCmd == 0x44) {             // ESC B and ESC D: tab stops, terminated by NUL
+            if (a.length == 1 || b && a.length < 34) return;
+        }
+        else if (bCmd == 0x62) {                        // ESC b: channel, followed by vertical tabs terminated by NUL
+            if (a.length <= 2 || b && a.length < 19) return;
+        }
+        else {
+            if (bCmd == 0x43 && a.length > 1 && !a[1]) nArgs = 2;  // ESC C 0 n: form length in inches
+            if (a.length <= nArgs) return;
+        }
+        this.aEsc = null;
+        this.doEscape(a);
+    }
+
+    /**
+     * doEscape(a)
+     *
+     * @this {Printer}
+     * @param {Array.<number>} a (the bytes following ESC)
+     */
+    doEscape(a)
+    {
+        let n = a[1];
+        switch(String.fromCharCode(a[0])) {
+        case '@':
+            this.reset();
+            break;
+        case 'E':
+        case 'F':
+            this.fEmphasized = (a[0] == 0x45);
+            break;
+        case 'G':
+        case 'H':
+            this.fDoubleStrike = (a[0] == 0x47);
+            break;
+        case '4':
+        case '5':
+            this.fItalic = (a[0] == 0x34);
+            break;
+        case '-':
+            this.fUnderline = !!(n & 1);
+            break;
+        case 'W':
+            this.fDoubleWide = !!(n & 1);
+            break;
+        case 'M':
+            this.nPitch = Printer.PITCH.ELITE;
+            break;
+        case 'P':
+            this.nPitch = Printer.PITCH.PICA;
+            break;
+        case '\x0F':
+            this.fCondensed = true;
+            break;
+        case '\x0E':
+            this.fDoubleWideLine = true;
+            break;
+        case '!':
+            this.nPitch = (n & 0x01)? Printer.PITCH.ELITE : Printer.PITCH.PICA;
+            this.fCondensed = !!(n & 0x04);
+            this.fEmphasized = !!(n & 0x08);
+            this.fDoubleStrike = !!(n & 0x10);
+            this.fDoubleWide = !!(n & 0x20);
+            this.fItalic = !!(n & 0x40);
+            this.fUnderline = !!(n & 0x80);
+            break;
+        case 'S':
+            this.nScript = (n & 1)? 2 : 1;
+            break;
+        case 'T':
+            this.nScript = 0;
+            break;
+        case '0':
+            this.nLineSpacing = 27;                     // 1/8 inch
+            break;
+        case '1':
+            this.nLineSpacing = 21;                     // 7/72 inch
+            break;
+        case '2':
+            /*
+             * The IBM Graphics Printer's ESC A only records a new line spacing, which ESC 2 then puts into effect.
+             */
+            this.nLineSpacing = this.fIBM? this.nLineSpacingIBM : Printer.LINE_SPACING;
+            break;
+        case '3':
+            this.nLineSpacing = n;
+            break;
+        case 'A':
+            if (this.fIBM) {
+                this.nLineSpacingIBM = n * 3;
+            } else {
+                this.nLineSpacing = n * 3;
+            }
+            break;
+        case 'J':
+            this.advance(n);
+            break;
+        case 'j':
+            this.y = Math.max(this.y - n, 0);
+            break;
+        case 'C':
+            if (n) {
+                this.nFormLength = n * this.nLineSpacing;
+            } else if (a[2]) {
+                this.nFormLength = a[2] * 216;
+            }
+            break;
+        case 'l':
+            this.xLeft = Math.min(n * this.nPitch, Printer.WIDTH);
+            if (this.x < this.xLeft) this.x = this.xLeft;
+            break;
+        case 'Q':
+            this.xRight = Math.min(n * this.nPitch, Printer.WIDTH);
+            break;
+        case 'D':
+            this.aTabs = a.slice(1, a.length - 1);
+            break;
+        case 'K':
+            this.startGraphics(0, a[1] + a[2] * 256);
+            break;
+        case 'L':
+            this.startGraphics(1, a[1] + a[2] * 256);
+            break;
+        case 'Y':
+            this.startGraphics(2, a[1] + a[2] * 256);
+            break;
+        case 'Z':
+            this.startGraphics(3, a[1] + a[2] * 256);
+            break;
+        case '*':
+            this.startGraphics(n, a[2] + a[3] * 256);
+            break;
+        case '^':
+            this.cbSkip = (a[2] + a[3] * 256) * 2;      // 9-pin graphics (not supported)
+            break;
+        case '&':
+            this.cbSkip = Math.max(a[3] - a[2] + 1, 0) * 12;   // user-defined characters (not supported)
+            break;
+        default:
+            break;
+        }
+    }
+
+    /**
+     * getCharWidth()
+     *
+     * @this {Printer}
+     * @return {number} (in 1/240 inch units)
+     */
+    getCharWidth()
+    {
+        let cx = this.fCondensed? Printer.PITCH.CONDENSED : this.nPitch;
+        if (this.fDoubleWide || this.fDoubleWideLine) cx *= 2;
+        return cx;
+    }
+
+    /**
+     * getGlyph(b)
+     *
+     * @this {Printer}
+     * @param {number} b
+     * @return {Array.<number>|null} (8 bytes of character data, top row first)
+     */
+    getGlyph(b)
+    {
+        let ab = [];
+        let video = this.parallel.video;
+        let aFontOffsets = video && video.abFontData && video.aFontOffsets;
+        if (aFontOffsets && aFontOffsets[0] !== undefined) {
+            for (let i = 0, off = aFontOffsets[0] + b * 8; i < 8; i++) ab.push(video.abFontData[off + i]);
+            return ab;
+        }
+        if (b < 0x80) {
+            for (let i = 0, addr = Printer.ROM_FONT + b * 8; i < 8; i++) ab.push(this.parallel.bus.getByteDirect(addr + i));
+            return ab;
+        }
+        return null;
+    }
+
+    /**
+     * getPage()
+     *
+     * @this {Printer}
+     * @return {Uint8Array}
+     */
+    getPage()
+    {
+        if (!this.abPage) {
+            this.cyPage = Math.round(this.nFormLength * Printer.DPI / 216);
+            this.abPage = new Uint8Array(Printer.PAGE_WIDTH * this.cyPage).fill(0xff);
+        }
+        return this.abPage;
+    }
+
+    /**
+     * drawDot(x, y, cx, cy)
+     *
+     * @this {Printer}
+     * @param {number} x (relative to the printable area, in 1/240 inch units)
+     * @param {number} y (relative to the page, in 1/240 inch units)
+     * @param {number} cx
+     * @param {number} cy
+     */
+    drawDot(x, y, cx, cy)
+    {
+        let abPage = this.getPage();
+        let xStart = Math.round(x) + Printer.MARGIN, xEnd = Math.min(xStart + Math.round(cx), Printer.PAGE_WIDTH);
+        let yStart = Math.round(y), yEnd = Math.min(yStart + Math.round(cy), this.cyPage);
+        for (let yDot = Math.max(yStart, 0); yDot < yEnd; yDot++) {
+            abPage.fill(0, yDot * Printer.PAGE_WIDTH + xStart, yDot * Printer.PAGE_WIDTH + xEnd);
+        }
+    }
+
+    /**
+     * printChar(b, fItalic)
+     *
+     * @this {Printer}
+     * @param {number} b
+     * @param {boolean} fItalic
+     */
+    printChar(b, fItalic)
+    {
+        let cx = this.getCharWidth();
+        if (this.x + cx > this.xRight) this.lineFeed(this.nLineSpacing);
+
+        let ch = (b < 0x80? String.fromCharCode(b) : Str.CP437ToUnicode[b]);
+        if (ch != ' ' || this.aLine[this.iCol] === undefined) this.aLine[this.iCol] = ch;
+        this.iCol++;
+
+        let glyph = this.getGlyph(b);
+        let dx = cx / 8;
+        let dy = Printer.PIN_SPACING, yTop = this.y * Printer.DPI / 216;
+        if (this.nScript) {
+            dy /= 2;
+            if (this.nScript == 2) yTop += dy * 8;
+        }
+        let cxDot = Math.max(dx, 3) + (this.fEmphasized? 1 : 0);
+        let cyDot = Math.max(dy, 2) + (this.fDoubleStrike? 1 : 0);
+        for (let row = 0; glyph && row < 8; row++) {
+            let bits = glyph[row];
+            let xSlant = fItalic? (7 - row) * dx / 4 : 0;
+            for (let col = 0; bits && col < 8; col++, bits = (bits << 1) & 0xff) {
+                if (bits & 0x80) this.drawDot(this.x + xSlant + col * dx, yTop + row * dy, cxDot, cyDot);
+            }
+        }
+        if (this.fUnderline) {
+            this.drawDot(this.x, this.y * Printer.DPI / 216 + Printer.PIN_SPACING * 8, cx, 2);
+        }
+        this.x += cx;
+        this.fDirty = true;
+    }
+
+    /**
+     * startGraphics(nMode, nColumns)
+     *
+     * @this {Printer}
+     * @param {number} nMode (an ESC * density; ESC K, L, Y and Z select modes 0-3)
+     * @param {number} nColumns
+     */
+    startGraphics(nMode, nColumns)
+    {
+        this.dxGraphics = Printer.DPI / (Printer.GRAPHICS_DPI[nMode] || Printer.GRAPHICS_DPI[0]);
+        this.cbGraphics = nColumns;
+    }
+
+    /**
+     * printColumn(b)
+     *
+     * Prints one column of bit-image graphics, where bit 7 corresponds to the top pin.
+     *
+     * @this {Printer}
+     * @param {number} b
+     */
+    printColumn(b)
+    {
+        if (this.x + this.dxGraphics <= this.xRight) {
+            let yTop = this.y * Printer.DPI / 216;
+            for (let pin = 0; b; pin++, b = (b << 1) & 0xff) {
+                if (b & 0x80) this.drawDot(this.x, yTop + pin * Printer.PIN_SPACING, Math.max(this.dxGraphics, 2), Printer.PIN_SPACING + 1);
+            }
+            this.fDirty = true;
+        }
+        this.x += this.dxGraphics;
+    }
+
+    /**
+     * tab()
+     *
+     * Advances to the next tab stop (by default, every 8 columns), printing spaces in the text capture.
+     *
+     * @this {Printer}
+     */
+    tab()
+    {
+        let iCol = this.iCol + 1;
+        if (this.aTabs) {
+            let i;
+            for (i = 0; i < this.aTabs.length && this.aTabs[i] < iCol; i++);
+            if (i == this.aTabs.length) return;
+            iCol = this.aTabs[i];
+        } else {
+            iCol = (iCol + 7) & ~7;
+        }
+        while (this.iCol < iCol) this.printChar(0x20, false);
+    }
+
+    /**
+     * advance(n)
+     *
+     * Advances the paper n/216 inch, ejecting the page if we've passed the end of the form.
+     *
+     * @this {Printer}
+     * @param {number} n
+     */
+    advance(n)
+    {
+        this.y += n;
+        if (this.y >= this.nFormLength) {
+            this.endPage();
+            this.y %= this.nFormLength;
+        }
+    }
+
+    /**
+     * lineFeed(n)
+     *
+     * Like the Epson FX, which prints an entire line at a time, a line feed also returns the carriage.
+     *
+     * @this {Printer}
+     * @param {number} n (line spacing, in 1/216 inch units)
+     */
+    lineFeed(n)
+    {
+        this.endLine("\n");
+        this.x = this.xLeft;
+        this.fDoubleWideLine = false;
+        this.fDirty = true;
+        this.advance(n);
+    }
+
+    /**
+     * formFeed()
+     *
+     * @this {Printer}
+     */
+    formFeed()
+    {
+        this.endLine(this.aLine.length? "\n\f" : "\f");
+        this.x = this.xLeft;
+        this.fDoubleWideLine = false;
+        this.fDirty = true;
+        this.endPage();
+        this.y = 0;
+    }
+
+    /**
+     * endLine(sEnd)
+     *
+     * @this {Printer}
+     * @param {string} sEnd
+     */
+    endLine(sEnd)
+    {
+        let s = "";
+        for (let i = 0; i < this.aLine.length; i++) s += this.aLine[i] || ' ';
+        s = s.replace(/\s+$/, "") + sEnd;
+        this.aLine = [];
+        this.iCol = 0;
+        if (!this.sFileText) return;
+        if (typeof module !== "undefined") {
+            fs.appendFileSync(this.sFileText, s);
+        } else {
+            this.sText += s;
+        }
+    }
+
+    /**
+     * endPage()
+     *
+     * Adds the current page to the PDF and/or PNG outputs, if anything was printed on it.
+     *
+     * @this {Printer}
+     */
+    endPage()
+    {
+        if (!this.fDirty) return;
+        let abPage = this.getPage();
+        let cx = Printer.PAGE_WIDTH, cy = this.cyPage;
+        this.nPages++;
+        if (this.sFilePDF) {
+            let cbRow = (cx + 7) >> 3;
+            let abBits = new Uint8Array(cbRow * cy);
+            for (let y = 0, off = 0; y < cy; y++) {
+                for (let x = 0; x < cx; x++, off++) {
+                    if (abPage[off] & 0x80) abBits[y * cbRow + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+            this.aPDFPages.push({width: cx, height: cy, cxPoints: cx * 72 / Printer.DPI, cyPoints: Math.round(cy * 72 / Printer.DPI), abData: Img.deflate(abBits)});
+            if (typeof module !== "undefined") this.writeFile(this.sFilePDF, Img.getPDF(this.aPDFPages));
+        }
+        if (this.sFilePNG) {
+            let abPNG = Img.getPNG(cx, cy, abPage, 1);
+            if (typeof module !== "undefined") {
+                this.writeFile(this.getPageFile(this.nPages), abPNG);
+            } else {
+                this.aPNGPages.push(abPNG);
+            }
+        }
+        this.parallel.printMessage("printed page " + this.nPages);
+        this.abPage = null;
+        this.fDirty = false;
+    }
+
+    /**
+     * getPageFile(nPage)
+     *
+     * @this {Printer}
+     * @param {number} nPage
+     * @return {string}
+     */
+    getPageFile(nPage)
+    {
+        let i = this.sFilePNG.lastIndexOf('.');
+        return this.sFilePNG.substr(0, i) + '-' + nPage + this.sFilePNG.substr(i);
+    }
+
+    /**
+     * writeFile(sFile, ab)
+     *
+     * @this {Printer}
+     * @param {string} sFile
+     * @param {Uint8Array} ab
+     */
+    writeFile(sFile, ab)
+    {
+        try {
+            fs.writeFileSync(sFile, ab);
+        } catch(err) {
+            this.parallel.notice("Unable to write " + sFile + ": " + err.message);
+        }
+    }
+
+    /**
+     * flush()
+     *
+     * Ejects the current page (if anything was printed on it) and completes the current line of the text capture;
+     * unlike a form-feed, no page break is added to the text capture.
+     *
+     * @this {Printer}
+     */
+    flush()
+    {
+        if (this.aLine.length) this.endLine("\n");
+        this.endPage();
+        this.y = 0;
+    }
+
+    /**
+     * download()
+     *
+     * Flushes the printer and then offers all the outputs as downloads (in a browser only).
+     *
+     * @this {Printer}
+     */
+    download()
+    {
+        this.flush();
+        if (this.sFilePDF && this.aPDFPages.length) {
+            Web.downloadFile(Img.getPDF(this.aPDFPages), "octet-stream", false, this.sFilePDF);
+        }
+        for (let i = 0; i < this.aPNGPages.length; i++) {
+            Web.downloadFile(this.aPNGPages[i], "octet-stream", false, this.getPageFile(i + 1));
+        }
+        if (this.sFileText && this.sText) {
+            Web.downloadFile(this.sText, "octet-stream", false, this.sFileText);
+        }
+    }
+}
+
+Printer.DPI             = 240;          // horizontal and vertical resolution of our page bitmaps
+Printer.MARGIN          = 60;           // left edge of the printable area (1/4 inch)
+Printer.WIDTH           = 8 * 240;      // width of the printable area (8 inches, or 80 pica columns)
+Printer.PAGE_WIDTH      = 2040;         // width of the paper (8.5 inches)
+Printer.FORM_LENGTH     = 11 * 216;     // default form length (11 inches), in 1/216 inch units
+Printer.LINE_SPACING    = 36;           // default line spacing (1/6 inch), in 1/216 inch units
+Printer.PIN_SPACING     = 240 / 72;     // vertical distance between pins (1/72 inch)
+Printer.ROM_FONT        = 0xFFA6E;      // address of the BIOS 8x8 character set for 0x00-0x7F
+
+/*
+ * Character widths, in 1/240 inch units (10, 12 and 17.16 characters per inch)
+ */
+Printer.PITCH = {
+    PICA:       24,
+    ELITE:      20,
+    CONDENSED:  14
+};
+
+/*
+ * Horizontal densities (in dots per inch) for ESC * modes 0-7
+ */
+Printer.GRAPHICS_DPI = [60, 120, 120, 240, 80, 72, 90, 144];
+
+Printer.CTRL = {
+    BS:     0x08,
+    HT:     0x09,
+    LF:     0x0A,
+    VT:     0x0B,
+    FF:     0x0C,
+    CR:     0x0D,
+    SO:     0x0E,           // double-width for one line
+    SI:     0x0F,           // condensed
+    DC2:    0x12,           // cancel condensed
+    DC4:    0x14,           // cancel double-width for one line
+    CAN:    0x18,           // cancel line
+    ESC:    0x1B
+};
+
+/*
+ * Number of argument bytes for every escape sequence that has any (ESC B, ESC D and ESC b have a variable number,
+ * and bit-image data isn't included); escape sequences we don't recognize are assumed to have none.
+ */
+Printer.ESC_ARGS = {
+    0x21: 1,        // ESC ! n: master select
+    0x25: 2,        // ESC % n m: select character set
+    0x26: 3,        // ESC & 0 n m: define characters n-m (followed by 12 bytes per character)
+    0x2A: 3,        // ESC * m n1 n2: bit-image graphics in mode m
+    0x2D: 1,        // ESC - n: underline
+    0x2F: 1,        // ESC / n: select vertical tab channel
+    0x33: 1,        // ESC 3 n: line spacing n/216 inch
+    0x3A: 3,        // ESC : 0 n 0: copy ROM characters to RAM
+    0x3F: 2,        // ESC ? n m: reassign bit-image mode
+    0x41: 1,        // ESC A n: line spacing n/72 inch
+    0x43: 1,        // ESC C n (or ESC C 0 n): form length
+    0x49: 1,        // ESC I n: select printable control codes
+    0x4A: 1,        // ESC J n: advance paper n/216 inch
+    0x4B: 2,        // ESC K n1 n2: 60 dpi bit-image graphics
+    0x4C: 2,        // ESC L n1 n2: 120 dpi bit-image graphics
+    0x4E: 1,        // ESC N n: skip over perforation
+    0x51: 1,        // ESC Q n: right margin
+    0x52: 1,        // ESC R n: international character set
+    0x53: 1,        // ESC S n: superscript (0) or subscript (1)
+    0x55: 1,        // ESC U n: unidirectional printing
+    0x57: 1,        // ESC W n: double-width
+    0x59: 2,        // ESC Y n1 n2: 120 dpi (high-speed) bit-image graphics
+    0x5A: 2,        // ESC Z n1 n2: 240 dpi bit-image graphics
+    0x5E: 3,        // ESC ^ m n1 n2: 9-pin bit-image graphics (followed by 2 bytes per column)
+    0x61: 1,        // ESC a n: justification
+    0x69: 1,        // ESC i n: immediate print
+    0x6A: 1,        // ESC j n: reverse feed n/216 inch
+    0x6B: 1,        // ESC k n: NLQ font
+    0x6C: 1,        // ESC l n: left margin
+    0x70: 1,        // ESC p n: proportional mode
+    0x73: 1,        // ESC s n: half-speed mode
+    0x78: 1         // ESC x n: NLQ mode
+};
+
+if (typeof module !== "undefined") module.exports = Printer;
@@ -0,0 +1,1396 @@
+/**
+ * @fileoverview Implements the PCx86 SoundBlaster component (including AdLib-compatible OPL2 FM synthesis)
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+    var ChipSet     = require("./chipset");
+}
+
+/**
+ * class OPL2
+ * @unrestricted
+ *
+ * Implements the sound generation logic of the Yamaha YM3812 (aka OPL2), the FM synthesizer used by both the
+ * AdLib Music Synthesizer Card and the SoundBlaster.  The chip's timers and status register are managed by the
+ * SoundBlaster component, since they depend on the passage of CPU cycles; this class is concerned only with the
+ * 9 channels (18 operators, aka "slots") and the samples they produce.
+ *
+ * This is not a bit-exact implementation; envelopes are calculated in floating-point decibels, using the
+ * attack/decay/release times from Yamaha's documentation, and the rhythm (percussion) instruments use the same
+ * phase/noise combinations that the chip uses, which is close enough to make them sound like they should.
+ */
+class OPL2 {
+    /**
+     * OPL2(nRate)
+     *
+     * @this {OPL2}
+     * @param {number} nRate (number of output samples per second)
+     */
+    constructor(nRate)
+    {
+        this.nRate = nRate;
+        this.abRegs = new Array(256);
+        this.aSlots = new Array(18);
+        this.aChannels = new Array(9);
+        for (let iSlot = 0; iSlot < this.aSlots.length; iSlot++) {
+            this.aSlots[iSlot] = {};
+        }
+        for (let iChannel = 0; iChannel < this.aChannels.length; iChannel++) {
+            let iMod = ((iChannel / 3)|0) * 6 + (iChannel % 3);
+            this.aChannels[iChannel] = {slotMod: this.aSlots[iMod], slotCar: this.aSlots[iMod + 3]};
+        }
+        if (!OPL2.aWaves) OPL2.initTables();
+        this.reset();
+    }
+
+    /**
+     * OPL2.initTables()
+     *
+     * Builds the waveform tables (one period of each of the four OPL2 waveforms) and the attenuation table
+     * (which converts attenuation in 1/8dB steps to linear amplitude).
+     */
+    static initTables()
+    {
+        OPL2.aWaves = [];
+        for (let iWave = 0; iWave < 4; iWave++) {
+            let aWave = new Float32Array(OPL2.WAVE_LEN);
+            for (let i = 0; i < OPL2.WAVE_LEN; i++) {
+                let v = Math.sin(2 * Math.PI * i / OPL2.WAVE_LEN);
+                switch(iWave) {
+                case 1:                 // half-sine
+                    if (v < 0) v = 0;
+                    break;
+                case 2:                 // absolute sine
+                    v = Math.abs(v);
+                    break;
+                case 3:                 // quarter-sine pulses
+                    v = (i & (OPL2.WAVE_LEN >> 2))? 0 : Math.abs(v);
+                    break;
+                }
+                aWave[i] = v;
+            }
+            OPL2.aWaves.push(aWave);
+        }
+        OPL2.aAttenuation = new Float32Array(OPL2.ATT_MAX * 8);
+        for (let i = 0; i < OPL2.aAttenuation.length; i++) {
+            OPL2.aAttenuation[i] = Math.pow(10, -i / 8 / 20);
+        }
+    }
+
+    /**
+     * reset()
+     *
+     * @this {OPL2}
+     */
+    reset()
+    {
+        for (let iReg = 0; iReg < this.abRegs.length; iReg++) {
+            this.abRegs[iReg] = 0;
+        }
+        for (let iSlot = 0; iSlot < this.aSlots.length; iSlot++) {
+            let slot = this.aSlots[iSlot];
+            slot.am = slot.vib = slot.egt = slot.ksr = false;
+            slot.mult = OPL2.MULTIPLE[0];
+            slot.ksl = slot.tl = slot.ar = slot.dr = slot.sl = slot.rr = slot.wave = 0;
+            slot.key = 0;
+            slot.phase = slot.inc = 0;
+            slot.env = OPL2.ATT_MAX;
+            slot.state = OPL2.ENV.OFF;
+            slot.attKSL = slot.attSL = 0;
+            slot.kAttack = slot.dDecay = slot.dRelease = 0;
+        }
+        for (let iChannel = 0; iChannel < this.aChannels.length; iChannel++) {
+            let channel = this.aChannels[iChannel];
+            channel.fnum = channel.block = channel.fb = channel.cnt = 0;
+            channel.aOut = [0, 0];
+            this.updateChannel(channel);
+        }
+        this.fWaveSelect = false;
+        this.bRhythm = 0;
+        this.attAM = 0;
+        this.dAMPhase = this.dVibPhase = 0;
+        this.dVibFactor = 1;
+        this.nNoise = 1;
+    }
+
+    /**
+     * getReg(iReg)
+     *
+     * @this {OPL2}
+     * @param {number} iReg
+     * @return {number}
+     */
+    getReg(iReg)
+    {
+        return this.abRegs[iReg];
+    }
+
+    /**
+     * setReg(iReg, b)
+     *
+     * @this {OPL2}
+     * @param {number} iReg
+     * @param {number} b
+     */
+    setReg(iReg, b)
+    {
+        this.abRegs[iReg] = b;
+
+        if (iReg == OPL2.REG.TEST) {
+            this.fWaveSelect = !!(b & OPL2.REG.TEST_WAVESEL);
+            return;
+        }
+        if (iReg == OPL2.REG.RHYTHM) {
+            this.bRhythm = b;
+            this.updateRhythm();
+            return;
+        }
+        if (iReg >= 0x20 && iReg < 0xA0 || iReg >= 0xE0) {
+            let off = iReg & 0x1F;
+            if ((off & 0x7) >= 6 || off >= 0x16) return;
+            let slot = this.aSlots[(off >> 3) * 6 + (off & 0x7)];
+            switch(iReg & 0xE0) {
+            case OPL2.REG.SLOT_FLAGS:
+                slot.am = !!(b & 0x80);
+                slot.vib = !!(b & 0x40);
+                slot.egt = !!(b & 0x20);
+                slot.ksr = !!(b & 0x10);
+                slot.mult = OPL2.MULTIPLE[b & 0x0F];
+                break;
+            case OPL2.REG.SLOT_LEVEL:
+                slot.ksl = b >> 6;
+                slot.tl = b & 0x3F;
+                break;
+            case OPL2.REG.SLOT_ATTACK:
+                slot.ar = b >> 4;
+                slot.dr = b & 0x0F;
+                break;
+            case OPL2.REG.SLOT_SUSTAIN:
+                slot.sl = b >> 4;
+                slot.rr = b & 0x0F;
+                break;
+            default:
+                slot.wave = b & 0x3;
+                return;
+            }
+            for (let iChannel = 0; iChannel < this.aChannels.length; iChannel++) {
+                let channel = this.aChannels[iChannel];
+                if (channel.slotMod == slot || channel.slotCar == slot) {
+                    this.updateChannel(channel);
+                    break;
+                }
+            }
+            return;
+        }
+        let iChannel = iReg & 0x0F;
+        if (iChannel >= this.aChannels.length) return;
+        let channel = this.aChannels[iChannel];
+        switch(iReg & 0xF0) {
+        case OPL2.REG.FNUM_LO:
+            channel.fnum = (channel.fnum & 0x300) | b;
+            break;
+        case OPL2.REG.KEY_BLOCK:
+            channel.fnum = (channel.fnum & 0xFF) | ((b & 0x03) << 8);
+            channel.block = (b >> 2) & 0x7;
+            this.setKey(channel.slotMod, OPL2.KEY.CHANNEL, b & 0x20);
+            this.setKey(channel.slotCar, OPL2.KEY.CHANNEL, b & 0x20);
+            break;
+        case OPL2.REG.FB_CNT:
+            channel.fb = (b >> 1) & 0x7;
+            channel.cnt = b & 0x1;
+            break;
+        default:
+            return;
+        }
+        this.updateChannel(channel);
+    }
+
+    /**
+     * setKey(slot, bit, fOn)
+     *
+     * A slot can be "keyed" by its channel's KEY-ON bit or by a rhythm bit, so we track the sources separately,
+     * and start an attack only when the first source turns on, and a release only when the last one turns off.
+     *
+     * @this {OPL2}
+     * @param {Object} slot
+     * @param {number} bit (OPL2.KEY.CHANNEL or OPL2.KEY.RHYTHM)
+     * @param {number|boolean} fOn
+     */
+    setKey(slot, bit, fOn)
+    {
+        let key = fOn? (slot.key | bit) : (slot.key & ~bit);
+        if (key && !slot.key) {
+            slot.phase = 0;
+            slot.state = OPL2.ENV.ATTACK;
+        }
+        else if (!key && slot.key) {
+            if (slot.state != OPL2.ENV.OFF) slot.state = OPL2.ENV.RELEASE;
+        }
+        slot.key = key;
+    }
+
+    /**
+     * updateRhythm()
+     *
+     * @this {OPL2}
+     */
+    updateRhythm()
+    {
+        let b = this.bRhythm;
+        let fRhythm = !!(b & OPL2.RHYTHM.ENABLE);
+        this.setKey(this.aSlots[12], OPL2.KEY.RHYTHM, fRhythm && (b & OPL2.RHYTHM.BD));
+        this.setKey(this.aSlots[15], OPL2.KEY.RHYTHM, fRhythm && (b & OPL2.RHYTHM.BD));
+        this.setKey(this.aSlots[16], OPL2.KEY.RHYTHM, fRhythm && (b & OPL2.RHYTHM.SD));
+        this.setKey(this.aSlots[14], OPL2.KEY.RHYTHM, fRhythm && (b & OPL2.RHYTHM.TOM));
+        this.setKey(this.aSlots[17], OPL2.KEY.RHYTHM, fRhythm && (b & OPL2.RHYTHM.TC));
+        this.setKey(this.aSlots[13], OPL2.KEY.RHYTHM, fRhythm && (b & OPL2.RHYTHM.HH));
+    }
+
+    /**
+     * updateChannel(channel)
+     *
+     * Recalculates everything about the channel's two slots that depends on the channel's frequency: the phase
+     * increment, the key scale level (KSL) attenuation, and the key scale rate (KSR) adjusted envelope rates.
+     *
+     * @this {OPL2}
+     * @param {Object} channel
+     */
+    updateChannel(channel)
+    {
+        let slots = [channel.slotMod, channel.slotCar];
+        for (let i = 0; i < slots.length; i++) {
+            let slot = slots[i];
+            slot.inc = channel.fnum * Math.pow(2, channel.block) * OPL2.FREQ_BASE * slot.mult / this.nRate;
+            let att = OPL2.KSL_LEVELS[channel.fnum >> 6] - 6 * (7 - channel.block);
+            slot.attKSL = (att > 0 && slot.ksl)? att / OPL2.KSL_DIVISOR[slot.ksl] : 0;
+            slot.attSL = (slot.sl == 15? 93 : slot.sl * 3);
+            let rof = ((channel.block << 1) | ((channel.fnum >> 9) & 0x1)) >> (slot.ksr? 0 : 2);
+            slot.kAttack = 0;
+            if (slot.ar) {
+                if (slot.ar * 4 + rof >= 60) {
+                    slot.kAttack = -1;  // instantaneous
+                } else {
+                    slot.kAttack = OPL2.ATTACK_RANGE / (this.getRateTime(OPL2.MS_ATTACK, slot.ar, rof) * this.nRate);
+                }
+            }
+            slot.dDecay = slot.dr? OPL2.ATT_MAX / (this.getRateTime(OPL2.MS_DECAY, slot.dr, rof) * this.nRate) : 0;
+            slot.dRelease = slot.rr? OPL2.ATT_MAX / (this.getRateTime(OPL2.MS_DECAY, slot.rr, rof) * this.nRate) : 0;
+        }
+    }
+
+    /**
+     * getRateTime(msBase, rate, rof)
+     *
+     * Every increment of an envelope rate halves the time required, as does every 4 increments of the rate offset.
+     *
+     * @this {OPL2}
+     * @param {number} msBase (the time, in milliseconds, required at a rate of 1)
+     * @param {number} rate (1-15)
+     * @param {number} rof (0-15)
+     * @return {number} (time in seconds)
+     */
+    getRateTime(msBase, rate, rof)
+    {
+        return msBase / Math.pow(2, rate - 1 + rof / 4) / 1000;
+    }
+
+    /**
+     * updateEnvelope(slot)
+     *
+     * @this {OPL2}
+     * @param {Object} slot
+     */
+    updateEnvelope(slot)
+    {
+        switch(slot.state) {
+        case OPL2.ENV.ATTACK:
+            if (slot.kAttack < 0) {
+                slot.env = 0;
+            } else {
+                slot.env -= slot.env * slot.kAttack;
+            }
+            if (slot.env < OPL2.ATT_MIN) {
+                slot.env = 0;
+                slot.state = OPL2.ENV.DECAY;
+            }
+            break;
+        case OPL2.ENV.DECAY:
+            slot.env += slot.dDecay;
+            if (slot.env >= slot.attSL) {
+                slot.env = slot.attSL;
+                slot.state = OPL2.ENV.SUSTAIN;
+            }
+            break;
+        case OPL2.ENV.SUSTAIN:
+            if (slot.egt) break;
+            /* falls through */
+        case OPL2.ENV.RELEASE:
+            slot.env += slot.dRelease;
+            if (slot.env >= OPL2.ATT_MAX) {
+                slot.env = OPL2.ATT_MAX;
+                slot.state = OPL2.ENV.OFF;
+            }
+            break;
+        }
+    }
+
+    /**
+     * getOutput(slot, index)
+     *
+     * @this {OPL2}
+     * @param {Object} slot
+     * @param {number} index (into the slot's waveform table; wraps as needed)
+     * @return {number}
+     */
+    getOutput(slot, index)
+    {
+        let att = slot.env + slot.tl * 0.75 + slot.attKSL + (slot.am? this.attAM : 0);
+        if (att >= OPL2.ATT_MAX) return 0;
+        return OPL2.aWaves[this.fWaveSelect? slot.wave : 0][index & (OPL2.WAVE_LEN - 1)] * OPL2.aAttenuation[(att * 8)|0];
+    }
+
+    /**
+     * getSlotOutput(slot, phaseMod)
+     *
+     * @this {OPL2}
+     * @param {Object} slot
+     * @param {number} phaseMod (phase modulation, in periods)
+     * @return {number}
+     */
+    getSlotOutput(slot, phaseMod)
+    {
+        return this.getOutput(slot, ((slot.phase + phaseMod) * OPL2.WAVE_LEN)|0);
+    }
+
+    /**
+     * getChannelOutput(channel)
+     *
+     * @this {OPL2}
+     * @param {Object} channel
+     * @return {number}
+     */
+    getChannelOutput(channel)
+    {
+        let slotMod = channel.slotMod, slotCar = channel.slotCar;
+        if (slotCar.state == OPL2.ENV.OFF && (!channel.cnt || slotMod.state == OPL2.ENV.OFF)) return 0;
+        let fb = channel.fb? (channel.aOut[0] + channel.aOut[1]) * Math.pow(2, channel.fb - 7) : 0;
+        let outMod = this.getSlotOutput(slotMod, fb);
+        channel.aOut[0] = channel.aOut[1];
+        channel.aOut[1] = outMod;
+        if (channel.cnt) {
+            return outMod + this.getSlotOutput(slotCar, 0);
+        }
+        return this.getSlotOutput(slotCar, outMod * OPL2.MOD_DEPTH);
+    }
+
+    /**
+     * getRhythmOutput()
+     *
+     * The phase of the hi-hat, snare drum, and top cymbal are derived from bits of the phases of slots 13 and 17,
+     * and the output of the noise generator, just as the real chip does it.
+     *
+     * @this {OPL2}
+     * @return {number}
+     */
+    getRhythmOutput()
+    {
+        let out = this.getChannelOutput(this.aChannels[6]) * 2;
+        let slotHH = this.aSlots[13], slotTOM = this.aSlots[14];
+        let slotSD = this.aSlots[16], slotTC = this.aSlots[17];
+        let p7 = (slotHH.phase * OPL2.WAVE_LEN)|0;
+        let p8 = (slotTC.phase * OPL2.WAVE_LEN)|0;
+        let noise = this.nNoise & 0x1;
+        let res1 = (((p7 >> 2) ^ (p7 >> 7)) | (p7 >> 3)) & 0x1;
+        let res2 = ((p8 >> 3) ^ (p8 >> 5)) & 0x1;
+        let phase;
+        if (slotHH.state != OPL2.ENV.OFF) {
+            phase = (res1 || res2)? (0x200 | (0xD0 >> 2)) : 0xD0;
+            if (phase & 0x200) {
+                if (noise) phase = 0x200 | 0xD0;
+            } else {
+                if (noise) phase = 0xD0 >> 2;
+            }
+            out += this.getOutput(slotHH, phase) * 2;
+        }
+        if (slotSD.state != OPL2.ENV.OFF) {
+            phase = ((p7 >> 8) & 0x1)? 0x200 : 0x100;
+            if (noise) phase ^= 0x100;
+            out += this.getOutput(slotSD, phase) * 2;
+        }
+        if (slotTOM.state != OPL2.ENV.OFF) {
+            out += this.getSlotOutput(slotTOM, 0) * 2;
+        }
+        if (slotTC.state != OPL2.ENV.OFF) {
+            out += this.getOutput(slotTC, (res1 || res2)? 0x300 : 0x100) * 2;
+        }
+        return out;
+    }
+
+    /**
+     * render(aSamples, nSamples)
+     *
+     * @this {OPL2}
+     * @param {Float32Array} aSamples (samples are added to whatever is already there)
+     * @param {number} nSamples
+     */
+    render(aSamples, nSamples)
+    {
+        let fRhythm = !!(this.bRhythm & OPL2.RHYTHM.ENABLE);
+        let nChannels = fRhythm? 6 : 9;
+        let dAMDepth = (this.bRhythm & OPL2.RHYTHM.AM_DEPTH)? 4.8 : 1.0;
+        let dVibDepth = (this.bRhythm & OPL2.RHYTHM.VIB_DEPTH)? OPL2.VIB_DEEP : OPL2.VIB_SHALLOW;
+        for (let i = 0; i < nSamples; i++) {
+            this.attAM = dAMDepth * (1 - Math.cos(2 * Math.PI * this.dAMPhase)) / 2;
+            this.dVibFactor = 1 + dVibDepth * Math.sin(2 * Math.PI * this.dVibPhase);
+            let out = 0;
+            for (let iChannel = 0; iChannel < nChannels; iChannel++) {
+                out += this.getChannelOutput(this.aChannels[iChannel]);
+            }
+            if (fRhythm) out += this.getRhythmOutput();
+            aSamples[i] += out * OPL2.GAIN;
+            for (let iSlot = 0; iSlot < this.aSlots.length; iSlot++) {
+                let slot = this.aSlots[iSlot];
+                if (slot.state == OPL2.ENV.OFF) continue;
+                this.updateEnvelope(slot);
+                slot.phase += slot.vib? slot.inc * this.dVibFactor : slot.inc;
+                if (slot.phase >= 1) slot.phase -= Math.floor(slot.phase);
+            }
+            if (this.nNoise & 0x1) this.nNoise ^= 0x800302;
+            this.nNoise >>= 1;
+            this.dAMPhase += OPL2.HZ_AM / this.nRate;
+            if (this.dAMPhase >= 1) this.dAMPhase -= 1;
+            this.dVibPhase += OPL2.HZ_VIB / this.nRate;
+            if (this.dVibPhase >= 1) this.dVibPhase -= 1;
+        }
+    }
+}
+
+OPL2.REG = {
+    TEST:           0x01,
+    TEST_WAVESEL:   0x20,       // enables the waveform select registers (0xE0-0xF5)
+    TIMER1:         0x02,       // 80us timer count
+    TIMER2:         0x03,       // 320us timer count
+    TIMER_CTRL:     0x04,       // see OPL2.TIMER_CTRL
+    CSM:            0x08,
+    SLOT_FLAGS:     0x20,       // AM, VIB, EG-TYP, KSR, and MULT
+    SLOT_LEVEL:     0x40,       // KSL and TL
+    SLOT_ATTACK:    0x60,       // AR and DR
+    SLOT_SUSTAIN:   0x80,       // SL and RR
+    FNUM_LO:        0xA0,
+    KEY_BLOCK:      0xB0,       // KEY-ON, BLOCK, and F-NUMBER (high 2 bits)
+    RHYTHM:         0xBD,       // see OPL2.RHYTHM
+    FB_CNT:         0xC0,       // FEEDBACK and CONNECTION
+    SLOT_WAVE:      0xE0
+};
+
+OPL2.TIMER_CTRL = {
+    START1:         0x01,
+    START2:         0x02,
+    MASK2:          0x20,
+    MASK1:          0x40,
+    RESET:          0x80        // resets the status flags (all other bits are ignored)
+};
+
+OPL2.STATUS = {
+    ALWAYS_SET:     0x06,       // the OPL3 returns zeros here, which is how software tells the chips apart
+    TIMER2:         0x20,
+    TIMER1:         0x40,
+    IRQ:            0x80
+};
+
+OPL2.RHYTHM = {
+    HH:             0x01,
+    TC:             0x02,
+    TOM:            0x04,
+    SD:             0x08,
+    BD:             0x10,
+    ENABLE:         0x20,
+    VIB_DEPTH:      0x40,
+    AM_DEPTH:       0x80
+};
+
+OPL2.KEY = {
+    CHANNEL:        0x1,
+    RHYTHM:         0x2
+};
+
+OPL2.ENV = {
+    OFF:            0,
+    ATTACK:         1,
+    DECAY:          2,
+    SUSTAIN:        3,
+    RELEASE:        4
+};
+
+OPL2.MULTIPLE       = [0.5, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 10, 12, 12, 15, 15];
+
+/*
+ * KSL_LEVELS are the attenuations (in dB) for BLOCK 7, indexed by the upper 4 bits of F-NUMBER; every lower
+ * BLOCK is 6dB less.  A KSL setting of 3 uses the full value (6dB/octave), 1 uses half, and 2 uses a quarter.
+ */
+OPL2.KSL_LEVELS     = [0, 9, 12, 13.875, 15, 16.125, 16.875, 17.625, 18, 18.75, 19.125, 19.5, 19.875, 20.25, 20.625, 21];
+OPL2.KSL_DIVISOR    = [0, 2, 4, 1];
+
+OPL2.FREQ_BASE      = 49716 / 1048576;      // the chip's sample rate (3.579545Mhz / 72) divided by 2^20
+OPL2.WAVE_LEN       = 1024;
+OPL2.ATT_MAX        = 96;                   // attenuation (in dB) at which a slot is silent
+OPL2.ATT_MIN        = 0.1;                  // attenuation (in dB) at which an attack is considered complete
+OPL2.ATTACK_RANGE   = Math.log(OPL2.ATT_MAX / OPL2.ATT_MIN);
+OPL2.MS_ATTACK      = 2826.24;              // attack time (0-100%) at rate 1
+OPL2.MS_DECAY       = 39280.64;             // decay/release time (0-96dB) at rate 1
+OPL2.MOD_DEPTH      = 4;                    // full-scale modulator output shifts the carrier by 4 periods
+OPL2.HZ_AM          = 3.7;
+OPL2.HZ_VIB         = 6.07;
+OPL2.VIB_SHALLOW    = Math.pow(2, 7 / 1200) - 1;
+OPL2.VIB_DEEP       = Math.pow(2, 14 / 1200) - 1;
+OPL2.GAIN           = 0.25;
+
+OPL2.aWaves = null;
+OPL2.aAttenuation = null;
+
+/**
+ * class SoundBlaster
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class SoundBlaster extends Component {
+    /**
+     * SoundBlaster(parmsSB)
+     *
+     * The SoundBlaster component has the following component-specific (parmsSB) properties:
+     *
+     *      model: "adlib" (OPL2 only), "sb1" (DSP version 1.05), or "sb2" (DSP version 2.01; default)
+     *
+     *      port: DSP base port (default is 0x220; ignored for "adlib")
+     *
+     *      irq: DSP IRQ (default is 7)
+     *
+     *      dma: DSP DMA channel (default is 1)
+     *
+     *      capture: name of a WAV file to capture our output to (captures can also be started and stopped
+     *      with the Debugger's "sound" command)
+     *
+     * The OPL2 is always available at ports 0x388-0x389; SoundBlaster models also mirror it at ports 0x8-0x9
+     * relative to the DSP base port.
+     *
+     * @this {SoundBlaster}
+     * @param {Object} parmsSB
+     */
+    constructor(parmsSB)
+    {
+        super("SoundBlaster", parmsSB, Messages.AUDIO);
+
+        let sModel = parmsSB['model'] || "sb2";
+        this.nDSPVersion = SoundBlaster.MODELS[sModel];
+        if (this.nDSPVersion === undefined) {
+            Component.warning("Unrecognized SoundBlaster model: " + sModel);
+            this.nDSPVersion = SoundBlaster.MODELS["sb2"];
+        }
+        this.portBase = parmsSB['port'] || SoundBlaster.PORT_DSP;
+        this.nIRQ = parmsSB['irq'] || ChipSet.IRQ.LPT1;
+        this.nDMA = (parmsSB['dma'] != null? parmsSB['dma'] : SoundBlaster.DMA_DSP);
+        this.sCapture = parmsSB['capture'] || "";
+
+        this.opl = null;
+        this.chipset = null;
+        this.source = null;
+        this.iTimerDSP = -1;
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {SoundBlaster}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        this.chipset = cmp.getMachineComponent("ChipSet");
+        if (!this.chipset) {
+            Component.warning("SoundBlaster requires a ChipSet");
+            return;
+        }
+        this.opl = new OPL2(this.chipset.nAudioRate);
+
+        bus.addPortInputTable(this, SoundBlaster.aPortInputOPL, SoundBlaster.PORT_OPL);
+        bus.addPortOutputTable(this, SoundBlaster.aPortOutputOPL, SoundBlaster.PORT_OPL);
+        if (this.nDSPVersion) {
+            bus.addPortInputTable(this, SoundBlaster.aPortInputDSP, this.portBase);
+            bus.addPortOutputTable(this, SoundBlaster.aPortOutputDSP, this.portBase);
+            this.chipset.addIRQ(this.nIRQ, this);
+        }
+
+        let sb = this;
+        this.source = this.chipset.addAudioSource(this, this.renderAudio);
+        this.iTimerDSP = cpu.addTimer(this.id + ".dsp", function onDSPTimer() {
+            sb.chipset.updateAudio();
+            sb.scheduleDSP();
+        });
+
+        if (this.sCapture) this.startCapture(this.sCapture);
+
+        this.setReady();
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {SoundBlaster}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {SoundBlaster}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        if (fShutdown) {
+            let sResult = this.stopCapture();
+            if (sResult) this.println(sResult);
+        }
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * startCapture(sFileName)
+     *
+     * @this {SoundBlaster}
+     * @param {string} sFileName
+     * @return {boolean} true if successful, false if not
+     */
+    startCapture(sFileName)
+    {
+        if (!this.source) return false;
+        return this.chipset.startAudioCapture(this.source, sFileName);
+    }
+
+    /**
+     * stopCapture()
+     *
+     * @this {SoundBlaster}
+     * @return {string} (description of the result, or an empty string if there was no capture in progress)
+     */
+    stopCapture()
+    {
+        return this.source? this.chipset.stopAudioCapture(this.source) : "";
+    }
+
+    /**
+     * reset()
+     *
+     * @this {SoundBlaster}
+     */
+    reset()
+    {
+        this.initState();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the SoundBlaster component.
+     *
+     * @this {SoundBlaster}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        state.set(0, this.saveDSP());
+        state.set(1, this.opl.abRegs.slice());
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the SoundBlaster component.
+     *
+     * @this {SoundBlaster}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0], data[1]);
+    }
+
+    /**
+     * initState(data, abRegs)
+     *
+     * @this {SoundBlaster}
+     * @param {Array} [data]
+     * @param {Array} [abRegs]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(data, abRegs)
+    {
+        this.bOPLIndex = 0;
+        this.bOPLStatus = 0;
+        this.aOPLTimers = [{fRunning: false, nCyclesStart: 0}, {fRunning: false, nCyclesStart: 0}];
+        this.opl.reset();
+        if (abRegs) {
+            for (let iReg = 0; iReg < abRegs.length; iReg++) {
+                if (iReg == OPL2.REG.TIMER_CTRL) continue;
+                this.opl.setReg(iReg, abRegs[iReg]);
+            }
+        }
+        this.resetDSP();
+        if (data) {
+            let i = 0;
+            this.bOPLIndex = data[i++];
+            this.fSpeaker = data[i++];
+            this.nDSPRate = data[i++];
+            this.nBlockSize = data[i++];
+            this.bDAC = data[i++];
+            this.bTest = data[i++];
+            this.aDSPOut = data[i++];
+            this.bCmd = data[i++];
+            this.aParams = data[i++];
+            this.nParams = data[i++];
+            this.fDMA = data[i++];
+            this.fAutoInit = data[i++];
+            this.fExitAuto = data[i++];
+            this.fInput = data[i++];
+            this.fSilence = data[i++];
+            this.fPaused = data[i++];
+            this.nDMARemain = data[i];
+            this.scheduleDSP();
+        }
+        return true;
+    }
+
+    /**
+     * saveDSP()
+     *
+     * @this {SoundBlaster}
+     * @return {Array}
+     */
+    saveDSP()
+    {
+        let i = 0;
+        let data = [];
+        data[i++] = this.bOPLIndex;
+        data[i++] = this.fSpeaker;
+        data[i++] = this.nDSPRate;
+        data[i++] = this.nBlockSize;
+        data[i++] = this.bDAC;
+        data[i++] = this.bTest;
+        data[i++] = this.aDSPOut.slice();
+        data[i++] = this.bCmd;
+        data[i++] = this.aParams.slice();
+        data[i++] = this.nParams;
+        data[i++] = this.fDMA;
+        data[i++] = this.fAutoInit;
+        data[i++] = this.fExitAuto;
+        data[i++] = this.fInput;
+        data[i++] = this.fSilence;
+        data[i++] = this.fPaused;
+        data[i]   = this.nDMARemain;
+        return data;
+    }
+
+    /**
+     * resetDSP()
+     *
+     * @this {SoundBlaster}
+     */
+    resetDSP()
+    {
+        this.fResetting = false;
+        this.fSpeaker = false;
+        this.nDSPRate = SoundBlaster.DSP_RATE;
+        this.nBlockSize = 0x7FF;
+        this.bDAC = 0x80;
+        this.bDMA = -1;
+        this.bTest = 0;
+        this.bRead = 0;
+        this.aDSPOut = [];
+        this.bCmd = -1;
+        this.aParams = [];
+        this.nParams = 0;
+        this.fDMA = this.fAutoInit = this.fExitAuto = this.fInput = this.fSilence = this.fPaused = false;
+        this.nDMARemain = 0;
+        this.dDSPPhase = 0;
+        if (this.cpu) this.cpu.clearTimer(this.iTimerDSP);
+        if (this.chipset) this.chipset.clearIRR(this.nIRQ);
+    }
+
+    /**
+     * inOPLStatus(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x388, or portBase + 0x8)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inOPLStatus(port, addrFrom)
+    {
+        let nCycles = this.cpu.getCycles();
+        let nCyclesPerUS = this.cpu.getBaseCyclesPerSecond() / 1000000;
+        for (let iTimer = 0; iTimer < this.aOPLTimers.length; iTimer++) {
+            let timer = this.aOPLTimers[iTimer];
+            if (!timer.fRunning) continue;
+            let bCtrl = this.opl.getReg(OPL2.REG.TIMER_CTRL);
+            if (bCtrl & (iTimer? OPL2.TIMER_CTRL.MASK2 : OPL2.TIMER_CTRL.MASK1)) continue;
+            let nTicks = 256 - this.opl.getReg(iTimer? OPL2.REG.TIMER2 : OPL2.REG.TIMER1);
+            if (nCycles - timer.nCyclesStart >= nTicks * (iTimer? 320 : 80) * nCyclesPerUS) {
+                this.bOPLStatus |= (iTimer? OPL2.STATUS.TIMER2 : OPL2.STATUS.TIMER1) | OPL2.STATUS.IRQ;
+            }
+        }
+        let b = this.bOPLStatus | OPL2.STATUS.ALWAYS_SET;
+        this.printMessageIO(port, undefined, addrFrom, "OPL.STATUS", b);
+        return b;
+    }
+
+    /**
+     * outOPLIndex(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x388, or portBase + 0x8)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outOPLIndex(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "OPL.INDEX");
+        this.bOPLIndex = bOut;
+    }
+
+    /**
+     * outOPLData(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x389, or portBase + 0x9)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outOPLData(port, bOut, addrFrom)
+    {
+        let iReg = this.bOPLIndex;
+        this.printMessageIO(port, bOut, addrFrom, "OPL.REG[" + Str.toHexByte(iReg) + "]");
+        if (iReg == OPL2.REG.TIMER_CTRL) {
+            if (bOut & OPL2.TIMER_CTRL.RESET) {
+                this.bOPLStatus = 0;
+                return;
+            }
+            let nCycles = this.cpu.getCycles();
+            for (let iTimer = 0; iTimer < this.aOPLTimers.length; iTimer++) {
+                let timer = this.aOPLTimers[iTimer];
+                let fStart = !!(bOut & (iTimer? OPL2.TIMER_CTRL.START2 : OPL2.TIMER_CTRL.START1));
+                if (fStart && !timer.fRunning) timer.nCyclesStart = nCycles;
+                timer.fRunning = fStart;
+            }
+        } else {
+            this.chipset.updateAudio();
+        }
+        this.opl.setReg(iReg, bOut);
+    }
+
+    /**
+     * inDSPData(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (portBase + 0xA)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inDSPData(port, addrFrom)
+    {
+        if (this.aDSPOut.length && addrFrom !== undefined) this.bRead = this.aDSPOut.shift();
+        let b = this.bRead;
+        this.printMessageIO(port, undefined, addrFrom, "DSP.DATA", b);
+        return b;
+    }
+
+    /**
+     * inDSPWriteStatus(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (portBase + 0xC)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inDSPWriteStatus(port, addrFrom)
+    {
+        let b = SoundBlaster.DSP_STATUS.READY;
+        this.printMessageIO(port, undefined, addrFrom, "DSP.WRSTATUS", b);
+        return b;
+    }
+
+    /**
+     * inDSPReadStatus(port, addrFrom)
+     *
+     * Reading this port also acknowledges the DSP's interrupt.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (portBase + 0xE)
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
+     * @return {number} simulated port value
+     */
+    inDSPReadStatus(port, addrFrom)
+    {
+        let b = SoundBlaster.DSP_STATUS.READY | (this.aDSPOut.length? SoundBlaster.DSP_STATUS.DATA : 0);
+        this.printMessageIO(port, undefined, addrFrom, "DSP.RDSTATUS", b);
+        if (addrFrom !== undefined) this.chipset.clearIRR(this.nIRQ);
+        return b;
+    }
+
+    /**
+     * outDSPReset(port, bOut, addrFrom)
+     *
+     * Software resets the DSP by writing 1 and then 0 to this port, after which the DSP responds with 0xAA.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (portBase + 0x6)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outDSPReset(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "DSP.RESET");
+        if (bOut & 0x1) {
+            this.fResetting = true;
+        } else if (this.fResetting) {
+            this.chipset.updateAudio();
+            this.resetDSP();
+            this.aDSPOut.push(SoundBlaster.DSP_READY);
+        }
+    }
+
+    /**
+     * outDSPWrite(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (portBase + 0xC)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outDSPWrite(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "DSP.WRITE");
+        if (this.bCmd < 0) {
+            this.bCmd = bOut;
+            this.aParams = [];
+            this.nParams = SoundBlaster.DSP_PARMS[bOut] || 0;
+        } else {
+            this.aParams.push(bOut);
+        }
+        if (this.aParams.length >= this.nParams) {
+            let bCmd = this.bCmd;
+            this.bCmd = -1;
+            this.chipset.updateAudio();
+            this.doDSPCommand(bCmd, this.aParams);
+        }
+    }
+
+    /**
+     * doDSPCommand(bCmd, aParams)
+     *
+     * @this {SoundBlaster}
+     * @param {number} bCmd
+     * @param {Array.<number>} aParams
+     */
+    doDSPCommand(bCmd, aParams)
+    {
+        let CMD = SoundBlaster.DSP_CMD;
+        let nLength = aParams[0] | (aParams[1] << 8);
+
+        this.printf(Messages.AUDIO, "DSP command %#04x %s\n", bCmd, aParams.join(','));
+
+        /*
+         * Commands that first appeared in DSP 2.00 (or 2.01) are treated as unsupported by older DSPs.
+         */
+        let fSupported = (this.nDSPVersion >= 0x200 || SoundBlaster.DSP_CMD_V2.indexOf(bCmd) < 0);
+
+        switch(fSupported? bCmd : -1) {
+        case CMD.DAC_DIRECT:
+            this.bDAC = aParams[0];
+            break;
+        case CMD.DMA_DAC:
+            this.startDMA(nLength, false, false, false);
+            break;
+        case CMD.DMA_DAC_AUTO:
+        case CMD.DMA_DAC_FAST_AUTO:
+            this.startDMA(this.nBlockSize, true, false, false);
+            break;
+        case CMD.DMA_DAC_FAST:
+            this.startDMA(this.nBlockSize, false, false, false);
+            break;
+        case CMD.ADC_DIRECT:
+            this.aDSPOut.push(0x80);
+            break;
+        case CMD.DMA_ADC:
+            this.startDMA(nLength, false, true, false);
+            break;
+        case CMD.DMA_ADC_AUTO:
+        case CMD.DMA_ADC_FAST_AUTO:
+            this.startDMA(this.nBlockSize, true, true, false);
+            break;
+        case CMD.DMA_ADC_FAST:
+            this.startDMA(this.nBlockSize, false, true, false);
+            break;
+        case CMD.MIDI_WRITE:
+            break;
+        case CMD.SET_TIME_CONSTANT:
+            this.nDSPRate = Math.round(1000000 / (256 - aParams[0]));
+            break;
+        case CMD.SET_BLOCK_SIZE:
+            this.nBlockSize = nLength;
+            break;
+        case CMD.SILENCE:
+            this.startDMA(nLength, false, false, true);
+            break;
+        case CMD.HALT_DMA:
+            this.fPaused = true;
+            this.scheduleDSP();
+            break;
+        case CMD.CONTINUE_DMA:
+            this.fPaused = false;
+            this.scheduleDSP();
+            break;
+        case CMD.SPEAKER_ON:
+            this.fSpeaker = true;
+            break;
+        case CMD.SPEAKER_OFF:
+            this.fSpeaker = false;
+            break;
+        case CMD.SPEAKER_STATUS:
+            this.aDSPOut.push(this.fSpeaker? 0xFF : 0x00);
+            break;
+        case CMD.EXIT_AUTO:
+            this.fExitAuto = true;
+            break;
+        case CMD.IDENTIFY:
+            this.aDSPOut.push(~aParams[0] & 0xFF);
+            break;
+        case CMD.GET_VERSION:
+            this.aDSPOut.push(this.nDSPVersion >> 8, this.nDSPVersion & 0xFF);
+            break;
+        case CMD.WRITE_TEST:
+            this.bTest = aParams[0];
+            break;
+        case CMD.READ_TEST:
+            this.aDSPOut.push(this.bTest);
+            break;
+        case CMD.FORCE_IRQ:
+            this.chipset.setIRR(this.nIRQ);
+            break;
+        case CMD.UNDOCUMENTED_F8:
+            this.aDSPOut.push(0x00);
+            break;
+        default:
+            this.printf(Messages.AUDIO + Messages.WARN, "unsupported DSP command %#04x\n", bCmd);
+            break;
+        }
+    }
+
+    /**
+     * startDMA(nLength, fAutoInit, fInput, fSilence)
+     *
+     * @this {SoundBlaster}
+     * @param {number} nLength (number of bytes to transfer, minus 1)
+     * @param {boolean} fAutoInit
+     * @param {boolean} fInput (true if the DSP is sampling, which we simulate by supplying silence)
+     * @param {boolean} fSilence (true for the SILENCE command, which generates an interrupt without using DMA)
+     */
+    startDMA(nLength, fAutoInit, fInput, fSilence)
+    {
+        this.fDMA = true;
+        this.fAutoInit = fAutoInit;
+        this.fInput = fInput;
+        this.fSilence = fSilence;
+        this.fPaused = this.fExitAuto = false;
+        this.nDMARemain = nLength + 1;
+        this.dDSPPhase = 0;
+        this.scheduleDSP();
+    }
+
+    /**
+     * scheduleDSP()
+     *
+     * Samples are transferred by renderAudio() whenever the ChipSet updates its audio, but since a block's interrupt
+     * must be generated when the block's last sample is due, not whenever the next periodic update happens to occur,
+     * we arm a timer to ensure that an update occurs at that time.
+     *
+     * @this {SoundBlaster}
+     */
+    scheduleDSP()
+    {
+        if (!this.cpu) return;
+        if (this.fDMA && !this.fPaused) {
+            let nCycles = (this.nDMARemain - this.dDSPPhase) * this.cpu.getBaseCyclesPerSecond() / this.nDSPRate;
+            this.cpu.setTimer(this.iTimerDSP, -Math.ceil(nCycles + this.chipset.nCyclesPerSample), true);
+        } else {
+            this.cpu.clearTimer(this.iTimerDSP);
+        }
+    }
+
+    /**
+     * endBlock()
+     *
+     * @this {SoundBlaster}
+     */
+    endBlock()
+    {
+        this.printf(Messages.AUDIO, "DSP block complete\n");
+        if (this.fAutoInit && !this.fExitAuto) {
+            this.nDMARemain = this.nBlockSize + 1;
+        } else {
+            this.fDMA = false;
+        }
+        this.chipset.setIRR(this.nIRQ);
+    }
+
+    /**
+     * readDMA()
+     *
+     * Requests a single byte from our DMA channel; we connect to the channel only for the duration of the request,
+     * because the ChipSet otherwise transfers entire blocks at once (eg, whenever software unmasks the channel).
+     *
+     * @this {SoundBlaster}
+     * @return {number} (the byte transferred, or -1 if none; eg, if the channel is masked)
+     */
+    readDMA()
+    {
+        this.bDMA = -1;
+        this.chipset.connectDMA(this.nDMA, this, 'dmaTransfer', this);
+        this.chipset.requestDMA(this.nDMA, null, 1);
+        this.chipset.connectDMA(this.nDMA, this, 'dmaTransfer', null);
+        return this.bDMA;
+    }
+
+    /**
+     * dmaTransfer(sb, b, done)
+     *
+     * @this {SoundBlaster}
+     * @param {SoundBlaster} sb
+     * @param {number} b (the byte from memory, or -1 if the ChipSet is asking us for a byte)
+     * @param {function(number,boolean)} [done]
+     * @return {number}
+     */
+    dmaTransfer(sb, b, done)
+    {
+        if (done) {
+            this.bDMA = 0x80;
+            done(this.bDMA, false);
+            return 0;
+        }
+        this.bDMA = b;
+        return b;
+    }
+
+    /**
+     * renderAudio(aSamples, nSamples, nCycles)
+     *
+     * @this {SoundBlaster}
+     * @param {Float32Array} aSamples
+     * @param {number} nSamples
+     * @param {number} nCycles
+     */
+    renderAudio(aSamples, nSamples, nCycles)
+    {
+        this.opl.render(aSamples, nSamples);
+        if (!this.nDSPVersion) return;
+        if (!this.fDMA && (!this.fSpeaker || this.bDAC == 0x80)) return;
+
+        let dStep = this.nDSPRate / this.chipset.nAudioRate;
+        for (let i = 0; i < nSamples; i++) {
+            if (this.fDMA && !this.fPaused) {
+                this.dDSPPhase += dStep;
+                while (this.fDMA && this.dDSPPhase >= 1) {
+                    let b = this.fSilence? 0x80 : this.readDMA();
+                    if (b < 0) {
+                        /*
+                         * The DMA request wasn't serviced (eg, the channel is masked), so the DSP waits.
+                         */
+                        this.dDSPPhase = 0;
+                        break;
+                    }
+                    this.dDSPPhase -= 1;
+                    if (!this.fInput) this.bDAC = b;
+                    if (!--this.nDMARemain) this.endBlock();
+                }
+            }
+            if (this.fSpeaker) aSamples[i] += (this.bDAC - 0x80) / 0x80 * SoundBlaster.GAIN;
+        }
+    }
+
+    /**
+     * SoundBlaster.init()
+     *
+     * This function operates on every HTML element of class "sblaster", extracting the
+     * JSON-encoded parameters for the SoundBlaster constructor from the element's "data-value"
+     * attribute, invoking the constructor to create a SoundBlaster component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeSB = Component.getElementsByClass(document, PCx86.APPCLASS, "sblaster");
+        for (let iSB = 0; iSB < aeSB.length; iSB++) {
+            let eSB = aeSB[iSB];
+            let parmsSB = Component.getComponentParms(eSB);
+            let sb = new SoundBlaster(parmsSB);
+            Component.bindComponentControls(sb, eSB, PCx86.APPCLASS);
+        }
+    }
+}
+
+SoundBlaster.MODELS = {
+    "adlib":    0,
+    "sb1":      0x105,
+    "sb2":      0x201
+};
+
+SoundBlaster.PORT_OPL   = 0x388;
+SoundBlaster.PORT_DSP   = 0x220;
+SoundBlaster.DMA_DSP    = 0x01;
+SoundBlaster.DSP_RATE   = 8000;     // default DSP sample rate (until software sets a time constant)
+SoundBlaster.DSP_READY  = 0xAA;     // byte available after a successful reset
+SoundBlaster.GAIN       = 0.5;
+
+SoundBlaster.DSP_STATUS = {
+    READY:      0x7F,               // bit 7 clear (on the write status port) indicates the DSP is ready for a command
+    DATA:       0x80                // bit 7 set (on the read status port) indicates data is available
+};
+
+SoundBlaster.DSP_CMD = {
+    DAC_DIRECT:         0x10,
+    DMA_DAC:            0x14,
+    DMA_DAC_AUTO:       0x1C,       // DSP 2.00 and up
+    ADC_DIRECT:         0x20,
+    DMA_ADC:            0x24,
+    DMA_ADC_AUTO:       0x2C,       // DSP 2.00 and up
+    MIDI_WRITE:         0x38,
+    SET_TIME_CONSTANT:  0x40,
+    SET_BLOCK_SIZE:     0x48,       // DSP 2.00 and up
+    SILENCE:            0x80,
+    DMA_DAC_FAST_AUTO:  0x90,       // DSP 2.01 and up
+    DMA_DAC_FAST:       0x91,       // DSP 2.01 and up
+    DMA_ADC_FAST_AUTO:  0x98,       // DSP 2.01 and up
+    DMA_ADC_FAST:       0x99,       // DSP 2.01 and up
+    HALT_DMA:           0xD0,
+    SPEAKER_ON:         0xD1,
+    SPEAKER_OFF:        0xD3,
+    CONTINUE_DMA:       0xD4,
+    SPEAKER_STATUS:     0xD8,
+    EXIT_AUTO:          0xDA,       // DSP 2.00 and up
+    IDENTIFY:           0xE0,
+    GET_VERSION:        0xE1,
+    WRITE_TEST:         0xE4,
+    READ_TEST:          0xE8,
+    FORCE_IRQ:          0xF2,
+    UNDOCUMENTED_F8:    0xF8
+};
+
+SoundBlaster.DSP_CMD_V2 = [
+    SoundBlaster.DSP_CMD.DMA_DAC_AUTO,
+    SoundBlaster.DSP_CMD.DMA_ADC_AUTO,
+    SoundBlaster.DSP_CMD.SET_BLOCK_SIZE,
+    SoundBlaster.DSP_CMD.DMA_DAC_FAST_AUTO,
+    SoundBlaster.DSP_CMD.DMA_DAC_FAST,
+    SoundBlaster.DSP_CMD.DMA_ADC_FAST_AUTO,
+    SoundBlaster.DSP_CMD.DMA_ADC_FAST,
+    SoundBlaster.DSP_CMD.EXIT_AUTO
+];
+
+/*
+ * Number of parameter bytes that follow each DSP command (commands not listed here have none); this includes
+ * the ADPCM commands (0x16, 0x17, and 0x74-0x77), which we don't support, so that their parameters aren't
+ * misinterpreted as commands.
+ */
+SoundBlaster.DSP_PARMS = {
+    0x10: 1, 0x14: 2, 0x16: 2, 0x17: 2, 0x24: 2, 0x38: 1, 0x40: 1, 0x48: 2,
+    0x74: 2, 0x75: 2, 0x76: 2, 0x77: 2, 0x80: 2, 0xE0: 1, 0xE2: 1, 0xE4: 1
+};
+
+/*
+ * Port input notification tables
+ */
+SoundBlaster.aPortInputOPL = {
+    0x0: SoundBlaster.prototype.inOPLStatus
+};
+
+SoundBlaster.aPortInputDSP = {
+    0x8: SoundBlaster.prototype.inOPLStatus,
+    0xA: SoundBlaster.prototype.inDSPData,
+    0xC: SoundBlaster.prototype.inDSPWriteStatus,
+    0xE: SoundBlaster.prototype.inDSPReadStatus
+};
+
+/*
+ * Port output notification tables
+ */
+SoundBlaster.aPortOutputOPL = {
+    0x0: SoundBlaster.prototype.outOPLIndex,
+    0x1: SoundBlaster.prototype.outOPLData
+};
+
+SoundBlaster.aPortOutputDSP = {
+    0x6: SoundBlaster.prototype.outDSPReset,
+    0x8: SoundBlaster.prototype.outOPLIndex,
+    0x9: SoundBlaster.prototype.outOPLData,
+    0xC: SoundBlaster.prototype.outDSPWrite
+};
+
+/*
+ * Initialize every SoundBlaster module on the page.
+ */
+Web.onInit(SoundBlaster.init);
+
+if (typeof module !== "undefined") module.exports = SoundBlaster;
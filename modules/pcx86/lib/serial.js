@@ -36,6 +36,8 @@ if (typeof module !== "undefined") {
     var PCx86       = require("./defines");
     var Messages    = require("./messages");
     var ChipSet     = require("./chipset");
+    var Modem       = require("./modem");
+    var SerialBridge = require("../../shared/lib/serialbridge");
 }
 
 /**
@@ -77,15 +79,28 @@ class SerialPort extends Component {
      *      charBOL: a non-zero number specifies the ASCII code of a character to display at the beginning
      *      of every line; it applies only to the above binding, and the default is 0 (no BOL character)
      *
-     * In the future, we may support 'port' and 'irq' properties that allow the machine to define a non-standard
-     * serial port configuration, instead of only our pre-defined 'adapter' configurations.
+     *      modem: true to attach a Hayes-compatible modem to this port (see Modem for details)
      *
-     * NOTE: Since the XSL file defines 'adapter' as a number, not a string, there's no need to use parseInt(),
-     * and as an added benefit, we don't need to worry about whether a hex or decimal format was used.
+     *      modemListen: TCP port on which the modem listens for incoming calls (Node only; default is none)
      *
-     * This hard-coded approach mimics the original IBM PC Asynchronous Adapter configuration, which contained
+     *      bridge: connects this port to a host TCP socket or terminal device (Node only; see SerialBridge
+     *      for the supported values, such as "tcp:2323" or "pty:/tmp/com1")
+     *
+     *      port: base port of a non-standard configuration; overrides the adapter's base port, if any
+     *
+     *      irq: IRQ of a non-standard configuration (eg, 4 for a COM3 at port 0x3E8); overrides the adapter's IRQ
+     *      (if 'port' is set without an 'adapter' or an 'irq', the port doesn't generate interrupts)
+     *
+     * Ports that overlap another component's ports are rejected (see BusX86.checkPorts()), and an IRQ that another
+     * component also uses is reported (see ChipSet.addIRQ()).
+     *
+     * NOTE: Since the XSL file defines 'adapter', 'port' and 'irq' as numbers, not strings, there's no need to use
+     * parseInt(), and as an added benefit, we don't need to worry about whether a hex or decimal format was used.
+     *
+     * The 'adapter' approach mimics the original IBM PC Asynchronous Adapter configuration, which contained
      * a pair of "shunt modules" that allowed the user to select a port address/IRQ combo of either 0x3F8/IRQ4
-     * ("Primary") or 0x2F8/IRQ3 ("Secondary").
+     * ("Primary") or 0x2F8/IRQ3 ("Secondary"); later cards and modems added COM3 and COM4 configurations
+     * (typically 0x3E8/IRQ4 and 0x2E8/IRQ3), which require the 'port' and 'irq' properties.
      *
      * DOS names the first adapter listed by the ROM BIOS as "COM1", even if that adapter is a secondary adapter,
      * so don't assume that COM1 always maps to port 0x3F8/IRQ4.  Internally, I try avoid confusion by always
@@ -112,12 +127,14 @@ class SerialPort extends Component {
             this.nIRQ = ChipSet.IRQ.COM2;
             break;
         default:
-            if (this.idComponent != "test") {
+            if (this.idComponent != "test" && !parms['port']) {
                 Component.warning("Unrecognized serial adapter #" + this.iAdapter);
                 return;
             }
             break;
         }
+        if (parms['port']) this.portBase = parms['port'];
+        if (parms['irq']) this.nIRQ = parms['irq'];
 
         /*
          * consoleBuffer becomes a string that records serial port output if the 'binding' property is set to the
@@ -199,6 +216,19 @@ class SerialPort extends Component {
         this.connection = this.sendData = this.updateStatus = null;
         this.fAutoFlow = false;
 
+        /*
+         * If the 'modem' property is set, initBus() attaches a Modem to the port, which precludes any other connection.
+         */
+        this.modem = null;
+        this.fModem = !!parms['modem'];
+        this.nModemListen = parms['modemListen'] || 0;
+
+        /*
+         * Similarly, if the 'bridge' property is set, initBus() attaches a SerialBridge to the port.
+         */
+        this.bridge = null;
+        this.sBridge = parms['bridge'] || "";
+
         /*
          * Export all functions required by bindConnection() or initConnection(), whichever is required.
          */
@@ -348,7 +378,7 @@ class SerialPort extends Component {
     {
         this.cmp = cmp;
 
-        if (this.iAdapter) {
+        if (this.portBase && bus.checkPorts(this, this.portBase, this.portBase + SerialPort.SCR.REG)) {
             this.bus = bus;
             this.cpu = cpu;
             this.dbg = dbg;
@@ -362,9 +392,27 @@ class SerialPort extends Component {
             });
 
             this.chipset = cmp.getMachineComponent("ChipSet");
+            if (this.nIRQ && !(this.chipset && this.chipset.addIRQ(this.nIRQ, this))) {
+                this.nIRQ = 0;
+            }
 
             bus.addPortInputTable(this, SerialPort.aPortInput, this.portBase);
             bus.addPortOutputTable(this, SerialPort.aPortOutput, this.portBase);
+
+            if (this.fModem) {
+                this.modem = new Modem(this, cpu, this.nModemListen);
+                this.bindConnection(this.modem, this.modem.receiveData);
+                this.updateStatus = this.modem.receiveStatus;
+                this.fNullModem = false;
+            }
+            else if (this.sBridge) {
+                this.bridge = new SerialBridge(this, this.sBridge, function(s) {
+                    serial.notice(s, true);
+                });
+                this.bindConnection(this.bridge, this.bridge.receiveData);
+                this.updateStatus = this.bridge.receiveStatus;
+                this.fNullModem = false;
+            }
         }
         this.setReady();
     }
@@ -463,6 +511,8 @@ class SerialPort extends Component {
      */
     powerDown(fSave, fShutdown)
     {
+        if (fShutdown && this.modem) this.modem.powerDown();
+        if (fShutdown && this.bridge) this.bridge.close();
         return fSave? this.save() : true;
     }
 
@@ -638,6 +688,22 @@ class SerialPort extends Component {
         if (pins & RS232.DSR.MASK) {
             this.bMSR |= SerialPort.MSR.DSR | SerialPort.MSR.DDSR;
         }
+        /*
+         * Unlike CTS and DSR, RI and RLSD (aka DCD) are only reported by devices like Modem, so their delta bits
+         * are set only when they actually change (and TERI only when RI goes from 1 to 0).
+         */
+        this.bMSR &= ~(SerialPort.MSR.RI | SerialPort.MSR.RLSD);
+        if (pins & RS232.RI.MASK) {
+            this.bMSR |= SerialPort.MSR.RI;
+        } else if (bMSROld & SerialPort.MSR.RI) {
+            this.bMSR |= SerialPort.MSR.TERI;
+        }
+        if (pins & RS232.CD.MASK) {
+            this.bMSR |= SerialPort.MSR.RLSD;
+        }
+        if ((bMSROld ^ this.bMSR) & SerialPort.MSR.RLSD) {
+            this.bMSR |= SerialPort.MSR.DRLSD;
+        }
         if (bMSROld != this.bMSR) this.updateIIR();
     }
 
@@ -769,7 +835,7 @@ class SerialPort extends Component {
     inMSR(port, addrFrom)
     {
         let b = this.bMSR;
-        this.bMSR &= ~(SerialPort.MSR.DCTS | SerialPort.MSR.DDSR);
+        this.bMSR &= ~SerialPort.MSR.DELTAS;
         this.printMessageIO(port, undefined, addrFrom, "MSR", b);
         return b;
     }
@@ -897,7 +963,7 @@ class SerialPort extends Component {
         else if ((this.bLSR & SerialPort.LSR.THRE) && (this.bIER & SerialPort.IER.THR_EMPTY)) {
             bIIR = SerialPort.IIR.INT_THR;
         }
-        else if ((this.bMSR & (SerialPort.MSR.DCTS | SerialPort.MSR.DDSR)) && (this.bIER & SerialPort.IER.MSR_DELTA)) {
+        else if ((this.bMSR & SerialPort.MSR.DELTAS) && (this.bIER & SerialPort.IER.MSR_DELTA)) {
             bIIR = SerialPort.IIR.INT_MSR;
         }
         if (bIIR >= 0) {
@@ -1159,7 +1225,8 @@ SerialPort.MSR = {
     CTS:            0x10,       // when set, the modem or data set is ready to exchange data (complement of the Clear To Send input signal)
     DSR:            0x20,       // when set, the modem or data set is ready to establish link (complement of the Data Set Ready input signal)
     RI:             0x40,       // complement of the RI (Ring Indicator) input
-    RLSD:           0x80        // complement of the RLSD (Received Line Signal Detect) input
+    RLSD:           0x80,       // complement of the RLSD (Received Line Signal Detect) input
+    DELTAS:         0x0F        // all the "delta" bits (cleared when MSR.REG read)
 };
 
 /*
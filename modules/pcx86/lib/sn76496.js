@@ -0,0 +1,448 @@
+/**
+ * @fileoverview Implements the PCx86 SN76496 component (the PCjr's "Complex Sound Generator")
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+    var ChipSet     = require("./chipset");
+}
+
+/**
+ * class SN76496
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ *
+ * Implements the Texas Instruments SN76496, which the PCjr calls its "Complex Sound Generator", and which the
+ * Tandy 1000 series later adopted as well.  It has three square-wave tone channels and one noise channel, each
+ * with its own 4-bit attenuator, and it's programmed entirely through a single write-only port (0xC0).
+ *
+ * Every byte written is either a "latch" byte (bit 7 set), which selects one of the eight registers and supplies
+ * its low 4 bits, or a "data" byte (bit 7 clear), which supplies the upper 6 bits of a tone period, or simply
+ * replaces the low 4 bits of any other register that was last latched.
+ *
+ * Internally, the chip divides its input clock by 16; each tone channel counts that down from its 10-bit period
+ * and toggles its output whenever the count reaches zero, so its frequency is clock / (32 * period).  The noise
+ * channel shifts a 15-bit LFSR at one of three fixed rates, or at the rate of the third tone channel.
+ *
+ * On the PCjr, the chip's output is audible only when the sound multiplexer (PPI_B bits 5-6) selects it.
+ */
+class SN76496 extends Component {
+    /**
+     * SN76496(parmsSound)
+     *
+     * The SN76496 component has the following component-specific (parmsSound) properties:
+     *
+     *      port: write port (default is 0xC0)
+     *
+     *      clock: input clock frequency (default is 3579545)
+     *
+     *      capture: name of a WAV file to capture our output to (captures can also be started and stopped
+     *      with the Debugger's "sound" command)
+     *
+     * @this {SN76496}
+     * @param {Object} parmsSound
+     */
+    constructor(parmsSound)
+    {
+        super("SN76496", parmsSound, Messages.AUDIO);
+
+        this.port = parmsSound['port'] || SN76496.PORT;
+        this.nClock = parmsSound['clock'] || SN76496.CLOCK;
+        this.sCapture = parmsSound['capture'] || "";
+
+        this.chipset = null;
+        this.source = null;
+        this.fMux = false;
+        this.aChannels = new Array(4);
+        for (let iChannel = 0; iChannel < this.aChannels.length; iChannel++) {
+            this.aChannels[iChannel] = {};
+        }
+        if (!SN76496.aVolumes) SN76496.initTables();
+    }
+
+    /**
+     * SN76496.initTables()
+     *
+     * Builds the attenuation table, which converts each 4-bit attenuation value (2dB per step) to linear amplitude;
+     * the maximum value (15) is defined as "off" rather than 30dB.
+     */
+    static initTables()
+    {
+        SN76496.aVolumes = new Float32Array(16);
+        for (let i = 0; i < 15; i++) {
+            SN76496.aVolumes[i] = Math.pow(10, -i * 2 / 20);
+        }
+        SN76496.aVolumes[15] = 0;
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {SN76496}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        this.chipset = cmp.getMachineComponent("ChipSet");
+        if (!this.chipset) {
+            Component.warning("SN76496 requires a ChipSet");
+            return;
+        }
+        this.fMux = ((this.chipset.model|0) == ChipSet.MODEL_4860);
+        this.dTicksPerSample = this.nClock / 16 / this.chipset.nAudioRate;
+
+        bus.addPortOutputTable(this, SN76496.aPortOutput, this.port);
+
+        this.source = this.chipset.addAudioSource(this, this.renderAudio);
+        if (this.sCapture) this.startCapture(this.sCapture);
+
+        this.setReady();
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {SN76496}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {SN76496}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        if (fShutdown) {
+            let sResult = this.stopCapture();
+            if (sResult) this.println(sResult);
+        }
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * startCapture(sFileName)
+     *
+     * @this {SN76496}
+     * @param {string} sFileName
+     * @return {boolean} true if successful, false if not
+     */
+    startCapture(sFileName)
+    {
+        if (!this.source) return false;
+        return this.chipset.startAudioCapture(this.source, sFileName);
+    }
+
+    /**
+     * stopCapture()
+     *
+     * @this {SN76496}
+     * @return {string} (description of the result, or an empty string if there was no capture in progress)
+     */
+    stopCapture()
+    {
+        return this.source? this.chipset.stopAudioCapture(this.source) : "";
+    }
+
+    /**
+     * reset()
+     *
+     * @this {SN76496}
+     */
+    reset()
+    {
+        this.initState();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the SN76496 component.
+     *
+     * @this {SN76496}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        let aRegs = [];
+        for (let iChannel = 0; iChannel < this.aChannels.length; iChannel++) {
+            let channel = this.aChannels[iChannel];
+            aRegs.push(channel.period, channel.att);
+        }
+        state.set(0, [this.iLatch, aRegs, this.wLFSR]);
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the SN76496 component.
+     *
+     * @this {SN76496}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0]);
+    }
+
+    /**
+     * initState(data)
+     *
+     * All channels are silenced on reset, since the chip itself powers up with random register contents,
+     * and the ROM BIOS doesn't bother to initialize them until something (eg, BASIC) enables the chip.
+     *
+     * @this {SN76496}
+     * @param {Array} [data]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(data)
+    {
+        if (!data) data = [0, [0, 15, 0, 15, 0, 15, 0, 15], SN76496.LFSR_INIT];
+        this.iLatch = data[0];
+        for (let iChannel = 0; iChannel < this.aChannels.length; iChannel++) {
+            let channel = this.aChannels[iChannel];
+            channel.period = data[1][iChannel * 2];
+            channel.att = data[1][iChannel * 2 + 1];
+            channel.count = 0;
+            channel.out = 1;
+            channel.nEdges = 0;
+        }
+        this.wLFSR = data[2];
+        return true;
+    }
+
+    /**
+     * outData(port, bOut, addrFrom)
+     *
+     * @this {SN76496}
+     * @param {number} port (0xC0)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined if the Debugger is trying to write the specified port)
+     */
+    outData(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "SOUND");
+        if (this.chipset) this.chipset.updateAudio();
+        let iReg;
+        if (bOut & SN76496.LATCH) {
+            iReg = this.iLatch = (bOut & SN76496.REG_MASK) >> 4;
+        } else {
+            iReg = this.iLatch;
+        }
+        let channel = this.aChannels[iReg >> 1];
+        if (iReg & 0x1) {
+            channel.att = bOut & 0xf;
+        }
+        else if ((iReg >> 1) == SN76496.NOISE) {
+            channel.period = bOut & 0x7;
+            this.wLFSR = SN76496.LFSR_INIT;
+        }
+        else if (bOut & SN76496.LATCH) {
+            channel.period = (channel.period & 0x3f0) | (bOut & 0xf);
+        }
+        else {
+            channel.period = (channel.period & 0xf) | ((bOut & 0x3f) << 4);
+        }
+    }
+
+    /**
+     * renderTone(channel, period, dTicks)
+     *
+     * Returns the average output of a channel's counter over the next dTicks (fractional) ticks, which also keeps
+     * short pulses from aliasing badly, and updates the channel's count of rising edges (for the noise channel).
+     *
+     * @this {SN76496}
+     * @param {Object} channel
+     * @param {number} period (in ticks)
+     * @param {number} dTicks
+     * @return {number}
+     */
+    renderTone(channel, period, dTicks)
+    {
+        let dSum = 0, dRemain = dTicks;
+        channel.nEdges = 0;
+        while (dRemain > 0) {
+            let d = (channel.count < dRemain? channel.count : dRemain);
+            dSum += channel.out * d;
+            channel.count -= d;
+            dRemain -= d;
+            if (channel.count <= 0) {
+                channel.out = -channel.out;
+                if (channel.out > 0) channel.nEdges++;
+                channel.count += period;
+            }
+        }
+        return dSum / dTicks;
+    }
+
+    /**
+     * renderNoise(channel, dTicks)
+     *
+     * The noise channel's LFSR shifts on every rising edge of its own counter (whose period is 16, 32, or 64 ticks)
+     * or of the third tone channel; white noise feeds back the XOR of bits 0 and 1, whereas "periodic" noise feeds
+     * back bit 0 alone, producing a pulse wave at 1/15th the shift rate.
+     *
+     * @this {SN76496}
+     * @param {Object} channel
+     * @param {number} dTicks
+     * @return {number}
+     */
+    renderNoise(channel, dTicks)
+    {
+        let nShifts;
+        let nRate = channel.period & SN76496.NOISE_RATE;
+        if (nRate == SN76496.NOISE_RATE) {
+            nShifts = this.aChannels[2].nEdges;
+        } else {
+            this.renderTone(channel, 0x10 << nRate, dTicks);
+            nShifts = channel.nEdges;
+        }
+        let dSum = 0;
+        for (let i = 0; i <= nShifts; i++) {
+            dSum += (this.wLFSR & 0x1)? 1 : -1;
+            if (i == nShifts) break;
+            let bit = (channel.period & SN76496.NOISE_WHITE)? ((this.wLFSR ^ (this.wLFSR >> 1)) & 0x1) : (this.wLFSR & 0x1);
+            this.wLFSR = (this.wLFSR >> 1) | (bit << 14);
+        }
+        return dSum / (nShifts + 1);
+    }
+
+    /**
+     * renderAudio(aSamples, nSamples, nCycles)
+     *
+     * This is not a cycle-exact implementation, but channel periods are tracked in fractional ticks of the chip's
+     * divided clock, so that pitches remain accurate regardless of the AudioContext's sample rate.
+     *
+     * @this {SN76496}
+     * @param {Float32Array} aSamples
+     * @param {number} nSamples
+     * @param {number} nCycles
+     */
+    renderAudio(aSamples, nSamples, nCycles)
+    {
+        if (this.fMux && (this.chipset.bPPIB & ChipSet.PPI_B.SOUND_SELECT) != ChipSet.PPI_B.SOUND_76496) return;
+        let aChannels = this.aChannels;
+        let dTicks = this.dTicksPerSample;
+        for (let i = 0; i < nSamples; i++) {
+            let dSample = 0;
+            for (let iChannel = 0; iChannel < aChannels.length; iChannel++) {
+                let channel = aChannels[iChannel];
+                let d;
+                if (iChannel == SN76496.NOISE) {
+                    d = this.renderNoise(channel, dTicks);
+                } else if (channel.period == 1) {
+                    /*
+                     * As on the real chip, a period of 1 produces a constant high output, which software uses
+                     * to play digitized samples by rapidly varying the attenuation (whereas a period of 0 is
+                     * equivalent to 1024).
+                     */
+                    d = channel.out = 1;
+                    channel.nEdges = 0;
+                } else {
+                    d = this.renderTone(channel, channel.period || 0x400, dTicks);
+                }
+                dSample += d * SN76496.aVolumes[channel.att];
+            }
+            aSamples[i] += dSample * SN76496.GAIN;
+        }
+    }
+
+    /**
+     * SN76496.init()
+     *
+     * This function operates on every HTML element of class "sn76496", extracting the
+     * JSON-encoded parameters for the SN76496 constructor from the element's "data-value"
+     * attribute, invoking the constructor to create an SN76496 component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeSound = Component.getElementsByClass(document, PCx86.APPCLASS, "sn76496");
+        for (let iSound = 0; iSound < aeSound.length; iSound++) {
+            let eSound = aeSound[iSound];
+            let parmsSound = Component.getComponentParms(eSound);
+            let sound = new SN76496(parmsSound);
+            Component.bindComponentControls(sound, eSound, PCx86.APPCLASS);
+        }
+    }
+}
+
+SN76496.PORT        = 0xC0;
+SN76496.CLOCK       = 3579545;      // the PCjr and Tandy 1000 both use the NTSC color burst frequency
+SN76496.LATCH       = 0x80;         // set in latch bytes, clear in data bytes
+SN76496.REG_MASK    = 0x70;         // register number in latch bytes (channel in bits 6-5, attenuation in bit 4)
+SN76496.NOISE       = 3;            // index of the noise channel
+SN76496.NOISE_RATE  = 0x3;          // noise rate (0-2: 16, 32, or 64 ticks; 3: third tone channel)
+SN76496.NOISE_WHITE = 0x4;          // set for white noise, clear for periodic noise
+SN76496.LFSR_INIT   = 0x4000;       // the LFSR is reset to this value whenever the noise register is written
+SN76496.GAIN        = 0.25;         // per-channel gain, so that all four channels at full volume never clip
+
+SN76496.aVolumes = null;
+
+/*
+ * Port output notification table
+ */
+SN76496.aPortOutput = {
+    0x0: SN76496.prototype.outData
+};
+
+/*
+ * Initialize every SN76496 module on the page.
+ */
+Web.onInit(SN76496.init);
+
+if (typeof module !== "undefined") module.exports = SN76496;
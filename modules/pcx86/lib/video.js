@@ -29,7 +29,9 @@
 "use strict";
 
 if (typeof module !== "undefined") {
+    var fs          = require("fs");
     var Str         = require("../../shared/lib/strlib");
+    var Img         = require("../../shared/lib/imglib");
     var Web         = require("../../shared/lib/weblib");
     var DumpAPI     = require("../../shared/lib/dumpapi");
     var Component   = require("../../shared/lib/component");
@@ -442,7 +444,10 @@ class Card extends Controller {
             this.rowStart   = 0;            // initialize to zero and let the first latchStartAddress() call update it
             this.addrMaskHigh = 0x3F;       // card-specific mask for the high (bits 8 and up) of CRTC address registers
 
-            if (nCard < Videox86.CARD.EGA) {
+            if (nCard == Videox86.CARD.PCJR) {
+                this.initPCjr(data[6]);
+            }
+            else if (nCard < Videox86.CARD.EGA) {
                 this.initMemory(data[6], data[8]);
                 this.setMemoryAccess(Card.ACCESS.READ.PAIRS | Card.ACCESS.WRITE.PAIRS);
             } else {
@@ -681,6 +686,60 @@ class Card extends Controller {
         }
     }
 
+    /**
+     * initPCjr(data)
+     *
+     * The PCjr doesn't allocate any memory of its own; instead, its Video Gate Array displays a page of system RAM,
+     * so all we need to initialize here are the Gate Array registers and the page register.
+     *
+     * The Tandy 1000 works the same way, except that its Video Array registers are stored in regGAData as well,
+     * and its pages are relative to the 128Kb block of system RAM that contains the top of RAM (see getTandyBase()).
+     *
+     * @this {Card}
+     * @param {Array|null} data
+     */
+    initPCjr(data)
+    {
+        if (!data || data.length < 4) {
+            data = [false, 0, new Array(Card.PCJR.GA.TOTAL_REGS), Card.PCJR.PAGE.CRT_MASK | Card.PCJR.PAGE.CPU_MASK];
+        }
+        this.fTandy     = this.video.fTandy;
+        this.addrBase   = this.fTandy? this.video.getTandyBase() : 0;
+        this.fGAData    = data[0];
+        this.regGAIndx  = data[1];
+        this.regGAData  = data[2];
+        this.asGARegs   = DEBUGGER? (this.fTandy? Card.TANDY.VA.REGS : Card.PCJR.GA.REGS) : [];
+        if (DEBUGGER && this.fTandy) this.type = "Tandy";
+        this.setPCjrPage(data[3]);
+    }
+
+    /**
+     * setPCjrPage(regPage)
+     *
+     * Updates the PCjr's page register, along with the location and size of the video buffer (ie, the CRT page)
+     * that the Gate Array displays.  In the 32Kb graphics modes, the low bit of the page number is ignored.
+     *
+     * @this {Card}
+     * @param {number} regPage
+     */
+    setPCjrPage(regPage)
+    {
+        this.regPage = regPage;
+        this.sizeBuffer = ((regPage & Card.PCJR.PAGE.ADDR_MODE) == Card.PCJR.PAGE.ADDR_32K)? 0x8000 : 0x4000;
+        this.addrBuffer = this.addrBase + (((regPage & Card.PCJR.PAGE.CRT_MASK) << 14) & ~(this.sizeBuffer - 1));
+    }
+
+    /**
+     * savePCjr()
+     *
+     * @this {Card}
+     * @return {Array}
+     */
+    savePCjr()
+    {
+        return [this.fGAData, this.regGAIndx, this.regGAData, this.regPage];
+    }
+
     /**
      * saveCard()
      *
@@ -697,9 +756,13 @@ class Card extends Controller {
             data[3] = this.regStatus;
             data[4] = this.regCRTIndx | (this.regCRTPrev << 8);
             data[5] = this.regCRTData;
-            data[6] = (this.nCard < Videox86.CARD.EGA? State.compressEvenOdd(this.adwMemory) : this.saveEGA());
+            if (this.nCard == Videox86.CARD.PCJR) {
+                data[6] = this.savePCjr();
+            } else {
+                data[6] = (this.nCard < Videox86.CARD.EGA? State.compressEvenOdd(this.adwMemory) : this.saveEGA());
+            }
             data[7] = this.nCyclesVertRetrace;
-            data[8] = this.adwMemory.length;
+            if (this.adwMemory) data[8] = this.adwMemory.length;
         }
         return data;
     }
@@ -829,6 +892,20 @@ class Card extends Controller {
                 this.dumpRegs("   COLOR", this.regColor);
             }
 
+            if (this.nCard == Videox86.CARD.PCJR) {
+                if (this.fTandy) {
+                    this.dumpRegs(" MODEREG", this.regMode);
+                    this.dumpRegs("   COLOR", this.regColor);
+                    this.dumpRegs("  VA", this.regGAIndx, this.regGAData, this.asGARegs);
+                    this.dumpRegs("  VAINDX", this.regGAIndx);
+                } else {
+                    this.dumpRegs("  GA", this.regGAIndx, this.regGAData, this.asGARegs);
+                    this.dumpRegs("  GAINDX", this.regGAIndx);
+                    this.dbg.printf("  GADATA: %b\n", this.fGAData);
+                }
+                this.dumpRegs("    PAGE", this.regPage);
+            }
+
             if (this.nCard >= Videox86.CARD.EGA) {
                 this.dbg.printf(" LATCHES: %0X\n", this.latches);
                 this.dbg.printf("  ACCESS: %04X\n",  this.nAccess);
@@ -1174,6 +1251,102 @@ Card.CGA = {
     }
 };
 
+/*
+ * PCjr Registers (ports 0x3D4, 0x3D5, 0x3DA, and 0x3DF)
+ *
+ * The PCjr's CRTC is programmed exactly like the CGA's, but the CGA's mode and color registers are replaced by the
+ * Video Gate Array registers, which are written through port 0x3DA: the first write selects a register, the next write
+ * stores data in that register, and so on.  Reading port 0x3DA returns the usual status bits and also resets the Gate
+ * Array to expect a register selection.
+ *
+ * There is no video memory; the Gate Array displays a 16Kb page of system RAM (the "CRT page"), while the CPU sees another
+ * (or the same) 16Kb page of system RAM (the "processor page") at 0xB8000.  Both pages are selected by the page register.
+ */
+Card.PCJR = {
+    GA: {
+        PORT:               0x3DA,      // Video Gate Array Address/Data Register (write-only)
+        INDX_MASK:          0x1F,
+        MODE1: {
+            INDX:           0x00,       // Mode Control 1
+            HI_BANDWIDTH:   0x01,       // set for 80-column text modes and the 320x200x16 and 640x200x4 graphics modes
+            GRAPHICS:       0x02,
+            BW:             0x04,
+            VIDEO_ENABLE:   0x08,       // same as CGA.MODE.VIDEO_ENABLE
+            COLOR16:        0x10        // set for the 160x200x16 and 320x200x16 graphics modes
+        },
+        PALMASK: {
+            INDX:           0x01,       // Palette Mask (ANDed with every pixel or attribute value before it selects a palette register)
+            MASK:           0x0F
+        },
+        BORDER: {
+            INDX:           0x02        // Border Color
+        },
+        MODE2: {
+            INDX:           0x03,       // Mode Control 2
+            BLINK_ENABLE:   0x02,
+            COLOR2:         0x08        // set for the 640x200x2 graphics mode
+        },
+        RESET: {
+            INDX:           0x04
+        },
+        PALETTE: {
+            INDX:           0x10,       // Palette Registers 0x10-0x1F (each containing a 4-bit IRGB value)
+            MASK:           0x0F
+        },
+        TOTAL_REGS:         0x20
+    },
+    PAGE: {
+        PORT:               0x3DF,      // CRT/Processor Page Register (write-only); the BIOS mirrors this register at 40:008A (0x048A)
+        CRT_MASK:           0x07,       // selects the 16Kb page of system RAM that is displayed
+        CPU_MASK:           0x38,       // selects the 16Kb page of system RAM that is mapped at 0xB8000
+        CPU_SHIFT:          3,
+        ADDR_MODE:          0xC0,       // video address mode: 0x00 for text modes, 0x40 for 16Kb graphics modes, 0xC0 for 32Kb graphics modes
+        ADDR_32K:           0xC0        // in 32Kb graphics modes, the low bit of both page numbers is ignored
+    },
+    STATUS: {
+        VIDEO_DOT:          0x10        // reflects the video output selected by the Gate Array (see inCardStatus())
+    }
+};
+
+if (DEBUGGER) {
+    Card.PCJR.GA.REGS = [
+        "MODE1","PALMASK","BORDER","MODE2","RESET","GA05","GA06","GA07",
+        "GA08","GA09","GA0A","GA0B","GA0C","GA0D","GA0E","GA0F",
+        "PAL00","PAL01","PAL02","PAL03","PAL04","PAL05","PAL06","PAL07",
+        "PAL08","PAL09","PAL0A","PAL0B","PAL0C","PAL0D","PAL0E","PAL0F"];
+}
+
+/*
+ * Tandy 1000 Registers (ports 0x3D4, 0x3D5, 0x3D8, 0x3D9, 0x3DA, 0x3DE, and 0x3DF)
+ *
+ * The Tandy 1000 keeps the CGA's mode and color registers, and adds a Video Array whose palette mask, border and
+ * palette registers match the PCjr's Gate Array registers (see Card.PCJR.GA), but without the PCjr's flip-flop: a write
+ * to port 0x3DA selects a register, and a write to port 0x3DE updates it.  The page register is also the same as the
+ * PCjr's (see Card.PCJR.PAGE), except that its pages are relative to the top 128Kb of system RAM.
+ */
+Card.TANDY = {
+    VA: {
+        INDX:               0x3DA,      // Video Array Address Register (write-only)
+        DATA:               0x3DE,      // Video Array Data Register (write-only)
+        MODE: {
+            INDX:           0x03,       // Mode Control
+            HIRES4:         0x08,       // set for the 640x200x4 graphics mode
+            COLOR16:        0x10        // set for the 160x200x16 and 320x200x16 graphics modes (CGA.MODE._80X25 selects the latter)
+        },
+        XRAM: {
+            INDX:           0x05        // Extended RAM Page (not supported)
+        }
+    }
+};
+
+if (DEBUGGER) {
+    Card.TANDY.VA.REGS = [
+        "VA00","PALMASK","BORDER","MODE","VA04","XRAM","VA06","VA07",
+        "VA08","VA09","VA0A","VA0B","VA0C","VA0D","VA0E","VA0F",
+        "PAL00","PAL01","PAL02","PAL03","PAL04","PAL05","PAL06","PAL07",
+        "PAL08","PAL09","PAL0A","PAL0B","PAL0C","PAL0D","PAL0E","PAL0F"];
+}
+
 /*
  * Common CRT hardware registers (ports 0x3B4/0x3B5 or 0x3D4/0x3D5)
  *
@@ -2400,7 +2573,8 @@ class Videox86 extends Component {
         let aModelDefaults = Videox86.MODEL[this.model] || Videox86.MODEL['mda'];
 
         this.nCard = aModelDefaults[0];
-        this.nIRQ = (this.nCard >= Videox86.CARD.EGA)? ChipSet.IRQ.VID : undefined;
+        this.fTandy = (this.model == "tandy");
+        this.nIRQ = (this.nCard >= Videox86.CARD.EGA)? ChipSet.IRQ.VID : (this.nCard == Videox86.CARD.PCJR && !this.fTandy? ChipSet.IRQ.VRT : undefined);
 
         this.nCardFont = 0;
         this.nActiveFont = this.nAlternateFont = 0;
@@ -2550,6 +2724,13 @@ class Videox86 extends Component {
         this.fShifted = false;      // set to true whenever the image has been shifted by one or more pixels
         this.nShiftLeft = this.nShiftUp = 0;
 
+        /*
+         * Text listeners are notified of any changes to the visible text; see addTextListener().
+         */
+        this.aTextListeners = [];
+        this.aTextCellsPrev = undefined;
+        this.nTextModePrev = undefined;
+
         /*
          * Since I've not found clear documentation on a reliable way to check whether a particular DOM element
          * (other than the BODY element) has focus at any given time, I've added onfocus() and onblur() handlers
@@ -2680,17 +2861,27 @@ class Videox86 extends Component {
         let aModel = Videox86.MODEL[this.model], nCard = aModel && aModel[0];
 
         /*
-         * The only time we do NOT want to trap MDA ports is when the model has been explicitly set to CGA.
+         * The only time we do NOT want to trap MDA ports is when the model has been explicitly set to CGA (or PCjr).
          */
-        if (nCard !== Videox86.CARD.CGA) {
+        if (nCard !== Videox86.CARD.CGA && nCard !== Videox86.CARD.PCJR) {
             bus.addPortInputTable(this, Videox86.aMDAPortInput);
             bus.addPortOutputTable(this, Videox86.aMDAPortOutput);
         }
 
         /*
-         * Similarly, the only time we do NOT want to trap CGA ports is when the model is explicitly set to MDA.
+         * Similarly, the only time we do NOT want to trap CGA ports is when the model is explicitly set to MDA;
+         * the PCjr traps its own subset of the CGA ports, along with its Gate Array and page registers, and the
+         * Tandy 1000 traps all the CGA ports, along with its Video Array and page registers.
          */
-        if (nCard !== Videox86.CARD.MDA) {
+        if (this.fTandy) {
+            bus.addPortInputTable(this, Videox86.aTandyPortInput);
+            bus.addPortOutputTable(this, Videox86.aTandyPortOutput);
+        }
+        else if (nCard === Videox86.CARD.PCJR) {
+            bus.addPortInputTable(this, Videox86.aPCjrPortInput);
+            bus.addPortOutputTable(this, Videox86.aPCjrPortOutput);
+        }
+        else if (nCard !== Videox86.CARD.MDA) {
             bus.addPortInputTable(this, Videox86.aCGAPortInput);
             bus.addPortOutputTable(this, Videox86.aCGAPortOutput);
         }
@@ -3490,7 +3681,10 @@ class Videox86 extends Component {
                     card.nCyclesVertRetrace = video.cpu.getCycles();
                     if (DEBUG) video.printf(Messages.VIDEO + Messages.INT, "vertical retrace timer fired (%d cycles)\n", card.nCyclesVertRetrace);
                     if (video.nIRQ) {
-                        if (!(card.regCRTData[Card.CRTC.EGA.VREND.INDX] & Card.CRTC.EGA.VREND.DISABLE_VRINT)) {
+                        /*
+                         * Unlike the EGA, the PCjr's vertical retrace interrupt can't be disabled (except at the PIC).
+                         */
+                        if (card.nCard == Videox86.CARD.PCJR || !(card.regCRTData[Card.CRTC.EGA.VREND.INDX] & Card.CRTC.EGA.VREND.DISABLE_VRINT)) {
                             if (video.chipset) video.chipset.setIRR(video.nIRQ);
                         }
                     }
@@ -3626,9 +3820,12 @@ class Videox86 extends Component {
             this.nMonitorType = nMonitorType;
         }
 
+        /*
+         * The PCjr's Gate Array takes the place of the CGA, so it occupies the cardCGA slot (and its saved state).
+         */
         this.cardActive = null;
         this.cardMono = this.cardMDA = new Card(this, Videox86.CARD.MDA);
-        this.cardColor = this.cardCGA = new Card(this, Videox86.CARD.CGA);
+        this.cardColor = this.cardCGA = new Card(this, this.nCard == Videox86.CARD.PCJR? Videox86.CARD.PCJR : Videox86.CARD.CGA);
 
         if (this.nCard < Videox86.CARD.EGA) {
             this.cardEGA = new Card();      // define a dummy (uninitialized) EGA card for now
@@ -3641,7 +3838,7 @@ class Videox86 extends Component {
         this.nMode = null;
         this.setMode(this.nModeDefault);
 
-        if (this.cardActive.addrBuffer && this.nRandomize) {
+        if (this.cardActive.addrBuffer && this.nRandomize && this.nCard != Videox86.CARD.PCJR) {
             /*
              * On the initial power-on, we initialize the video buffer to random characters, as a way of testing
              * whether our font(s) were successfully loaded.  It's assumed that our default display mode is a text mode,
@@ -3736,12 +3933,12 @@ class Videox86 extends Component {
 
         this.cardActive = null;
         this.cardMono = this.cardMDA = new Card(this, Videox86.CARD.MDA, data[0]);
-        this.cardColor = this.cardCGA = new Card(this, Videox86.CARD.CGA, data[1]);
+        this.cardColor = this.cardCGA = new Card(this, this.nCard == Videox86.CARD.PCJR? Videox86.CARD.PCJR : Videox86.CARD.CGA, data[1]);
 
         /*
          * If no EGA was originally initialized, then cardEGA will remain uninitialized.
          */
-        this.cardEGA = new Card(this, this.nCard, data[3], this.cbMemory);
+        this.cardEGA = (this.nCard == Videox86.CARD.PCJR? new Card() : new Card(this, this.nCard, data[3], this.cbMemory));
         if (this.cardEGA.fActive) this.enableEGA();
 
         /*
@@ -3978,6 +4175,27 @@ class Videox86 extends Component {
      */
     getCardColors(nBitsPerPixel)
     {
+        /*
+         * The Tandy 1000's CGA graphics modes still use the CGA's color select register (below).
+         */
+        let fCGAColors = (nBitsPerPixel <= 2 && this.nMode < Videox86.MODE.PCJR_160X200);
+        if (this.cardActive && this.cardActive.nCard == Videox86.CARD.PCJR && !(this.cardActive.fTandy && fCGAColors)) {
+            /*
+             * On the PCjr, every color (in every mode) passes through the Gate Array's palette mask and palette
+             * registers; until the latter have been programmed, we treat them as an identity mapping.
+             */
+            let card = this.cardActive;
+            let bMask = card.regGAData[Card.PCJR.GA.PALMASK.INDX];
+            if (bMask == null) bMask = Card.PCJR.GA.PALMASK.MASK;
+            let nColors = 1 << (nBitsPerPixel || 4);
+            for (let iColor = 0; iColor < nColors; iColor++) {
+                let iPalette = iColor & bMask;
+                let bPalette = card.regGAData[Card.PCJR.GA.PALETTE.INDX + iPalette];
+                this.aRGB[iColor] = this.getFontColor(Videox86.aCGAColors, (bPalette == null? iPalette : bPalette & Card.PCJR.GA.PALETTE.MASK));
+            }
+            return this.aRGB;
+        }
+
         if (nBitsPerPixel == 1) {
             /*
              * Only 2 total colors.
@@ -4171,6 +4389,41 @@ class Videox86 extends Component {
         return rgbIntense;
     }
 
+    /**
+     * getTextColorMap()
+     *
+     * @this {Videox86}
+     * @return {Array|undefined} (Videox86.aMDAColorMap if text attributes must be mapped to MDA colors, undefined if not)
+     */
+    getTextColorMap()
+    {
+        if (this.nCardFont == Videox86.CARD.MDA || this.nMonitorType == ChipSet.MONITOR.MONO) {
+            return Videox86.aMDAColorMap;
+        }
+        return undefined;
+    }
+
+    /**
+     * getTextColors(aColorMap)
+     *
+     * @this {Videox86}
+     * @param {Array} [aColorMap] (from getTextColorMap())
+     * @return {Array} of RGB colors, indexed by (mapped) FGND attribute values
+     */
+    getTextColors(aColorMap)
+    {
+        if (!aColorMap) return this.getCardColors();
+        if (!this.colorFont) return Videox86.aMDAColors;
+        /*
+         * When overriding MDA colors, we take rgbFont to be the "normal" color (aMDAColors indices 1 and 2), and
+         * then calculate the MDA's corresponding "intense" color (aMDAColors indices 3 and 4) using getIntenseColor().
+         */
+        let aRGBColors = Videox86.aMDAColors.slice();              // start with a copy of aMDAColors
+        aRGBColors[1] = aRGBColors[2] = this.rgbFont;
+        aRGBColors[3] = aRGBColors[4] = this.getIntenseColor(this.rgbFont);
+        return aRGBColors;
+    }
+
     /**
      * getSelectedFonts()
      *
@@ -4232,23 +4485,8 @@ class Videox86 extends Component {
             let nFonts = 0;
             let abFontData = this.abFontData;
 
-            let aRGBColors, aColorMap;
-            if (this.nCardFont == Videox86.CARD.MDA || this.nMonitorType == ChipSet.MONITOR.MONO) {
-                if (!this.colorFont) {
-                    aRGBColors = Videox86.aMDAColors;
-                } else {
-                    /*
-                     * When overriding MDA colors, we take rgbFont to be the "normal" color (aMDAColors indices 1 and 2), and
-                     * then calculate the MDA's corresponding "intense" color (aMDAColors indices 3 and 4) using getIntenseColor().
-                     */
-                    aRGBColors = Videox86.aMDAColors.slice();              // start with a copy of aMDAColors
-                    aRGBColors[1] = aRGBColors[2] = this.rgbFont;
-                    aRGBColors[3] = aRGBColors[4] = this.getIntenseColor(this.rgbFont);
-                }
-                aColorMap = Videox86.aMDAColorMap;
-            } else {
-                aRGBColors = this.getCardColors();
-            }
+            let aColorMap = this.getTextColorMap();
+            let aRGBColors = this.getTextColors(aColorMap);
 
             let cxChar, cyChar, offData, bitsBanks, cx, cy;
 
@@ -5088,7 +5326,11 @@ class Videox86 extends Component {
     setCardAccess(nAccess)
     {
         let card = this.cardActive;
-        if (card && nAccess != card.nAccess) {
+
+        /*
+         * The PCjr's video buffer is system RAM, whose access functions are none of our business.
+         */
+        if (card && nAccess != card.nAccess && card.nCard != Videox86.CARD.PCJR) {
 
             if (DEBUG) this.printf("setCardAccess(%#06X)\n", nAccess);
 
@@ -5144,7 +5386,7 @@ class Videox86 extends Component {
                 if (this.model == "vdu") {
                     this.nCardFont = Videox86.CARD.MDA;
                 }
-                else if (this.nCard > this.nCardFont) {
+                else if (this.nCard > this.nCardFont && this.nCard >= Videox86.CARD.EGA) {
                     this.nCardFont = this.nCard;
                 }
                 this.buildFont();           // this also updates nActiveFont and nAlternateFont
@@ -5272,6 +5514,12 @@ class Videox86 extends Component {
             if (nMode == null) nMode = this.nModeDefault;
         }
         else {
+            if (card.nCard == Videox86.CARD.PCJR) {
+                /*
+                 * The PCjr's CRT page register can move (or resize) the video buffer without any change in mode.
+                 */
+                fRemap = (card.addrBuffer != this.addrBuffer || card.sizeBuffer != this.sizeBuffer);
+            }
             if (card.nCard == Videox86.CARD.MDA) {
                 nMode = Videox86.MODE.MDA_80X25;
             }
@@ -5439,6 +5687,28 @@ class Videox86 extends Component {
                     if (!(card.regMode & Card.CGA.MODE.BW_SEL)) {
                         nMode -= 1;
                     }
+                    /*
+                     * The PCjr's 16-color modes and 4-color high-resolution mode have no CGA equivalents; the Tandy 1000
+                     * selects the same modes with its Video Array mode register.
+                     */
+                    if (card.fTandy) {
+                        let bMode = card.regGAData[Card.TANDY.VA.MODE.INDX];
+                        if (bMode & Card.TANDY.VA.MODE.COLOR16) {
+                            nMode = ((card.regMode & Card.CGA.MODE._80X25)? Videox86.MODE.PCJR_320X200 : Videox86.MODE.PCJR_160X200);
+                        }
+                        else if (bMode & Card.TANDY.VA.MODE.HIRES4) {
+                            nMode = Videox86.MODE.PCJR_640X200;
+                        }
+                    }
+                    else if (card.nCard == Videox86.CARD.PCJR) {
+                        let bMode1 = card.regGAData[Card.PCJR.GA.MODE1.INDX];
+                        if (bMode1 & Card.PCJR.GA.MODE1.COLOR16) {
+                            nMode = ((bMode1 & Card.PCJR.GA.MODE1.HI_BANDWIDTH)? Videox86.MODE.PCJR_320X200 : Videox86.MODE.PCJR_160X200);
+                        }
+                        else if ((bMode1 & Card.PCJR.GA.MODE1.HI_BANDWIDTH) && !(card.regMode & Card.CGA.MODE.HIRES_BW)) {
+                            nMode = Videox86.MODE.PCJR_640X200;
+                        }
+                    }
                 }
                 if (this.fOpacityReduced) {
                     this.canvasScreen.style.opacity = "1";
@@ -5519,7 +5789,21 @@ class Videox86 extends Component {
              */
             let card = this.cardActive || (nMode == Videox86.MODE.MDA_80X25? this.cardMono : this.cardColor);
 
-            if (card != this.cardActive || card.addrBuffer != this.addrBuffer || card.sizeBuffer != this.sizeBuffer) {
+            if (card.nCard == Videox86.CARD.PCJR) {
+                /*
+                 * The PCjr's video buffer is simply a page of system RAM, so there's nothing to remove or add;
+                 * we need only update our notion of the buffer and remap the processor page at B800:0000.
+                 */
+                if (card != this.cardActive || card.addrBuffer != this.addrBuffer || card.sizeBuffer != this.sizeBuffer) {
+                    this.removeCursor();
+                    this.cardActive = card;
+                    card.fActive = true;
+                    this.addrBuffer = card.addrBuffer;
+                    this.sizeBuffer = card.sizeBuffer;
+                    this.mapPCjrPage(card);
+                }
+            }
+            else if (card != this.cardActive || card.addrBuffer != this.addrBuffer || card.sizeBuffer != this.sizeBuffer) {
 
                 this.removeCursor();
 
@@ -5894,6 +6178,13 @@ class Videox86 extends Component {
          */
         if (!this.flags.powered) return false;
 
+        if (this.aTextListeners.length) this.checkTextListeners();
+
+        /*
+         * There's nothing to draw if we're in a "headless" mode (eg, running in Node); getFrame() can be used instead.
+         */
+        if (!this.contextScreen) return false;
+
         /*
          * If the card's video signal is disabled (eg, during a mode change), then skip the update,
          * unless fForce is set.
@@ -6107,8 +6398,11 @@ class Videox86 extends Component {
          * AND there are no visible blinking characters (as of the last updateScreen) AND there is
          * no visible cursor, then we're done; simply return.  Otherwise, if there's only a blinking
          * cursor, then update JUST that one cell.
+         *
+         * This doesn't work for the PCjr, because its video buffer is system RAM, and RAM blocks don't track their
+         * dirty state.
          */
-        if (!fForce && this.iCellCacheValid == 2 && this.bus.cleanMemory(addrScreen, cbScreen)) {
+        if (!fForce && this.iCellCacheValid == 2 && this.cardActive.adwMemory && this.bus.cleanMemory(addrScreen, cbScreen)) {
             if (!fBlinkUpdate && this.cBlinkVisible >= 0) {
                 if (!this.fShifted) return cCells;
                 iCell = nCells;
@@ -6139,6 +6433,12 @@ class Videox86 extends Component {
              */
             this.updateScreenText(addrBuffer, addrScreen, addrScreenLimit, iCell, nCells);
         }
+        else if (this.nMode >= Videox86.MODE.PCJR_160X200 && this.nMode <= Videox86.MODE.PCJR_640X200) {
+            /*
+             * The PCjr's own graphics modes spread their scan lines across 2 or 4 banks, so they can't use the CGA code.
+             */
+            cCells = this.updateScreenGraphicsPCjr(addrScreen, addrScreenLimit);
+        }
         else if (this.cbSplit) {
             /*
              * All CGA graphics modes have the goofy split-buffer layout, hence the simple test above.
@@ -6200,6 +6500,8 @@ class Videox86 extends Component {
          * Normally, cbCell will be 2, when attribute bytes are addressible (interleaved) with character bytes,
          * but Fantasy Land is an exception.  Which is another great reason why the loop below needs to get both
          * bytes directly from adwMemory, because reading them with bus.getShortDirect(addrScreen) won't always work.
+         *
+         * The PCjr is the other exception: it has no adwMemory, because its video buffer is ordinary system RAM.
          */
         let cbCell = (1 / this.nPointsPerByte)|0;
         let nShift = (card.nAccess & Card.ACCESS.WRITE.PAIRS)? 1 : 0;
@@ -6222,10 +6524,14 @@ class Videox86 extends Component {
 
         while (addrScreen < addrScreenLimit && iCell < nCells) {
 
-            let idw = (addrScreen - addrBuffer) >>> nShift;
-            this.assert(idw >= 0 && idw < adwMemory.length);
-
-            let data = (adwMemory[idw] & 0xffff);
+            let data;
+            if (adwMemory) {
+                let idw = (addrScreen - addrBuffer) >>> nShift;
+                this.assert(idw >= 0 && idw < adwMemory.length);
+                data = (adwMemory[idw] & 0xffff);
+            } else {
+                data = this.bus.getShortDirect(addrScreen);
+            }
 
             data |= dataDraw;
             if (data & dataBlink) {
@@ -6362,6 +6668,69 @@ class Videox86 extends Component {
         return cCells;
     }
 
+    /**
+     * updateScreenGraphicsPCjr(addrScreen, addrScreenLimit)
+     *
+     * The PCjr's 160x200 and 320x200 16-color modes pack 2 pixels into every byte, while its 640x200 4-color mode
+     * stores pixel bits 0 and 1 in separate (even and odd) bytes, each of which contributes 8 pixels.  In every case,
+     * successive scan lines are interleaved across the 8Kb banks of the video buffer (2 banks in the 16Kb address
+     * modes, 4 banks in the 32Kb address modes).
+     *
+     * @this {Videox86}
+     * @param {number} addrScreen
+     * @param {number} addrScreenLimit
+     * @return {number} (number of cells processed)
+     */
+    updateScreenGraphicsPCjr(addrScreen, addrScreenLimit)
+    {
+        let cCells = (addrScreenLimit - addrScreen) >> 1;
+        let iCell = 0, nPixelsPerCell = this.nPointsPerCell;
+        let nBanks = this.sizeBuffer >> 13, nBankShift = nBanks >> 1;
+        let cbLine = this.nCols / this.nPointsPerByte;
+        let fPlanar = (this.nMode == Videox86.MODE.PCJR_640X200);
+        let aPixelColors = this.getCardColors(fPlanar? 2 : 4);
+
+        let xDirty = this.nCols, xMaxDirty = 0, yDirty = this.nRows, yMaxDirty = 0;
+
+        this.cBlinkVisible = 0;
+        for (let y = 0; y < this.nRows; y++) {
+            let addr = addrScreen + (y & (nBanks - 1)) * 0x2000 + (y >> nBankShift) * cbLine;
+            for (let x = 0; x < this.nCols; addr += 2, iCell++) {
+                let data = this.bus.getShortDirect(addr);
+                this.assert(iCell < this.aCellCache.length);
+                if (this.iCellCacheValid && data === this.aCellCache[iCell]) {
+                    x += nPixelsPerCell;
+                    continue;
+                }
+                this.aCellCache[iCell] = data;
+                if (x < xDirty) xDirty = x;
+                if (fPlanar) {
+                    for (let bit = 0x80; bit; bit >>= 1) {
+                        let bPixel = ((data & bit)? 1 : 0) | ((data & (bit << 8))? 2 : 0);
+                        this.setPixel(this.imageBuffer, x++, y, aPixelColors[bPixel]);
+                    }
+                } else {
+                    let wPixels = (data >> 8) | ((data & 0xff) << 8);
+                    for (let nShift = 12; nShift >= 0; nShift -= 4) {
+                        this.setPixel(this.imageBuffer, x++, y, aPixelColors[(wPixels >> nShift) & 0xf]);
+                    }
+                }
+                if (x > xMaxDirty) xMaxDirty = x;
+                if (y < yDirty) yDirty = y;
+                if (y >= yMaxDirty) yMaxDirty = y + 1;
+            }
+        }
+
+        /*
+         * As in updateScreenGraphicsCGA(), we update only the dirty portion of canvasBuffer, but all of contextScreen.
+         */
+        if (xDirty < this.nCols) {
+            this.contextBuffer.putImageData(this.imageBuffer, 0, 0, xDirty, yDirty, xMaxDirty - xDirty, yMaxDirty - yDirty);
+            this.contextScreen.drawImage(this.canvasBuffer, 0, 0, this.nCols, this.nRows, 0, 0, this.cxScreen, this.cyScreen);
+        }
+        return cCells;
+    }
+
     /**
      * updateScreenGraphicsEGA(addrBuffer, addrScreen, addrScreenLimit)
      *
@@ -6577,88 +6946,701 @@ class Videox86 extends Component {
     }
 
     /**
-     * getRetraceBits(card)
+     * getFrameFont(iFont)
      *
-     * This returns a byte value with two bits set or clear as appropriate: RETRACE and VRETRACE.
+     * Returns the glyph data for the specified logical font (ie, 0-3 on the EGA, 0-7 on the VGA, always 0 on the
+     * MDA/CGA), using the same font data that buildFont() would use: either the font ROM data (abFontData) or, if the
+     * EGA/VGA has been programmed with a font of its own, the corresponding bank in plane 2 of video memory.
+     *
+     * Unlike buildFont(), this doesn't require a canvas, so it works in any environment (eg, Node).
      *
      * @this {Videox86}
-     * @param {Object} card
-     * @return {number}
+     * @param {number} iFont
+     * @return {Object|null} ({cxChar, cyChar, abGlyphs}, where abGlyphs contains cyChar bytes per character)
      */
-    getRetraceBits(card)
+    getFrameFont(iFont)
     {
-        /*
-         * NOTE: The bits CGA.STATUS.RETRACE (0x01) and CGA.STATUS.VRETRACE (0x08) match the EGA definitions,
-         * and they also correspond to the MDA bits MDA.STATUS.HDRIVE (0x01) and MDA.STATUS.BWVIDEO (0x08); it's
-         * unclear why the MDA uses different designations, but the bits appear to serve the same purpose.
-         */
-        let b = 0;
-        let nCycles = this.cpu.getCycles();
-        let nCyclesElapsed = nCycles - card.nCyclesVertRetrace;
-        /*
-         * The following code is a work-around for IBM's VGA diagnostic code starting at C000:01E5,
-         * which expects an entire screen refresh (ie, 400 horizontal retraces followed by 1 vertical
-         * retrace) to take roughly 1/30 of a second instead of 1/60.  The longer vertical retrace
-         * period may be due to some idiosyncrasy of how they programmed the card beforehand, I'm not
-         * sure.  But I do know that they've turned on the SEQ.CLKMODE.SCREEN_OFF bit, so I use that
-         * bit to trigger this work-around, which involves cutting the number of elapsed cycles in half,
-         * as well as skipping every other (odd) vertical retrace in startVerticalRetrace().
-         */
-        if (card.nCard === Videox86.CARD.VGA) {
-            if (card.regSEQData[Card.SEQ.CLKMODE.INDX] & Card.SEQ.CLKMODE.SCREEN_OFF) {
-                nCyclesElapsed >>>= 1;
+        let cxChar, cyChar, cy, offData, offSplit = 0;
+        let abFontData = this.abFontData;
+        let aFontOffsets = this.aFontOffsets || [];
+        let adwMemory = this.cardActive.adwMemory;
+
+        switch (this.nCardFont) {
+        case Videox86.CARD.MDA:
+            cxChar = this.cxFontChar || 9;
+            cyChar = 14;
+            offData = aFontOffsets[1];
+            offSplit = this.cxFontChar? 0 : 0x0800;
+            break;
+
+        case Videox86.CARD.CGA:
+            cxChar = this.cxFontChar || 8;
+            cyChar = 8;
+            offData = aFontOffsets[0];
+            break;
+
+        case Videox86.CARD.EGA:
+        case Videox86.CARD.VGA:
+            cxChar = this.cxFontChar || 8;
+            cyChar = 14;
+            offData = aFontOffsets[1];
+            cy = (this.cardEGA.regCRTData[Card.CRTC.MAXSCAN] & Card.CRTCMASKS[Card.CRTC.MAXSCAN]);
+            if (cy++) {
+                /*
+                 * Logical fonts 0-3 (0-7 on the VGA) refer to banks in the following order: 0, 2, 4, 6, 1, 3, 5, 7.
+                 */
+                cxChar = (this.cardEGA.regSEQData[Card.SEQ.CLKMODE.INDX] & Card.SEQ.CLKMODE.DOTS8)? 8 : 9;
+                cyChar = cy;
+                abFontData = null;
+                offData = ((iFont << 1) - (iFont < 4? 0 : 7)) * 8192;
             }
+            break;
         }
-        if (nCyclesElapsed < 0) {       // presumably the CPU cycle count was reset since our last call
-            card.nCyclesVertRetrace = nCycles;
-            nCyclesElapsed = 0;
-        }
-        nCyclesElapsed -= card.nCyclesVertPeriod - card.nCyclesVertActive;
-        if (nCyclesElapsed < 0) {
-            b |= Card.CGA.STATUS.VRETRACE | Card.CGA.STATUS.RETRACE;
-        } else {
-            let nCyclesHorzRemain = nCyclesElapsed % card.nCyclesHorzPeriod;
-            if (nCyclesHorzRemain > card.nCyclesHorzActive) {
-                b |= Card.CGA.STATUS.RETRACE;
+
+        if (offData == null) return null;
+
+        let cyLimit = abFontData? ((cyChar < 8 || !offSplit)? cyChar : 8) : 32;
+        let abGlyphs = new Uint8Array(256 * cyChar);
+        for (let iChar = 0, i = 0; iChar < 256; iChar++) {
+            for (let y = 0; y < cyChar; y++) {
+                let offScan = (y < cyLimit? offData + iChar * cyLimit + y : offSplit + iChar * cyLimit + y - cyLimit);
+                abGlyphs[i++] = abFontData? abFontData[offScan] : ((adwMemory[offScan] >> 16) & 0xff);
             }
         }
-        return b;
+        return {cxChar, cyChar, abGlyphs};
     }
 
     /**
-     * inMDAIndx(port, addrFrom)
+     * getScreenLayout()
      *
-     * @this {Videox86}
-     * @param {number} port (0x3B4)
-     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
-     * @return {number|undefined}
-     */
-    inMDAIndx(port, addrFrom)
-    {
-        return this.inCRTCIndx(this.cardMono, port, addrFrom);
-    }
-
-    /**
-     * outMDAIndx(port, bOut, addrFrom)
+     * Calculates the VISIBLE start of screen memory (addrScreen) and the logical width of each row (nColsLogical),
+     * just as updateScreen() does, but without updating any of our state.
      *
      * @this {Videox86}
-     * @param {number} port (0x3B4)
-     * @param {number} bOut
-     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {Object|null} ({card, addrBuffer, addrScreen, cbBuffer, nColsLogical, nPointsPerByte}, or null if no active card)
      */
-    outMDAIndx(port, bOut, addrFrom)
+    getScreenLayout()
     {
-        this.outCRTCIndx(this.cardMono, port, bOut, addrFrom);
-    }
+        let card = this.cardActive;
+        if (!card || !card.adwMemory && card.nCard != Videox86.CARD.PCJR) return null;
 
-    /**
-     * inMDAData(port, addrFrom)
-     *
-     * @this {Videox86}
-     * @param {number} port (0x3B5)
-     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
-     * @return {number|undefined}
-     */
+        let addrBuffer = this.addrBuffer;
+        let addrScreen = addrBuffer;
+        let cbBuffer = this.sizeBuffer;
+        let nPointsPerByte = this.nPointsPerByte;
+        let nColsLogical = this.nCols;
+
+        if (this.nMode >= Videox86.MODE.VGA_320X200) {
+            addrBuffer = addrScreen = 0xA0000;
+            cbBuffer = 0x10000;
+        }
+
+        if (this.nCard < Videox86.CARD.EGA) {
+            addrScreen += card.offStart << (this.nCardFont? 1 : 0);
+        } else {
+            let shiftAddr = 0, shiftCols = 0;
+            let bMemMode = this.cardEGA.regSEQData[Card.SEQ.MEMMODE.INDX] & (Card.SEQ.MEMMODE.ALPHA | Card.SEQ.MEMMODE.SEQUENTIAL);
+            if (bMemMode == Card.SEQ.MEMMODE.ALPHA) {
+                shiftAddr = shiftCols = 1;
+                nPointsPerByte = 0.5;
+            } else if (bMemMode == (Card.SEQ.MEMMODE.ALPHA | Card.SEQ.MEMMODE.SEQUENTIAL)) {
+                shiftCols = 1;
+                nPointsPerByte = 1.0;
+            }
+            addrScreen += card.offStart << shiftAddr;
+            if (card.regCRTData[Card.CRTC.EGA.OFFSET] && (card.regCRTData[Card.CRTC.EGA.OFFSET] << 1) != card.regCRTData[Card.CRTC.EGA.HDEND] + 1) {
+                nColsLogical = card.regCRTData[Card.CRTC.EGA.OFFSET] << (shiftCols || ((card.regCRTData[Card.CRTC.EGA.UNDERLINE.INDX] & Card.CRTC.EGA.UNDERLINE.DWORD)? 3 : 4));
+            }
+        }
+        return {card, addrBuffer, addrScreen, cbBuffer, nColsLogical, nPointsPerByte};
+    }
+
+    /**
+     * getScreenOffset(layout, addr)
+     *
+     * Converts a screen address to an offset within the video buffer, wrapping around to the beginning of the buffer
+     * if necessary, as updateScreen() does.
+     *
+     * @this {Videox86}
+     * @param {Object} layout (from getScreenLayout())
+     * @param {number} addr
+     * @return {number}
+     */
+    getScreenOffset(layout, addr)
+    {
+        let off = addr - layout.addrBuffer;
+        return (off >= layout.cbBuffer? off - layout.cbBuffer : off);
+    }
+
+    /**
+     * getFrame()
+     *
+     * Returns an image of the current screen (at the active mode's native resolution) as an object with width,
+     * height, and data properties, where data contains 4 bytes (RGBA) per pixel, just like an ImageData object.
+     *
+     * This is a renderer-independent path: rather than reading back any canvas (which doesn't exist in Node anyway),
+     * it rasterizes the video buffer directly, using the same addressing, font, and color logic as updateScreen() and
+     * friends, but without touching any of their state (eg, the cell cache or dirty memory blocks).  The cursor, if
+     * enabled, is always drawn, and blinking characters are always drawn in their visible state, so that the result
+     * depends only on the state of the machine.
+     *
+     * @this {Videox86}
+     * @return {Object|null} ({width, height, data}, or null if there's no active card or usable font)
+     */
+    getFrame()
+    {
+        let layout = this.getScreenLayout();
+        if (!layout) return null;
+
+        let frame;
+        if (this.nCardFont) {
+            frame = this.getFrameText(layout);
+        }
+        else if (this.nMode >= Videox86.MODE.PCJR_160X200 && this.nMode <= Videox86.MODE.PCJR_640X200) {
+            frame = this.getFrameGraphicsPCjr(layout);
+        }
+        else if (this.cbSplit) {
+            frame = this.getFrameGraphicsCGA(layout);
+        }
+        else if (!this.fColor256) {
+            frame = this.getFrameGraphicsEGA(layout);
+        }
+        else {
+            frame = this.getFrameGraphicsVGA(layout);
+        }
+        return frame;
+    }
+
+    /**
+     * getTextCells(layout)
+     *
+     * Returns the visible text cells (each containing a character in the low byte and an attribute in the high byte).
+     *
+     * @this {Videox86}
+     * @param {Object} layout (from getScreenLayout())
+     * @return {Object|null} ({nCols, nRows, aCells}, or null if not a text mode)
+     */
+    getTextCells(layout)
+    {
+        if (!this.nCardFont) return null;
+
+        let card = layout.card;
+        let nCols = this.nCols, nRows = this.nRows;
+        if (this.nCard >= Videox86.CARD.EGA) {
+            /*
+             * As in setDimensions(), the number of visible rows depends on the programmable font height (see getFrameFont()).
+             */
+            let cyChar = (this.cardEGA.regCRTData[Card.CRTC.MAXSCAN] & Card.CRTCMASKS[Card.CRTC.MAXSCAN]) + 1;
+            let cyScreen = this.cardEGA.getCRTCReg(Card.CRTC.EGA.VDEND);
+            if (cyScreen++) {
+                let n = (cyScreen / (cyChar > 1? cyChar : 14)) | 0;
+                if (n) nRows = n;
+            }
+        }
+
+        let cbCell = (1 / layout.nPointsPerByte) | 0;
+        let nShift = (card.nAccess & Card.ACCESS.WRITE.PAIRS)? 1 : 0;
+        let aCells = new Array(nCols * nRows);
+        for (let row = 0, i = 0; row < nRows; row++) {
+            let addr = layout.addrScreen + row * layout.nColsLogical * cbCell;
+            for (let col = 0; col < nCols; col++, addr += cbCell) {
+                let off = this.getScreenOffset(layout, addr);
+                aCells[i++] = card.adwMemory? (card.adwMemory[off >>> nShift] & 0xffff) : this.bus.getShortDirect(layout.addrBuffer + off);
+            }
+        }
+        return {nCols, nRows, aCells};
+    }
+
+    /**
+     * getTextCursor()
+     *
+     * @this {Videox86}
+     * @return {Object} ({col, row, visible})
+     */
+    getTextCursor()
+    {
+        if (this.checkCursor() && this.iCellCursor >= 0) {
+            return {col: this.iCellCursor % this.nColsBuffer, row: (this.iCellCursor / this.nColsBuffer) | 0, visible: true};
+        }
+        return {col: -1, row: -1, visible: false};
+    }
+
+    /**
+     * getTextScreen()
+     *
+     * Returns a structured copy of the visible text screen, suitable for "screen scraping": an array of strings
+     * (one per row, with every character translated from code page 437 to Unicode), a parallel array of attribute
+     * arrays, the cursor position, and the current mode.
+     *
+     * @this {Videox86}
+     * @return {Object|null} ({mode, nCols, nRows, aRows, aAttrs, cursor}, or null if the current mode is not a text mode)
+     */
+    getTextScreen()
+    {
+        let layout = this.getScreenLayout();
+        return this.getTextScreenFromCells(layout && this.getTextCells(layout));
+    }
+
+    /**
+     * getTextScreenFromCells(text)
+     *
+     * @this {Videox86}
+     * @param {Object|null} text (from getTextCells())
+     * @return {Object|null}
+     */
+    getTextScreenFromCells(text)
+    {
+        if (!text) return null;
+        let aRows = [], aAttrs = [];
+        for (let row = 0, i = 0; row < text.nRows; row++) {
+            let s = "", aAttr = [];
+            for (let col = 0; col < text.nCols; col++) {
+                let data = text.aCells[i++];
+                /*
+                 * Character 0x00 is displayed as a blank, so we translate it to a space rather than NUL.
+                 */
+                s += (data & 0xff)? Str.CP437ToUnicode[data & 0xff] : ' ';
+                aAttr.push(data >> 8);
+            }
+            aRows.push(s);
+            aAttrs.push(aAttr);
+        }
+        return {mode: this.nMode, nCols: text.nCols, nRows: text.nRows, aRows, aAttrs, cursor: this.getTextCursor()};
+    }
+
+    /**
+     * addTextListener(fnListener)
+     *
+     * Registers a function to be called with the result of getTextScreen() whenever the visible text changes
+     * (or with null whenever a text mode is replaced by a graphics mode).  Changes are detected as part of the
+     * normal screen update cycle (see updateScreen()), which continues even when there is no screen to update
+     * (eg, in Node).
+     *
+     * @this {Videox86}
+     * @param {function(Object|null)} fnListener
+     */
+    addTextListener(fnListener)
+    {
+        this.aTextListeners.push(fnListener);
+        this.aTextCellsPrev = undefined;
+    }
+
+    /**
+     * removeTextListener(fnListener)
+     *
+     * @this {Videox86}
+     * @param {function(Object|null)} fnListener
+     * @return {boolean} true if the listener was removed, false if not found
+     */
+    removeTextListener(fnListener)
+    {
+        let i = this.aTextListeners.indexOf(fnListener);
+        if (i < 0) return false;
+        this.aTextListeners.splice(i, 1);
+        return true;
+    }
+
+    /**
+     * checkTextListeners()
+     *
+     * Compares the visible text (including attributes and the current mode) to the text seen on the previous call,
+     * and notifies all text listeners if anything changed.
+     *
+     * @this {Videox86}
+     */
+    checkTextListeners()
+    {
+        let layout = this.getScreenLayout();
+        let text = layout && this.getTextCells(layout);
+        let aCells = text? text.aCells : null;
+        let aCellsPrev = this.aTextCellsPrev;
+        if (aCellsPrev !== undefined) {
+            if (!aCells && !aCellsPrev) return;
+            if (aCells && aCellsPrev && this.nMode === this.nTextModePrev && aCells.length == aCellsPrev.length) {
+                let i = 0;
+                while (i < aCells.length && aCells[i] === aCellsPrev[i]) i++;
+                if (i == aCells.length) return;
+            }
+        }
+        this.aTextCellsPrev = aCells;
+        this.nTextModePrev = this.nMode;
+        let screen = this.getTextScreenFromCells(text);
+        let aListeners = this.aTextListeners.slice();
+        for (let i = 0; i < aListeners.length; i++) {
+            aListeners[i](screen);
+        }
+    }
+
+    /**
+     * getFrameText(layout)
+     *
+     * @this {Videox86}
+     * @param {Object} layout (from getScreenLayout())
+     * @return {Object|null}
+     */
+    getFrameText(layout)
+    {
+        let nFontSelect = (this.nCard >= Videox86.CARD.EGA? this.getSelectedFonts() : 0);
+        let font = this.getFrameFont(nFontSelect & 0xff);
+        if (!font) return null;
+        let fontAlt = ((nFontSelect >> 8) != (nFontSelect & 0xff)? this.getFrameFont(nFontSelect >> 8) : null);
+
+        let text = this.getTextCells(layout);
+        let cxChar = font.cxChar, cyChar = font.cyChar;
+        let aColorMap = this.getTextColorMap();
+        let aRGBColors = this.getTextColors(aColorMap);
+
+        let card = layout.card;
+        let fBlinkEnable = (card.regMode & Card.MDA.MODE.BLINK_ENABLE);
+        if (this.nCard >= Videox86.CARD.EGA) {
+            fBlinkEnable = (card.regATCData[Card.ATC.MODE.INDX] & Card.ATC.MODE.BLINK_ENABLE);
+        }
+
+        let cursor = this.getTextCursor();
+        let width = text.nCols * cxChar, height = text.nRows * cyChar;
+        let abRGBA = new Uint8Array(width * height * 4);
+
+        for (let row = 0, i = 0; row < text.nRows; row++) {
+            for (let col = 0; col < text.nCols; col++) {
+                let data = text.aCells[i++];
+                let bChar = data & 0xff;
+                let bAttr = data >> 8;
+                let fontChar = font;
+                if ((bAttr & 0x08) && fontAlt) {
+                    fontChar = fontAlt;
+                    bAttr &= ~0x08;
+                }
+                if (fBlinkEnable) bAttr &= ~Videox86.ATTRS.BGND_BLINK;
+                /*
+                 * See updateChar() for an explanation of the MDA's unusual foreground/background mapping rules.
+                 */
+                let iFgnd = bAttr & 0x0f;
+                let iBgnd = (bAttr >> 4) & 0x0f;
+                if (aColorMap) {
+                    if (!(bAttr & 0x7) && (bAttr & 0x70)) {
+                        iFgnd |= 0x7;
+                    }
+                    let b = bAttr & 0xf7;
+                    if (b == 0x70 || b == 0xf0) {
+                        iFgnd = 0x0;
+                    } else {
+                        iBgnd = 0x0;
+                    }
+                    iFgnd = aColorMap[iFgnd];
+                    iBgnd = aColorMap[iBgnd];
+                }
+                let rgbFgnd = aRGBColors[iFgnd], rgbBgnd = aRGBColors[iBgnd];
+                let fCursor = (row == cursor.row && col == cursor.col);
+                for (let y = 0; y < cyChar; y++) {
+                    let b = fontChar.abGlyphs[bChar * fontChar.cyChar + y] || 0;
+                    let fSolid = (aColorMap && (iFgnd & 0x1) && y == cyChar - 2) || (fCursor && this.isCursorRow(y, cyChar));
+                    let off = ((row * cyChar + y) * width + col * cxChar) * 4;
+                    for (let x = 0; x < cxChar; x++, off += 4) {
+                        /*
+                         * Characters 0xC0-0xDF replicate their 8th dot in the 9th dot; see createFontColor().
+                         */
+                        let bit = fSolid || (b & (0x80 >> (x >= 8 && bChar >= 0xC0 && bChar <= 0xDF? 7 : x)));
+                        let rgb = bit? rgbFgnd : rgbBgnd;
+                        abRGBA[off] = rgb[0];
+                        abRGBA[off + 1] = rgb[1];
+                        abRGBA[off + 2] = rgb[2];
+                        abRGBA[off + 3] = 0xff;
+                    }
+                }
+            }
+        }
+        return {width, height, data: abRGBA};
+    }
+
+    /**
+     * isCursorRow(y, cyChar)
+     *
+     * Determines whether row y of a character cell (cyChar rows high) is covered by the cursor, using the cursor shape
+     * last recorded by checkCursor() and scaling it the same way drawCursor() does.
+     *
+     * @this {Videox86}
+     * @param {number} y
+     * @param {number} cyChar
+     * @return {boolean}
+     */
+    isCursorRow(y, cyChar)
+    {
+        let yCursor = this.yCursor, cyCursor = this.cyCursor, cyCursorWrap = this.cyCursorWrap;
+        if (this.cyCursorCell && this.cyCursorCell !== cyChar) {
+            yCursor = Math.round((yCursor * cyChar) / this.cyCursorCell);
+            cyCursor = Math.round((cyCursor * cyChar) / this.cyCursorCell);
+            cyCursorWrap = Math.round((cyCursorWrap * cyChar) / this.cyCursorCell);
+        }
+        return (y >= yCursor && y < yCursor + cyCursor) || y < cyCursorWrap;
+    }
+
+    /**
+     * getFrameGraphicsCGA(layout)
+     *
+     * @this {Videox86}
+     * @param {Object} layout (from getScreenLayout())
+     * @return {Object}
+     */
+    getFrameGraphicsCGA(layout)
+    {
+        let width = this.nCols, height = this.nRows;
+        let abRGBA = new Uint8Array(width * height * 4);
+        let nPixelsPerCell = this.nPointsPerCell;
+        let nPixelShift = (nPixelsPerCell == 16? 1 : 2);
+        let wPixelMask = (1 << nPixelShift) - 1;
+        let aPixelColors = this.getCardColors(nPixelShift);
+        let cbRow = (width / nPixelsPerCell) << 1;
+
+        for (let y = 0, off = 0; y < height; y++) {
+            /*
+             * Even rows come from the first half of the buffer, odd rows from the second half (at cbSplit).
+             */
+            let addr = layout.addrScreen + (y & 1? this.cbSplit : 0) + (y >> 1) * cbRow;
+            for (let x = 0; x < width; addr += 2) {
+                let data = this.bus.getShortDirect(addr);
+                let wPixels = (data >> 8) | ((data & 0xff) << 8);
+                for (let nShift = 16; nShift > 0 && x < width; x++, off += 4) {
+                    let rgb = aPixelColors[(wPixels >> (nShift -= nPixelShift)) & wPixelMask];
+                    abRGBA[off] = rgb[0];
+                    abRGBA[off + 1] = rgb[1];
+                    abRGBA[off + 2] = rgb[2];
+                    abRGBA[off + 3] = 0xff;
+                }
+            }
+        }
+        return {width, height, data: abRGBA};
+    }
+
+    /**
+     * getFrameGraphicsPCjr(layout)
+     *
+     * @this {Videox86}
+     * @param {Object} layout (from getScreenLayout())
+     * @return {Object}
+     */
+    getFrameGraphicsPCjr(layout)
+    {
+        let width = this.nCols, height = this.nRows;
+        let abRGBA = new Uint8Array(width * height * 4);
+        let nBanks = this.sizeBuffer >> 13, nBankShift = nBanks >> 1;
+        let cbLine = width / this.nPointsPerByte;
+        let fPlanar = (this.nMode == Videox86.MODE.PCJR_640X200);
+        let aPixelColors = this.getCardColors(fPlanar? 2 : 4);
+        let aPixels = new Array(8);
+
+        for (let y = 0, off = 0; y < height; y++) {
+            /*
+             * As in updateScreenGraphicsPCjr(), successive rows come from successive 8Kb banks.
+             */
+            let addr = layout.addrScreen + (y & (nBanks - 1)) * 0x2000 + (y >> nBankShift) * cbLine;
+            for (let x = 0; x < width; addr += 2) {
+                let data = this.bus.getShortDirect(addr);
+                let nPixels = 0;
+                if (fPlanar) {
+                    for (let bit = 0x80; bit; bit >>= 1) {
+                        aPixels[nPixels++] = ((data & bit)? 1 : 0) | ((data & (bit << 8))? 2 : 0);
+                    }
+                } else {
+                    let wPixels = (data >> 8) | ((data & 0xff) << 8);
+                    for (let nShift = 12; nShift >= 0; nShift -= 4) {
+                        aPixels[nPixels++] = (wPixels >> nShift) & 0xf;
+                    }
+                }
+                for (let i = 0; i < nPixels && x < width; i++, x++, off += 4) {
+                    let rgb = aPixelColors[aPixels[i]];
+                    abRGBA[off] = rgb[0];
+                    abRGBA[off + 1] = rgb[1];
+                    abRGBA[off + 2] = rgb[2];
+                    abRGBA[off + 3] = 0xff;
+                }
+            }
+        }
+        return {width, height, data: abRGBA};
+    }
+
+    /**
+     * getFrameGraphicsEGA(layout)
+     *
+     * @this {Videox86}
+     * @param {Object} layout (from getScreenLayout())
+     * @return {Object}
+     */
+    getFrameGraphicsEGA(layout)
+    {
+        let width = this.nCols, height = this.nRows;
+        let abRGBA = new Uint8Array(width * height * 4);
+        let aPixelColors = this.getCardColors();
+        let adwMemory = layout.card.adwMemory;
+        let iPixelFirst = layout.card.regATCData[Card.ATC.HPAN.INDX] & Card.ATC.HPAN.SHIFT_LEFT;
+        let cdwRow = (layout.nColsLogical > width? layout.nColsLogical : width) >> 3;
+
+        for (let y = 0, off = 0; y < height; y++) {
+            let addrRow = layout.addrScreen + y * cdwRow;
+            for (let x = 0; x < width; x++, off += 4) {
+                let iPixel = x + iPixelFirst;
+                let data = adwMemory[this.getScreenOffset(layout, addrRow + (iPixel >> 3))] << (iPixel & 7);
+                let rgb = aPixelColors[Videox86.aEGADWToByte[data & 0x80808080] || 0];
+                abRGBA[off] = rgb[0];
+                abRGBA[off + 1] = rgb[1];
+                abRGBA[off + 2] = rgb[2];
+                abRGBA[off + 3] = 0xff;
+            }
+        }
+        return {width, height, data: abRGBA};
+    }
+
+    /**
+     * getFrameGraphicsVGA(layout)
+     *
+     * @this {Videox86}
+     * @param {Object} layout (from getScreenLayout())
+     * @return {Object}
+     */
+    getFrameGraphicsVGA(layout)
+    {
+        let width = this.nCols, height = this.nRows;
+        let abRGBA = new Uint8Array(width * height * 4);
+        let aPixelColors = this.getCardColors(8);
+        let adwMemory = layout.card.adwMemory;
+        let cbInc = (layout.card.regSEQData[Card.SEQ.MEMMODE.INDX] & Card.SEQ.MEMMODE.CHAIN4)? 4 : 1;
+        let cbRow = (width >> 2) * cbInc + (layout.nColsLogical > width? ((layout.nColsLogical - width) >> 3) : 0);
+
+        for (let y = 0, off = 0; y < height; y++) {
+            let addr = layout.addrScreen + y * cbRow;
+            for (let x = 0; x < width; addr += cbInc) {
+                let data = adwMemory[this.getScreenOffset(layout, addr)];
+                for (let iPixel = 0; iPixel < 4; iPixel++, x++, off += 4) {
+                    let rgb = aPixelColors[data & 0xff];
+                    abRGBA[off] = rgb[0];
+                    abRGBA[off + 1] = rgb[1];
+                    abRGBA[off + 2] = rgb[2];
+                    abRGBA[off + 3] = 0xff;
+                    data >>>= 8;
+                }
+            }
+        }
+        return {width, height, data: abRGBA};
+    }
+
+    /**
+     * saveFrame(sFileName)
+     *
+     * Saves the current screen (see getFrame()) as a PNG file; in Node, the file is written directly, otherwise it's
+     * offered as a download.
+     *
+     * @this {Videox86}
+     * @param {string} sFileName
+     * @return {string} (description of the result)
+     */
+    saveFrame(sFileName)
+    {
+        let frame = this.getFrame();
+        if (!frame) return "no screen available";
+        let abPNG = Img.getPNG(frame.width, frame.height, frame.data);
+        if (typeof module !== "undefined") {
+            try {
+                fs.writeFileSync(sFileName, abPNG);
+            } catch(err) {
+                return "unable to create " + sFileName + ": " + err.message;
+            }
+            return Str.sprintf("%s: %dx%d", sFileName, frame.width, frame.height);
+        }
+        return Web.downloadFile(abPNG, "octet-stream", false, sFileName);
+    }
+
+    /**
+     * getRetraceBits(card)
+     *
+     * This returns a byte value with two bits set or clear as appropriate: RETRACE and VRETRACE.
+     *
+     * @this {Videox86}
+     * @param {Object} card
+     * @return {number}
+     */
+    getRetraceBits(card)
+    {
+        /*
+         * NOTE: The bits CGA.STATUS.RETRACE (0x01) and CGA.STATUS.VRETRACE (0x08) match the EGA definitions,
+         * and they also correspond to the MDA bits MDA.STATUS.HDRIVE (0x01) and MDA.STATUS.BWVIDEO (0x08); it's
+         * unclear why the MDA uses different designations, but the bits appear to serve the same purpose.
+         */
+        let b = 0;
+        let nCycles = this.cpu.getCycles();
+        let nCyclesElapsed = nCycles - card.nCyclesVertRetrace;
+        /*
+         * The following code is a work-around for IBM's VGA diagnostic code starting at C000:01E5,
+         * which expects an entire screen refresh (ie, 400 horizontal retraces followed by 1 vertical
+         * retrace) to take roughly 1/30 of a second instead of 1/60.  The longer vertical retrace
+         * period may be due to some idiosyncrasy of how they programmed the card beforehand, I'm not
+         * sure.  But I do know that they've turned on the SEQ.CLKMODE.SCREEN_OFF bit, so I use that
+         * bit to trigger this work-around, which involves cutting the number of elapsed cycles in half,
+         * as well as skipping every other (odd) vertical retrace in startVerticalRetrace().
+         */
+        if (card.nCard === Videox86.CARD.VGA) {
+            if (card.regSEQData[Card.SEQ.CLKMODE.INDX] & Card.SEQ.CLKMODE.SCREEN_OFF) {
+                nCyclesElapsed >>>= 1;
+            }
+        }
+        if (nCyclesElapsed < 0) {       // presumably the CPU cycle count was reset since our last call
+            card.nCyclesVertRetrace = nCycles;
+            nCyclesElapsed = 0;
+        }
+        let nCyclesVertRetrace = card.nCyclesVertPeriod - card.nCyclesVertActive;
+        nCyclesElapsed -= nCyclesVertRetrace;
+        if (nCyclesElapsed < 0) {
+            b |= Card.CGA.STATUS.VRETRACE | Card.CGA.STATUS.RETRACE;
+            /*
+             * The PCjr's POST (error 0905) counts horizontal retraces between vertical retraces, and it expects
+             * the RETRACE bit to continue toggling at the horizontal rate for the duration of vertical retrace.
+             */
+            if (card.nCard === Videox86.CARD.PCJR) {
+                if ((nCyclesElapsed + nCyclesVertRetrace) % card.nCyclesHorzPeriod <= card.nCyclesHorzActive) {
+                    b &= ~Card.CGA.STATUS.RETRACE;
+                }
+            }
+        } else {
+            let nCyclesHorzRemain = nCyclesElapsed % card.nCyclesHorzPeriod;
+            if (nCyclesHorzRemain > card.nCyclesHorzActive) {
+                b |= Card.CGA.STATUS.RETRACE;
+            }
+        }
+        return b;
+    }
+
+    /**
+     * inMDAIndx(port, addrFrom)
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3B4)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number|undefined}
+     */
+    inMDAIndx(port, addrFrom)
+    {
+        return this.inCRTCIndx(this.cardMono, port, addrFrom);
+    }
+
+    /**
+     * outMDAIndx(port, bOut, addrFrom)
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3B4)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outMDAIndx(port, bOut, addrFrom)
+    {
+        this.outCRTCIndx(this.cardMono, port, bOut, addrFrom);
+    }
+
+    /**
+     * inMDAData(port, addrFrom)
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3B5)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number|undefined}
+     */
     inMDAData(port, addrFrom)
     {
         return this.inCRTCData(this.cardMono, port, addrFrom);
@@ -7514,6 +8496,173 @@ class Videox86 extends Component {
         return this.inCardStatus(this.cardColor, addrFrom);
     }
 
+    /**
+     * outPCjrGA(port, bOut, addrFrom)
+     *
+     * The PCjr's Video Gate Array shares port 0x3DA with the status register: the first write selects a register,
+     * the next write updates it, and any read of the status register resets the flip-flop to register selection.
+     *
+     * Since the rest of this component knows only the CGA's mode register, we synthesize a CGA-compatible regMode
+     * from the Gate Array's mode registers, and let checkMode() sort out the rest.
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3DA)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outPCjrGA(port, bOut, addrFrom)
+    {
+        let card = this.cardColor;
+        if (!card.fGAData) {
+            card.regGAIndx = bOut & Card.PCJR.GA.INDX_MASK;
+            card.fGAData = true;
+            return;
+        }
+        card.fGAData = false;
+        let iReg = card.regGAIndx;
+        if (!addrFrom || this.messageEnabled()) {
+            this.printMessageIO(port, bOut, addrFrom, "GA." + card.asGARegs[iReg]);
+        }
+        if (!Videox86.TRAPALL && card.regGAData[iReg] === bOut) return;
+        card.regGAData[iReg] = bOut;
+        if (iReg == Card.PCJR.GA.MODE1.INDX || iReg == Card.PCJR.GA.MODE2.INDX) {
+            let bMode1 = card.regGAData[Card.PCJR.GA.MODE1.INDX];
+            let bMode2 = card.regGAData[Card.PCJR.GA.MODE2.INDX];
+            let regMode = 0;
+            if (bMode1 & Card.PCJR.GA.MODE1.HI_BANDWIDTH) regMode |= Card.CGA.MODE._80X25;
+            if (bMode1 & Card.PCJR.GA.MODE1.GRAPHICS) regMode |= Card.CGA.MODE.GRAPHIC_SEL;
+            if (bMode1 & Card.PCJR.GA.MODE1.BW) regMode |= Card.CGA.MODE.BW_SEL;
+            if (bMode1 & Card.PCJR.GA.MODE1.VIDEO_ENABLE) regMode |= Card.CGA.MODE.VIDEO_ENABLE;
+            if (bMode2 & Card.PCJR.GA.MODE2.COLOR2) regMode |= Card.CGA.MODE.HIRES_BW;
+            if (bMode2 & Card.PCJR.GA.MODE2.BLINK_ENABLE) regMode |= Card.CGA.MODE.BLINK_ENABLE;
+            if ((card.regMode ^ regMode) & Card.CGA.MODE.BLINK_ENABLE) {
+                this.iCellCacheValid = 0;
+            }
+            card.regMode = regMode;
+            this.checkMode();
+        }
+        else if (iReg == Card.PCJR.GA.PALMASK.INDX || iReg >= Card.PCJR.GA.PALETTE.INDX) {
+            this.invalidateCellCache(true);
+            if (this.nActiveFont) this.buildFont(true);
+        }
+    }
+
+    /**
+     * inPCjrPage(port, addrFrom)
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3DF)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number}
+     */
+    inPCjrPage(port, addrFrom)
+    {
+        let b = this.cardColor.regPage;
+        this.printMessageIO(port, undefined, addrFrom, "PAGE", b);
+        return b;
+    }
+
+    /**
+     * outPCjrPage(port, bOut, addrFrom)
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3DF)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outPCjrPage(port, bOut, addrFrom)
+    {
+        let card = this.cardColor;
+        this.printMessageIO(port, bOut, addrFrom, "PAGE");
+        card.setPCjrPage(bOut);
+        if (card.fActive) this.mapPCjrPage(card);
+        this.checkMode();
+    }
+
+    /**
+     * mapPCjrPage(card)
+     *
+     * Maps the PCjr's processor page (ie, the page of system RAM selected by PAGE.CPU_MASK) into the 32Kb range at
+     * B800:0000.  In the 16Kb address modes, the processor page is simply mirrored twice.  In the 32Kb address modes,
+     * the low bit of the page number is ignored, as it is for the CRT page (see setPCjrPage()).
+     *
+     * @this {Videox86}
+     * @param {Card} card
+     */
+    mapPCjrPage(card)
+    {
+        let sizePage = card.sizeBuffer;
+        let addrPage = card.addrBase + ((((card.regPage & Card.PCJR.PAGE.CPU_MASK) >> Card.PCJR.PAGE.CPU_SHIFT) << 14) & ~(sizePage - 1));
+        let aBlocks = this.bus.getMemoryBlocks(addrPage, sizePage);
+        for (let addr = 0xB8000; addr < 0xC0000; addr += sizePage) {
+            this.bus.setMemoryBlocks(addr, sizePage, aBlocks);
+        }
+    }
+
+    /**
+     * getTandyBase()
+     *
+     * The Tandy 1000 ROM BIOS reserves video memory at the top of system RAM, and the page register selects pages
+     * within the 128Kb block that contains it (eg, 0x80000-0x9FFFF in a machine with 640Kb), so we look for the last
+     * block of RAM below 0xA0000.
+     *
+     * @this {Videox86}
+     * @return {number} base address of the 128Kb block of RAM addressed by the page register
+     */
+    getTandyBase()
+    {
+        let addrTop = 0xA0000;
+        while (addrTop > 0) {
+            let aBlocks = this.bus.getMemoryBlocks(addrTop - this.bus.nBlockSize, 1);
+            if (aBlocks.length && aBlocks[0].type == MemoryX86.TYPE.RAM) break;
+            addrTop -= this.bus.nBlockSize;
+        }
+        return addrTop? ((addrTop - 1) & ~0x1FFFF) : 0;
+    }
+
+    /**
+     * outTandyVAIndx(port, bOut, addrFrom)
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3DA)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outTandyVAIndx(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "VA.INDX");
+        this.cardColor.regGAIndx = bOut & Card.PCJR.GA.INDX_MASK;
+    }
+
+    /**
+     * outTandyVAData(port, bOut, addrFrom)
+     *
+     * Unlike the PCjr's Gate Array mode registers, the Tandy 1000's Video Array mode register supplements the CGA's
+     * mode register (instead of replacing it), so a change requires only another checkMode().
+     *
+     * @this {Videox86}
+     * @param {number} port (0x3DE)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outTandyVAData(port, bOut, addrFrom)
+    {
+        let card = this.cardColor;
+        let iReg = card.regGAIndx;
+        if (!addrFrom || this.messageEnabled()) {
+            this.printMessageIO(port, bOut, addrFrom, "VA." + card.asGARegs[iReg]);
+        }
+        if (!Videox86.TRAPALL && card.regGAData[iReg] === bOut) return;
+        card.regGAData[iReg] = bOut;
+        if (iReg == Card.TANDY.VA.MODE.INDX) {
+            this.checkMode();
+        }
+        else if (iReg == Card.PCJR.GA.PALMASK.INDX || iReg >= Card.PCJR.GA.PALETTE.INDX) {
+            this.invalidateCellCache(true);
+            if (this.nActiveFont) this.buildFont(true);
+        }
+    }
+
     /**
      * inCRTCIndx(card, port, addrFrom)
      *
@@ -7764,6 +8913,15 @@ class Videox86 extends Component {
              */
             card.fATCData = false;
         }
+        else if (card.nCard === Videox86.CARD.PCJR) {
+            /*
+             * The PCjr's POST (error 09xx) waits for the VIDEO_DOT bit to go on and then off again, which we satisfy
+             * the same way we satisfy the EGA's diagnostic bits above.  And similarly, reading this register resets the
+             * Gate Array's address/data flip-flop.
+             */
+            b |= 0xE0 | ((card.regStatus & Card.PCJR.STATUS.VIDEO_DOT) ^ Card.PCJR.STATUS.VIDEO_DOT);
+            card.fGAData = false;
+        }
         else {
             /*
              * On the MDA/CGA, to satisfy ROM BIOS testing ("TEST.10"), it's sufficient to do a simple toggle of
@@ -8051,6 +9209,7 @@ Videox86.TRAPALL = true;           // monitor all I/O by default (not just delta
 Videox86.CARD = {
     MDA:    1,          // uses 9x14 monochrome font
     CGA:    2,          // uses 8x8 color font
+    PCJR:   3,          // uses 8x8 color font (same as CGA)
     EGA:    4,          // uses 8x14 color font (by default)
     VGA:    8           // uses 9x16 color font (by default)
 };
@@ -8081,6 +9240,9 @@ Videox86.MODE = {
     CGA_320X200_BW:     5,
     CGA_640X200:        6,
     MDA_80X25:          7,
+    PCJR_160X200:       0x08,   // mapped at B800:0000, color, 4bpp, 16Kb (2 banks) of system RAM
+    PCJR_320X200:       0x09,   // mapped at B800:0000, color, 4bpp, 32Kb (4 banks) of system RAM
+    PCJR_640X200:       0x0A,   // mapped at B800:0000, color, 2bpp, 32Kb (4 banks) of system RAM, with even/odd bytes for bits 0/1
     EGA_320X200:        0x0D,   // mapped at A000:0000, color, 4bpp, planar
     EGA_640X200:        0x0E,   // mapped at A000:0000, color, 4bpp, planar
     EGA_640X350_MONO:   0x0F,   // mapped at A000:0000, mono,  2bpp, planar
@@ -8114,6 +9276,8 @@ Videox86.UPDATES_PER_SECOND = 60;
 Videox86.MODEL = {
     "mda": [Videox86.CARD.MDA, Videox86.MODE.MDA_80X25],
     "cga": [Videox86.CARD.CGA, Videox86.MODE.CGA_80X25],
+    "pcjr": [Videox86.CARD.PCJR, Videox86.MODE.CGA_80X25],
+    "tandy": [Videox86.CARD.PCJR, Videox86.MODE.CGA_80X25],    // the Tandy 1000 is a PCjr card with some differences (see fTandy)
     "ega": [Videox86.CARD.EGA, Videox86.MODE.CGA_80X25],
     "vga": [Videox86.CARD.VGA, Videox86.MODE.CGA_80X25]
 };
@@ -8271,7 +9435,7 @@ Videox86.aEGAMonitorSwitches = {
  *      1: # of rows (nRows)
  *      2: # points per cell (nPointsPerCell: # of points per cell cache entry)
  *      3: # points per byte (nPointsPerByte: # of points per frame buffer byte)
- *      4: # bytes of visible screen padding, if any (used for CGA graphics modes only)
+ *      4: # bytes of visible screen padding, if any (used for CGA and PCjr graphics modes only)
  *      5: font ID (nFont: undefined if graphics mode)
  *
  * The 3rd entry used to be nCellsPerWord, but it is now nPointsPerCell.  nCols * nRows yields total
@@ -8290,6 +9454,9 @@ Videox86.aModeParms[Videox86.MODE.CGA_80X25]          = [ 80,  25,  1, 0.5,   0,
 Videox86.aModeParms[Videox86.MODE.CGA_320X200]        = [320, 200,  8,   4, 192];                         // 0x04
 Videox86.aModeParms[Videox86.MODE.CGA_640X200]        = [640, 200, 16,   8, 192];                         // 0x06
 Videox86.aModeParms[Videox86.MODE.MDA_80X25]          = [ 80,  25,  1, 0.5,   0, Videox86.CARD.MDA];         // 0x07
+Videox86.aModeParms[Videox86.MODE.PCJR_160X200]       = [160, 200,  4,   2, 192];                         // 0x08
+Videox86.aModeParms[Videox86.MODE.PCJR_320X200]       = [320, 200,  4,   2, 576];                         // 0x09
+Videox86.aModeParms[Videox86.MODE.PCJR_640X200]       = [640, 200,  8,   4, 576];                         // 0x0A
 Videox86.aModeParms[Videox86.MODE.EGA_320X200]        = [320, 200,  8,   8];                              // 0x0D
 Videox86.aModeParms[Videox86.MODE.EGA_640X200]        = [640, 200,  8,   8];                              // 0x0E
 Videox86.aModeParms[Videox86.MODE.EGA_640X350_MONO]   = [640, 350,  8,   8];                              // 0x0F
@@ -8501,6 +9668,7 @@ Videox86.aEGADWToByte[0x80808080|0] = 0xf;
 Videox86.cardSpecs = [];
 Videox86.cardSpecs[Videox86.CARD.MDA] = ["MDA", Card.MDA.CRTC.INDX.PORT, 0xB0000, 0x01000, 0x01000, ChipSet.MONITOR.MONO];
 Videox86.cardSpecs[Videox86.CARD.CGA] = ["CGA", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0x04000, ChipSet.MONITOR.COLOR];
+Videox86.cardSpecs[Videox86.CARD.PCJR] = ["PCjr", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0, ChipSet.MONITOR.COLOR];
 Videox86.cardSpecs[Videox86.CARD.EGA] = ["EGA", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0x10000, ChipSet.MONITOR.EGACOLOR];
 Videox86.cardSpecs[Videox86.CARD.VGA] = ["VGA", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0x40000, ChipSet.MONITOR.VGACOLOR];
 
@@ -8569,6 +9737,39 @@ Videox86.aCGAPortOutput = {
     0x3D9: Videox86.prototype.outCGAColor
 };
 
+Videox86.aPCjrPortInput = {
+    0x3D4: Videox86.prototype.inCGAIndx,           // technically, not actually readable, but I want the Debugger to be able to read this
+    0x3D5: Videox86.prototype.inCGAData,           // technically, the only CRTC Data registers that are readable are R14-R17
+    0x3DA: Videox86.prototype.inCGAStatus,
+    0x3DF: Videox86.prototype.inPCjrPage           // technically, not actually readable, but I want the Debugger to be able to read this
+};
+
+Videox86.aPCjrPortOutput = {
+    0x3D4: Videox86.prototype.outCGAIndx,
+    0x3D5: Videox86.prototype.outCGAData,
+    0x3DA: Videox86.prototype.outPCjrGA,
+    0x3DF: Videox86.prototype.outPCjrPage
+};
+
+Videox86.aTandyPortInput = {
+    0x3D4: Videox86.prototype.inCGAIndx,           // technically, not actually readable, but I want the Debugger to be able to read this
+    0x3D5: Videox86.prototype.inCGAData,           // technically, the only CRTC Data registers that are readable are R14-R17
+    0x3D8: Videox86.prototype.inCGAMode,           // technically, not actually readable, but I want the Debugger to be able to read this
+    0x3D9: Videox86.prototype.inCGAColor,          // technically, not actually readable, but I want the Debugger to be able to read this
+    0x3DA: Videox86.prototype.inCGAStatus,
+    0x3DF: Videox86.prototype.inPCjrPage           // technically, not actually readable, but I want the Debugger to be able to read this
+};
+
+Videox86.aTandyPortOutput = {
+    0x3D4: Videox86.prototype.outCGAIndx,
+    0x3D5: Videox86.prototype.outCGAData,
+    0x3D8: Videox86.prototype.outCGAMode,
+    0x3D9: Videox86.prototype.outCGAColor,
+    0x3DA: Videox86.prototype.outTandyVAIndx,
+    0x3DE: Videox86.prototype.outTandyVAData,
+    0x3DF: Videox86.prototype.outPCjrPage
+};
+
 Videox86.aEGAPortInput = {
     0x3C0: Videox86.prototype.inATCIndx,           // technically, only readable on a VGA, but I want the Debugger to be able to read this, too
     0x3C1: Videox86.prototype.inATCData,           // technically, only readable on a VGA, but I want the Debugger to be able to read this, too
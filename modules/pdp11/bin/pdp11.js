@@ -199,6 +199,34 @@ function getComponentByType(sType)
     return component;
 }
 
+/**
+ * getBridge(sID, iPort)
+ *
+ * Returns the "--bridge" command-line setting, if any, for the specified serial port.  A setting of the form
+ * "{id}={bridge}" (eg, "dl11=telnet:2311") applies to the port with that ID, and any other setting applies to
+ * the first port; see SerialBridge for the supported bridge values.
+ *
+ * @param {string} sID
+ * @param {number} iPort
+ * @return {string|undefined}
+ */
+function getBridge(sID, iPort)
+{
+    var aBridges = argv['bridge'];
+    if (typeof aBridges == "string") aBridges = [aBridges];
+    if (!Array.isArray(aBridges)) return undefined;
+    for (var i = 0; i < aBridges.length; i++) {
+        var sBridge = String(aBridges[i]);
+        var j = sBridge.indexOf('=');
+        if (j < 0) {
+            if (!iPort) return sBridge;
+        } else if (sBridge.substr(0, j) == sID) {
+            return sBridge.substr(j + 1);
+        }
+    }
+    return undefined;
+}
+
 /**
  * initMachine(xml)
  *
@@ -265,6 +293,11 @@ function initMachine(xml)
             var device = aDevices[iDevice];
             var parmsObj = device[idAttrs];
 
+            if (sDeviceName == "serial") {
+                var sBridge = getBridge(parmsObj['id'], iDevice);
+                if (sBridge) parmsObj['bridge'] = sBridge;
+            }
+
             if (idMachine) parmsObj['id'] = idMachine + '.' + parmsObj['id'];
 
             if (fDebug) {
@@ -289,7 +322,10 @@ function initMachine(xml)
             if (obj.type == "DebuggerPDP11") {
                 dbg = obj;
             }
-            else if (obj.type == "SerialPort") {
+            else if (obj.type == "SerialPort" && !parmsObj['bridge']) {
+                /*
+                 * Any port with a bridge is reserved for the bridge; otherwise, the port is connected to our console.
+                 */
                 serial = obj;
                 var exports = serial['exports'];
                 if (exports) {
@@ -40,6 +40,7 @@ if (typeof module !== "undefined") {
     var State = require("../../shared/lib/state");
     var PDP11 = require("./defines");
     var MessagesPDP11 = require("./messages");
+    var SerialBridge = require("../../shared/lib/serialbridge");
 }
 
 /**
@@ -92,6 +93,9 @@ class SerialPortPDP11 extends Component {
      *      of the sending device to ensure this, but sometimes it's more convenient to enforce
      *      on the receiving end.
      *
+     *      bridge: connects this port to a host TCP socket or terminal device (Node only; see SerialBridge
+     *      for the supported values, such as "telnet:2311" or "pty:/tmp/tt0")
+     *
      * NOTE: Since the XSL file defines the 'adapter' and 'baud' properties as numbers, not strings,
      * there's no need to use parseInt(), and as an added benefit, we don't need to worry about whether
      * a hex or decimal format was used.
@@ -177,6 +181,12 @@ class SerialPortPDP11 extends Component {
         this.sDataReceived = "";
         this.connection = this.sendData = this.updateStatus = null;
 
+        /*
+         * If the 'bridge' property is set, initBus() attaches a SerialBridge to the port, which precludes any other connection.
+         */
+        this.bridge = null;
+        this.sBridge = parmsSerial['bridge'] || "";
+
         /*
          * Export all functions required by initConnection().
          */
@@ -347,6 +357,15 @@ class SerialPortPDP11 extends Component {
             }
         });
 
+        if (this.sBridge) {
+            this.bridge = new SerialBridge(this, this.sBridge, function(s) {
+                serial.notice(s, true);
+            });
+            this.setConnection(this.bridge, this.bridge.receiveData);
+            this.updateStatus = this.bridge.receiveStatus;
+            this.fNullModem = false;
+        }
+
         bus.addIOTable(this, SerialPortPDP11.UNIBUS_IOTABLE, this.iAdapter? ((PDP11.UNIBUS.DL11 + (this.iAdapter - 1) * 8) - PDP11.UNIBUS.RCSR) : 0);
         bus.addResetHandler(this.reset.bind(this));
 
@@ -448,6 +467,7 @@ class SerialPortPDP11 extends Component {
      */
     powerDown(fSave, fShutdown)
     {
+        if (fShutdown && this.bridge) this.bridge.close();
         return fSave? this.save() : true;
     }
 
@@ -96,7 +96,13 @@ DiskAPI.MBR = {
         TYPE: {
             EMPTY:          0x00,
             FAT12_PRIMARY:  0x01,   // DOS 2.0 and up (12-bit FAT)
-            FAT16_PRIMARY:  0x04    // DOS 3.0 and up (16-bit FAT)
+            FAT16_PRIMARY:  0x04,   // DOS 3.0 and up (16-bit FAT, fewer than 65536 sectors)
+            EXTENDED:       0x05,   // DOS 3.30 and up (extended partition, containing a chain of logical drives)
+            FAT16_BIGDOS:   0x06,   // DOS 3.31 and up (16-bit FAT, 65536 or more sectors; see BPB.LARGE_SECS)
+            FAT32:          0x0B,   // Windows 95 OSR2 and up (32-bit FAT)
+            FAT32_LBA:      0x0C,   // Windows 95 OSR2 and up (32-bit FAT, beyond the reach of CHS addressing)
+            FAT16_LBA:      0x0E,   // Windows 95 and up (16-bit FAT, beyond the reach of CHS addressing)
+            EXTENDED_LBA:   0x0F    // Windows 95 and up (extended partition, beyond the reach of CHS addressing)
         }
     },
     SIG_OFFSET:     0x1FE,
@@ -138,7 +144,43 @@ DiskAPI.BPB = {
     TRACK_SECS:     0x018,      // 2 bytes: sectors per track (eg, 8)
     TOTAL_HEADS:    0x01A,      // 2 bytes: number of heads (eg, 1)
     HIDDEN_SECS:    0x01C,      // 2 bytes (DOS 2.x) or 4 bytes (DOS 3.31 and up): number of hidden sectors (always 0 for non-partitioned media)
-    LARGE_SECS:     0x020       // 4 bytes (DOS 3.31 and up): number of sectors if TOTAL_SECS is zero
+    LARGE_SECS:     0x020,      // 4 bytes (DOS 3.31 and up): number of sectors if TOTAL_SECS is zero
+    /*
+     * FAT32 BPBs (Windows 95 OSR2 and up) set FAT_SECS and ROOT_DIRENTS to zero and continue with these fields.
+     */
+    FAT32_SECS:     0x024,      // 4 bytes: sectors per FAT
+    FAT32_FLAGS:    0x028,      // 2 bytes: FAT mirroring flags (zero if every FAT is updated)
+    FAT32_VERSION:  0x02A,      // 2 bytes: file system version (zero)
+    ROOT_CLUSTER:   0x02C,      // 4 bytes: first cluster of the root directory (usually 2)
+    FSINFO_SEC:     0x030,      // 2 bytes: sector number of the FSINFO sector (usually 1)
+    BACKUP_SEC:     0x032       // 2 bytes: sector number of the backup boot sector (usually 6)
+};
+
+/*
+ * Extended BPB offsets (DOS 4.0 and up), which immediately follow the BPB: at offset 0x024 in FAT12 and FAT16 boot
+ * sectors, and at offset 0x040 in FAT32 boot sectors.
+ */
+DiskAPI.EBPB = {
+    OFFSET:         0x024,
+    OFFSET_FAT32:   0x040,
+    DRIVE_NUM:      0x000,      // 1 byte: BIOS drive number (eg, 0x80)
+    EXT_SIG:        0x002,      // 1 byte: extended boot signature (see SIGNATURE)
+    VOL_ID:         0x003,      // 4 bytes: volume serial number
+    VOL_LABEL:      0x007,      // 11 bytes: volume label
+    FS_TYPE:        0x012,      // 8 bytes: file system type (eg, "FAT16   "), which is informational only
+    SIGNATURE:      0x29
+};
+
+/*
+ * FSINFO sector offsets (and signatures) in FAT32 volumes
+ */
+DiskAPI.FSINFO = {
+    LEAD_SIG:       0x000,      // 4 bytes: LEAD_SIGNATURE
+    STRUC_SIG:      0x1E4,      // 4 bytes: STRUC_SIGNATURE
+    FREE_COUNT:     0x1E8,      // 4 bytes: number of free clusters (0xFFFFFFFF if unknown)
+    NEXT_FREE:      0x1EC,      // 4 bytes: cluster number where a search for free clusters should start
+    LEAD_SIGNATURE: 0x41615252,
+    STRUC_SIGNATURE:0x61417272
 };
 
 /*
@@ -217,6 +259,19 @@ DiskAPI.FAT16 = {
     CLUSNUM_EOC:    0xFFF8      // end of chain (actually, anything from 0xFFF8-0xFFFF indicates EOC)
 };
 
+/*
+ * Cluster constants for 32-bit FATs (only the low 28 bits of each FAT entry are used)
+ */
+DiskAPI.FAT32 = {
+    MAX_CLUSTERS:   268435445,
+    CLUSNUM_FREE:   0,          // this should NEVER appear in cluster chain (except at the start of an empty chain)
+    CLUSNUM_RES:    1,          // reserved; this should NEVER appear in cluster chain
+    CLUSNUM_MIN:    2,          // smallest valid cluster number
+    CLUSNUM_MAX:    0x0FFFFFF6, // largest valid cluster number
+    CLUSNUM_BAD:    0x0FFFFFF7, // bad cluster; this should NEVER appear in cluster chain
+    CLUSNUM_EOC:    0x0FFFFFF8  // end of chain (actually, anything from 0x0FFFFFF8-0x0FFFFFFF indicates EOC)
+};
+
 /*
  * Directory Entry offsets (and assorted constants) in FAT disk images
  *
@@ -231,6 +286,7 @@ DiskAPI.DIRENT = {
     NAME:           0x000,      // 8 bytes
     EXT:            0x008,      // 3 bytes
     ATTR:           0x00B,      // 1 byte
+    CLUSTER_HI:     0x014,      // 2 bytes: high word of the starting cluster (FAT32 only)
     MODTIME:        0x016,      // 2 bytes: bits 15-11 is hour (0-31), bits 10-5 is minute (0-63), bits 4-0 is second/2 (0-31)
     MODDATE:        0x018,      // 2 bytes: bits 15-9 is year (0 for 1980, 127 for 2107), bits 8-5 is month (1-12), bits 4-0 is day (1-31)
     CLUSTER:        0x01A,      // 2 bytes
@@ -249,7 +305,8 @@ DiskAPI.ATTR = {
     SYSTEM:         0x04,
     LABEL:          0x08,       // PC-DOS 2.0 and up
     SUBDIR:         0x10,       // PC-DOS 2.0 and up
-    ARCHIVE:        0x20        // PC-DOS 2.0 and up
+    ARCHIVE:        0x20,       // PC-DOS 2.0 and up
+    LFN:            0x0F        // Windows 95 and up: long filename entry (READONLY, HIDDEN, SYSTEM, and LABEL)
 };
 
 if (typeof module !== "undefined") module.exports = DiskAPI;
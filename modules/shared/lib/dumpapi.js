@@ -72,6 +72,8 @@ var DumpAPI = {
         WORDS:      "words",    // displays data as hex words; normally used only when comments are enabled
         LONGS:      "longs",    // displays data as dwords
         IMG:        "img",      // returns the raw disk data (ie, using a Buffer object) (DiskDump only)
+        IMD:        "imd",      // returns the disk data as an ImageDisk image (DiskDump only)
+        TD0:        "td0",      // returns the disk data as a Teledisk image (DiskDump only)
         ROM:        "rom"       // returns the raw file data (ie, using a Buffer object) (FileDump only)
     }
 };
@@ -28,7 +28,11 @@
 
 "use strict";
 
+var fs;
 var global;
+var net;
 var resources;
+var tty;
+var zlib;
 
 // var webkitAudioContext;
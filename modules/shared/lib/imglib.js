@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Image encoding helper functions
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a> (@jeffpar)
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var zlib = require("zlib");
+}
+
+class Img {
+    /**
+     * getPNG(width, height, abPixels, nChannels)
+     *
+     * Encodes a 32-bit RGBA image (4 bytes per pixel, rows ordered from top to bottom, like the data property
+     * of an ImageData object) as a PNG file; alternatively, set nChannels to 1 to encode an 8-bit grayscale image.
+     * Every scanline uses filter type 0 (None); in Node, the image data is compressed with zlib, whereas in a browser,
+     * it's simply stored in uncompressed ("stored") deflate blocks, which any PNG decoder will accept.
+     *
+     * @param {number} width
+     * @param {number} height
+     * @param {Uint8Array|Uint8ClampedArray|Array.<number>} abPixels
+     * @param {number} [nChannels] (4 for RGBA, the default, or 1 for grayscale)
+     * @return {Uint8Array}
+     */
+    static getPNG(width, height, abPixels, nChannels = 4)
+    {
+        let cbRow = width * nChannels;
+        let abRaw = new Uint8Array((cbRow + 1) * height);
+        for (let y = 0, off = 0; y < height; y++) {
+            abRaw[off++] = 0;
+            abRaw.set(abPixels.subarray? abPixels.subarray(y * cbRow, (y + 1) * cbRow) : abPixels.slice(y * cbRow, (y + 1) * cbRow), off);
+            off += cbRow;
+        }
+
+        let abIHDR = new Uint8Array(13);
+        Img.setLong(abIHDR, 0, width);
+        Img.setLong(abIHDR, 4, height);
+        abIHDR[8] = 8;                  // bit depth
+        abIHDR[9] = (nChannels == 1? 0 : 6);    // color type (grayscale or RGBA)
+
+        let aChunks = [
+            Img.getPNGChunk("IHDR", abIHDR),
+            Img.getPNGChunk("IDAT", Img.deflate(abRaw)),
+            Img.getPNGChunk("IEND", new Uint8Array(0))
+        ];
+
+        let cb = Img.PNG_SIGNATURE.length;
+        for (let i = 0; i < aChunks.length; i++) cb += aChunks[i].length;
+        let abPNG = new Uint8Array(cb);
+        abPNG.set(Img.PNG_SIGNATURE, 0);
+        for (let i = 0, off = Img.PNG_SIGNATURE.length; i < aChunks.length; i++) {
+            abPNG.set(aChunks[i], off);
+            off += aChunks[i].length;
+        }
+        return abPNG;
+    }
+
+    /**
+     * getPDF(aPages)
+     *
+     * Builds a PDF file containing one full-page image per page.  Each page object must contain the image's width
+     * and height (in pixels), its size in points (cxPoints and cyPoints; there are 72 points per inch), and abData,
+     * the image's 1-bit-per-pixel rows (each padded to a byte boundary, with 1 representing white), compressed with
+     * deflate(); the compression is left to the caller, so that pages can be compressed once as they're completed.
+     *
+     * @param {Array.<Object>} aPages
+     * @return {Uint8Array}
+     */
+    static getPDF(aPages)
+    {
+        let aParts = [], aOffsets = [], cb = 0;
+        let addPart = function(data) {
+            if (typeof data == "string") {
+                let ab = new Uint8Array(data.length);
+                for (let i = 0; i < data.length; i++) ab[i] = data.charCodeAt(i) & 0xff;
+                data = ab;
+            }
+            aParts.push(data);
+            cb += data.length;
+        };
+        let addObject = function(sObject, abStream) {
+            aOffsets.push(cb);
+            addPart(aOffsets.length + " 0 obj\n" + sObject);
+            if (abStream) {
+                addPart("\nstream\n");
+                addPart(abStream);
+                addPart("\nendstream");
+            }
+            addPart("\nendobj\n");
+        };
+
+        /*
+         * Objects 1 and 2 are the catalog and the page tree, followed by three objects (page, contents, and image) per page.
+         */
+        addPart("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+        addObject("<< /Type /Catalog /Pages 2 0 R >>");
+        let sKids = "";
+        for (let i = 0; i < aPages.length; i++) sKids += (i? " " : "") + (3 + i * 3) + " 0 R";
+        addObject("<< /Type /Pages /Kids [" + sKids + "] /Count " + aPages.length + " >>");
+        for (let i = 0; i < aPages.length; i++) {
+            let page = aPages[i];
+            let n = 3 + i * 3;
+            let sContents = "q " + page.cxPoints + " 0 0 " + page.cyPoints + " 0 0 cm /Im0 Do Q";
+            addObject("<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + page.cxPoints + " " + page.cyPoints + "] /Resources << /XObject << /Im0 " + (n + 2) + " 0 R >> >> /Contents " + (n + 1) + " 0 R >>");
+            addObject("<< /Length " + sContents.length + " >>", sContents);
+            addObject("<< /Type /XObject /Subtype /Image /Width " + page.width + " /Height " + page.height + " /ColorSpace /DeviceGray /BitsPerComponent 1 /Filter /FlateDecode /Length " + page.abData.length + " >>", page.abData);
+        }
+        let offXRef = cb;
+        let sXRef = "xref\n0 " + (aOffsets.length + 1) + "\n0000000000 65535 f \n";
+        for (let i = 0; i < aOffsets.length; i++) {
+            sXRef += ("000000000" + aOffsets[i]).slice(-10) + " 00000 n \n";
+        }
+        addPart(sXRef + "trailer\n<< /Size " + (aOffsets.length + 1) + " /Root 1 0 R >>\nstartxref\n" + offXRef + "\n%%EOF\n");
+
+        let abPDF = new Uint8Array(cb);
+        for (let i = 0, off = 0; i < aParts.length; i++) {
+            abPDF.set(aParts[i], off);
+            off += aParts[i].length;
+        }
+        return abPDF;
+    }
+
+    /**
+     * getPNGChunk(sType, abData)
+     *
+     * @param {string} sType (4-character chunk type)
+     * @param {Uint8Array} abData
+     * @return {Uint8Array} (the chunk, including its length, type, and CRC)
+     */
+    static getPNGChunk(sType, abData)
+    {
+        let abChunk = new Uint8Array(abData.length + 12);
+        Img.setLong(abChunk, 0, abData.length);
+        for (let i = 0; i < 4; i++) abChunk[4 + i] = sType.charCodeAt(i);
+        abChunk.set(abData, 8);
+        Img.setLong(abChunk, abData.length + 8, Img.getCRC32(abChunk, 4, abData.length + 4));
+        return abChunk;
+    }
+
+    /**
+     * deflate(abData)
+     *
+     * Returns the data in zlib format (RFC 1950).
+     *
+     * @param {Uint8Array} abData
+     * @return {Uint8Array}
+     */
+    static deflate(abData)
+    {
+        if (typeof module !== "undefined") {
+            return new Uint8Array(zlib.deflateSync(abData));
+        }
+        let nBlocks = Math.ceil(abData.length / 0xffff) || 1;
+        let abOut = new Uint8Array(2 + nBlocks * 5 + abData.length + 4);
+        let off = 0;
+        abOut[off++] = 0x78;            // CMF: deflate with a 32K window
+        abOut[off++] = 0x01;            // FLG: no dictionary, fastest compression (and CMF * 256 + FLG is a multiple of 31)
+        for (let iBlock = 0, offData = 0; iBlock < nBlocks; iBlock++) {
+            let cb = Math.min(abData.length - offData, 0xffff);
+            abOut[off++] = (iBlock == nBlocks - 1)? 1 : 0;
+            abOut[off++] = cb & 0xff;
+            abOut[off++] = cb >> 8;
+            abOut[off++] = ~cb & 0xff;
+            abOut[off++] = (~cb >> 8) & 0xff;
+            abOut.set(abData.subarray(offData, offData + cb), off);
+            off += cb;
+            offData += cb;
+        }
+        Img.setLong(abOut, off, Img.getAdler32(abData));
+        return abOut;
+    }
+
+    /**
+     * getAdler32(abData)
+     *
+     * @param {Uint8Array} abData
+     * @return {number}
+     */
+    static getAdler32(abData)
+    {
+        let a = 1, b = 0;
+        for (let i = 0; i < abData.length; i++) {
+            a = (a + abData[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    /**
+     * getCRC32(abData, off, cb)
+     *
+     * @param {Uint8Array} abData
+     * @param {number} off
+     * @param {number} cb
+     * @return {number}
+     */
+    static getCRC32(abData, off, cb)
+    {
+        if (!Img.aCRCTable) {
+            Img.aCRCTable = new Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1)? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                Img.aCRCTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = off; i < off + cb; i++) {
+            crc = Img.aCRCTable[(crc ^ abData[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * setLong(ab, off, l)
+     *
+     * Stores a 32-bit value in big-endian order (the byte order used by PNG and zlib).
+     *
+     * @param {Uint8Array} ab
+     * @param {number} off
+     * @param {number} l
+     */
+    static setLong(ab, off, l)
+    {
+        ab[off] = (l >>> 24) & 0xff;
+        ab[off + 1] = (l >>> 16) & 0xff;
+        ab[off + 2] = (l >>> 8) & 0xff;
+        ab[off + 3] = l & 0xff;
+    }
+}
+
+Img.PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+Img.aCRCTable = null;
+
+if (typeof module !== "undefined") module.exports = Img;
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Bridges an emulated serial port to a host TCP socket or terminal device
+ * @author <a href="mailto:Jeff@pcjs.org">Jeff Parsons</a>
+ * @copyright © 2012-2020 Jeff Parsons
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ *
+ * PCjs is free software: you can redistribute it and/or modify it under the terms of the
+ * GNU General Public License as published by the Free Software Foundation, either version 3
+ * of the License, or (at your option) any later version.
+ *
+ * PCjs is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along with PCjs.  If not,
+ * see <http://www.gnu.org/licenses/gpl.html>.
+ *
+ * You are required to include the above copyright notice in every modified copy of this work
+ * and to display that copyright notice when the software starts running; see COPYRIGHT in
+ * <https://www.pcjs.org/modules/shared/lib/defines.js>.
+ *
+ * Some PCjs files also attempt to load external resource files, such as character-image files,
+ * ROM files, and disk image files. Those external resource files are not considered part of PCjs
+ * for purposes of the GNU General Public License, and the author does not claim any copyright
+ * as to their contents.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var fs          = require("fs");
+    var net         = require("net");
+    var tty         = require("tty");
+}
+
+/**
+ * class SerialBridge
+ * @unrestricted
+ *
+ * Connects an emulated serial port (eg, a PCx86 COM port, or a PDP-11 DL11) to the host, so that ordinary host tools
+ * (telnet, minicom, kermit, etc) can talk to the guest when a machine is running headlessly in Node.  The 'bridge'
+ * property of the serial port selects one of the following:
+ *
+ *      "tcp:[host:]port"       listen for a raw TCP connection (host defaults to 127.0.0.1)
+ *      "telnet:[host:]port"    same as "tcp", but with Telnet option negotiation (character mode, server echo)
+ *      "pty:path"              open an existing terminal device (eg, one end of a socat-created pty pair)
+ *
+ * A bare port number is treated as "tcp:port", and a bare path as "pty:path".  Node can't allocate a pseudo-terminal
+ * on its own (not without a native add-on), so use socat to create a pty pair; eg:
+ *
+ *      socat -d -d pty,raw,echo=0,link=/tmp/com1 pty,raw,echo=0,link=/tmp/com1-host
+ *
+ * and then set 'bridge' to "pty:/tmp/com1" and point minicom at /tmp/com1-host.  Terminal devices are switched to
+ * raw mode, so that no host line discipline gets in the way.  Other kinds of files, such as FIFOs, are rejected: a FIFO
+ * carries data in only one direction, so anything the guest wrote to it would simply be read back by the guest.
+ *
+ * Only one TCP client can be connected at a time; additional clients are turned away.  The bridge talks to the serial
+ * port through the same interfaces used for machine-to-machine connections: the port calls our receiveData() for every
+ * byte it transmits and receiveStatus() whenever its RTS or DTR outputs change (which requires the port's fNullModem
+ * setting to be false), and we call the port's exported 'receiveData' and 'receiveStatus' functions.
+ *
+ * Line status is reported as follows: DSR is always asserted, CD is asserted only while a client is connected (or
+ * the device is open), and CTS is asserted unless the host side has fallen behind (ie, a socket or device write has
+ * been buffered and we're waiting for it to drain), so that guest software using hardware flow control will pause.
+ * In the other direction, whenever the guest drops RTS, we pause the host stream until RTS is raised again, and
+ * when the guest drops DTR, we disconnect the current TCP client, much as a modem would hang up.  Software flow
+ * control (XON/XOFF) needs no special treatment, since those characters simply pass through.
+ */
+class SerialBridge {
+    /**
+     * SerialBridge(port, sBridge, print)
+     *
+     * @this {SerialBridge}
+     * @param {Object} port (any serial port that exports 'receiveData' and 'receiveStatus' functions)
+     * @param {string} sBridge (see above)
+     * @param {function(string)} print
+     */
+    constructor(port, sBridge, print)
+    {
+        let exports = port['exports'];
+        this.port = port;
+        this.print = print;
+        this.sendData = exports['receiveData'];
+        this.sendStatus = exports['receiveStatus'];
+        this.server = this.socket = this.stream = null;
+        this.fRTS = this.fDTR = true;   // we assume both are asserted until the port tells us otherwise
+        this.fDraining = false;
+        this.fTelnet = false;
+        this.nTelnetState = 0;
+        this.bPrev = 0;
+
+        let match = String(sBridge).match(/^(?:(tcp|telnet|pty):)?(.*)$/i);
+        let sType = match[1]? match[1].toLowerCase() : (/^[0-9]+$/.test(match[2])? "tcp" : "pty");
+        if (typeof module === "undefined") {
+            this.print("Serial bridge (" + sBridge + ") not supported in this environment");
+            return;
+        }
+        if (sType == "pty") {
+            this.open(match[2]);
+        } else {
+            let asParts = match[2].split(':');
+            let nPort = +asParts.pop();
+            let sHost = asParts.join(':') || "127.0.0.1";
+            if (!nPort) {
+                this.print("Invalid serial bridge: " + sBridge);
+                return;
+            }
+            this.fTelnet = (sType == "telnet");
+            this.listen(sHost, nPort);
+        }
+    }
+
+    /**
+     * listen(sHost, nPort)
+     *
+     * @this {SerialBridge}
+     * @param {string} sHost
+     * @param {number} nPort
+     */
+    listen(sHost, nPort)
+    {
+        let bridge = this;
+        this.server = net.createServer(function onBridgeConnect(socket) {
+            bridge.connect(socket);
+        });
+        this.server.on('error', function onBridgeError(err) {
+            bridge.print("Serial bridge unable to listen on " + sHost + ":" + nPort + ": " + err.message);
+            bridge.server = null;
+        });
+        this.server.listen(nPort, sHost, function onBridgeListen() {
+            bridge.print("Serial bridge listening on " + sHost + ":" + nPort);
+        });
+    }
+
+    /**
+     * connect(socket)
+     *
+     * @this {SerialBridge}
+     * @param {Object} socket
+     */
+    connect(socket)
+    {
+        let bridge = this;
+        if (this.socket) {
+            socket.end("Serial port busy\r\n");
+            return;
+        }
+        this.socket = socket;
+        this.fDraining = false;
+        this.nTelnetState = this.bPrev = 0;
+        socket.setNoDelay(true);
+        socket.on('data', function onBridgeData(data) {
+            bridge.receiveHost(data);
+        });
+        socket.on('drain', function onBridgeDrain() {
+            bridge.fDraining = false;
+            bridge.updateStatus();
+        });
+        socket.on('close', function onBridgeClose() {
+            if (bridge.socket == socket) {
+                bridge.socket = null;
+                bridge.print("Serial bridge disconnected from " + socket.remoteAddress);
+                bridge.updateStatus();
+            }
+        });
+        socket.on('error', function onBridgeSocketError(err) {
+            bridge.print("Serial bridge connection error: " + err.message);
+        });
+        if (this.fTelnet) {
+            socket.write(new Uint8Array(SerialBridge.TELNET_INIT));
+        }
+        if (!this.fRTS) socket.pause();
+        this.print("Serial bridge connected to " + socket.remoteAddress);
+        this.updateStatus();
+    }
+
+    /**
+     * open(sPath)
+     *
+     * The device is opened non-blocking, and both reads and writes go through a single tty stream, so that a host
+     * that isn't reading can never stall the machine; instead, writes are buffered and CTS is dropped, just as they
+     * are for a socket.
+     *
+     * @this {SerialBridge}
+     * @param {string} sPath
+     */
+    open(sPath)
+    {
+        let fd, bridge = this;
+        try {
+            fd = fs.openSync(sPath, fs.constants.O_RDWR | fs.constants.O_NOCTTY | fs.constants.O_NONBLOCK);
+        } catch(err) {
+            this.print("Serial bridge unable to open " + sPath + ": " + err.message);
+            return;
+        }
+        if (!tty.isatty(fd)) {
+            fs.closeSync(fd);
+            this.print("Serial bridge unable to open " + sPath + ": not a terminal device");
+            return;
+        }
+        this.stream = new tty.ReadStream(fd, {writable: true});
+        this.stream.setRawMode(true);
+        this.fDraining = false;
+        this.stream.on('data', function onBridgeData(data) {
+            bridge.receiveHost(data);
+        });
+        this.stream.on('drain', function onBridgeDrain() {
+            bridge.fDraining = false;
+            bridge.updateStatus();
+        });
+        this.stream.on('error', function onBridgeDeviceError(err) {
+            bridge.print("Serial bridge device error: " + err.message);
+        });
+        if (!this.fRTS) this.stream.pause();
+        this.print("Serial bridge opened " + sPath);
+        this.updateStatus();
+    }
+
+    /**
+     * close()
+     *
+     * @this {SerialBridge}
+     */
+    close()
+    {
+        if (this.socket) this.socket.destroy();
+        if (this.server) this.server.close();
+        if (this.stream) this.stream.destroy();
+        this.server = this.socket = this.stream = null;
+    }
+
+    /**
+     * receiveData(b)
+     *
+     * Called by the serial port for every byte it transmits.
+     *
+     * @this {SerialBridge}
+     * @param {number} b
+     * @return {boolean} true if received, false if not
+     */
+    receiveData(b)
+    {
+        b &= 0xff;
+        let stream = this.socket || this.stream;
+        if (stream) {
+            let ab = (this.fTelnet && b == SerialBridge.TELNET.IAC)? [b, b] : [b];
+            if (!stream.write(new Uint8Array(ab)) && !this.fDraining) {
+                this.fDraining = true;
+                this.updateStatus();
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * receiveStatus(pins)
+     *
+     * Called by the serial port whenever its RTS or DTR outputs change.
+     *
+     * @this {SerialBridge}
+     * @param {number} pins
+     */
+    receiveStatus(pins)
+    {
+        let fRTS = !!(pins & RS232.RTS.MASK);
+        let fDTR = !!(pins & RS232.DTR.MASK);
+        let stream = this.socket || this.stream;
+        if (fRTS != this.fRTS && stream) {
+            if (fRTS) stream.resume(); else stream.pause();
+        }
+        if (this.fDTR && !fDTR && this.socket) {
+            this.print("Serial bridge hanging up (DTR dropped)");
+            this.socket.end();
+        }
+        this.fRTS = fRTS;
+        this.fDTR = fDTR;
+    }
+
+    /**
+     * receiveHost(data)
+     *
+     * Delivers data from the host to the serial port, minus any Telnet commands; Telnet's CR NUL and CR LF
+     * sequences are also reduced to CR, which is what a real terminal would have sent.
+     *
+     * Bytes are delivered one at a time, because that's the only form of data that every serial port's
+     * receiveData() interface treats the same way.
+     *
+     * @this {SerialBridge}
+     * @param {Uint8Array} data
+     */
+    receiveHost(data)
+    {
+        for (let i = 0; i < data.length; i++) {
+            let b = data[i];
+            if (this.fTelnet) {
+                let TELNET = SerialBridge.TELNET;
+                switch(this.nTelnetState) {
+                case 0:
+                    if (b == TELNET.IAC) {
+                        this.nTelnetState = TELNET.IAC;
+                        continue;
+                    }
+                    if ((b == 0x00 || b == 0x0A) && this.bPrev == 0x0D) {
+                        this.bPrev = b;
+                        continue;
+                    }
+                    break;
+                case TELNET.IAC:
+                    this.nTelnetState = 0;
+                    if (b == TELNET.IAC) break;                 // IAC IAC is an escaped 0xFF
+                    if (b == TELNET.SB) {
+                        this.nTelnetState = TELNET.SB;
+                    } else if (b >= TELNET.WILL && b <= TELNET.DONT) {
+                        this.nTelnetState = TELNET.WILL;        // skip the option byte that follows
+                    }
+                    continue;
+                case TELNET.WILL:
+                    this.nTelnetState = 0;
+                    continue;
+                case TELNET.SB:
+                    if (b == TELNET.IAC) this.nTelnetState = TELNET.SE;
+                    continue;
+                case TELNET.SE:
+                    this.nTelnetState = (b == TELNET.SE? 0 : TELNET.SB);
+                    continue;
+                }
+            }
+            this.bPrev = b;
+            this.sendData.call(this.port, b);
+        }
+    }
+
+    /**
+     * updateStatus()
+     *
+     * @this {SerialBridge}
+     */
+    updateStatus()
+    {
+        let pins = RS232.DSR.MASK;
+        if (!this.fDraining) pins |= RS232.CTS.MASK;
+        if (this.socket || this.stream) pins |= RS232.CD.MASK;
+        this.sendStatus.call(this.port, pins);
+    }
+}
+
+SerialBridge.TELNET = {
+    SE:         240,
+    SB:         250,
+    WILL:       251,
+    WONT:       252,
+    DO:         253,
+    DONT:       254,
+    IAC:        255,
+    ECHO:       1,
+    SGA:        3
+};
+
+/*
+ * Sent to every Telnet client on connection: the guest does all the echoing, and there's no "go ahead"
+ * signalling, which together put the client in character-at-a-time mode.
+ */
+SerialBridge.TELNET_INIT = [
+    SerialBridge.TELNET.IAC, SerialBridge.TELNET.WILL, SerialBridge.TELNET.ECHO,
+    SerialBridge.TELNET.IAC, SerialBridge.TELNET.WILL, SerialBridge.TELNET.SGA
+];
+
+if (typeof module !== "undefined") module.exports = SerialBridge;
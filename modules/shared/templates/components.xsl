@@ -832,10 +832,16 @@
 				<xsl:otherwise/>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="cable">
+			<xsl:choose>
+				<xsl:when test="@cable"><xsl:value-of select="@cable"/></xsl:when>
+				<xsl:otherwise>true</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:call-template name="component">
 			<xsl:with-param name="machine" select="$machine"/>
 			<xsl:with-param name="class">keyboard</xsl:with-param>
-			<xsl:with-param name="parms">,model:'<xsl:value-of select="$model"/>'</xsl:with-param>
+			<xsl:with-param name="parms">,model:'<xsl:value-of select="$model"/>',cable:<xsl:value-of select="$cable"/></xsl:with-param>
 		</xsl:call-template>
 	</xsl:template>
 
@@ -853,16 +859,40 @@
 				<xsl:otherwise>0</xsl:otherwise>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="irq">
+			<xsl:choose>
+				<xsl:when test="@irq"><xsl:value-of select="@irq"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:variable name="binding">
 			<xsl:choose>
 				<xsl:when test="@binding"><xsl:value-of select="@binding"/></xsl:when>
 				<xsl:otherwise/>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="printer">
+			<xsl:choose>
+				<xsl:when test="@printer"><xsl:value-of select="@printer"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="printerModel">
+			<xsl:choose>
+				<xsl:when test="@printerModel"><xsl:value-of select="@printerModel"/></xsl:when>
+				<xsl:otherwise>epson</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:call-template name="component">
 			<xsl:with-param name="machine" select="$machine"/>
 			<xsl:with-param name="class">parallel</xsl:with-param>
-			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,binding:'<xsl:value-of select="$binding"/>'</xsl:with-param>
+			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,port:<xsl:value-of select="$port"/>,irq:<xsl:value-of select="$irq"/>,binding:'<xsl:value-of select="$binding"/>',printer:'<xsl:value-of select="$printer"/>',printerModel:'<xsl:value-of select="$printerModel"/>'</xsl:with-param>
 		</xsl:call-template>
 	</xsl:template>
 
@@ -880,6 +910,18 @@
 				<xsl:otherwise>0</xsl:otherwise>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="irq">
+			<xsl:choose>
+				<xsl:when test="@irq"><xsl:value-of select="@irq"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:variable name="baudReceive">
 			<xsl:choose>
 				<xsl:when test="@baudReceive"><xsl:value-of select="@baudReceive"/></xsl:when>
@@ -905,6 +947,18 @@
 				<xsl:otherwise>0</xsl:otherwise>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="modem">
+			<xsl:choose>
+				<xsl:when test="@modem"><xsl:value-of select="@modem"/></xsl:when>
+				<xsl:otherwise>false</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="bridge">
+			<xsl:choose>
+				<xsl:when test="@bridge"><xsl:value-of select="@bridge"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:variable name="tabSize">
 			<xsl:choose>
 				<xsl:when test="@tabsize"><xsl:value-of select="@tabsize"/></xsl:when>
@@ -922,7 +976,7 @@
 		<xsl:call-template name="component">
 			<xsl:with-param name="machine" select="$machine"/>
 			<xsl:with-param name="class">serial</xsl:with-param>
-			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,baudReceive:<xsl:value-of select="$baudReceive"/>,baudTransmit:<xsl:value-of select="$baudTransmit"/>,binding:'<xsl:value-of select="$binding"/>',tabSize:<xsl:value-of select="$tabSize"/>,charBOL:<xsl:value-of select="$charBOL"/>,upperCase:<xsl:value-of select="$upperCase"/></xsl:with-param>
+			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,port:<xsl:value-of select="$port"/>,irq:<xsl:value-of select="$irq"/>,baudReceive:<xsl:value-of select="$baudReceive"/>,baudTransmit:<xsl:value-of select="$baudTransmit"/>,binding:'<xsl:value-of select="$binding"/>',tabSize:<xsl:value-of select="$tabSize"/>,charBOL:<xsl:value-of select="$charBOL"/>,upperCase:<xsl:value-of select="$upperCase"/>,modem:<xsl:value-of select="$modem"/>,bridge:'<xsl:value-of select="$bridge"/>'</xsl:with-param>
 		</xsl:call-template>
 	</xsl:template>
 
@@ -953,6 +1007,84 @@
 		</xsl:call-template>
 	</xsl:template>
 
+	<xsl:template match="sblaster[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/sblaster"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="sblaster[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="model">
+			<xsl:choose>
+				<xsl:when test="@model"><xsl:value-of select="@model"/></xsl:when>
+				<xsl:otherwise>sb2</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0x220</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="irq">
+			<xsl:choose>
+				<xsl:when test="@irq"><xsl:value-of select="@irq"/></xsl:when>
+				<xsl:otherwise>7</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="dma">
+			<xsl:choose>
+				<xsl:when test="@dma"><xsl:value-of select="@dma"/></xsl:when>
+				<xsl:otherwise>1</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="capture">
+			<xsl:choose>
+				<xsl:when test="@capture"><xsl:value-of select="@capture"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">sblaster</xsl:with-param>
+			<xsl:with-param name="parms">,model:'<xsl:value-of select="$model"/>',port:<xsl:value-of select="$port"/>,irq:<xsl:value-of select="$irq"/>,dma:<xsl:value-of select="$dma"/>,capture:'<xsl:value-of select="$capture"/>'</xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
+	<xsl:template match="sn76496[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/sn76496"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="sn76496[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0xC0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="clock">
+			<xsl:choose>
+				<xsl:when test="@clock"><xsl:value-of select="@clock"/></xsl:when>
+				<xsl:otherwise>3579545</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="capture">
+			<xsl:choose>
+				<xsl:when test="@capture"><xsl:value-of select="@capture"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">sn76496</xsl:with-param>
+			<xsl:with-param name="parms">,port:<xsl:value-of select="$port"/>,clock:<xsl:value-of select="$clock"/>,capture:'<xsl:value-of select="$capture"/>'</xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
 	<xsl:template match="mouse[@ref]">
 		<xsl:param name="machine" select="''"/>
 		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
@@ -1108,6 +1240,45 @@
 		</xsl:call-template>
 	</xsl:template>
 
+	<xsl:template match="cartridge[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/cartridge"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="cartridge[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="slot1">
+			<xsl:choose>
+				<xsl:when test="@slot1"><xsl:value-of select="@slot1"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="addr1">
+			<xsl:choose>
+				<xsl:when test="@addr1"><xsl:value-of select="@addr1"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="slot2">
+			<xsl:choose>
+				<xsl:when test="@slot2"><xsl:value-of select="@slot2"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="addr2">
+			<xsl:choose>
+				<xsl:when test="@addr2"><xsl:value-of select="@addr2"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">cartridge</xsl:with-param>
+			<xsl:with-param name="parms">,slot1:'<xsl:value-of select="$slot1"/>',addr1:<xsl:value-of select="$addr1"/>,slot2:'<xsl:value-of select="$slot2"/>',addr2:<xsl:value-of select="$addr2"/></xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
 	<xsl:template match="ram[@ref]">
 		<xsl:param name="machine" select="''"/>
 		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
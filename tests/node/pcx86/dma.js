@@ -0,0 +1,119 @@
+/*
+ *  Verifies that FDC and HDC transfers still complete through the ChipSet's DMA controller; run it from any directory:
+ *
+ *      node tests/node/pcx86/dma.js
+ *
+ *  It builds a diskette image in a temporary directory, and then runs itself with that image in a separate Node process,
+ *  which boots it on an IBM PC XT (see ibm5160.json) with a blank 10Mb hard disk.  The ROM BIOS reads the boot sector using DMA channel 2 (FDC), and then the boot code uses INT 13h to:
+ *
+ *      1) read diskette sector 2 (which contains a test pattern) into 0000:1000
+ *      2) write 0000:1000 to hard disk sector 1, using DMA channel 3 (HDC)
+ *      3) read hard disk sector 1 into 0000:2000
+ *      4) write 0000:2000 to diskette sector 3
+ *      5) read diskette sector 3 into 0000:3000
+ *
+ *  and finally, it compares all three buffers and displays either "DMA TEST PASSED" or "DMA TEST FAILED".
+ *
+ *  The boot code was assembled from the following source (with GNU as, at origin 0x7C00):
+ *
+ *          cli                             disk:   mov     bp,3
+ *          xor     ax,ax                   1:      push    ax
+ *          mov     ds,ax                           int     0x13
+ *          mov     es,ax                           pop     ax
+ *          mov     ss,ax                           jnc     2f
+ *          mov     sp,0x7c00                       push    ax
+ *          sti                                     xor     ah,ah
+ *          cld                                     int     0x13            ; reset and retry
+ *          (five INT 13h calls via disk)           pop     ax
+ *          mov     si,0x1000                       dec     bp
+ *          mov     di,0x2000                       jnz     1b
+ *          mov     cx,512                          pop     ax              ; discard return address
+ *          repe    cmpsb                   fail:   mov     si,offset msgFail
+ *          jne     fail                    print:  (display si with INT 10h, function 0Eh)
+ *          mov     si,0x1000               hang:   jmp     hang
+ *          mov     di,0x3000               2:      ret
+ *          mov     cx,512
+ *          repe    cmpsb
+ *          jne     fail
+ *          mov     si,offset msgPass
+ *          jmp     print
+ */
+
+"use strict";
+
+let fs = require("fs");
+let os = require("os");
+let path = require("path");
+let child_process = require("child_process");
+
+let sPCx86 = path.join(__dirname, "../../../modules/pcx86/bin/pcx86.js");
+
+let abBoot = Buffer.from(
+    "fa31c08ed88ec08ed0bc007cfbfcbb0010b80102b9020031d2e85900bb0010b80103b90100ba8000e84a00bb0020b80102b90100ba8000" +
+    "e83b00bb0020b80103b9030031d2e82d00bb0030b80102b9030031d2e81f00be0010bf0020b90002f3a67525be0010bf0030b90002f3a6" +
+    "7518be9c7ceb16bd030050cd1358731d5030e4cd13584d75f158beac7cac08c07409b40ebb0700cd10ebf2ebfec3444d41205445535420" +
+    "50415353454400444d412054455354204641494c454400", "hex");
+
+/*
+ * Build a 160Kb diskette image, with the boot code in sector 1, a test pattern in sector 2, and zeros in sector 3.
+ */
+/*
+ * In the child process, the diskette image is passed to the Disk component via the global "resources" object, which
+ * Web.getResource() checks before making any request, and the machine's monochrome screen buffer is checked for the
+ * result (the boot code always displays it on the first line).
+ */
+if (process.argv[2]) {
+    let sDisk = process.argv[2];
+    global.resources = {[sDisk]: new Uint8Array(fs.readFileSync(sDisk)).buffer};
+    process.argv.splice(2);
+    process.argv.push("--cmd=load " + path.join(__dirname, "ibm5160.json"));
+    require(sPCx86);
+    let Component = require("../../../modules/shared/lib/component");
+    let computer = Component.getComponentByType("Computer");
+    let cpu = Component.getComponentByType("CPU");
+    let fdc = Component.getComponentByType("FDC");
+    let msStart = Date.now(), fStarted = false;
+    let check = function() {
+        if (computer.flags.powered && !fStarted) {
+            fStarted = true;
+            fdc.loadDrive(0, "dma", sDisk);
+            cpu.startCPU();
+        }
+        let sText = "";
+        for (let off = 0; off < 80 * 2; off += 2) {
+            sText += String.fromCharCode(cpu.bus.getByteDirect(0xb0000 + off));
+        }
+        let match = sText.match(/DMA TEST (PASSED|FAILED)/);
+        if (match || Date.now() - msStart >= 120000) {
+            console.log(match? match[0] : "timeout");
+            process.exit(match && match[1] == "PASSED"? 0 : 1);
+        }
+        setTimeout(check, 100);
+    };
+    check();
+}
+else {
+    /*
+     * Build a 160Kb diskette image, with the boot code in sector 1, a test pattern in sector 2, and zeros in sector 3.
+     */
+    let abDisk = Buffer.alloc(160 * 1024);
+    abBoot.copy(abDisk, 0);
+    abDisk[510] = 0x55;
+    abDisk[511] = 0xAA;
+    for (let i = 0; i < 512; i++) {
+        abDisk[512 + i] = (i * 7 + 3) & 0xff;
+    }
+
+    let sDir = fs.mkdtempSync(path.join(os.tmpdir(), "pcx86-dma-"));
+    let sDisk = path.join(sDir, "dma.img");
+    fs.writeFileSync(sDisk, abDisk);
+
+    let result = child_process.spawnSync(process.execPath, [__filename, sDisk], {cwd: sDir, encoding: "utf8", timeout: 180000});
+    let fPassed = (result.status === 0);
+    if (!fPassed) console.log(result.stdout || "", result.stderr || "");
+    console.log((fPassed? "passed: " : "FAILED: ") + "FDC and HDC DMA transfers");
+
+    fs.unlinkSync(sDisk);
+    fs.rmdirSync(sDir);
+    process.exit(fPassed? 0 : 1);
+}
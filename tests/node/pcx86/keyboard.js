@@ -0,0 +1,54 @@
+/*
+ *  Verifies that when a machine doesn't specify a keyboard model, the Keyboard component selects the correct default
+ *  for the ChipSet model (eg, "US62" for a PCjr); run it from any directory:
+ *
+ *      node tests/node/pcx86/keyboard.js
+ *
+ *  Each machine is loaded in a separate Node process (by running this same script with the machine's JSON file as an
+ *  argument), since pcx86.js loads only one machine per process.  In that mode, the script loads the machine, waits for
+ *  it to power up (see power.pcjs), and then prints the keyboard model on exit, which the parent process checks.
+ *
+ *  ChipSet and Keyboard require each other, so this also ensures that, in Node, the Keyboard can see the ChipSet's
+ *  MODEL constants.
+ *
+ *  Since the project doesn't include a Tandy 1000 ROM BIOS yet, tandy1000.json has no ROM; that's fine here, because the
+ *  keyboard model is selected when the machine is reset, before any code runs.
+ */
+
+"use strict";
+
+let path = require("path");
+let child_process = require("child_process");
+
+let sPCx86 = path.join(__dirname, "../../../modules/pcx86/bin/pcx86.js");
+let sPrefix = "keyboard model: ";
+
+if (process.argv[2]) {
+    let sMachine = process.argv[2];
+    process.argv.splice(2);
+    process.argv.push("--cmd=load " + sMachine, "--script=" + path.join(__dirname, "power.pcjs"));
+    process.on("exit", function() {
+        let kbd = require("../../../modules/shared/lib/component").getComponentByType("Keyboard");
+        console.log(sPrefix + (kbd? kbd.modelCountry + kbd.modelKeys : "none"));
+    });
+    require(sPCx86);
+}
+else {
+    let aTests = [
+        ["../../../modules/pcx86/bin/ibm5150.json", "US83"],
+        ["ibm4860.json", "US62"],
+        ["tandy1000.json", "US90"]
+    ];
+
+    let nFailures = 0;
+    for (let i = 0; i < aTests.length; i++) {
+        let sMachine = path.join(__dirname, aTests[i][0]);
+        let result = child_process.spawnSync(process.execPath, [__filename, sMachine], {encoding: "utf8", timeout: 60000});
+        let match = (result.stdout || "").match(new RegExp(sPrefix + "(\\S+)"));
+        let sModel = match? match[1] : "unknown";
+        let fPassed = (sModel == aTests[i][1]);
+        console.log((fPassed? "passed: " : "FAILED: ") + path.basename(sMachine) + " keyboard model " + sModel + (fPassed? "" : " (expected " + aTests[i][1] + ")"));
+        if (!fPassed) nFailures++;
+    }
+    process.exit(nFailures? 1 : 0);
+}